@@ -16,13 +16,31 @@ mongoose.connection.on('connected', () => {
   debug('Connected to mongodb');
 });
 
-var admins = require('./admins');
+// Migrations in the order they run
+const MIGRATIONS = {
+  owners: require('./owners'),
+  signatures: require('./signatures'),
+  options: require('./options')
+};
 
 co(function* () {
-  let collection = [ admins ];
+  // run the migrations named on the command line, i.e
+  // `node _migrate options`, or all of them
+  let names = process.argv.slice(2);
+  if(!names.length) {
+    names = Object.keys(MIGRATIONS);
+  }
+
+  for(let name of names) {
+    if(!MIGRATIONS[name]) {
+      throw new Error(`Unknown Migration ${name}, should be ${Object.keys(MIGRATIONS).join(',')}`);
+    }
+  }
+
+  for(let name of names) {
+    debug(`running migration ${name}`);
 
-  for(let item of collection) {
-    yield item();
+    yield MIGRATIONS[name]();
   }
 
 }).then((results) => {
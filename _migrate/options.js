@@ -0,0 +1,170 @@
+'use strict';
+
+const co        = require('co');
+const debug     = require('debug')('Migration:Options');
+const _         = require('lodash');
+
+const questionRules = require('../lib/question-rules');
+
+const Question    = require('../models/question');
+const FormVersion = require('../models/formVersion');
+
+/**
+ * Turn question options kept as plain labels into option objects.
+ *
+ * @desc Questions used to keep their options as a list of labels,
+ *       answered with the labels themselves. Options are rewritten
+ *       with a code each, and the answers, the prerequisites, the
+ *       matrix cells and the repeated answers referring to them by
+ *       label are rewritten with the codes. Snapshots of published
+ *       versions are rewritten the same way.
+ */
+module.exports = function migrateOptions() {
+  return co(function* () {
+    let questions = yield Question.collection.find({ options: { $type: 'string' } }).toArray();
+    let migrated  = {};
+
+    for(let question of questions) {
+      debug(`migrating options of question ${question._id}`);
+
+      convert(question);
+      migrated[String(question._id)] = question.options;
+
+      yield Question.collection.updateOne({ _id: question._id }, {
+        $set: { options: question.options, values: question.values || [] }
+      });
+    }
+
+    let ids = _.map(questions, '_id');
+    let dependents = ids.length ? yield Question.collection.find({ $or: [
+      { 'prerequisites.question': { $in: ids } },
+      { 'grid.cells.column': { $in: ids } },
+      { 'repeats.answers.question': { $in: ids } }
+    ] }).toArray() : [];
+
+    for(let question of dependents) {
+      debug(`migrating answers referring to options of question ${question._id}`);
+
+      retarget(question, migrated);
+
+      yield Question.collection.updateOne({ _id: question._id }, {
+        $set: _.pick(question, ['prerequisites', 'grid', 'repeats'])
+      });
+    }
+
+    let versions = yield FormVersion.collection.find({}).toArray();
+    let count    = 0;
+
+    for(let version of versions) {
+      let nodes = nodesOf(version.snapshot || {});
+      let options = {};
+
+      for(let node of nodes) {
+        if(convert(node)) {
+          options[String(node._id)] = node.options;
+        }
+      }
+
+      if(_.isEmpty(options)) continue;
+
+      debug(`migrating options of version ${version.version} of form ${version.form}`);
+
+      for(let node of nodes) {
+        retarget(node, options);
+      }
+
+      yield FormVersion.collection.updateOne({ _id: version._id }, {
+        $set: { snapshot: version.snapshot }
+      });
+
+      count++;
+    }
+
+    console.log(`Migrated options of ${questions.length} questions, answers of ${dependents.length} questions and ${count} versions`);
+
+  });
+};
+
+// The rewrites, on their own so they are tested without a database
+module.exports.convert  = convert;
+module.exports.retarget = retarget;
+module.exports.nodesOf  = nodesOf;
+
+// Rewrite the options of a question kept as labels, with its answers
+function convert(question) {
+  if(!_.some(question.options, _.isString)) {
+    return false;
+  }
+
+  // labels used to be free text, repeated and empty ones are dropped
+  let labels = _.uniqBy(_.compact(_.map(question.options, (option) => _.trim(option))), _.toLower);
+
+  question.options = questionRules.options(labels);
+  question.values  = _.map(question.values, (value) => codeOf(question.options, value));
+
+  return true;
+}
+
+// Rewrite the answers a question gives to the options of others
+function retarget(question, options) {
+  for(let prerequisite of question.prerequisites || []) {
+    let list = options[String(prerequisite.question)];
+
+    if(list) prerequisite.answer = codeOf(list, prerequisite.answer);
+  }
+
+  for(let row of question.grid || []) {
+    for(let cell of row.cells || []) {
+      let list = options[String(cell.column)];
+
+      if(list) cell.value = codeOf(list, cell.value);
+    }
+  }
+
+  for(let instance of question.repeats || []) {
+    for(let answer of instance.answers || []) {
+      let list = options[String(answer.question)];
+
+      if(list) answer.values = _.map(answer.values, (value) => codeOf(list, value));
+    }
+  }
+}
+
+// Code of the option labelled as an answer, answers matching none kept
+function codeOf(options, value) {
+  if(!_.isString(value)) {
+    return value;
+  }
+
+  let option = _.find(options, (option) => option.label.toLowerCase() === value.trim().toLowerCase());
+
+  return option ? option.code : value;
+}
+
+// Every question of a snapshot, sub questions, rows and columns too
+function nodesOf(snapshot) {
+  let nodes = [];
+
+  (function walk(list) {
+    for(let question of list || []) {
+      if(!_.isPlainObject(question)) continue;
+
+      nodes.push(question);
+
+      walk(question.sub_questions);
+
+      if(question.matrix) {
+        walk(question.matrix.rows);
+        walk(question.matrix.columns);
+      }
+    }
+  })(snapshot.questions);
+
+  for(let section of snapshot.sections || []) {
+    if(_.isPlainObject(section)) {
+      nodes.push.apply(nodes, nodesOf(section));
+    }
+  }
+
+  return nodes;
+}
@@ -0,0 +1,116 @@
+'use strict';
+
+const co        = require('co');
+const debug     = require('debug')('Migration:Owners');
+const _         = require('lodash');
+
+const tenant    = require('../lib/tenant');
+
+const MFI       = require('../models/MFI');
+const Form      = require('../models/form');
+const Section   = require('../models/section');
+const Question  = require('../models/question');
+
+/**
+ * Assign forms kept before forms were scoped to an MFI.
+ *
+ * @desc Forms without an MFI are reached by super admins only. They
+ *       are assigned to the MFI of the user who created them, or to
+ *       the only MFI of a deployment with one. Forms left without an
+ *       MFI are listed for a super admin to assign. Sections and
+ *       questions without an MFI, trashed ones too, are assigned to
+ *       the MFI of the form they belong to.
+ */
+module.exports = function migrateOwners() {
+  return co(function* () {
+    let mfis  = yield MFI.collection.find({}).toArray();
+    let only  = mfis.length === 1 ? mfis[0]._id : null;
+    let forms = yield Form.collection.find({ MFI: null }).toArray();
+    let owners = {};
+    let unowned = [];
+
+    for(let form of forms) {
+      let creator = form.created_by ? String(form.created_by) : null;
+
+      if(creator && owners[creator] === undefined) {
+        owners[creator] = yield tenant.resolve({ _id: form.created_by });
+      }
+
+      let mfi = (creator && owners[creator]) || only;
+      if(!mfi) {
+        unowned.push(form._id);
+        continue;
+      }
+
+      debug(`assigning form ${form._id} to MFI ${mfi}`);
+
+      yield Form.collection.updateOne({ _id: form._id, MFI: null }, {
+        $set: { MFI: mfi }
+      });
+    }
+
+    let owned     = yield Form.collection.find({ MFI: { $ne: null } }).toArray();
+    let sections  = 0;
+    let questions = 0;
+
+    for(let form of owned) {
+      let tree = yield treeOf(form);
+
+      debug(`assigning sections and questions of form ${form._id} to MFI ${form.MFI}`);
+
+      let result = yield Section.collection.updateMany({ _id: { $in: tree.sections }, MFI: null }, {
+        $set: { MFI: form.MFI }
+      });
+      sections += result.modifiedCount;
+
+      result = yield Question.collection.updateMany({ _id: { $in: tree.questions }, MFI: null }, {
+        $set: { MFI: form.MFI }
+      });
+      questions += result.modifiedCount;
+    }
+
+    console.log(`Assigned ${forms.length - unowned.length} forms, ${sections} sections and ${questions} questions to their MFI`);
+
+    if(unowned.length) {
+      console.log(`Forms left without an MFI, reached by super admins only: ${_.map(unowned, String).join(', ')}`);
+    }
+
+  });
+};
+
+// Ids of the sections and questions of a form, sub questions, rows,
+// columns and trashed ones too
+function* treeOf(form) {
+  let sections = (form.sections || []).slice();
+  let trashed  = yield Section.collection.find({ 'deleted_from.form': form._id }).toArray();
+  sections = sections.concat(_.map(trashed, '_id'));
+
+  let roots = yield Section.collection.find({ _id: { $in: sections } }).toArray();
+  let next  = _.flatMap(roots, (section) => section.questions || []).concat(form.questions || []);
+
+  trashed = yield Question.collection.find({ 'deleted_from.form': form._id }).toArray();
+  next = next.concat(_.map(trashed, '_id'));
+
+  let questions = [];
+  let seen      = {};
+
+  while(next.length) {
+    next = _.filter(next, (id) => !seen[String(id)]);
+    if(!next.length) break;
+
+    for(let id of next) {
+      seen[String(id)] = true;
+      questions.push(id);
+    }
+
+    let docs = yield Question.collection.find({ _id: { $in: next } }).toArray();
+
+    next = _.flatMap(docs, (question) => {
+      let matrix = question.matrix || {};
+
+      return (question.sub_questions || []).concat(matrix.rows || [], matrix.columns || []);
+    });
+  }
+
+  return { sections: sections, questions: questions };
+}
@@ -0,0 +1,52 @@
+'use strict';
+
+const co        = require('co');
+const debug     = require('debug')('Migration:Signatures');
+
+const signatures  = require('../lib/signatures');
+
+const Form        = require('../models/form');
+const FormVersion = require('../models/formVersion');
+
+/**
+ * Turn signatures kept as plain labels into signature blocks.
+ *
+ * @desc Forms used to keep their signatures as a list of labels.
+ *       Forms and the snapshots of their published versions are
+ *       rewritten with a signature block per label.
+ */
+module.exports = function migrateSignatures() {
+  return co(function* () {
+    let forms = yield Form.collection.find({ signatures: { $type: 'string' } }).toArray();
+
+    for(let form of forms) {
+      debug(`migrating signatures of form ${form._id}`);
+
+      yield Form.collection.updateOne({ _id: form._id }, {
+        $set: { signatures: blocksOf(form.signatures) }
+      });
+    }
+
+    let versions = yield FormVersion.collection.find({ 'snapshot.signatures': { $type: 'string' } }).toArray();
+
+    for(let version of versions) {
+      debug(`migrating signatures of version ${version.version} of form ${version.form}`);
+
+      yield FormVersion.collection.updateOne({ _id: version._id }, {
+        $set: { 'snapshot.signatures': blocksOf(version.snapshot.signatures) }
+      });
+    }
+
+    console.log(`Migrated signatures of ${forms.length} forms and ${versions.length} versions`);
+
+  });
+};
+
+// Signature blocks of a list of labels, with ids of their own
+function blocksOf(labels) {
+  return signatures.blocks(labels).map((block) => {
+    block._id = new Form.base.Types.ObjectId();
+
+    return block;
+  });
+}
@@ -62,7 +62,8 @@ if(app.env === 'production') {
 
  // Enable CORS
 app.use(cors({
-  headers: 'Origin,X-Requested-With,Content-Type,Accept,Authorization'
+  headers: 'Origin,X-Requested-With,Content-Type,Accept,Authorization,If-Match',
+  expose: 'ETag'
 }));
 
 validator(app);
@@ -47,6 +47,10 @@ let config = {
     RANDOM_BYTE_LENGTH: 32
   },
 
+  LOCKS: {
+    TTL: +env.LOCK_TTL || 120 // seconds a lock lives without a heartbeat
+  },
+
 
   ASSETS: {
     FILE_SIZE: 2 * 1024 * 1024, // 1MB,
@@ -0,0 +1,279 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug      = require('debug')('api:change-request-controller');
+const moment     = require('moment');
+
+const CustomError        = require('../lib/custom-error');
+const tenant             = require('../lib/tenant');
+const checkPermissions   = require('../lib/permissions');
+const CHANGE_REQUEST     = require('../lib/enums').CHANGE_REQUEST;
+const changeRequests     = require('../lib/change-requests');
+
+const LogDal            = require('../dal/log');
+
+let hasPermission = checkPermissions.isPermitted('FORM');
+
+/**
+ * Get a single change request.
+ *
+ * @desc Fetch a change request with the given id from the database.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchOne = function* fetchOneChangeRequest(next) {
+  debug(`fetch change request: ${this.params.id}`);
+
+  const { ChangeRequestDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_CHANGE_REQUEST_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = {
+    _id: this.params.id
+  };
+
+  try {
+    let changeRequest = yield ChangeRequestDal.get(query);
+    if(!changeRequest) {
+      throw new Error('Change Request Does Not Exist!');
+    }
+
+    this.body = changeRequest;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_CHANGE_REQUEST_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a collection of change requests by Pagination
+ *
+ * @desc Fetch a collection of change requests, optionally
+ *       filtered by form and status.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchAllByPagination = function* fetchAllChangeRequests(next) {
+  debug('get a collection of change requests by pagination');
+
+  const { ChangeRequestDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'VIEW_CHANGE_REQUESTS_COLLECTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let query = {};
+
+  let sortType = this.query.sort_by;
+  let sort = {};
+  sortType ? (sort[sortType] = -1) : (sort.date_created = -1 );
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: sort
+  };
+
+  try {
+    if(this.query.status) {
+      if(CHANGE_REQUEST.STATUS.indexOf(this.query.status) === -1) {
+        throw new Error(`Accepted Change Request Status are ${CHANGE_REQUEST.STATUS.join(',')}`);
+      }
+
+      query.status = this.query.status;
+    }
+
+    if(this.query.form) {
+      query.form = this.query.form;
+    }
+
+    let changeRequests = yield ChangeRequestDal.getCollectionByPagination(query, opts);
+
+    this.body = changeRequests;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'VIEW_CHANGE_REQUESTS_COLLECTION_ERROR',
+      message: ex.message
+    }));
+  }
+};
+
+/**
+ * Approve a change request.
+ *
+ * @desc Apply the changes of a pending change request to the
+ *       form and publish it as a new version.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.approve = function* approveChangeRequest(next) {
+  debug(`approving change request: ${this.params.id}`);
+
+  const { ChangeRequestDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'APPROVE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'APPROVE_CHANGE_REQUEST_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+  let query = {
+    _id: this.params.id,
+    status: 'PENDING',
+    reviewed_at: null
+  };
+
+  let changeRequest = null;
+
+  try {
+    // claim the change request, it is applied only once
+    changeRequest = yield ChangeRequestDal.update(query, {
+      reviewed_by: this.state._user._id,
+      reviewed_at: moment().toISOString()
+    });
+
+    if(!changeRequest) {
+      throw new Error('Pending Change Request Does Not Exist or is Being Reviewed!');
+    }
+
+    let form = yield Form.findOne({ _id: changeRequest.form }).exec();
+    if(!form || form.archived || form.status !== 'PUBLISHED') {
+      throw new Error('Form is No Longer Published, Reject The Change Request');
+    }
+
+    let version = yield changeRequests.apply(changeRequest, this.state._user);
+
+    changeRequest = yield ChangeRequestDal.update({ _id: changeRequest._id }, {
+      status: 'APPROVED',
+      comment: body.comment || '',
+      version: version.version
+    });
+
+    yield LogDal.track({
+      event: 'change_request_approve',
+      user: this.state._user._id ,
+      message: `Approve changes to ${form.title}, published as version ${version.version}`,
+      diff: changeRequest.changes
+    });
+
+    this.body = changeRequest;
+
+  } catch(ex) {
+    // leave it pending for another try or a rejection
+    if(changeRequest && changeRequest.status === 'PENDING') {
+      yield ChangeRequestDal.update({ _id: changeRequest._id }, {
+        reviewed_by: null,
+        reviewed_at: null
+      });
+    }
+
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'APPROVE_CHANGE_REQUEST_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Reject a change request.
+ *
+ * @desc Close a pending change request without applying it.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.reject = function* rejectChangeRequest(next) {
+  debug(`rejecting change request: ${this.params.id}`);
+
+  const { ChangeRequestDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'APPROVE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'REJECT_CHANGE_REQUEST_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  this.checkBody('comment')
+      .notEmpty('Rejection Comment is Empty');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'REJECT_CHANGE_REQUEST_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  let query = {
+    _id: this.params.id,
+    status: 'PENDING',
+    reviewed_at: null
+  };
+
+  try {
+    let changeRequest = yield ChangeRequestDal.update(query, {
+      status: 'REJECTED',
+      reviewed_by: this.state._user._id,
+      reviewed_at: moment().toISOString(),
+      comment: this.request.body.comment
+    });
+
+    if(!changeRequest) {
+      throw new Error('Pending Change Request Does Not Exist or is Being Reviewed!');
+    }
+
+    yield LogDal.track({
+      event: 'change_request_reject',
+      user: this.state._user._id ,
+      message: `Reject change request ${changeRequest._id}: ${changeRequest.comment}`
+    });
+
+    this.body = changeRequest;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'REJECT_CHANGE_REQUEST_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
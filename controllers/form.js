@@ -19,18 +19,28 @@ const config              = require('../config');
 const CustomError         = require('../lib/custom-error');
 const checkPermissions    = require('../lib/permissions');
 const FORM                = require ('../lib/enums').FORM;
-
-const Form              = require('../models/form');
-const Section           = require('../models/section');
+const lifecycle           = require('../lib/form-lifecycle');
+const formDiff            = require('../lib/form-diff');
+const revision            = require('../lib/revision');
+const periods             = require('../lib/form-periods');
+const changeRequests      = require('../lib/change-requests');
+const tenant              = require('../lib/tenant');
+const overlays            = require('../lib/form-overlays');
+const loanProducts        = require('../lib/loan-products');
+const questionRules       = require('../lib/question-rules');
+const signatures          = require('../lib/signatures');
+const assets              = require('../lib/assets');
 
 const TokenDal         = require('../dal/token');
-const FormDal          = require('../dal/form');
 const LogDal           = require('../dal/log');
-const QuestionDal      = require('../dal/question');
-const SectionDal       = require('../dal/section');
+const AccountDal       = require('../dal/account');
+const BranchDal        = require('../dal/branch');
 
 let hasPermission = checkPermissions.isPermitted('FORM');
 
+// Image types signatures are captured as
+const SIGNATURE_TYPES = ['image/png', 'image/jpeg'];
+
 /**
  * Create a form.
  *
@@ -42,6 +52,8 @@ let hasPermission = checkPermissions.isPermitted('FORM');
 exports.create = function* createForm(next) {
   debug('create form');
 
+  const { FormDal, Form } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -60,6 +72,12 @@ exports.create = function* createForm(next) {
   this.checkBody('layout')
       .empty('Form Layout is Empty')
       .isIn(FORM.LAYOUTS, `Accepted Form Layouts are ${FORM.LAYOUTS.join(',')}`);
+  this.checkBody('effective_from')
+      .empty()
+      .isISO8601('Effective From Date is not a valid date');
+  this.checkBody('effective_to')
+      .empty()
+      .isISO8601('Effective To Date is not a valid date');
 
   if(this.errors) {
     return this.throw(new CustomError({
@@ -69,27 +87,46 @@ exports.create = function* createForm(next) {
   }
 
   try {
-    let form = yield FormDal.get({ type: body.type });
-    if(form) {
-      throw new Error('Form For that type already exists!!');
+    let period = periods.of(body);
+    if(!periods.isValid(period)) {
+      throw new Error('Effective To Date Should Be After Effective From Date');
     }
 
-    body.created_by = this.state._user._id;
-
-    if(body.type === 'LOAN_APPLICATION') {
-      body.signatures = FORM.SIGNATURES.LOAN.slice();
+    // super admins pick the MFI, others create for their own
+    body.MFI = this.state._mfi || (tenant.isSuper(this.state._user) ? body.MFI : null);
+    if(!body.MFI) {
+      throw new Error('Form Should Belong to an MFI');
+    }
 
-    } else if(body.type === 'SCREENING') {
-      body.signatures = FORM.SIGNATURES.SCREENING.slice();
+    if(body.loan_product) {
+      yield loanProducts.assertBindable(body.loan_product, body);
+    }
 
+    // one active form per type and loan product at any point in time
+    let form = yield Form.findOne(periods.competing(body, period)).exec();
+    if(form) {
+      throw new Error(`Form For that type already exists for that period: ${form.title}`);
     }
 
+    body.effective_from = period.from;
+    body.effective_to   = period.to;
+
+    body.created_by = this.state._user._id;
+    body.status = 'DRAFT';
+    delete body.latest_version;
+
+    body.signatures = body.signatures ? signatures.blocks(body.signatures) : signatures.defaults(body.type);
+
     // Create Form Type
     form = yield FormDal.create(body);
 
     this.body = form;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_FORM_ERROR',
       message: ex.message
@@ -99,6 +136,148 @@ exports.create = function* createForm(next) {
 };
 
 
+/**
+ * Clone a form.
+ *
+ * @desc Deep copy a form with its sections, questions and sub
+ *       questions. Prerequisites are remapped to the copies. The
+ *       clone starts as a DRAFT and is exempted from the one form
+ *       per type and period rule until it is published.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.clone = function* cloneForm(next) {
+  debug(`cloning form: ${this.params.id}`);
+
+  const { FormDal, SectionDal, QuestionDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'CREATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'CLONE_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  this.checkBody('type')
+      .empty('Form Type is Empty')
+      .isIn(FORM.TYPES, `Accepted Form Types are ${FORM.TYPES.join(',')}`);
+  this.checkBody('effective_from')
+      .empty()
+      .isISO8601('Effective From Date is not a valid date');
+  this.checkBody('effective_to')
+      .empty()
+      .isISO8601('Effective To Date is not a valid date');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'CLONE_FORM_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    let period = periods.of(body);
+    if(!periods.isValid(period)) {
+      throw new Error('Effective To Date Should Be After Effective From Date');
+    }
+
+    let source = yield FormDal.snapshot(tenant.scope(this.state, { _id: this.params.id }));
+    if(!source) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    let type = body.type || source.type;
+
+    // a clone of another type leaves the loan product behind
+    // unless the product takes forms of that type too
+    let loanProduct = body.loan_product !== undefined ? body.loan_product : source.loan_product;
+    if(loanProduct && (body.loan_product || loanProducts.takes(type))) {
+      yield loanProducts.assertBindable(loanProduct, { type: type, MFI: this.state._mfi || source.MFI });
+    } else {
+      loanProduct = null;
+    }
+
+    // old question id -> cloned question
+    let clones = {};
+
+    let questions = yield cloneQuestions.call(this, source.questions, clones);
+
+    let sections = [];
+    for(let section of source.sections) {
+      let _section = copyOf(section);
+
+      _section.questions = yield cloneQuestions.call(this, section.questions, clones);
+      _section = yield SectionDal.create(_section);
+
+      sections.push(_section._id);
+    }
+
+    // point prerequisites and repeat counts to the cloned questions
+    for(let id of Object.keys(clones)) {
+      let clone = clones[id];
+      let updates = {};
+
+      if(clone.prerequisites.length) {
+        updates.prerequisites = clone.prerequisites.map((prerequisite) => {
+          let ref = String(prerequisite.question);
+
+          return {
+            answer: prerequisite.answer,
+            question: clones[ref] ? clones[ref].question._id : prerequisite.question
+          };
+        });
+      }
+
+      let repeat = clone.question.repeat;
+      if(repeat && repeat.count_question && clones[String(repeat.count_question)]) {
+        updates['repeat.count_question'] = clones[String(repeat.count_question)].question._id;
+      }
+
+      if(_.isEmpty(updates)) continue;
+
+      yield QuestionDal.update({ _id: clone.question._id }, updates);
+    }
+
+    let form = copyOf(source);
+
+    form.title      = body.title || `${source.title} (Copy)`;
+    form.type       = type;
+    form.questions  = questions;
+    form.sections   = sections;
+    form.created_by = this.state._user._id;
+    form.MFI        = this.state._mfi || source.MFI;
+    form.loan_product = loanProduct;
+    form.status     = 'DRAFT';
+    form.latest_version = 0;
+    form.effective_from = period.from;
+    form.effective_to   = period.to;
+
+    form = yield FormDal.create(form);
+
+    yield LogDal.track({
+      event: 'form_clone',
+      user: this.state._user._id ,
+      message: `Clone ${source.title} into ${form.title}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'CLONE_FORM_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
 /**
  * Get a single form.
  *
@@ -109,6 +288,8 @@ exports.create = function* createForm(next) {
 exports.fetchOne = function* fetchOneForm(next) {
   debug(`fetch form: ${this.params.id}`);
 
+  const { FormDal, LockDal, FormOverlayDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'VIEW');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -117,12 +298,15 @@ exports.fetchOne = function* fetchOneForm(next) {
     }));
   }
 
-  let query = {
+  let query = tenant.scope(this.state, {
     _id: this.params.id
-  };
+  });
 
   try {
     let form = yield FormDal.get(query);
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
 
     yield LogDal.track({
       event: 'view_form',
@@ -130,9 +314,27 @@ exports.fetchOne = function* fetchOneForm(next) {
       message: `View form - ${form.title}`
     });
 
-    this.body = form;
+    // let designers see who is editing what
+    form = form.toJSON();
+    form.locks = yield LockDal.getCollection({ form: form._id });
+
+    // branches see the base form with their overlay on top
+    let branch = yield overlayBranch.call(this, form);
+    if(branch) {
+      let overlay = yield FormOverlayDal.get({ form: form._id, branch: branch });
+      if(overlay) {
+        form = overlays.merge(form, overlay.toJSON());
+      }
+    }
+
+    this.body = questionRules.renderForm(form);
+    this.set('ETag', revision.tag(form, this.body));
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'GET_FORM_ERROR',
       message: ex.message
@@ -151,6 +353,8 @@ exports.fetchOne = function* fetchOneForm(next) {
 exports.getFormSections = function* getFormSections(next) {
   debug(`fetch sections for form: ${this.params.id}`);
 
+  const { FormDal, SectionDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'VIEW');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -159,9 +363,9 @@ exports.getFormSections = function* getFormSections(next) {
     }));
   }
 
-  let query = {
+  let query = tenant.scope(this.state, {
     _id: this.params.id
-  };
+  });
 
   try {
     let form = yield FormDal.get(query);
@@ -182,6 +386,10 @@ exports.getFormSections = function* getFormSections(next) {
     this.body = sections;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'GET_FORM_SECTIONS_ERROR',
       message: ex.message
@@ -201,6 +409,8 @@ exports.getFormSections = function* getFormSections(next) {
 exports.update = function* updateForm(next) {
   debug(`updating form: ${this.params.id}`);
 
+  const { FormDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -210,9 +420,9 @@ exports.update = function* updateForm(next) {
   }
 
 
-  let query = {
+  let query = tenant.scope(this.state, {
     _id: this.params.id
-  };
+  });
   let body = this.request.body;
 
   this.checkBody('type')
@@ -229,14 +439,49 @@ exports.update = function* updateForm(next) {
     }));
   }
 
+  let expected = revision.fromHeader(this.get('If-Match'));
+  if(expected === null) {
+    return this.throw(revision.required('Form', this.get('If-Match')));
+  }
+
   try {
-    
-    delete body.signatures;
+    delete body.status;
+    delete body.latest_version;
+    delete body.effective_from;
+    delete body.effective_to;
+    delete body.MFI;
+    delete body.loan_product;
 
     let form = yield FormDal.get(query);
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
     if(body.type != form.type) throw new Error('Form Type is Not Consisted!');
 
-    form = yield FormDal.update(query, body);
+    if(body.signatures !== undefined) {
+      body.signatures = signatures.blocks(body.signatures);
+    }
+
+    // changes field staff rely on wait for sign-off
+    if(lifecycle.takesChangeRequests(form)) {
+      this.status = 202;
+      this.body = yield changeRequests.propose(form, {
+        target: 'FORM',
+        ref: form._id,
+        revision: expected,
+        updates: _.omit(body, ['questions', 'sections'])
+      }, form, this.state._user);
+
+      return;
+    }
+
+    lifecycle.assertEditable(form);
+
+    form = yield FormDal.update(_.assign({ revision: revision.query(expected) }, query), body);
+    if(!form) {
+      throw revision.conflict('Form', yield FormDal.get(query));
+    }
 
     yield LogDal.track({
       event: 'form_update',
@@ -245,9 +490,14 @@ exports.update = function* updateForm(next) {
       diff: body
     });
 
+    this.set('ETag', revision.tag(form));
     this.body = form;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'UPDATE_FORM_ERROR',
       message: ex.message
@@ -258,108 +508,1148 @@ exports.update = function* updateForm(next) {
 };
 
 /**
- * Get a collection of forms by Pagination
+ * Publish a form.
  *
- * @desc Fetch a collection of forms
+ * @desc Freeze the current state of the form with the given id
+ *       into a new immutable version.
  *
  * @param {Function} next Middleware dispatcher
  */
-exports.fetchAllByPagination = function* fetchAllForms(next) {
-  debug('get a collection of forms by pagination');
+exports.publish = function* publishForm(next) {
+  debug(`publishing form: ${this.params.id}`);
 
-  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  const { FormVersionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
-      type: 'VIEW_FORMS_COLLECTION_ERROR',
+      type: 'PUBLISH_FORM_ERROR',
       message: "You Don't have enough permissions to complete this action"
     }));
   }
 
-  // retrieve pagination query params
-  let page   = this.query.page || 1;
-  let limit  = this.query.per_page || 10;
-  let query = {};
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
 
-  let sortType = this.query.sort_by;
-  let sort = {};
-  sortType ? (sort[sortType] = -1) : (sort.date_created = -1 );
+  try {
+    let form = yield Form.findOne(query).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
 
-  let opts = {
-    page: +page,
-    limit: +limit,
-    sort: sort
-  };
+    if(!lifecycle.canTransition(form.status, 'PUBLISHED')) {
+      throw new Error(`A ${form.status} Form Cannot Be Published`);
+    }
 
-  try {
-    let forms = yield FormDal.getCollectionByPagination(query, opts);
+    yield assertApprover(form, this.state._user);
+
+    // clones may still share the period of their source
+    let clash = yield Form.findOne(periods.competing(form, periods.of(form), form._id)).exec();
+    if(clash) {
+      throw new Error(`Effective Period Overlaps With ${clash.title}, Schedule It First`);
+    }
+
+    let version = yield FormVersionDal.publish(query, this.state._user);
+
+    yield LogDal.track({
+      event: 'form_publish',
+      user: this.state._user._id ,
+      message: `Publish version ${version.version} of ${form.title}`
+    });
+
+    this.body = version;
 
-    this.body = forms;
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
-      type: 'FETCH_FORMS_COLLECTION_ERROR',
+      type: 'PUBLISH_FORM_ERROR',
       message: ex.message
     }));
   }
+
 };
 
 /**
- * Remove a single form.
+ * Rollback a form.
  *
- * @desc Fetch a form with the given id from the database
- *       and Remove their data
+ * @desc Restore the form, its sections and its questions to a
+ *       previous version. Sections and questions keep their ids so
+ *       references held by submitted data stay valid, those added
+ *       after that version are detached but not removed. A published
+ *       form gets the restored state published as a new version.
  *
  * @param {Function} next Middleware dispatcher
  */
-exports.remove = function* removeForm(next) {
-  debug(`removing screening: ${this.params.id}`);
+exports.rollback = function* rollbackForm(next) {
+  debug(`rolling back form: ${this.params.id}`);
 
-  let query = {
+  const { FormDal, SectionDal, FormVersionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'ROLLBACK_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, {
     _id: this.params.id
-  };
+  });
+  let body = this.request.body;
+
+  this.checkBody('version')
+      .notEmpty('Form Version is Empty')
+      .isInt('Form Version should be a number');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'ROLLBACK_FORM_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
 
   try {
-    let form = yield FormDal.delete(query);
-    if(!form._id) {
+    let form = yield Form.findOne(query).exec();
+    if(!form) {
       throw new Error('Form Does Not Exist!');
     }
 
-    for(let question of form.questions) {
-      question = yield QuestionDal.delete({ _id: question._id });
-      if(question.sub_questions.length) {
-        for(let _question of question.sub_questions) {
-          yield QuestionDal.delete({ _id: _question._id });
-        }
-      }
+    if(form.status === 'ARCHIVED') {
+      throw new Error('Form is Archived and Cannot Be Rolled Back');
     }
 
-    for(let section of form.sections) {
-      section = yield SectionDal.delete({ _id: section._id });
+    yield assertApprover(form, this.state._user);
+
+    let version = yield FormVersionDal.get({ form: form._id, version: +body.version });
+    if(!version) {
+      throw new Error(`Form Version ${body.version} Does Not Exist!`);
+    }
 
-      if(section.questions) {
-        for(let question of section.questions) {
-          question = yield QuestionDal.delete({ _id: question._id });
+    let head     = yield FormDal.snapshot(query);
+    let snapshot = version.snapshot;
 
-          for(let sub of question.sub_questions) {
-            sub = yield QuestionDal.delete({ _id: question._id });
-          }
-        }
-      }
+    let questions = yield restoreQuestions.call(this, snapshot.questions);
+
+    let sections = [];
+    for(let section of snapshot.sections) {
+      let data = _.omit(section, ['questions']);
+
+      data.questions = yield restoreQuestions.call(this, section.questions);
+
+      yield SectionDal.restore(data);
+
+      sections.push(section._id);
+    }
+
+    let updates = _.pick(snapshot, ['title', 'subtitle', 'purpose', 'layout', 'has_sections', 'disclaimer', 'signatures']);
+
+    // versions published before signature blocks keep plain labels
+    updates.signatures = signatures.normalize(updates.signatures);
+
+    updates.questions = questions;
+    updates.sections  = sections;
+
+    yield FormDal.update(query, updates);
+
+    let published;
+    if(form.status === 'PUBLISHED') {
+      published = yield FormVersionDal.publish(query, this.state._user);
     }
 
     yield LogDal.track({
-      event: 'form_delete',
-      permission: this.state._user._id ,
-      message: `Delete Info for ${form._id}`
+      event: 'form_rollback',
+      user: this.state._user._id ,
+      message: `Rollback ${form.title} to version ${version.version}`,
+      diff: {
+        version: version.version,
+        published: published ? published.version : null,
+        changes: formDiff(head, snapshot).summary
+      }
     });
 
-    this.body = form;
+    this.body = yield FormDal.get(query);
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
-      type: 'REMOVE_FORM_ERROR',
+      type: 'ROLLBACK_FORM_ERROR',
       message: ex.message
     }));
+  }
+
+};
+
+/**
+ * Archive a form.
+ *
+ * @desc Retire a published form, it can no longer be edited
+ *       or published.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.archive = function* archiveForm(next) {
+  debug(`archiving form: ${this.params.id}`);
+
+  yield changeStatus.call(this, 'ARCHIVED', 'ARCHIVE_FORM_ERROR');
+
+};
+
+/**
+ * Open a new draft of a form.
+ *
+ * @desc Move a published form back to draft so it can be edited.
+ *       Its published versions stay available as they were.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.openDraft = function* openFormDraft(next) {
+  debug(`opening draft for form: ${this.params.id}`);
+
+  yield changeStatus.call(this, 'DRAFT', 'OPEN_FORM_DRAFT_ERROR');
+
+};
+
+/**
+ * Schedule a form.
+ *
+ * @desc Set the period a form is effective for, whatever its
+ *       status. Periods of forms of the same type cannot overlap.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.schedule = function* scheduleForm(next) {
+  debug(`scheduling form: ${this.params.id}`);
+
+  const { FormDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'SCHEDULE_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
 
+  this.checkBody('effective_from')
+      .empty()
+      .isISO8601('Effective From Date is not a valid date');
+  this.checkBody('effective_to')
+      .empty()
+      .isISO8601('Effective To Date is not a valid date');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'SCHEDULE_FORM_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
   }
 
-};
\ No newline at end of file
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+
+  try {
+    let form = yield Form.findOne(query).exec();
+    if(!form || form.archived) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    if(form.status === 'ARCHIVED') {
+      throw new Error('Form is Archived and Cannot Be Scheduled');
+    }
+
+    let period = periods.of(this.request.body);
+    if(!periods.isValid(period)) {
+      throw new Error('Effective To Date Should Be After Effective From Date');
+    }
+
+    let clash = yield Form.findOne(periods.competing(form, period, form._id)).exec();
+    if(clash) {
+      throw new Error(`Effective Period Overlaps With ${clash.title}`);
+    }
+
+    form = yield FormDal.update(query, {
+      effective_from: period.from,
+      effective_to: period.to
+    });
+
+    yield LogDal.track({
+      event: 'form_schedule',
+      user: this.state._user._id ,
+      message: `Schedule ${form.title} from ${period.from || 'the start'} to ${period.to || 'the end'}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'SCHEDULE_FORM_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get form versions.
+ *
+ * @desc Fetch a paginated list of the published versions
+ *       of a form, latest first.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchVersions = function* fetchFormVersions(next) {
+  debug(`fetch versions for form: ${this.params.id}`);
+
+  const { FormVersionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_FORM_VERSIONS_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let query = {
+    form: this.params.id
+  };
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: { version: -1 }
+  };
+
+  try {
+    let form = yield Form.findOne(tenant.scope(this.state, { _id: this.params.id })).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    let versions = yield FormVersionDal.getCollectionByPagination(query, opts);
+
+    this.body = versions;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_FORM_VERSIONS_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a form version.
+ *
+ * @desc Fetch the frozen snapshot of a given form version.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchVersion = function* fetchFormVersion(next) {
+  debug(`fetch version ${this.params.version} for form: ${this.params.id}`);
+
+  const { FormVersionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_FORM_VERSION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = {
+    form: this.params.id,
+    version: +this.params.version
+  };
+
+  try {
+    let form = yield Form.findOne(tenant.scope(this.state, { _id: this.params.id })).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    if(this.params.version === 'latest') {
+      query.version = form.latest_version;
+
+    } else if(!validator.isInt(this.params.version)) {
+      throw new Error('Form Version should be a number');
+    }
+
+    let version = yield FormVersionDal.get(query);
+    if(!version) {
+      throw new Error('Form Version Does Not Exist!');
+    }
+
+    this.body = version;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_FORM_VERSION_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Resolve a form.
+ *
+ * @desc Fetch the published form of the given type that was
+ *       effective at the given date(defaults to now), i.e the
+ *       date an application was started. The version published
+ *       by then is picked, or the first one if it was published
+ *       later. Forms of a loan product are resolved with `product`.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.resolve = function* resolveForm(next) {
+  debug(`resolve ${this.query.type} form at ${this.query.date}`);
+
+  const { FormVersionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'RESOLVE_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  this.checkQuery('type')
+      .notEmpty('Form Type is Empty')
+      .isIn(FORM.TYPES, `Accepted Form Types are ${FORM.TYPES.join(',')}`);
+  this.checkQuery('date')
+      .empty()
+      .isISO8601('Date is not a valid date');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'RESOLVE_FORM_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  let date = this.query.date ? moment(this.query.date).toDate() : new Date();
+
+  try {
+    let query = tenant.scope(this.state, periods.effectiveAt(this.query.type, date));
+
+    query.latest_version = { $gt: 0 };
+    query.loan_product = this.query.product || null;
+
+    let form = yield Form.findOne(query).exec();
+    if(!form) {
+      throw new Error(`No Published ${this.query.type} Form Was Effective At ${date.toISOString()}`);
+    }
+
+    let version = yield FormVersionDal.latest({
+      form: form._id,
+      date_created: { $lte: date }
+    });
+
+    if(!version) {
+      version = yield FormVersionDal.get({ form: form._id, version: 1 });
+    }
+
+    this.body = version;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'RESOLVE_FORM_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Compare form trees.
+ *
+ * @desc Structural diff between two versions of a form, or between
+ *       a form and another form given by the `against` query param.
+ *       `from` and `to` take a version number, `latest` or `head`.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.diff = function* diffForms(next) {
+  debug(`diffing form: ${this.params.id}`);
+
+  const { Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'FORM_DIFF_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let against = this.query.against;
+  let from    = this.query.from || (against ? 'head' : 'latest');
+  let to      = this.query.to || 'head';
+
+  try {
+    // both forms should be visible to the caller
+    for(let id of [this.params.id, against || this.params.id]) {
+      let form = yield Form.findOne(tenant.scope(this.state, { _id: id })).exec();
+      if(!form) {
+        throw new Error('Form Does Not Exist!');
+      }
+    }
+
+    let source = yield loadTree.call(this, this.params.id, from);
+    let target = yield loadTree.call(this, against || this.params.id, to);
+
+    let result = formDiff(source, target);
+
+    result.source = { form: source._id, version: from };
+    result.target = { form: target._id, version: to };
+
+    this.body = result;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'FORM_DIFF_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a collection of forms by Pagination
+ *
+ * @desc Fetch a collection of forms
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchAllByPagination = function* fetchAllForms(next) {
+  debug('get a collection of forms by pagination');
+
+  const { FormDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'VIEW_FORMS_COLLECTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let status = this.query.status;
+  let query = tenant.scope(this.state, {});
+
+  let sortType = this.query.sort_by;
+  let sort = {};
+  sortType ? (sort[sortType] = -1) : (sort.date_created = -1 );
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: sort
+  };
+
+  try {
+    if(status) {
+      if(FORM.STATUS.indexOf(status) === -1) {
+        throw new Error(`Accepted Form Status are ${FORM.STATUS.join(',')}`);
+      }
+
+      // forms created before the lifecycle have no status and are drafts
+      query.status = status === 'DRAFT' ? { $in: ['DRAFT', null] } : status;
+    }
+
+    let forms = yield FormDal.getCollectionByPagination(query, opts);
+
+    this.body = forms;
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'FETCH_FORMS_COLLECTION_ERROR',
+      message: ex.message
+    }));
+  }
+};
+
+/**
+ * Remove a single form.
+ *
+ * @desc Fetch a form with the given id from the database
+ *       and Remove their data
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.remove = function* removeForm(next) {
+  debug(`removing screening: ${this.params.id}`);
+
+  const { FormDal } = tenant.bind(this.state);
+
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+
+  try {
+    let form = yield FormDal.delete(query, {
+      deleted_by: this.state._user._id
+    });
+    if(!form._id) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    yield LogDal.track({
+      event: 'form_delete',
+      permission: this.state._user._id ,
+      message: `Delete Info for ${form._id}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'REMOVE_FORM_ERROR',
+      message: ex.message
+    }));
+
+  }
+
+};
+
+/**
+ * Restore a deleted form.
+ *
+ * @desc Bring back a form from the trash together with the
+ *       sections and questions deleted along with it.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.restore = function* restoreForm(next) {
+  debug(`restoring form: ${this.params.id}`);
+
+  const { FormDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'RESTORE_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+
+  try {
+    let form = yield FormDal.recover(query);
+    if(!form._id) {
+      throw new Error('Deleted Form Does Not Exist!');
+    }
+
+    yield LogDal.track({
+      event: 'form_restore',
+      user: this.state._user._id ,
+      message: `Restore ${form.title}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'RESTORE_FORM_ERROR',
+      message: ex.message
+    }));
+
+  }
+
+};
+
+/**
+ * Get the trash.
+ *
+ * @desc Fetch a paginated collection of deleted forms, sections
+ *       or questions, most recently deleted first.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchTrash = function* fetchTrash(next) {
+  debug('get a collection of deleted items');
+
+  const { FormDal, SectionDal, QuestionDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'FETCH_TRASH_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  const TRASH = {
+    forms: FormDal,
+    sections: SectionDal,
+    questions: QuestionDal
+  };
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let type   = this.query.type || 'forms';
+  let query  = {
+    archived: true
+  };
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: { deleted_at: -1 }
+  };
+
+  try {
+    if(!TRASH[type]) {
+      throw new Error(`Accepted Trash Types are ${Object.keys(TRASH).join(',')}`);
+    }
+
+    // leave out what was deleted along with its parent
+    if(type !== 'forms') {
+      query.deleted_from = { $ne: null };
+
+      if(!tenant.isSuper(this.state._user)) {
+        let forms = yield Form.find(tenant.scope(this.state, {}), '_id').lean().exec();
+        query['deleted_from.form'] = { $in: forms.map((form) => form._id) };
+      }
+
+    } else {
+      tenant.scope(this.state, query);
+    }
+
+    let items = yield TRASH[type].getCollectionByPagination(query, opts);
+
+    this.body = items;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'FETCH_TRASH_ERROR',
+      message: ex.message
+    }));
+  }
+};
+
+/**
+ * Get the signature blocks of a form.
+ *
+ * @desc Fetch the signature blocks of a form, each with the
+ *       signature captured for it if any.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchSignatures = function* fetchFormSignatures(next) {
+  debug(`fetch signatures of form: ${this.params.id}`);
+
+  const { FormDal, SignatureDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'FETCH_SIGNATURES_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let form = yield FormDal.get(tenant.scope(this.state, { _id: this.params.id }));
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    let captured = yield SignatureDal.getCollection({ form: form._id });
+
+    this.body = signedBlocks(form, captured);
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'FETCH_SIGNATURES_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Sign a signature block of a form.
+ *
+ * @desc Capture the signature image for a block of the form, along
+ *       with the signer's account and the time it was signed. The
+ *       image is uploaded as `multipart/form-data` or sent as a data
+ *       URL. Signing again replaces the signature.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.sign = function* signForm(next) {
+  debug(`signing ${this.params.block} of form: ${this.params.id}`);
+
+  const { FormDal, SignatureDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'SIGN_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body   = this.request.body || {};
+  let fields = body.fields || body;
+  let files  = _.flatten(_.values(body.files || {}));
+  let stored;
+
+  try {
+    let form = yield FormDal.get(tenant.scope(this.state, { _id: this.params.id }));
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    if(form.archived) {
+      throw new Error('Form is Deleted, Restore It First');
+    }
+
+    let block = _.find(form.signatures, (block) => String(block._id) === String(this.params.block));
+    if(!block) {
+      throw new Error(`Form Has No Signature Block ${this.params.block}`);
+    }
+
+    let account = yield signatures.assertSigner(block, this.state._user);
+    let date    = signatures.dateOf(block, fields.date);
+
+    if(files.length > 1) {
+      throw new Error(`${block.label} Takes One Signature Image`);
+    }
+
+    if(files.length) {
+      let file = files[0];
+      if(SIGNATURE_TYPES.indexOf(file.type) === -1) {
+        throw new Error(`Signature Image should be ${SIGNATURE_TYPES.join(',')}`);
+      }
+
+      if(file.size > config.ASSETS.FILE_SIZE) {
+        throw new Error(`Signature Image Should Not Be Above ${config.ASSETS.FILE_SIZE} Bytes`);
+      }
+
+      stored = {
+        name: yield assets.store(file),
+        mime_type: file.type,
+        size: file.size
+      };
+
+    } else if(fields.image) {
+      stored = yield assets.storeDataUrl(fields.image);
+
+    } else {
+      throw new Error(`${block.label} Needs A Signature Image`);
+    }
+
+    let previous = yield SignatureDal.delete({ form: form._id, block: block._id });
+
+    let signature = yield SignatureDal.create({
+      form: form._id,
+      block: block._id,
+      MFI: form.MFI,
+      account: account ? account._id : null,
+      signed_by: this.state._user._id,
+      file: stored.name,
+      url: assets.url(stored.name),
+      mime_type: stored.mime_type,
+      size: stored.size,
+      date: date,
+      signed_at: moment().toDate()
+    });
+    stored = null;
+
+    if(previous.file) {
+      yield assets.remove([previous.file]);
+    }
+
+    yield LogDal.track({
+      event: 'form_sign',
+      user: this.state._user._id ,
+      message: `Sign ${block.label} of ${form.title}`
+    });
+
+    this.body = _.assign(block.toJSON(), { signature: signature });
+
+  } catch(ex) {
+    if(stored) {
+      yield assets.remove([stored.name]);
+    }
+
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'SIGN_FORM_ERROR',
+      message: ex.message
+    }));
+
+  } finally {
+    yield assets.discard(files);
+  }
+
+};
+
+// Branch whose overlay applies to the form in context, the one
+// asked for or the default branch of the caller's account
+function* overlayBranch(form) {
+  if(this.query.branch) {
+    let branch = yield BranchDal.get({ _id: this.query.branch });
+    if(!branch || (form.MFI && String(branch.MFI) !== String(form.MFI))) {
+      throw new Error('Branch Does Not Exist!');
+    }
+
+    return branch._id;
+  }
+
+  let account = yield AccountDal.get({ user: this.state._user._id });
+
+  return account && account.default_branch ? (account.default_branch._id || account.default_branch) : null;
+}
+
+// Move the form in context to the given status
+function* changeStatus(status, errorType) {
+  const { FormDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: errorType,
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+
+  try {
+    let form = yield Form.findOne(query).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    if(!lifecycle.canTransition(form.status, status)) {
+      throw new Error(`Form Cannot Move From ${form.status} to ${status}`);
+    }
+
+    yield assertApprover(form, this.state._user);
+
+    form = yield FormDal.update(query, { status: status });
+
+    yield LogDal.track({
+      event: 'form_status_change',
+      user: this.state._user._id ,
+      message: `Move ${form.title} to ${status}`,
+      diff: { status: status }
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: errorType,
+      message: ex.message
+    }));
+  }
+}
+
+// Forms field staff rely on only change status or get rolled
+// back by approvers, others go through change requests
+function* assertApprover(form, user) {
+  if(!lifecycle.needsApproval(form)) return;
+
+  let isApprover = yield hasPermission(user, 'APPROVE');
+  if(!isApprover) {
+    throw new Error(`Only Approvers Can Change a Published ${form.type} Form, Submit a Change Request`);
+  }
+}
+
+// Load the tree of a form version, `head` being the live form
+function* loadTree(formId, version) {
+  const { FormDal, FormVersionDal, Form } = tenant.bind(this.state);
+
+  if(version === 'head') {
+    let tree = yield FormDal.snapshot({ _id: formId });
+    if(!tree) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    return tree;
+  }
+
+  if(version === 'latest') {
+    let form = yield Form.findOne({ _id: formId }).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    if(!form.latest_version) {
+      throw new Error('Form Has No Published Version');
+    }
+
+    version = form.latest_version;
+
+  } else if(!validator.isInt(String(version))) {
+    throw new Error('Form Version should be a number, latest or head');
+  }
+
+  let formVersion = yield FormVersionDal.get({ form: formId, version: +version });
+  if(!formVersion) {
+    throw new Error(`Form Version ${version} Does Not Exist!`);
+  }
+
+  return formVersion.snapshot;
+}
+
+// Attributes of a snapshot node to copy into its clone
+function copyOf(node) {
+  let copy = _.omit(node, ['_id', 'questions', 'sections', 'sub_questions', 'prerequisites', 'date_created', 'last_modified']);
+
+  copy.origin = node.origin || node._id;
+
+  return copy;
+}
+
+// Clone a list of snapshot questions, sub questions first
+function* cloneQuestions(questions, clones) {
+  const { QuestionDal } = tenant.bind(this.state);
+
+  let ids = [];
+
+  for(let question of questions || []) {
+    let data = copyOf(question);
+
+    data.sub_questions = yield cloneQuestions.call(this, question.sub_questions, clones);
+
+    if(question.matrix) {
+      data.matrix = {
+        rows: yield cloneQuestions.call(this, question.matrix.rows, clones),
+        columns: yield cloneQuestions.call(this, question.matrix.columns, clones)
+      };
+
+      // cells point to the rows and columns of the source
+      delete data.grid;
+    }
+
+    // instances point to the sub questions of the source
+    delete data.repeats;
+
+    // files answer the source, the clone starts without any
+    delete data.attachments;
+
+    let clone = yield QuestionDal.create(data);
+
+    clones[question._id] = {
+      question: clone,
+      prerequisites: question.prerequisites || []
+    };
+
+    ids.push(clone._id);
+  }
+
+  return ids;
+}
+
+// Restore a list of snapshot questions, sub questions first
+function* restoreQuestions(questions) {
+  const { QuestionDal } = tenant.bind(this.state);
+
+  let ids = [];
+
+  for(let question of questions || []) {
+    let data = _.omit(question, ['sub_questions']);
+
+    data.sub_questions = yield restoreQuestions.call(this, question.sub_questions);
+
+    if(question.matrix) {
+      data.matrix = {
+        rows: yield restoreQuestions.call(this, question.matrix.rows),
+        columns: yield restoreQuestions.call(this, question.matrix.columns)
+      };
+    }
+
+    yield QuestionDal.restore(data);
+
+    ids.push(question._id);
+  }
+
+  return ids;
+}
+
+// Signature blocks of a form, with the signatures captured for them
+function signedBlocks(form, captured) {
+  let byBlock = _.keyBy(captured, (signature) => String(signature.block));
+
+  return _.map(form.toJSON().signatures, (block) => {
+    block.signature = byBlock[String(block._id)] || null;
+
+    return block;
+  });
+}
@@ -0,0 +1,487 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug      = require('debug')('api:form-overlay-controller');
+const moment     = require('moment');
+const _          = require('lodash');
+
+const CustomError        = require('../lib/custom-error');
+const checkPermissions   = require('../lib/permissions');
+const QUESTION           = require('../lib/enums').QUESTION;
+const tenant             = require('../lib/tenant');
+
+const BranchDal         = require('../dal/branch');
+const LogDal            = require('../dal/log');
+
+let hasPermission = checkPermissions.isPermitted('FORM');
+
+/**
+ * Create a form overlay.
+ *
+ * @desc Start an overlay of a base form for a branch, optionally
+ *       hiding some of the form's questions.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.create = function* createFormOverlay(next) {
+  debug('create form overlay');
+
+  const { FormDal, FormOverlayDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'CREATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'CREATE_FORM_OVERLAY_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  this.checkBody('form')
+      .notEmpty('Form Reference is Empty');
+  this.checkBody('branch')
+      .notEmpty('Branch Reference is Empty');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'CREATE_FORM_OVERLAY_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    let form = yield FormDal.snapshot(tenant.scope(this.state, { _id: body.form }));
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    let branch = yield BranchDal.get({ _id: body.branch });
+    if(!branch || (form.MFI && String(branch.MFI) !== String(form.MFI))) {
+      throw new Error('Branch Does Not Exist!');
+    }
+
+    let overlay = yield FormOverlayDal.get({ form: form._id, branch: branch._id });
+    if(overlay) {
+      throw new Error('Branch Already Has an Overlay For That Form');
+    }
+
+    overlay = yield FormOverlayDal.create({
+      form: form._id,
+      MFI: form.MFI,
+      branch: branch._id,
+      hidden: hiddenQuestions(form, body.hidden),
+      created_by: this.state._user._id
+    });
+
+    yield LogDal.track({
+      event: 'form_overlay_create',
+      user: this.state._user._id ,
+      message: `Add overlay of ${form.title} for ${branch.name}`
+    });
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'CREATE_FORM_OVERLAY_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a single form overlay.
+ *
+ * @desc Fetch a form overlay with the given id from the database.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchOne = function* fetchOneFormOverlay(next) {
+  debug(`fetch form overlay: ${this.params.id}`);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_FORM_OVERLAY_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let overlay = yield findOverlay.call(this);
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_FORM_OVERLAY_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Update a form overlay.
+ *
+ * @desc Change the questions of the base form a branch hides.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.update = function* updateFormOverlay(next) {
+  debug(`updating form overlay: ${this.params.id}`);
+
+  const { FormDal, FormOverlayDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'UPDATE_FORM_OVERLAY_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  try {
+    let overlay = yield findOverlay.call(this);
+    let form = yield FormDal.snapshot({ _id: overlay.form });
+
+    overlay = yield FormOverlayDal.update({ _id: overlay._id }, {
+      hidden: hiddenQuestions(form, body.hidden)
+    });
+
+    yield LogDal.track({
+      event: 'form_overlay_update',
+      user: this.state._user._id ,
+      message: `Update overlay of ${form.title} for ${overlay.branch.name}`,
+      diff: { hidden: overlay.hidden }
+    });
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'UPDATE_FORM_OVERLAY_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Add a question to a form overlay.
+ *
+ * @desc Create a question only the overlay's branch sees, at the
+ *       form level or in one of the form's sections.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.addQuestion = function* addOverlayQuestion(next) {
+  debug(`adding question to form overlay: ${this.params.id}`);
+
+  const { QuestionDal, FormOverlayDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'CREATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'ADD_OVERLAY_QUESTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  this.checkBody('type')
+      .notEmpty('Question Type is Empty')
+      .isIn(QUESTION.TYPES, `Question Type should be ${QUESTION.TYPES.join(',')}`);
+  this.checkBody('number')
+      .notEmpty('Question Number is Empty ie 1,2,2.2,3,3.1');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'ADD_OVERLAY_QUESTION_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    let overlay = yield findOverlay.call(this);
+    let form = yield Form.findOne({ _id: overlay.form }).exec();
+
+    let section = body.section || null;
+    if(section && !_.find(form.sections, (id) => String(id) === String(section))) {
+      throw new Error('Section Does Not Belong To The Form');
+    }
+
+    let question = yield QuestionDal.create(_.assign(_.omit(body, ['section', 'parent_question']), {
+      form: form._id,
+      MFI: form.MFI
+    }));
+
+    let added = overlay.toJSON().added.map((item) => {
+      return { question: item.question ? item.question._id : null, section: item.section };
+    });
+
+    added.push({ question: question._id, section: section });
+
+    overlay = yield FormOverlayDal.update({ _id: overlay._id }, { added: _.filter(added, 'question') });
+
+    yield LogDal.track({
+      event: 'form_overlay_add_question',
+      user: this.state._user._id ,
+      message: `Add ${question.question_text} to overlay of ${form.title} for ${overlay.branch.name}`
+    });
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'ADD_OVERLAY_QUESTION_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Remove a question from a form overlay.
+ *
+ * @desc Delete a question the overlay added.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.removeQuestion = function* removeOverlayQuestion(next) {
+  debug(`removing question ${this.params.question} from form overlay: ${this.params.id}`);
+
+  const { QuestionDal, FormOverlayDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'REMOVE_OVERLAY_QUESTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let overlay = yield findOverlay.call(this);
+
+    let added = overlay.toJSON().added.map((item) => {
+      return { question: item.question ? item.question._id : null, section: item.section };
+    });
+
+    let item = _.find(added, (item) => String(item.question) === this.params.question);
+    if(!item) {
+      throw new Error('Question Was Not Added By The Overlay');
+    }
+
+    yield QuestionDal.delete({ _id: item.question }, {
+      deleted_by: this.state._user._id,
+      deleted_at: moment().toISOString()
+    });
+
+    overlay = yield FormOverlayDal.update({ _id: overlay._id }, {
+      added: _.filter(added, (entry) => entry.question && entry !== item)
+    });
+
+    yield LogDal.track({
+      event: 'form_overlay_remove_question',
+      user: this.state._user._id ,
+      message: `Remove question ${item.question} from overlay for ${overlay.branch.name}`
+    });
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'REMOVE_OVERLAY_QUESTION_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a collection of form overlays by Pagination
+ *
+ * @desc Fetch a collection of form overlays, optionally
+ *       filtered by form and branch.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchAllByPagination = function* fetchAllFormOverlays(next) {
+  debug('get a collection of form overlays by pagination');
+
+  const { FormOverlayDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'VIEW_FORM_OVERLAYS_COLLECTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let query = {};
+
+  let sortType = this.query.sort_by;
+  let sort = {};
+  sortType ? (sort[sortType] = -1) : (sort.date_created = -1 );
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: sort
+  };
+
+  try {
+    // only overlays of forms visible to the caller
+    let forms = yield Form.find(tenant.scope(this.state, this.query.form ? { _id: this.query.form } : {}), '_id').lean().exec();
+    query.form = { $in: forms.map((form) => form._id) };
+
+    if(this.query.branch) {
+      query.branch = this.query.branch;
+    }
+
+    let overlays = yield FormOverlayDal.getCollectionByPagination(query, opts);
+
+    this.body = overlays;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'VIEW_FORM_OVERLAYS_COLLECTION_ERROR',
+      message: ex.message
+    }));
+  }
+};
+
+/**
+ * Remove a form overlay.
+ *
+ * @desc Drop the overlay of a branch along with the questions
+ *       it added, the branch gets the base form again.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.remove = function* removeFormOverlay(next) {
+  debug(`removing form overlay: ${this.params.id}`);
+
+  const { QuestionDal, FormOverlayDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'REMOVE_FORM_OVERLAY_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let overlay = yield findOverlay.call(this);
+
+    for(let item of overlay.added) {
+      if(!item.question) continue;
+
+      yield QuestionDal.delete({ _id: item.question._id }, {
+        deleted_by: this.state._user._id,
+        deleted_at: moment().toISOString()
+      });
+    }
+
+    overlay = yield FormOverlayDal.delete({ _id: overlay._id });
+
+    yield LogDal.track({
+      event: 'form_overlay_delete',
+      user: this.state._user._id ,
+      message: `Delete overlay for ${overlay.branch.name}`
+    });
+
+    this.body = overlay;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'REMOVE_FORM_OVERLAY_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+// Overlay in context, its form should be visible to the caller
+function* findOverlay() {
+  const { FormOverlayDal, Form } = tenant.bind(this.state);
+
+  let overlay = yield FormOverlayDal.get({ _id: this.params.id });
+  if(!overlay) {
+    throw new Error('Form Overlay Does Not Exist!');
+  }
+
+  let form = yield Form.findOne(tenant.scope(this.state, { _id: overlay.form })).exec();
+  if(!form) {
+    throw new Error('Form Overlay Does Not Exist!');
+  }
+
+  return overlay;
+}
+
+// Questions of the form to hide, throws on
+// questions the form does not have
+function hiddenQuestions(form, hidden) {
+  let ids = [];
+
+  let collect = (questions) => {
+    for(let question of questions || []) {
+      ids.push(String(question._id));
+      collect(question.sub_questions);
+    }
+  };
+
+  collect(form.questions);
+  for(let section of form.sections || []) {
+    collect(section.questions);
+  }
+
+  hidden = _.uniq((hidden || []).map(String));
+
+  let unknown = _.difference(hidden, ids);
+  if(unknown.length) {
+    throw new Error(`Questions ${unknown.join(',')} Do Not Belong To The Form`);
+  }
+
+  return hidden;
+}
@@ -0,0 +1,119 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug      = require('debug')('api:geofence-controller');
+const moment     = require('moment');
+const _          = require('lodash');
+
+const CustomError        = require('../lib/custom-error');
+const checkPermissions   = require('../lib/permissions');
+const tenant             = require('../lib/tenant');
+const geofence           = require('../lib/geofence');
+
+const BranchDal         = require('../dal/branch');
+const LogDal            = require('../dal/log');
+
+let hasPermission = checkPermissions.isPermitted('FORM');
+
+/**
+ * Get the geofence of a branch.
+ *
+ * @desc Fetch the radius or polygon locations answering GEOPOINT
+ *       questions are checked against for officers of the branch.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchOne = function* fetchOneGeofence(next) {
+  debug(`fetch geofence of branch: ${this.params.branch}`);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'VIEW_GEOFENCE_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let branch = yield BranchDal.get(tenant.scope(this.state, { _id: this.params.branch }));
+    if(!branch) {
+      throw new Error('Branch Does Not Exist!');
+    }
+
+    this.body = geofenceOf(branch);
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'VIEW_GEOFENCE_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Set the geofence of a branch.
+ *
+ * @desc Configure a circle, a center and a radius in meters, or a
+ *       polygon area for the branch, replacing the one it had.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.update = function* updateGeofence(next) {
+  debug(`updating geofence of branch: ${this.params.branch}`);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'UPDATE_GEOFENCE_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, { _id: this.params.branch });
+
+  try {
+    let branch = yield BranchDal.get(query);
+    if(!branch) {
+      throw new Error('Branch Does Not Exist!');
+    }
+
+    branch = yield BranchDal.setGeofence(query, geofence.validate(this.request.body));
+
+    yield LogDal.track({
+      event: 'geofence_update',
+      user: this.state._user._id ,
+      message: `Update geofence of branch ${branch.name}`
+    });
+
+    this.body = geofenceOf(branch);
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'UPDATE_GEOFENCE_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+// Geofence of a branch as returned to the client
+function geofenceOf(branch) {
+  branch = branch.toJSON();
+
+  return _.assign({
+    branch: branch._id,
+    center: null,
+    radius: null,
+    area: null
+  }, branch.geofence);
+}
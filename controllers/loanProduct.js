@@ -0,0 +1,471 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug      = require('debug')('api:loan-product-controller');
+const moment     = require('moment');
+const _          = require('lodash');
+
+const CustomError        = require('../lib/custom-error');
+const checkPermissions   = require('../lib/permissions');
+const LOAN_PRODUCT       = require('../lib/enums').LOAN_PRODUCT;
+const tenant             = require('../lib/tenant');
+const periods            = require('../lib/form-periods');
+const loanProducts       = require('../lib/loan-products');
+
+const LogDal            = require('../dal/log');
+
+let hasPermission = checkPermissions.isPermitted('FORM');
+
+/**
+ * Create a loan product.
+ *
+ * @desc Add a loan product to the caller's MFI.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.create = function* createLoanProduct(next) {
+  debug('create loan product');
+
+  const { LoanProductDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'CREATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'CREATE_LOAN_PRODUCT_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  this.checkBody('name')
+      .notEmpty('Loan Product Name is Empty');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'CREATE_LOAN_PRODUCT_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    // super admins pick the MFI, others create for their own
+    body.MFI = this.state._mfi || (tenant.isSuper(this.state._user) ? body.MFI : null);
+    if(!body.MFI) {
+      throw new Error('Loan Product Should Belong to an MFI');
+    }
+
+    let product = yield LoanProductDal.get({ MFI: body.MFI, name: body.name });
+    if(product) {
+      throw new Error('Loan Product with that name already exists!!');
+    }
+
+    body.created_by = this.state._user._id;
+    body.status = 'ACTIVE';
+
+    product = yield LoanProductDal.create(body);
+
+    yield LogDal.track({
+      event: 'loan_product_create',
+      user: this.state._user._id ,
+      message: `Add loan product ${product.name}`
+    });
+
+    this.body = product;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'CREATE_LOAN_PRODUCT_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a single loan product.
+ *
+ * @desc Fetch a loan product with the given id from the database.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchOne = function* fetchOneLoanProduct(next) {
+  debug(`fetch loan product: ${this.params.id}`);
+
+  const { LoanProductDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_LOAN_PRODUCT_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+
+  try {
+    let product = yield LoanProductDal.get(query);
+    if(!product) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    this.body = product;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_LOAN_PRODUCT_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Update a loan product.
+ *
+ * @desc Change the name, description or status of a loan product.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.update = function* updateLoanProduct(next) {
+  debug(`updating loan product: ${this.params.id}`);
+
+  const { LoanProductDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'UPDATE_LOAN_PRODUCT_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = tenant.scope(this.state, {
+    _id: this.params.id
+  });
+  let body = _.pick(this.request.body, ['name', 'description', 'status']);
+
+  this.checkBody('status')
+      .optional()
+      .isIn(LOAN_PRODUCT.STATUS, `Accepted Loan Product Status are ${LOAN_PRODUCT.STATUS.join(',')}`);
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'UPDATE_LOAN_PRODUCT_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    let product = yield LoanProductDal.get(query);
+    if(!product) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    if(body.name && body.name !== product.name) {
+      let other = yield LoanProductDal.get({ MFI: product.MFI, name: body.name });
+      if(other) {
+        throw new Error('Loan Product with that name already exists!!');
+      }
+    }
+
+    product = yield LoanProductDal.update(query, body);
+
+    yield LogDal.track({
+      event: 'loan_product_update',
+      user: this.state._user._id ,
+      message: `Update Info for ${product.name}`,
+      diff: body
+    });
+
+    this.body = product;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'UPDATE_LOAN_PRODUCT_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get the forms of a loan product.
+ *
+ * @desc Fetch the screening, loan application and ACAT forms of a
+ *       loan product effective at the given date(defaults to now).
+ *       Types without a form are null.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchForms = function* fetchLoanProductForms(next) {
+  debug(`fetch forms of loan product: ${this.params.id}`);
+
+  const { FormDal, LoanProductDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'GET_LOAN_PRODUCT_FORMS_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  this.checkQuery('date')
+      .empty()
+      .isISO8601('Date is not a valid date');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'GET_LOAN_PRODUCT_FORMS_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  let date = this.query.date ? moment(this.query.date).toDate() : new Date();
+
+  try {
+    let product = yield LoanProductDal.get(tenant.scope(this.state, { _id: this.params.id }));
+    if(!product) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    let forms = {};
+    for(let type of LOAN_PRODUCT.FORM_TYPES) {
+      let query = periods.effectiveAt(type, date);
+
+      query.MFI = product.MFI;
+      query.loan_product = product._id;
+
+      forms[type] = yield FormDal.get(query);
+    }
+
+    this.body = forms;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'GET_LOAN_PRODUCT_FORMS_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Link a form to a loan product.
+ *
+ * @desc The form should not overlap the form of the same type
+ *       the loan product already has.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.bindForm = function* bindLoanProductForm(next) {
+  debug(`linking form ${this.request.body.form} to loan product: ${this.params.id}`);
+
+  const { FormDal, LoanProductDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'BIND_LOAN_PRODUCT_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  this.checkBody('form')
+      .notEmpty('Form Reference is Empty');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: 'BIND_LOAN_PRODUCT_FORM_ERROR',
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+    let product = yield LoanProductDal.get(tenant.scope(this.state, { _id: this.params.id }));
+    if(!product) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    let form = yield Form.findOne(tenant.scope(this.state, { _id: this.request.body.form, archived: { $ne: true } })).exec();
+    if(!form) {
+      throw new Error('Form Does Not Exist!');
+    }
+
+    yield loanProducts.assertBindable(product._id, form);
+
+    let bound = _.assign(form.toJSON(), { loan_product: product._id });
+
+    // drafts are exempt until they get published
+    if(form.status === 'PUBLISHED') {
+      let clash = yield Form.findOne(periods.competing(bound, periods.of(form), form._id)).exec();
+      if(clash) {
+        throw new Error(`Effective Period Overlaps With ${clash.title}`);
+      }
+    }
+
+    form = yield FormDal.update({ _id: form._id }, { loan_product: product._id });
+
+    yield LogDal.track({
+      event: 'loan_product_bind_form',
+      user: this.state._user._id ,
+      message: `Link ${form.title} to loan product ${product.name}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'BIND_LOAN_PRODUCT_FORM_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Unlink a form from a loan product.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.unbindForm = function* unbindLoanProductForm(next) {
+  debug(`unlinking form ${this.params.form} from loan product: ${this.params.id}`);
+
+  const { FormDal, LoanProductDal, Form } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'UNBIND_LOAN_PRODUCT_FORM_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let product = yield LoanProductDal.get(tenant.scope(this.state, { _id: this.params.id }));
+    if(!product) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    let form = yield Form.findOne({ _id: this.params.form, loan_product: product._id }).exec();
+    if(!form) {
+      throw new Error('Form is Not Linked To The Loan Product');
+    }
+
+    // forms without a loan product compete with each other
+    if(form.status === 'PUBLISHED' && !form.archived) {
+      let unbound = _.assign(form.toJSON(), { loan_product: null });
+      let clash = yield Form.findOne(periods.competing(unbound, periods.of(form), form._id)).exec();
+      if(clash) {
+        throw new Error(`Effective Period Overlaps With ${clash.title}`);
+      }
+    }
+
+    form = yield FormDal.update({ _id: form._id }, { loan_product: null });
+
+    yield LogDal.track({
+      event: 'loan_product_unbind_form',
+      user: this.state._user._id ,
+      message: `Unlink ${form.title} from loan product ${product.name}`
+    });
+
+    this.body = form;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'UNBIND_LOAN_PRODUCT_FORM_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Get a collection of loan products by Pagination
+ *
+ * @desc Fetch a collection of loan products, optionally
+ *       filtered by status.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.fetchAllByPagination = function* fetchAllLoanProducts(next) {
+  debug('get a collection of loan products by pagination');
+
+  const { LoanProductDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'VIEW');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'VIEW_LOAN_PRODUCTS_COLLECTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  // retrieve pagination query params
+  let page   = this.query.page || 1;
+  let limit  = this.query.per_page || 10;
+  let query = tenant.scope(this.state, {});
+
+  let sortType = this.query.sort_by;
+  let sort = {};
+  sortType ? (sort[sortType] = -1) : (sort.date_created = -1 );
+
+  let opts = {
+    page: +page,
+    limit: +limit,
+    sort: sort
+  };
+
+  try {
+    if(this.query.status) {
+      if(LOAN_PRODUCT.STATUS.indexOf(this.query.status) === -1) {
+        throw new Error(`Accepted Loan Product Status are ${LOAN_PRODUCT.STATUS.join(',')}`);
+      }
+
+      query.status = this.query.status;
+    }
+
+    let products = yield LoanProductDal.getCollectionByPagination(query, opts);
+
+    this.body = products;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'VIEW_LOAN_PRODUCTS_COLLECTION_ERROR',
+      message: ex.message
+    }));
+  }
+};
@@ -0,0 +1,222 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug      = require('debug')('api:lock-controller');
+
+const config             = require('../config');
+const CustomError        = require('../lib/custom-error');
+const tenant             = require('../lib/tenant');
+const checkPermissions   = require('../lib/permissions');
+const lifecycle          = require('../lib/form-lifecycle');
+
+const LogDal            = require('../dal/log');
+
+let hasPermission = checkPermissions.isPermitted('FORM');
+
+/**
+ * Acquire a lock.
+ *
+ * @desc Claim the section or question with the given id while
+ *       editing it. Others cannot update or remove it until the
+ *       lock is released or expires.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.acquire = function* acquireLock(next) {
+  debug(`acquiring lock: ${this.params.id}`);
+
+  const { FormDal, LockDal, Section, Question } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'ACQUIRE_LOCK_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let kind  = 'SECTION';
+    let item  = yield Section.findOne({ _id: this.params.id, archived: { $ne: true } }).exec();
+    let owner = null;
+
+    if(item) {
+      owner = yield FormDal.findOwner({ section: item._id });
+
+    } else {
+      kind = 'QUESTION';
+      item = yield Question.findOne({ _id: this.params.id, archived: { $ne: true } }).exec();
+      if(!item) {
+        throw new Error('Section or Question Does Not Exist!');
+      }
+
+      owner = yield FormDal.findOwner({ question: item._id });
+    }
+
+    lifecycle.assertEditable(owner);
+
+    let lock = yield LockDal.acquire({
+      resource: item._id,
+      kind: kind,
+      form: owner ? owner._id : null,
+      MFI: owner ? owner.MFI : null,
+      holder: this.state._user._id
+    }, config.LOCKS.TTL);
+
+    if(!lock) {
+      let current = yield LockDal.get({ resource: item._id });
+
+      throw new CustomError({
+        type: 'ACQUIRE_LOCK_ERROR',
+        status: 423,
+        message: current ?
+          `Locked By ${current.holder.username} Until ${current.expires_at.toISOString()}` :
+          'Lock Was Just Taken, Try Again',
+        data: current
+      });
+    }
+
+    yield LogDal.track({
+      event: 'lock_acquire',
+      user: this.state._user._id ,
+      message: `Locked ${kind.toLowerCase()} ${item._id}`
+    });
+
+    this.body = lock;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'ACQUIRE_LOCK_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Extend a lock.
+ *
+ * @desc Keep the lock held by the current user alive
+ *       for another TTL period.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.heartbeat = function* heartbeatLock(next) {
+  debug(`extending lock: ${this.params.id}`);
+
+  const { LockDal } = tenant.bind(this.state);
+
+  try {
+    let lock = yield LockDal.heartbeat({
+      resource: this.params.id,
+      holder: this.state._user._id
+    }, config.LOCKS.TTL);
+
+    if(!lock) {
+      throw new CustomError({
+        type: 'HEARTBEAT_LOCK_ERROR',
+        status: 423,
+        message: 'You Do Not Hold This Lock Anymore, Acquire It Again',
+        data: yield LockDal.get({ resource: this.params.id })
+      });
+    }
+
+    this.body = lock;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'HEARTBEAT_LOCK_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Release a lock.
+ *
+ * @desc Give up the lock held by the current user.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.release = function* releaseLock(next) {
+  debug(`releasing lock: ${this.params.id}`);
+
+  const { LockDal } = tenant.bind(this.state);
+
+  try {
+    let lock = yield LockDal.delete({
+      resource: this.params.id,
+      holder: this.state._user._id
+    });
+
+    this.body = lock;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'RELEASE_LOCK_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
+
+/**
+ * Force release a lock.
+ *
+ * @desc Break the lock on the given item whoever holds it,
+ *       i.e when a designer left without releasing it.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.forceRelease = function* forceReleaseLock(next) {
+  debug(`force releasing lock: ${this.params.id}`);
+
+  const { LockDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'FORCE_RELEASE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'FORCE_RELEASE_LOCK_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let lock = yield LockDal.delete({ resource: this.params.id });
+
+    if(lock.holder) {
+      yield LogDal.track({
+        event: 'lock_force_release',
+        user: this.state._user._id ,
+        message: `Force released lock of ${lock.holder.username} on ${lock.kind.toLowerCase()} ${lock.resource}`
+      });
+    }
+
+    this.body = lock;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'FORCE_RELEASE_LOCK_ERROR',
+      message: ex.message
+    }));
+  }
+
+};
@@ -16,18 +16,22 @@ const validator  = require('validator');
 
 const config             = require('../config');
 const CustomError        = require('../lib/custom-error');
+const tenant             = require('../lib/tenant');
 const QUESTION           = require('../lib/enums').QUESTION;
 const checkPermissions    = require('../lib/permissions');
-
-const Form              = require('../models/form');
-const Section           = require('../models/section');
-const Question          = require('../models/question');
+const lifecycle          = require('../lib/form-lifecycle');
+const revision           = require('../lib/revision');
+const editLocks          = require('../lib/edit-locks');
+const changeRequests     = require('../lib/change-requests');
+const questionRules      = require('../lib/question-rules');
+const formulas           = require('../lib/formulas');
+const geofence           = require('../lib/geofence');
+const assets             = require('../lib/assets');
 
 const TokenDal           = require('../dal/token');
-const QuestionDal        = require('../dal/question');
 const LogDal             = require('../dal/log');
-const FormDal            = require('../dal/form');
-const SectionDal         = require('../dal/section');
+const AccountDal         = require('../dal/account');
+const BranchDal          = require('../dal/branch');
 
 let hasPermission = checkPermissions.isPermitted('FORM');
 
@@ -42,6 +46,8 @@ let hasPermission = checkPermissions.isPermitted('FORM');
 exports.create = function* createQuestion(next) {
   debug('create question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -75,6 +81,8 @@ exports.create = function* createQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -84,6 +92,10 @@ exports.create = function* createQuestion(next) {
 
     if(!body.show && !body.prerequisites) throw new Error('Question Requires Prerequisites');
 
+    if(body.type === 'MATRIX') {
+      throw new Error('Matrix Questions Are Created With Their Rows and Columns, See /forms/questions/create/matrix');
+    }
+
     let parent;
     if(body.parent_question) {
       parent = yield Question.findOne({ _id: body.parent_question }).exec();
@@ -96,6 +108,22 @@ exports.create = function* createQuestion(next) {
       if(!section) throw new Error('Section Does Not Exist')
     }
 
+    questionRules.prepare(body);
+    body.values = questionRules.check(body, body.values);
+
+    // files are attached once the question exists
+    delete body.attachments;
+
+    if(body.geopoint) {
+      body.geopoint = yield locate.call(this, body, body.geopoint);
+    }
+
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -137,6 +165,10 @@ exports.create = function* createQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'QUESTION_CREATION_ERROR',
       message: ex.message
@@ -156,6 +188,8 @@ exports.create = function* createQuestion(next) {
 exports.createGrouped = function* createGroupedQuestion(next) {
   debug('create Grouped question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -199,6 +233,8 @@ exports.createGrouped = function* createGroupedQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     /*if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -216,6 +252,18 @@ exports.createGrouped = function* createGroupedQuestion(next) {
 
     body.type = 'GROUPED';
 
+    // instances are answered once the sub questions exist
+    questionRules.prepare(body);
+    delete body.repeats;
+
+    yield assertCountQuestion.call(this, form, body.repeat);
+
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -256,6 +304,10 @@ exports.createGrouped = function* createGroupedQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_GROUPED_QUESTION_ERROR',
       message: ex.message
@@ -275,6 +327,8 @@ exports.createGrouped = function* createGroupedQuestion(next) {
 exports.createFIB = function* createFIBQuestion(next) {
   debug('create Fill In Blanks question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -318,6 +372,8 @@ exports.createFIB = function* createFIBQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     /*if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -346,6 +402,12 @@ exports.createFIB = function* createFIBQuestion(next) {
     body.type = 'FILL_IN_BLANK';
 
 
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -387,6 +449,10 @@ exports.createFIB = function* createFIBQuestion(next) {
 
   } catch(ex) {
     console.log(ex);
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_FIB_QUESTION_ERROR',
       message: ex.message
@@ -406,6 +472,8 @@ exports.createFIB = function* createFIBQuestion(next) {
 exports.createMC = function* createMultipleChoiceQuestion(next) {
   debug('create Multiple Choice question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -446,6 +514,8 @@ exports.createMC = function* createMultipleChoiceQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     /*if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -469,6 +539,15 @@ exports.createMC = function* createMultipleChoiceQuestion(next) {
 
     body.type = 'MULTIPLE_CHOICE';
 
+    questionRules.prepare(body);
+    body.values = questionRules.check(body, body.values);
+
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -509,6 +588,10 @@ exports.createMC = function* createMultipleChoiceQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_MC_QUESTION_ERROR',
       message: ex.message
@@ -528,6 +611,8 @@ exports.createMC = function* createMultipleChoiceQuestion(next) {
 exports.createSC = function* createSingleChoiceQuestion(next) {
   debug('create Single Choice question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -568,6 +653,8 @@ exports.createSC = function* createSingleChoiceQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     /*if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -590,7 +677,16 @@ exports.createSC = function* createSingleChoiceQuestion(next) {
     if(!body.show && !body.prerequisites) throw new Error('Question Requires Prerequisites');
 
     body.type = 'SINGLE_CHOICE';
+
+    questionRules.prepare(body);
+    body.values = questionRules.check(body, body.values);
     
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -631,6 +727,10 @@ exports.createSC = function* createSingleChoiceQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_SC_QUESTION_ERROR',
       message: ex.message
@@ -650,6 +750,8 @@ exports.createSC = function* createSingleChoiceQuestion(next) {
 exports.createYN = function* createYNQuestion(next) {
   debug('create Yes/No question');
 
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -688,6 +790,8 @@ exports.createYN = function* createYNQuestion(next) {
       throw new Error('Question Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     /*if(!body.parent_question) {
       question = yield QuestionDal.get({ question_text: body.question_text });
       if(question) {
@@ -711,6 +815,15 @@ exports.createYN = function* createYNQuestion(next) {
 
     body.type = 'YES_NO';
 
+    questionRules.prepare(body);
+    body.values = questionRules.check(body, body.values);
+
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
     // Create Question Type
     question = yield QuestionDal.create(body);
 
@@ -751,6 +864,10 @@ exports.createYN = function* createYNQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_YN_QUESTION_ERROR',
       message: ex.message
@@ -759,6 +876,196 @@ exports.createYN = function* createYNQuestion(next) {
 
 };
 
+/**
+ * Create a Date question.
+ *
+ * @desc create a Date question, answered with a day ie 2019-12-31
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createDate = function* createDateQuestion(next) {
+  debug('create Date question');
+
+  yield createTyped.call(this, 'DATE');
+
+};
+
+/**
+ * Create a Date and Time question.
+ *
+ * @desc create a Date and Time question, answered with an ISO 8601
+ *       timestamp ie 2019-12-31T14:30:00Z
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createDateTime = function* createDateTimeQuestion(next) {
+  debug('create Date and Time question');
+
+  yield createTyped.call(this, 'DATETIME');
+
+};
+
+/**
+ * Create a Number question.
+ *
+ * @desc create a Number question, answered with a number within its
+ *       number rules and measured in its measurement unit
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createNumber = function* createNumberQuestion(next) {
+  debug('create Number question');
+
+  yield createTyped.call(this, 'NUMBER');
+
+};
+
+/**
+ * Create a Currency question.
+ *
+ * @desc create a Currency question, answered with an amount in its
+ *       currency, ETB unless given
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createCurrency = function* createCurrencyQuestion(next) {
+  debug('create Currency question');
+
+  yield createTyped.call(this, 'CURRENCY');
+
+};
+
+/**
+ * Create a Matrix question.
+ *
+ * @desc create a Matrix question along with its rows and columns,
+ *       answered with a grid of cells checked against their column
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createMatrix = function* createMatrixQuestion(next) {
+  debug('create Matrix question');
+
+  yield createTyped.call(this, 'MATRIX');
+
+};
+
+/**
+ * Create a Calculated question.
+ *
+ * @desc create a Calculated question, answered by working out its
+ *       formula over the answers of other questions of the form
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createCalculated = function* createCalculatedQuestion(next) {
+  debug('create Calculated question');
+
+  yield createTyped.call(this, 'CALCULATED');
+
+};
+
+/**
+ * Create a File question.
+ *
+ * @desc create a File question, answered with uploaded files of the
+ *       MIME types, size and count its file rules allow
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createFile = function* createFileQuestion(next) {
+  debug('create File question');
+
+  yield createTyped.call(this, 'FILE');
+
+};
+
+/**
+ * Create a Photo question.
+ *
+ * @desc create a Photo question, answered with uploaded images
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createPhoto = function* createPhotoQuestion(next) {
+  debug('create Photo question');
+
+  yield createTyped.call(this, 'PHOTO');
+
+};
+
+/**
+ * Create a Geopoint question.
+ *
+ * @desc create a Geopoint question, answered with a location captured
+ *       as accurately as its geo rules ask for
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createGeopoint = function* createGeopointQuestion(next) {
+  debug('create Geopoint question');
+
+  yield createTyped.call(this, 'GEOPOINT');
+
+};
+
+/**
+ * Create a Rating question.
+ *
+ * @desc create a Rating question, answered with a point of a scale
+ *       of configurable length, anchors and values
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createRating = function* createRatingQuestion(next) {
+  debug('create Rating question');
+
+  yield createTyped.call(this, 'RATING');
+
+};
+
+/**
+ * Create a Likert question.
+ *
+ * @desc create a Likert question, answered with a point of an
+ *       agreement scale labelled by its anchors
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createLikert = function* createLikertQuestion(next) {
+  debug('create Likert question');
+
+  yield createTyped.call(this, 'LIKERT');
+
+};
+
+/**
+ * Create a Ranking question.
+ *
+ * @desc create a Ranking question, answered with its options from
+ *       the most to the least preferred, all of them or the top ones
+ *
+ * @param {Function} next Middleware dispatcher
+ *
+ */
+exports.createRanking = function* createRankingQuestion(next) {
+  debug('create Ranking question');
+
+  yield createTyped.call(this, 'RANKING');
+
+};
+
 /**
  * Get a single question.
  *
@@ -769,6 +1076,8 @@ exports.createYN = function* createYNQuestion(next) {
 exports.fetchOne = function* fetchOneQuestion(next) {
   debug(`fetch question: ${this.params.id}`);
 
+  const { QuestionDal } = tenant.bind(this.state);
+
   let query = {
     _id: this.params.id
   };
@@ -786,9 +1095,14 @@ exports.fetchOne = function* fetchOneQuestion(next) {
       message: `View question - ${question.title}`
     });
 
-    this.body = question;
+    this.body = questionRules.render(question.toJSON());
+    this.set('ETag', revision.tag(question, this.body));
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'QUESTION_RETRIEVAL_ERROR',
       message: ex.message
@@ -809,6 +1123,8 @@ exports.fetchOne = function* fetchOneQuestion(next) {
 exports.update = function* updateQuestion(next) {
   debug(`updating question: ${this.params.id}`);
 
+  const { FormDal, QuestionDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -822,13 +1138,102 @@ exports.update = function* updateQuestion(next) {
   };
   let body = this.request.body;
 
+  let expected = revision.fromHeader(this.get('If-Match'));
+  if(expected === null) {
+    return this.throw(revision.required('Question', this.get('If-Match')));
+  }
+
   try {
     let question = yield QuestionDal.get(query);
     if(!question || !question._id) {
       throw new Error('Question Does not Exist!!');
     }
 
-    question = yield QuestionDal.update(query, body);
+    let owner = yield FormDal.findOwner({ question: question._id });
+
+    yield editLocks.assertFree(question._id, this.state._user);
+
+    // rows and columns are updated as questions of their own
+    delete body.matrix;
+
+    // files are attached and detached on their own
+    delete body.attachments;
+
+    // options keep their codes, the ones left out are an error
+    if(body.options !== undefined) {
+      body.options = questionRules.options(body.options, question.toJSON().options);
+    }
+
+    // rules and answers are checked against the question as updated
+    let updated = _.assign(question.toJSON(), body);
+    if(_.some(['type', 'date_rules', 'calendar', 'number_rules', 'currency', 'repeat', 'variable', 'formula', 'file_rules', 'geo_rules', 'scale_rules', 'ranking_rules', 'options'], (key) => body[key] !== undefined)) {
+      questionRules.prepare(updated);
+
+      _.assign(body, _.pick(updated, ['date_rules', 'calendar', 'number_rules', 'currency', 'measurement_unit', 'repeat', 'formula', 'file_rules', 'geo_rules', 'scale_rules', 'ranking_rules']));
+
+      if(body.options !== undefined) {
+        body.options = updated.options;
+      }
+    }
+
+    if(body.repeat) {
+      yield assertCountQuestion.call(this, owner, body.repeat);
+    }
+
+    if(updated.type === 'CALCULATED' || questionRules.isUpload(updated.type)) {
+      delete body.values;
+    }
+
+    if(body.values) {
+      body.values = questionRules.check(updated, body.values);
+    }
+
+    if(body.variable !== undefined || body.formula !== undefined) {
+      yield assertFormulas.call(this, owner, updated);
+    }
+
+    if(body.geopoint) {
+      body.geopoint = yield locate.call(this, updated, body.geopoint);
+    }
+
+    if(body.prerequisites !== undefined) {
+      body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+    }
+
+    if(body.grid) {
+      body.grid = questionRules.checkGrid(updated, body.grid);
+    }
+
+    if(body.repeats) {
+      body.repeats = questionRules.checkRepeats(updated, body.repeats, yield repeatCount.call(this, updated));
+    }
+
+    // changes field staff rely on wait for sign-off
+    if(lifecycle.takesChangeRequests(owner)) {
+      this.status = 202;
+      this.body = yield changeRequests.propose(owner, {
+        target: 'QUESTION',
+        ref: question._id,
+        revision: expected,
+        updates: _.omit(body, ['sub_questions'])
+      }, question, this.state._user);
+
+      return;
+    }
+
+    lifecycle.assertEditable(owner);
+
+    question = yield QuestionDal.update(_.assign({ revision: revision.query(expected) }, query), body);
+    if(!question) {
+      throw revision.conflict('Question', yield QuestionDal.get(query));
+    }
+
+    // calculated answers follow the answers and formulas they use
+    if(owner && (body.values || body.variable !== undefined || body.formula !== undefined)) {
+      yield FormDal.recalculate({ _id: owner._id });
+
+      question = yield QuestionDal.get(query);
+    }
 
     yield LogDal.track({
       event: 'question_update',
@@ -837,9 +1242,14 @@ exports.update = function* updateQuestion(next) {
       diff: body
     });
 
-    this.body = question;
+    this.set('ETag', revision.tag(question));
+    this.body = questionRules.render(question.toJSON());
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'UPDATE_QUESTION_ERROR',
       message: ex.message
@@ -859,6 +1269,8 @@ exports.update = function* updateQuestion(next) {
 exports.fetchAllByPagination = function* fetchAllQuestions(next) {
   debug('get a collection of questions by pagination');
 
+  const { QuestionDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'VIEW');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -883,10 +1295,24 @@ exports.fetchAllByPagination = function* fetchAllQuestions(next) {
   };
 
   try {
+    // locations answering GEOPOINT questions within an area
+    let area = yield areaOf.call(this, this.query);
+    if(area) {
+      query['geopoint.location'] = geofence.within(area);
+    }
+
+    if(this.query.outside_geofence !== undefined) {
+      query['geopoint.outside_geofence'] = this.query.outside_geofence === 'true';
+    }
+
     let questions = yield QuestionDal.getCollectionByPagination(query, opts);
 
     this.body = questions;
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'FETCH_QUESTIONS_COLLECTION_ERROR',
       message: ex.message
@@ -905,6 +1331,8 @@ exports.fetchAllByPagination = function* fetchAllQuestions(next) {
 exports.remove = function* removeQuestion(next) {
   debug(`removing question: ${this.params.id}`);
 
+  const { FormDal, SectionDal, QuestionDal, LockDal, Form, Section, Question } = tenant.bind(this.state);
+
   let query = {
     _id: this.params.id
   };
@@ -916,7 +1344,23 @@ exports.remove = function* removeQuestion(next) {
       throw new Error('Question Does not Exist!!');
     }
 
-    question = yield QuestionDal.delete(query);
+    let owner = yield FormDal.findOwner({ question: question._id });
+    lifecycle.assertEditable(owner);
+
+    yield editLocks.assertFree(question._id, this.state._user);
+
+    let section = yield Section.findOne({ questions: question._id }).exec();
+    let parent  = yield Question.findOne({ sub_questions: question._id }).exec();
+
+    // keep track of where the question was, to put it back on restore
+    question = yield QuestionDal.delete(query, {
+      deleted_by: this.state._user._id,
+      deleted_from: {
+        form: owner ? owner._id : this.query.form,
+        section: section ? section._id : null,
+        question: parent ? parent._id : null
+      }
+    });
 
     // remove from parent question
     if(this.query.parent_question) {
@@ -967,6 +1411,8 @@ exports.remove = function* removeQuestion(next) {
     }
 
 
+    yield LockDal.delete({ resource: question._id });
+
     yield LogDal.track({
       event: 'question_remove',
       question: this.state._user._id ,
@@ -976,6 +1422,10 @@ exports.remove = function* removeQuestion(next) {
     this.body = question;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'REMOVE_QUESTION_ERROR',
       message: ex.message
@@ -984,3 +1434,631 @@ exports.remove = function* removeQuestion(next) {
   }
 
 };
+
+/**
+ * Restore a deleted question.
+ *
+ * @desc Bring back a question from the trash and attach it
+ *       back to its parent question, section or form.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.restore = function* restoreQuestion(next) {
+  debug(`restoring question: ${this.params.id}`);
+
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'RESTORE_QUESTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let question = yield Question.findOne({ _id: this.params.id, archived: true }).exec();
+    if(!question) {
+      throw new Error('Deleted Question Does not Exist!!');
+    }
+
+    let from = question.deleted_from || {};
+    let parent;
+    let owner;
+
+    if(from.question) {
+      parent = yield Question.findOne({ _id: from.question, archived: { $ne: true } }).exec();
+      if(!parent) throw new Error('Parent Question Does Not Exist, Restore It First');
+
+      owner = yield FormDal.findOwner({ question: parent._id });
+
+    } else if(from.section) {
+      parent = yield Section.findOne({ _id: from.section, archived: { $ne: true } }).exec();
+      if(!parent) throw new Error('Question Section Does Not Exist, Restore It First');
+
+      owner = yield FormDal.findOwner({ section: parent._id });
+
+    } else {
+      parent = owner = yield Form.findOne({ _id: from.form }).exec();
+    }
+
+    if(!owner || owner.archived) {
+      throw new Error('Question Form Does Not Exist, Restore It First');
+    }
+
+    lifecycle.assertEditable(owner);
+
+    question = yield QuestionDal.recover({ _id: question._id });
+
+    let path = from.question ? 'sub_questions' : 'questions';
+    let questions = parent.toJSON()[path].slice();
+
+    if(!_.some(questions, (id) => String(id) === String(question._id))) {
+      questions.push(question._id);
+
+      let updates = {};
+      updates[path] = questions;
+
+      if(from.question) {
+        yield QuestionDal.update({ _id: parent._id }, updates);
+      } else if(from.section) {
+        yield SectionDal.update({ _id: parent._id }, updates);
+      } else {
+        yield FormDal.update({ _id: parent._id }, updates);
+      }
+    }
+
+    yield LogDal.track({
+      event: 'question_restore',
+      user: this.state._user._id ,
+      message: `Restore question with title ${question.question_text}`
+    });
+
+    this.body = question;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'RESTORE_QUESTION_ERROR',
+      message: ex.message
+    }));
+
+  }
+
+};
+
+/**
+ * Attach files to a question.
+ *
+ * @desc Upload files answering a File or Photo question, checked
+ *       against the question's file rules, and store them as assets
+ *       the question's answers reference.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.attach = function* attachFiles(next) {
+  debug(`attaching files to question: ${this.params.id}`);
+
+  const { FormDal, QuestionDal, AttachmentDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'ATTACH_FILES_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = {
+    _id: this.params.id
+  };
+  let body  = this.request.body || {};
+  let files = _.flatten(_.values(body.files || {}));
+  let stored = [];
+
+  try {
+    let question = yield QuestionDal.get(query);
+    if(!question || !question._id) {
+      throw new Error('Question Does not Exist!!');
+    }
+
+    let owner = yield FormDal.findOwner({ question: question._id });
+    lifecycle.assertEditable(owner);
+
+    yield editLocks.assertFree(question._id, this.state._user);
+
+    questionRules.checkFiles(question.toJSON(), files);
+
+    let attachments = _.map(question.attachments, (attachment) => attachment._id || attachment);
+
+    for(let file of files) {
+      let name = yield assets.store(file);
+      stored.push(name);
+
+      let attachment = yield AttachmentDal.create({
+        question: question._id,
+        form: owner ? owner._id : null,
+        MFI: question.MFI,
+        name: file.name,
+        file: name,
+        url: assets.url(name),
+        mime_type: file.type,
+        size: file.size,
+        uploaded_by: this.state._user._id
+      });
+
+      attachments.push(attachment._id);
+    }
+
+    question = yield QuestionDal.update(query, { attachments: attachments });
+
+    yield LogDal.track({
+      event: 'question_attach_files',
+      user: this.state._user._id ,
+      message: `Attach ${files.length} files to ${question.question_text}`
+    });
+
+    this.set('ETag', revision.tag(question));
+    this.body = questionRules.render(question.toJSON());
+
+  } catch(ex) {
+    yield assets.remove(stored);
+
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'ATTACH_FILES_ERROR',
+      message: ex.message
+    }));
+
+  } finally {
+    // uploads are kept as assets once stored
+    yield assets.discard(files);
+  }
+
+};
+
+/**
+ * Detach a file from a question.
+ *
+ * @desc Remove a file answering a File or Photo question, along
+ *       with its stored asset.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.detach = function* detachFile(next) {
+  debug(`detaching file ${this.params.attachment} from question: ${this.params.id}`);
+
+  const { FormDal, QuestionDal, AttachmentDal } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'DETACH_FILE_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let query = {
+    _id: this.params.id
+  };
+
+  try {
+    let question = yield QuestionDal.get(query);
+    if(!question || !question._id) {
+      throw new Error('Question Does not Exist!!');
+    }
+
+    let owner = yield FormDal.findOwner({ question: question._id });
+    lifecycle.assertEditable(owner);
+
+    yield editLocks.assertFree(question._id, this.state._user);
+
+    let attachments = _.map(question.attachments, (attachment) => attachment._id || attachment);
+    let attachment  = _.find(attachments, (id) => String(id) === String(this.params.attachment));
+    if(!attachment) {
+      throw new Error(`${question.question_text} Has No File ${this.params.attachment}`);
+    }
+
+    _.pull(attachments, attachment);
+
+    question = yield QuestionDal.update(query, { attachments: attachments });
+
+    attachment = yield AttachmentDal.delete({ _id: attachment, question: question._id });
+    if(attachment.file) {
+      yield assets.remove([attachment.file]);
+    }
+
+    yield LogDal.track({
+      event: 'question_detach_file',
+      user: this.state._user._id ,
+      message: `Detach ${attachment.name} from ${question.question_text}`
+    });
+
+    this.set('ETag', revision.tag(question));
+    this.body = questionRules.render(question.toJSON());
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'DETACH_FILE_ERROR',
+      message: ex.message
+    }));
+
+  }
+
+};
+
+// Create a question of a type with its own rules
+function* createTyped(type) {
+  const { FormDal, SectionDal, QuestionDal, Form, Section, Question } = tenant.bind(this.state);
+
+  let errorType = `CREATE_${type}_QUESTION_ERROR`;
+
+  let isPermitted = yield hasPermission(this.state._user, 'CREATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'CREATE_QUESTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  let body = this.request.body;
+
+  this.checkBody('question_text')
+      .notEmpty('Question Title is Empty');
+  this.checkBody('required')
+      .empty('Question Mandatory value is empty')
+      .toBoolean('Required Value is not a boolean value');
+  this.checkBody('show')
+      .notEmpty('Show Question value is empty')
+      .toBoolean('Show Value is not a boolean value');
+  this.checkBody('form')
+      .notEmpty('Form Reference is Empty');
+  this.checkBody('number')
+      .notEmpty('Question Number is Empty ie 1,2,2.2,3,3.1');
+
+  if(this.errors) {
+    return this.throw(new CustomError({
+      type: errorType,
+      message: JSON.stringify(this.errors)
+    }));
+  }
+
+  try {
+
+    let question;
+    let form = yield Form.findOne({ _id: body.form }).exec();
+    if(!form) {
+      throw new Error('Question Form Does Not Exist')
+    }
+
+    lifecycle.assertEditable(form);
+
+    let parent;
+    if(body.parent_question) {
+      parent = yield Question.findOne({ _id: body.parent_question }).exec();
+      if(!parent) throw new Error('Parent Question Does Not Exist')
+    }
+
+    let section;
+    if(body.section) {
+      section = yield Section.findOne({ _id: body.section }).exec();
+      if(!section) throw new Error('Section Does Not Exist')
+    }
+
+    if(body.options && type !== 'RANKING') {
+      throw new Error(`${type} Questions Do not need options`);
+    }
+
+    if(!body.show && !body.prerequisites) throw new Error('Question Requires Prerequisites');
+
+    body.type = type;
+
+    questionRules.prepare(body);
+    body.values = questionRules.check(body, body.values);
+
+    // files are attached once the question exists
+    delete body.attachments;
+
+    if(body.geopoint) {
+      body.geopoint = yield locate.call(this, body, body.geopoint);
+    }
+
+    yield assertFormulas.call(this, form, body);
+
+    body.prerequisites = yield prerequisitesOf.call(this, body.prerequisites);
+
+    body.MFI = form.MFI;
+
+    // rows and columns are questions of their own
+    if(type === 'MATRIX') {
+      let matrix = yield createMatrix.call(this, form, body.matrix);
+
+      body.grid = questionRules.checkGrid(_.assign({}, body, { matrix: matrix }), body.grid);
+      body.matrix = {
+        rows: _.map(matrix.rows, '_id'),
+        columns: _.map(matrix.columns, '_id')
+      };
+    }
+
+    // Create Question Type
+    question = yield QuestionDal.create(body);
+
+    if(body.parent_question) {
+      parent = parent.toJSON();
+
+      let subQuestions = parent.sub_questions.slice();
+
+      subQuestions.push(question._id);
+
+      yield QuestionDal.update({ _id: parent._id },{
+        sub_questions: subQuestions
+      });
+    } else if(body.section) {
+      section = section.toJSON();
+
+      let questions = section.questions.slice();
+
+      questions.push(question._id);
+
+      yield SectionDal.update({ _id: section._id },{
+        questions: questions
+      });
+
+    } else {
+      form = form.toJSON();
+
+      let questions = form.questions.slice();
+
+      questions.push(question._id);
+
+      yield FormDal.update({ _id: form._id },{
+        questions: questions
+      });
+
+    }
+
+    if(type === 'CALCULATED') {
+      yield FormDal.recalculate({ _id: form._id });
+    }
+
+    if(type === 'MATRIX' || type === 'CALCULATED') {
+      question = yield QuestionDal.get({ _id: question._id });
+    }
+
+    this.body = questionRules.render(question.toJSON());
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    this.throw(new CustomError({
+      type: errorType,
+      message: ex.message
+    }));
+  }
+}
+
+// Create the rows and columns of a matrix question, all
+// of them are checked before any is created
+function* createMatrix(form, matrix) {
+  const { QuestionDal } = tenant.bind(this.state);
+
+  matrix = matrix || {};
+
+  if(_.isEmpty(matrix.rows) || _.isEmpty(matrix.columns)) {
+    throw new Error('Matrix Questions Need Rows and Columns');
+  }
+
+  let rows = _.map(matrix.rows, (row, index) => {
+    row = _.isString(row) ? { question_text: row } : row;
+    if(!row || !row.question_text) {
+      throw new Error('Matrix Row Question Text is Empty');
+    }
+
+    return _.assign(_.pick(row, ['question_text', 'remark']), {
+      type: 'FILL_IN_BLANK',
+      number: index + 1
+    });
+  });
+
+  let columns = _.map(matrix.columns, (column, index) => {
+    column = questionRules.column(_.omit(column, ['_id', 'sub_questions', 'matrix', 'grid', 'prerequisites']));
+    column.number = index + 1;
+
+    return column;
+  });
+
+  let created = { rows: [], columns: [] };
+
+  for(let row of rows) {
+    created.rows.push(yield QuestionDal.create(_.assign(row, { MFI: form.MFI })));
+  }
+
+  for(let column of columns) {
+    created.columns.push(yield QuestionDal.create(_.assign(column, { MFI: form.MFI })));
+  }
+
+  return created;
+}
+
+// Check the question counting the instances of a repeating
+// group is a number asked in the same form
+function* assertCountQuestion(form, repeat) {
+  const { FormDal, Question } = tenant.bind(this.state);
+
+  if(!repeat || !repeat.count_question) {
+    return;
+  }
+
+  let counter = yield Question.findOne({ _id: repeat.count_question }).exec();
+  if(!counter) {
+    throw new Error('Repeat Count Question Does Not Exist');
+  }
+
+  if(counter.type !== 'NUMBER' && counter.validation_factor !== 'NUMERIC') {
+    throw new Error('Repeat Count Question Should Be A Number Question');
+  }
+
+  let owner = yield FormDal.findOwner({ question: counter._id });
+  if(!owner || !form || String(owner._id) !== String(form._id)) {
+    throw new Error('Repeat Count Question Should Be In The Same Form');
+  }
+}
+
+// Answer of the question counting the instances of a
+// repeating group, null when it has none
+function* repeatCount(question) {
+  const { Question } = tenant.bind(this.state);
+
+  let ref = question.repeat && question.repeat.count_question;
+  if(!ref) {
+    return null;
+  }
+
+  let counter = yield Question.findOne({ _id: ref._id || ref }).exec();
+
+  return questionRules.countOf(counter);
+}
+
+// Check the variable and formula of a question about to be
+// saved against the other questions of its form
+function* assertFormulas(form, question) {
+  const { FormDal } = tenant.bind(this.state);
+
+  if(!question.variable && question.type !== 'CALCULATED') {
+    return;
+  }
+
+  if(question.variable && !formulas.isVariable(question.variable)) {
+    throw new Error(`Question Variable ${question.variable} should start with a letter and hold letters, digits and _ only`);
+  }
+
+  let tree = form && (yield FormDal.get({ _id: form._id }));
+  if(!tree) {
+    throw new Error('Question Form Does Not Exist');
+  }
+
+  // the question as it is about to be saved replaces its stored self
+  let questions = _.reject(formulas.collect(tree.toJSON()), (other) => {
+    return question._id && String(other._id) === String(question._id);
+  }).concat(question);
+
+  let variables = _.groupBy(_.filter(questions, 'variable'), 'variable');
+
+  if(question.variable && variables[question.variable].length > 1) {
+    throw new Error(`Question Variable ${question.variable} Is Already Used In The Form`);
+  }
+
+  let graph = Object.create(null);
+  for(let other of questions) {
+    if(other.type !== 'CALCULATED' || !other.variable) continue;
+
+    graph[other.variable] = formulas.variables(formulas.parse(other.formula));
+  }
+
+  if(question.type === 'CALCULATED') {
+    for(let name of graph[question.variable]) {
+      if(!_.has(variables, name)) {
+        throw new Error(`Formula Variable ${name} Is Not A Question Of The Form`);
+      }
+    }
+  }
+
+  formulas.assertAcyclic(graph);
+}
+
+// Point the prerequisite answers of choice questions to the codes
+// of their options
+function* prerequisitesOf(prerequisites) {
+  const { Question } = tenant.bind(this.state);
+
+  if(!_.isArray(prerequisites)) {
+    return prerequisites;
+  }
+
+  let result = [];
+  for(let prerequisite of prerequisites) {
+    let ref = prerequisite && prerequisite.question;
+    let question = ref && (yield Question.findOne({ _id: ref._id || ref }).exec());
+
+    if(question && !_.isEmpty(question.options) && prerequisite.answer) {
+      prerequisite = _.assign({}, prerequisite, { answer: questionRules.toCode(question, prerequisite.answer) });
+    }
+
+    result.push(prerequisite);
+  }
+
+  return result;
+}
+
+// Check a location answering a GEOPOINT question, flagging it when
+// outside the geofence of the officer's branch
+function* locate(question, answer) {
+  let geopoint = questionRules.checkGeopoint(question, answer);
+
+  geopoint.branch = null;
+  geopoint.outside_geofence = null;
+
+  if(!question.geo_rules || !question.geo_rules.geofence) {
+    return geopoint;
+  }
+
+  let account = yield AccountDal.get({ user: this.state._user._id });
+  let branchId = account && account.default_branch ? (account.default_branch._id || account.default_branch) : null;
+  if(!branchId) {
+    return geopoint;
+  }
+
+  let branch = yield BranchDal.get({ _id: branchId });
+  if(!branch || (question.MFI && String(branch.MFI) !== String(question.MFI))) {
+    return geopoint;
+  }
+
+  branch = branch.toJSON();
+
+  geopoint.branch = branch._id;
+
+  if(branch.geofence && (branch.geofence.area || branch.geofence.center)) {
+    geopoint.outside_geofence = !geofence.isInside(branch.geofence, geopoint.location);
+  }
+
+  return geopoint;
+}
+
+// Area asked for in a query, the geofence of a branch or a circle
+// of `radius` meters around `latitude` and `longitude`
+function* areaOf(query) {
+  if(query.branch) {
+    let branch = yield BranchDal.get(tenant.scope(this.state, { _id: query.branch }));
+    if(!branch) {
+      throw new Error('Branch Does Not Exist!');
+    }
+
+    branch = branch.toJSON();
+    if(!branch.geofence || !(branch.geofence.area || branch.geofence.center)) {
+      throw new Error(`Branch ${branch.name} Has No Geofence`);
+    }
+
+    return branch.geofence;
+  }
+
+  if(query.latitude !== undefined || query.longitude !== undefined || query.radius !== undefined) {
+    return geofence.validate({
+      center: { latitude: query.latitude, longitude: query.longitude },
+      radius: query.radius
+    });
+  }
+
+  return null;
+}
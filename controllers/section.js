@@ -12,16 +12,15 @@ const validator  = require('validator');
 
 const config             = require('../config');
 const CustomError        = require('../lib/custom-error');
+const tenant             = require('../lib/tenant');
 const checkPermissions   = require('../lib/permissions');
-
-const Form              = require('../models/form');
-const Section           = require('../models/section');
+const lifecycle          = require('../lib/form-lifecycle');
+const revision           = require('../lib/revision');
+const editLocks          = require('../lib/edit-locks');
+const changeRequests     = require('../lib/change-requests');
 
 const TokenDal          = require('../dal/token');
-const SectionDal        = require('../dal/section');
 const LogDal            = require('../dal/log');
-const QuestionDal       = require('../dal/question');
-const FormDal           = require('../dal/form');
 
 let hasPermission = checkPermissions.isPermitted('FORM');
 
@@ -36,6 +35,8 @@ let hasPermission = checkPermissions.isPermitted('FORM');
 exports.create = function* createSection(next) {
   debug('create question section');
 
+  const { FormDal, SectionDal, Form } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'CREATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -65,6 +66,8 @@ exports.create = function* createSection(next) {
       throw new Error('Form Does Not Exist')
     }
 
+    lifecycle.assertEditable(form);
+
     if(!form.has_sections) {
       throw new Error('Form Does Not Need Sections');
     }
@@ -74,6 +77,8 @@ exports.create = function* createSection(next) {
       throw new Error('Section with that title already exists!!');
     }
 
+    body.MFI = form.MFI;
+
     // Create Section Type
     section = yield SectionDal.create(body);
 
@@ -89,6 +94,10 @@ exports.create = function* createSection(next) {
     this.body = section;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     this.throw(new CustomError({
       type: 'CREATE_SECTION_ERROR',
       message: ex.message
@@ -108,6 +117,7 @@ exports.create = function* createSection(next) {
 exports.fetchOne = function* fetchOneSection(next) {
   debug(`fetch section: ${this.params.id}`);
 
+  const { SectionDal } = tenant.bind(this.state);
 
   let query = {
     _id: this.params.id
@@ -123,8 +133,13 @@ exports.fetchOne = function* fetchOneSection(next) {
     });
 
     this.body = section;
+    this.set('ETag', revision.tag(section));
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'GET_SECTION_ERROR',
       message: ex.message
@@ -144,6 +159,8 @@ exports.fetchOne = function* fetchOneSection(next) {
 exports.update = function* updateSection(next) {
   debug(`updating section: ${this.params.id}`);
 
+  const { FormDal, SectionDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -157,8 +174,45 @@ exports.update = function* updateSection(next) {
   };
   let body = this.request.body;
 
+  let expected = revision.fromHeader(this.get('If-Match'));
+  if(expected === null) {
+    return this.throw(revision.required('Section', this.get('If-Match')));
+  }
+
   try {
-    let section = yield SectionDal.update(query, body);
+    let owner = yield FormDal.findOwner({ section: this.params.id });
+
+    yield editLocks.assertFree(this.params.id, this.state._user);
+
+    // changes field staff rely on wait for sign-off
+    if(lifecycle.takesChangeRequests(owner)) {
+      let current = yield SectionDal.get(query);
+      if(!current) {
+        throw new Error('Section Does Not Exist!');
+      }
+
+      this.status = 202;
+      this.body = yield changeRequests.propose(owner, {
+        target: 'SECTION',
+        ref: current._id,
+        revision: expected,
+        updates: _.omit(body, ['questions'])
+      }, current, this.state._user);
+
+      return;
+    }
+
+    lifecycle.assertEditable(owner);
+
+    let section = yield SectionDal.update(_.assign({ revision: revision.query(expected) }, query), body);
+    if(!section) {
+      let current = yield SectionDal.get(query);
+      if(!current) {
+        throw new Error('Section Does Not Exist!');
+      }
+
+      throw revision.conflict('Section', current);
+    }
 
     yield LogDal.track({
       event: 'section_update',
@@ -167,9 +221,14 @@ exports.update = function* updateSection(next) {
       diff: body
     });
 
+    this.set('ETag', revision.tag(section));
     this.body = section;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'UPDATE_SECTION_ERROR',
       message: ex.message
@@ -189,6 +248,8 @@ exports.update = function* updateSection(next) {
 exports.fetchAllByPagination = function* fetchAllSections(next) {
   debug('get a collection of sections by pagination');
 
+  const { SectionDal } = tenant.bind(this.state);
+
   let isPermitted = yield hasPermission(this.state._user, 'VIEW');
   if(!isPermitted) {
     return this.throw(new CustomError({
@@ -218,6 +279,10 @@ exports.fetchAllByPagination = function* fetchAllSections(next) {
     this.body = sections;
     
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'FETCH_SECTIONS_COLLECTION_ERROR',
       message: ex.message
@@ -237,28 +302,30 @@ exports.fetchAllByPagination = function* fetchAllSections(next) {
 exports.remove = function* removeSection(next) {
   debug(`removing section: ${this.params.id}`);
 
+  const { FormDal, SectionDal, LockDal, Form } = tenant.bind(this.state);
+
   let query = {
     _id: this.params.id
   };
 
 
   try {
-    let section = yield SectionDal.delete(query);
+    let owner = yield FormDal.findOwner({ section: this.params.id });
+    lifecycle.assertEditable(owner);
+
+    yield editLocks.assertFree(this.params.id, this.state._user);
+
+    let section = yield SectionDal.delete(query, {
+      deleted_by: this.state._user._id,
+      deleted_from: {
+        form: owner ? owner._id : this.query.form
+      }
+    });
     let form    = yield Form.findOne({ _id: this.query.form }).exec();
 
     if(!section || !section._id) throw new Error('Section Does Not Exist');
     if(!form) throw new Error('Form Does Not Exist');
 
-    if(section.questions) {
-      for(let question of section.questions) {
-        question = yield QuestionDal.delete({ _id: question._id });
-
-        for(let sub of question.sub_questions) {
-          sub = yield QuestionDal.delete({ _id: question._id });
-        }
-      }
-    }
-
     form = form.toJSON();
 
     let sections = form.sections.slice();
@@ -269,6 +336,8 @@ exports.remove = function* removeSection(next) {
       sections: sections
     });
 
+    yield LockDal.delete({ resource: section._id });
+
     yield LogDal.track({
       event: 'remove_section',
       section: this.state._user._id ,
@@ -278,6 +347,10 @@ exports.remove = function* removeSection(next) {
     this.body = section;
 
   } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
     return this.throw(new CustomError({
       type: 'REMOVE_SECTION_ERROR',
       message: ex.message
@@ -285,4 +358,70 @@ exports.remove = function* removeSection(next) {
 
   }
 
-};
\ No newline at end of file
+};
+
+/**
+ * Restore a deleted section.
+ *
+ * @desc Bring back a section from the trash, with the questions
+ *       deleted along with it, and attach it back to its form.
+ *
+ * @param {Function} next Middleware dispatcher
+ */
+exports.restore = function* restoreSection(next) {
+  debug(`restoring section: ${this.params.id}`);
+
+  const { FormDal, SectionDal, Form, Section } = tenant.bind(this.state);
+
+  let isPermitted = yield hasPermission(this.state._user, 'UPDATE');
+  if(!isPermitted) {
+    return this.throw(new CustomError({
+      type: 'RESTORE_SECTION_ERROR',
+      message: "You Don't have enough permissions to complete this action"
+    }));
+  }
+
+  try {
+    let section = yield Section.findOne({ _id: this.params.id, archived: true }).exec();
+    if(!section) throw new Error('Deleted Section Does Not Exist');
+
+    let from = section.deleted_from || {};
+    let form = yield Form.findOne({ _id: from.form }).exec();
+
+    if(!form || form.archived) throw new Error('Section Form Does Not Exist, Restore It First');
+
+    lifecycle.assertEditable(form);
+
+    section = yield SectionDal.recover({ _id: section._id });
+
+    let sections = form.toJSON().sections.slice();
+
+    if(!_.some(sections, (id) => String(id) === String(section._id))) {
+      sections.push(section._id);
+
+      yield FormDal.update({ _id: form._id },{
+        sections: sections
+      });
+    }
+
+    yield LogDal.track({
+      event: 'restore_section',
+      user: this.state._user._id ,
+      message: `Restore section ${section.title}`
+    });
+
+    this.body = section;
+
+  } catch(ex) {
+    if(ex instanceof CustomError) {
+      return this.throw(ex);
+    }
+
+    return this.throw(new CustomError({
+      type: 'RESTORE_SECTION_ERROR',
+      message: ex.message
+    }));
+
+  }
+
+};
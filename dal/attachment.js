@@ -0,0 +1,104 @@
+'use strict';
+// Access Layer for Attachment Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-attachment');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const Attachment  = require('../models/attachment');
+
+var returnFields = Attachment.attributes;
+var population = [];
+
+/**
+ * create a new attachment.
+ *
+ * @desc  creates a new attachment and saves it
+ *        in the database
+ *
+ * @param {Object}  attachmentData  Data for the attachment to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(attachmentData) {
+  debug('creating a new attachment');
+
+  return co(function* () {
+
+    let unsavedAttachment = new Attachment(attachmentData);
+    let newAttachment = yield unsavedAttachment.save();
+    let attachment = yield exports.get({ _id: newAttachment._id });
+
+    return attachment;
+
+  });
+
+};
+
+/**
+ * delete an attachment
+ *
+ * @desc  delete data of the attachment with the given
+ *        query
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.delete = function deleteAttachment(query) {
+  debug('deleting attachment: ', query);
+
+  return co(function* () {
+    let attachment = yield Attachment.findOne(query).exec();
+    let _empty = {};
+
+    if(!attachment) {
+      return _empty;
+    } else {
+      yield attachment.remove();
+
+      return attachment;
+    }
+
+  });
+};
+
+/**
+ * get an attachment.
+ *
+ * @desc get an attachment with the given query from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting attachment ', query);
+
+  return Attachment.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of attachments
+ *
+ * @desc get a collection of attachments from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollection = function getCollection(query) {
+  debug('fetching a collection of attachments');
+
+  return Attachment.find(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
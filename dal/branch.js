@@ -96,6 +96,34 @@ exports.update = function update(query, updates) {
       .exec();
 };
 
+/**
+ * set the geofence of a branch
+ *
+ * @desc  replace the geofence as a whole. A circle keeps its
+ *        area null and an area its center, an update flattened
+ *        to their fields could not set them inside a null one.
+ *
+ * @param {Object} query Query object
+ * @param {Object} geofence  Geofence as validated by lib/geofence.js
+ *
+ * @return {Promise}
+ */
+exports.setGeofence = function setGeofence(query, geofence) {
+  debug('setting geofence of branch: ', query);
+
+  let opts = {
+    'new': true,
+    select: returnFields
+  };
+
+  let updates = mongoUpdate({});
+  updates.$set.geofence = geofence;
+
+  return Branch.findOneAndUpdate(query, updates, opts)
+      .populate(population)
+      .exec();
+};
+
 /**
  * get a branch.
  *
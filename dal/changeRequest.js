@@ -0,0 +1,208 @@
+'use strict';
+// Access Layer for Change Request Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-change-request');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const CustomError   = require('../lib/custom-error');
+
+const ChangeRequest = require('../models/changeRequest');
+const User          = require('../models/user');
+const mongoUpdate   = require('../lib/mongo-update');
+
+var returnFields = ChangeRequest.attributes;
+var population = [{
+  path: 'requested_by',
+  select: User.attributes
+},{
+  path: 'reviewed_by',
+  select: User.attributes
+}];
+
+/**
+ * create a new change request.
+ *
+ * @desc  creates a new change request and saves it
+ *        in the database
+ *
+ * @param {Object}  changeRequestData  Data for the change request to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(changeRequestData) {
+  debug('creating a new change request');
+
+  return co(function* () {
+
+    let unsavedChangeRequest = new ChangeRequest(changeRequestData);
+    let newChangeRequest = yield unsavedChangeRequest.save();
+    let changeRequest = yield exports.get({ _id: newChangeRequest._id });
+
+    return changeRequest;
+
+  });
+
+};
+
+/**
+ * propose a change.
+ *
+ * @desc  add a change to the pending change request of a form,
+ *        opening one if there is none or it is being reviewed.
+ *        Changes to the same form, section or question based on
+ *        the same revision are merged, a change based on another
+ *        revision is rejected.
+ *
+ * @param {Object}  form    Form the change belongs to
+ * @param {Object}  change  Change i.e target, ref, revision, updates
+ * @param {Object}  user    User proposing the change
+ *
+ * @return {Promise}
+ */
+exports.propose = function propose(form, change, user) {
+  debug('proposing change to form: ', form._id);
+
+  return co(function* () {
+    change.requested_by = user._id;
+
+    let query = { form: form._id, status: 'PENDING', reviewed_at: null };
+
+    let pending = yield ChangeRequest.findOne(query).lean().exec();
+    if(!pending) {
+      return yield exports.create({
+        form: form._id,
+        MFI: form.MFI,
+        requested_by: user._id,
+        changes: [change]
+      });
+    }
+
+    // changes already applied by a failed approval are kept as is
+    let changes = pending.changes;
+    let existing = _.find(changes, (item) => {
+      return item.target === change.target && String(item.ref) === String(change.ref) && !item.applied_at;
+    });
+
+    if(existing && existing.revision !== change.revision) {
+      throw new CustomError({
+        type: 'CHANGE_REQUEST_ERROR',
+        status: 409,
+        message: `${_.capitalize(change.target)} Has A Pending Change Based On Revision ${existing.revision}, Reload and Try Again`,
+        data: pending
+      });
+    }
+
+    if(existing) {
+      existing.updates = _.assign({}, existing.updates, change.updates);
+      existing.requested_by = change.requested_by;
+
+    } else {
+      changes.push(change);
+    }
+
+    let changeRequest = yield exports.update(_.assign({ _id: pending._id }, query), { changes: changes });
+    if(!changeRequest) {
+      // picked up for review meanwhile
+      changeRequest = yield exports.create({
+        form: form._id,
+        MFI: form.MFI,
+        requested_by: user._id,
+        changes: [change]
+      });
+    }
+
+    return changeRequest;
+
+  });
+};
+
+/**
+ * update a change request
+ *
+ * @desc  update data of the change request with the given
+ *        id
+ *
+ * @param {Object} query Query object
+ * @param {Object} updates  Update data
+ *
+ * @return {Promise}
+ */
+exports.update = function update(query, updates) {
+  debug('updating change request: ', query);
+
+  let opts = {
+    'new': true,
+    select: returnFields
+  };
+
+  updates = mongoUpdate(updates);
+
+  return ChangeRequest.findOneAndUpdate(query, updates, opts)
+      .populate(population)
+      .exec();
+};
+
+/**
+ * get a change request.
+ *
+ * @desc get a change request with the given id from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting change request ', query);
+
+  return ChangeRequest.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of change requests using pagination
+ *
+ * @desc get a collection of change requests from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollectionByPagination = function getCollection(query, qs) {
+  debug('fetching a collection of change requests');
+
+  let opts = {
+    select:  returnFields,
+    sort:   qs.sort || {},
+    populate: population,
+    page:     qs.page,
+    limit:    qs.limit
+  };
+
+
+  return new Promise((resolve, reject) => {
+    ChangeRequest.paginate(query, opts, function (err, docs) {
+      if(err) {
+        return reject(err);
+      }
+
+      let data = {
+        total_pages: docs.pages,
+        total_docs_count: docs.total,
+        current_page: docs.page,
+        docs: docs.docs
+      };
+
+      return resolve(data);
+
+    });
+  });
+
+
+};
@@ -12,38 +12,71 @@ const co      = require('co');
 const Form          = require('../models/form');
 const Question      = require('../models/question');
 const Section       = require('../models/section');
+const Attachment    = require('../models/attachment');
+const FormOverlay   = require('../models/formOverlay');
+const QuestionDal   = require('./question');
+const SectionDal    = require('./section');
 const mongoUpdate   = require('../lib/mongo-update');
+const formulas      = require('../lib/formulas');
 
 var returnFields = Form.attributes;
+// rows and columns of matrix questions
+var matrix = [{
+  path: 'matrix.rows',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  }
+},{
+  path: 'matrix.columns',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  }
+}];
+// files answering upload questions
+var attachments = {
+  path: 'attachments',
+  select: Attachment.attributes
+};
 var population = [{
   path: 'questions',
   select: Question.attributes,
+  match: { archived: { $ne: true } },
   options: {
     sort: { number: '1' }
   },
-  populate: {
+  populate: [{
     path: 'sub_questions',
     select: Question.attributes,
+    match: { archived: { $ne: true } },
     options: {
       sort: { number: '1' }
-    }
-  }
+    },
+    populate: matrix.concat(attachments)
+  }].concat(matrix, attachments)
 },{
   path: 'sections',
   select: Section.attributes,
+  match: { archived: { $ne: true } },
   populate: {
     path: 'questions',
     select: Question.attributes,
+    match: { archived: { $ne: true } },
     options: {
       sort: { number: '1' }
     },
-    populate: {
+    populate: [{
       path: 'sub_questions',
       select: Question.attributes,
+      match: { archived: { $ne: true } },
       options: {
         sort: { number: '1' }
-      }
-    }
+      },
+      populate: matrix.concat(attachments)
+    }].concat(matrix, attachments)
   },
   options: {
     sort: { number: '1' }
@@ -79,14 +112,16 @@ exports.create = function create(formData) {
 /**
  * delete a form
  *
- * @desc  delete data of the form with the given
- *        id
+ * @desc  soft delete the form with the given query
+ *        together with its sections and questions. Deleted
+ *        forms are archived and can be recovered from the trash.
  *
  * @param {Object}  query   Query Object
+ * @param {Object}  info    Deletion info i.e deleted_by, deleted_at
  *
  * @return {Promise}
  */
-exports.delete = function deleteForm(query) {
+exports.delete = function deleteForm(query, info) {
   debug('deleting form: ', query);
 
   return co(function* () {
@@ -96,7 +131,24 @@ exports.delete = function deleteForm(query) {
     if(!form) {
       return _empty;
     } else {
-      yield form.remove();
+      info = info || {};
+
+      let updates = {
+        archived: true,
+        deleted_by: info.deleted_by || null,
+        deleted_at: info.deleted_at || moment().toISOString()
+      };
+
+      yield Form.findOneAndUpdate({ _id: form._id }, mongoUpdate(updates)).exec();
+
+      // the whole tree goes along, it stays attached to the form
+      for(let question of form.questions) {
+        yield QuestionDal.delete({ _id: question._id }, updates);
+      }
+
+      for(let section of form.sections) {
+        yield SectionDal.delete({ _id: section._id }, updates);
+      }
 
       return form;
     }
@@ -104,11 +156,52 @@ exports.delete = function deleteForm(query) {
   });
 };
 
+/**
+ * recover a form
+ *
+ * @desc  bring back a deleted form together with the
+ *        sections and questions deleted along with it.
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.recover = function recover(query) {
+  debug('recovering form: ', query);
+
+  return co(function* () {
+    let form = yield Form.findOne(_.assign({}, query, { archived: true })).exec();
+    let _empty = {};
+
+    if(!form) {
+      return _empty;
+    }
+
+    yield Form.findOneAndUpdate({ _id: form._id }, mongoUpdate({
+      archived: false,
+      deleted_by: null,
+      deleted_at: null
+    })).exec();
+
+    for(let question of form.questions) {
+      yield QuestionDal.recover({ _id: question, deleted_at: form.deleted_at });
+    }
+
+    for(let section of form.sections) {
+      yield SectionDal.recover({ _id: section, deleted_at: form.deleted_at });
+    }
+
+    return yield exports.get({ _id: form._id });
+
+  });
+};
+
 /**
  * update a form
  *
  * @desc  update data of the form with the given
- *        id
+ *        id. Resolves to null when the query, which may
+ *        carry the expected revision, matches no form.
  *
  * @param {Object} query Query object
  * @param {Object} updates  Update data
@@ -124,7 +217,9 @@ exports.update = function update(query, updates) {
     select: returnFields
   };
 
-  updates = mongoUpdate(updates);
+  // every change bumps the revision checked by If-Match
+  updates = mongoUpdate(_.omit(updates, ['revision']));
+  updates.$inc = { revision: 1 };
 
   return Form.findOneAndUpdate(query, updates, opts)
       .populate(population)
@@ -143,12 +238,131 @@ exports.update = function update(query, updates) {
 exports.get = function get(query, form) {
   debug('getting form ', query);
 
-  return Form.findOne(query, returnFields)
+  return Form.findOne(_.assign({ archived: { $ne: true } }, query), returnFields)
     .populate(population)
     .exec();
 
 };
 
+/**
+ * find the form owning a section or question.
+ *
+ * @desc walk up from a section or (sub) question to the
+ *       form it belongs to.
+ *
+ * @param {Object} ref Reference Object i.e { section: id } or { question: id }
+ *
+ * @return {Promise}
+ */
+exports.findOwner = function findOwner(ref) {
+  debug('finding owner form of ', ref);
+
+  return co(function* () {
+    if(ref.section) {
+      return yield Form.findOne({ sections: ref.section }).exec();
+    }
+
+    let form = yield Form.findOne({ questions: ref.question }).exec();
+    if(form) {
+      return form;
+    }
+
+    let section = yield Section.findOne({ questions: ref.question }).exec();
+    if(section) {
+      return yield Form.findOne({ sections: section._id }).exec();
+    }
+
+    let parent = yield Question.findOne({ sub_questions: ref.question }).exec();
+    if(parent) {
+      return yield exports.findOwner({ question: parent._id });
+    }
+
+    // rows and columns belong to the form of their matrix
+    let matrix = yield Question.findOne({
+      $or: [{ 'matrix.rows': ref.question }, { 'matrix.columns': ref.question }]
+    }).exec();
+    if(matrix) {
+      return yield exports.findOwner({ question: matrix._id });
+    }
+
+    // questions a branch overlay adds belong to its base form
+    let overlay = yield FormOverlay.findOne({ 'added.question': ref.question }).exec();
+    if(overlay) {
+      return yield Form.findOne({ _id: overlay.form }).exec();
+    }
+
+    return null;
+
+  });
+};
+
+/**
+ * recalculate the calculated questions of a form.
+ *
+ * @desc work out the calculated questions of the form with the
+ *       given query from the current answers and save the answers
+ *       that changed.
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise} resolves to the questions updated
+ */
+exports.recalculate = function recalculate(query) {
+  debug('recalculating form ', query);
+
+  return co(function* () {
+    let form = yield exports.get(query);
+    if(!form) {
+      return [];
+    }
+
+    let updated = [];
+
+    for(let result of formulas.calculate(formulas.collect(form.toJSON()))) {
+      let current = (result.question.values || [])[0] || '';
+      if(current === result.value) continue;
+
+      updated.push(yield QuestionDal.update({ _id: result.question._id }, { values: [result.value] }));
+    }
+
+    return updated;
+
+  });
+};
+
+/**
+ * take a snapshot of a form.
+ *
+ * @desc get a form with the given query and return its fully
+ *       populated tree(sections, questions, sub questions and
+ *       prerequisites) as plain JSON, ready to be frozen.
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.snapshot = function snapshot(query) {
+  debug('taking snapshot of form ', query);
+
+  return co(function* () {
+    let form = yield exports.get(query);
+    if(!form) {
+      return null;
+    }
+
+    form = form.toJSON();
+
+    yield expandQuestions(form.questions);
+
+    for(let section of form.sections) {
+      yield expandQuestions(section.questions);
+    }
+
+    return JSON.parse(JSON.stringify(form));
+
+  });
+};
+
 /**
  * get a collection of forms
  *
@@ -164,7 +378,7 @@ exports.getCollection = function getCollection(query, qs) {
   return new Promise((resolve, reject) => {
     resolve(
      Form
-      .find(query, returnFields)
+      .find(_.assign({ archived: { $ne: true } }, query), returnFields)
       .populate(population)
       .stream());
   });
@@ -194,7 +408,7 @@ exports.getCollectionByPagination = function getCollection(query, qs) {
 
 
   return new Promise((resolve, reject) => {
-    Form.paginate(query, opts, function (err, docs) {
+    Form.paginate(_.assign({ archived: { $ne: true } }, query), opts, function (err, docs) {
       if(err) {
         return reject(err);
       }
@@ -213,3 +427,36 @@ exports.getCollectionByPagination = function getCollection(query, qs) {
 
 
 };
+
+// Population stops at the second level, load deeper
+// sub questions so the snapshot holds the whole tree.
+function* expandQuestions(questions) {
+  for(let question of questions) {
+    let subQuestions = yield expandList(question.sub_questions);
+
+    yield expandQuestions(subQuestions);
+
+    question.sub_questions = subQuestions;
+
+    if(question.matrix) {
+      question.matrix.rows = yield expandList(question.matrix.rows);
+      question.matrix.columns = yield expandList(question.matrix.columns);
+    }
+  }
+}
+
+// Load the questions of a list still referenced by id
+function* expandList(questions) {
+  let list = [];
+
+  for(let question of questions || []) {
+    if(!_.isPlainObject(question)) {
+      question = yield Question.findOne({ _id: question, archived: { $ne: true } }, Question.attributes).lean().exec();
+      if(!question) continue;
+    }
+
+    list.push(question);
+  }
+
+  return list;
+}
@@ -0,0 +1,172 @@
+'use strict';
+// Access Layer for Form Overlay Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-form-overlay');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const FormOverlay = require('../models/formOverlay');
+const Question    = require('../models/question');
+const Branch      = require('../models/branch');
+const mongoUpdate = require('../lib/mongo-update');
+
+var returnFields = FormOverlay.attributes;
+var population = [{
+  path: 'added.question',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  populate: {
+    path: 'sub_questions',
+    select: Question.attributes,
+    match: { archived: { $ne: true } },
+    options: {
+      sort: { number: '1' }
+    }
+  }
+},{
+  path: 'branch',
+  select: Branch.whitelist
+}];
+
+/**
+ * create a new form overlay.
+ *
+ * @desc  creates a new form overlay and saves it
+ *        in the database
+ *
+ * @param {Object}  overlayData  Data for the form overlay to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(overlayData) {
+  debug('creating a new form overlay');
+
+  return co(function* () {
+
+    let unsavedOverlay = new FormOverlay(overlayData);
+    let newOverlay = yield unsavedOverlay.save();
+    let overlay = yield exports.get({ _id: newOverlay._id });
+
+    return overlay;
+
+  });
+
+};
+
+/**
+ * delete a form overlay
+ *
+ * @desc  delete data of the form overlay with the given
+ *        query
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.delete = function deleteOverlay(query) {
+  debug('deleting form overlay: ', query);
+
+  return co(function* () {
+    let overlay = yield exports.get(query);
+    let _empty = {};
+
+    if(!overlay) {
+      return _empty;
+    } else {
+      yield overlay.remove();
+
+      return overlay;
+    }
+
+  });
+};
+
+/**
+ * update a form overlay
+ *
+ * @desc  update data of the form overlay with the given
+ *        query
+ *
+ * @param {Object} query Query object
+ * @param {Object} updates  Update data
+ *
+ * @return {Promise}
+ */
+exports.update = function update(query, updates) {
+  debug('updating form overlay: ', query);
+
+  let opts = {
+    'new': true,
+    select: returnFields
+  };
+
+  updates = mongoUpdate(updates);
+
+  return FormOverlay.findOneAndUpdate(query, updates, opts)
+      .populate(population)
+      .exec();
+};
+
+/**
+ * get a form overlay.
+ *
+ * @desc get a form overlay with the given query from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting form overlay ', query);
+
+  return FormOverlay.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of form overlays using pagination
+ *
+ * @desc get a collection of form overlays from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollectionByPagination = function getCollection(query, qs) {
+  debug('fetching a collection of form overlays');
+
+  let opts = {
+    select:  returnFields,
+    sort:   qs.sort || {},
+    populate: population,
+    page:     qs.page,
+    limit:    qs.limit
+  };
+
+
+  return new Promise((resolve, reject) => {
+    FormOverlay.paginate(query, opts, function (err, docs) {
+      if(err) {
+        return reject(err);
+      }
+
+      let data = {
+        total_pages: docs.pages,
+        total_docs_count: docs.total,
+        current_page: docs.page,
+        docs: docs.docs
+      };
+
+      return resolve(data);
+
+    });
+  });
+
+
+};
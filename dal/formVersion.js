@@ -0,0 +1,163 @@
+'use strict';
+// Access Layer for Form Version Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-form-version');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const FormVersion   = require('../models/formVersion');
+const FormDal       = require('./form');
+
+var returnFields = FormVersion.attributes;
+var population = [];
+
+// Version listings leave out the heavy snapshot
+var listFields = _.omit(returnFields, 'snapshot');
+
+/**
+ * create a new form version.
+ *
+ * @desc  creates a new form version and saves it
+ *        in the database. Versions are immutable,
+ *        hence there is no update or delete.
+ *
+ * @param {Object}  versionData  Data for the form version to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(versionData) {
+  debug('creating a new form version');
+
+  return co(function* () {
+
+    let unsavedVersion = new FormVersion(versionData);
+    let newVersion = yield unsavedVersion.save();
+    let version = yield exports.get({ _id: newVersion._id });
+
+    return version;
+
+
+  });
+
+};
+
+/**
+ * publish a form.
+ *
+ * @desc  freeze the current state of the form with the given
+ *        query into its next version and mark it PUBLISHED.
+ *
+ * @param {Object}  query   Query Object
+ * @param {Object}  user    User publishing the form
+ *
+ * @return {Promise}
+ */
+exports.publish = function publish(query, user) {
+  debug('publishing form: ', query);
+
+  return co(function* () {
+    let snapshot = yield FormDal.snapshot(query);
+
+    snapshot.status = 'PUBLISHED';
+    snapshot.latest_version = snapshot.latest_version + 1;
+
+    let version = yield exports.create({
+      form: snapshot._id,
+      MFI: snapshot.MFI,
+      version: snapshot.latest_version,
+      snapshot: snapshot,
+      published_by: user._id
+    });
+
+    yield FormDal.update(query, {
+      status: 'PUBLISHED',
+      latest_version: version.version
+    });
+
+    return version;
+
+  });
+};
+
+/**
+ * get a form version.
+ *
+ * @desc get a form version with the given id from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting form version ', query);
+
+  return FormVersion.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get the latest form version.
+ *
+ * @desc get the highest form version matching the given query
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.latest = function latest(query) {
+  debug('getting latest form version ', query);
+
+  return FormVersion.findOne(query, returnFields)
+    .sort({ version: -1 })
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of form versions using pagination
+ *
+ * @desc get a collection of form versions from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollectionByPagination = function getCollection(query, qs) {
+  debug('fetching a collection of form versions');
+
+  let opts = {
+    select:  listFields,
+    sort:   qs.sort || {},
+    populate: population,
+    page:     qs.page,
+    limit:    qs.limit
+  };
+
+
+  return new Promise((resolve, reject) => {
+    FormVersion.paginate(query, opts, function (err, docs) {
+      if(err) {
+        return reject(err);
+      }
+
+      let data = {
+        total_pages: docs.pages,
+        total_docs_count: docs.total,
+        current_page: docs.page,
+        docs: docs.docs
+      };
+
+      return resolve(data);
+
+    });
+  });
+
+
+};
@@ -0,0 +1,131 @@
+'use strict';
+// Access Layer for Loan Product Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-loan-product');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const LoanProduct   = require('../models/loanProduct');
+const User          = require('../models/user');
+const mongoUpdate   = require('../lib/mongo-update');
+
+var returnFields = LoanProduct.attributes;
+var population = [{
+  path: 'created_by',
+  select: User.attributes
+}];
+
+/**
+ * create a new loan product.
+ *
+ * @desc  creates a new loan product and saves it
+ *        in the database
+ *
+ * @param {Object}  loanProductData  Data for the loan product to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(loanProductData) {
+  debug('creating a new loan product');
+
+  return co(function* () {
+
+    let unsavedLoanProduct = new LoanProduct(loanProductData);
+    let newLoanProduct = yield unsavedLoanProduct.save();
+    let loanProduct = yield exports.get({ _id: newLoanProduct._id });
+
+    return loanProduct;
+
+  });
+
+};
+
+/**
+ * update a loan product
+ *
+ * @desc  update data of the loan product with the given
+ *        id
+ *
+ * @param {Object} query Query object
+ * @param {Object} updates  Update data
+ *
+ * @return {Promise}
+ */
+exports.update = function update(query, updates) {
+  debug('updating loan product: ', query);
+
+  let opts = {
+    'new': true,
+    select: returnFields
+  };
+
+  updates = mongoUpdate(updates);
+
+  return LoanProduct.findOneAndUpdate(query, updates, opts)
+      .populate(population)
+      .exec();
+};
+
+/**
+ * get a loan product.
+ *
+ * @desc get a loan product with the given id from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting loan product ', query);
+
+  return LoanProduct.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of loan products using pagination
+ *
+ * @desc get a collection of loan products from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollectionByPagination = function getCollection(query, qs) {
+  debug('fetching a collection of loan products');
+
+  let opts = {
+    select:  returnFields,
+    sort:   qs.sort || {},
+    populate: population,
+    page:     qs.page,
+    limit:    qs.limit
+  };
+
+
+  return new Promise((resolve, reject) => {
+    LoanProduct.paginate(query, opts, function (err, docs) {
+      if(err) {
+        return reject(err);
+      }
+
+      let data = {
+        total_pages: docs.pages,
+        total_docs_count: docs.total,
+        current_page: docs.page,
+        docs: docs.docs
+      };
+
+      return resolve(data);
+
+    });
+  });
+
+
+};
@@ -0,0 +1,174 @@
+'use strict';
+// Access Layer for Edit Lock Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-lock');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const Lock        = require('../models/lock');
+const User        = require('../models/user');
+const mongoUpdate = require('../lib/mongo-update');
+
+var returnFields = Lock.attributes;
+var population = [{
+  path: 'holder',
+  select: User.attributes
+}];
+
+/**
+ * acquire a lock.
+ *
+ * @desc  claim the lock on a section or question for the given
+ *        holder. Succeeds if the resource is free, the previous
+ *        lock expired or the holder already owns it.
+ *
+ * @param {Object}  lockData  Lock data i.e resource, kind, form, holder
+ * @param {Number}  ttl       Seconds the lock lives
+ *
+ * @return {Promise} resolves to null if someone else holds the lock
+ */
+exports.acquire = function acquire(lockData, ttl) {
+  debug('acquiring lock on: ', lockData.resource);
+
+  return co(function* () {
+    let now = moment();
+    let query = {
+      resource: lockData.resource,
+      $or: [{
+        holder: lockData.holder
+      },{
+        expires_at: { $lte: now.toISOString() }
+      }]
+    };
+    let opts = {
+      'new': true,
+      upsert: true,
+      select: returnFields
+    };
+
+    let updates = mongoUpdate(_.assign({}, _.omit(lockData, ['resource']), {
+      expires_at: now.clone().add(ttl, 'seconds').toISOString()
+    }));
+    updates.$setOnInsert = { date_created: now.toISOString() };
+
+    try {
+      return yield Lock.findOneAndUpdate(query, updates, opts)
+        .populate(population)
+        .exec();
+
+    } catch(ex) {
+      // the unique resource index rejects the upsert
+      // when a live lock belongs to someone else
+      if(ex.code === 11000) {
+        return null;
+      }
+
+      throw ex;
+    }
+
+  });
+
+};
+
+/**
+ * extend a lock.
+ *
+ * @desc  push the expiry of a live lock owned by the
+ *        given holder further.
+ *
+ * @param {Object}  query   Query Object i.e resource, holder
+ * @param {Number}  ttl     Seconds the lock lives from now
+ *
+ * @return {Promise} resolves to null if the lock was lost
+ */
+exports.heartbeat = function heartbeat(query, ttl) {
+  debug('extending lock: ', query);
+
+  let now = moment();
+  let opts = {
+    'new': true,
+    select: returnFields
+  };
+
+  query = _.assign({}, query, { expires_at: { $gt: now.toISOString() } });
+
+  let updates = mongoUpdate({
+    expires_at: now.add(ttl, 'seconds').toISOString()
+  });
+
+  return Lock.findOneAndUpdate(query, updates, opts)
+      .populate(population)
+      .exec();
+};
+
+/**
+ * delete a lock
+ *
+ * @desc  delete data of the lock with the given
+ *        query
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.delete = function deleteLock(query) {
+  debug('deleting lock: ', query);
+
+  return co(function* () {
+    let lock = yield exports.get(query);
+    let _empty = {};
+
+    if(!lock) {
+      return _empty;
+    } else {
+      yield lock.remove();
+
+      return lock;
+    }
+
+  });
+};
+
+/**
+ * get a lock.
+ *
+ * @desc get a live lock with the given query from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting lock ', query);
+
+  query = _.assign({ expires_at: { $gt: moment().toISOString() } }, query);
+
+  return Lock.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of locks
+ *
+ * @desc get a collection of live locks from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollection = function getCollection(query) {
+  debug('fetching a collection of locks');
+
+  query = _.assign({ expires_at: { $gt: moment().toISOString() } }, query);
+
+  return Lock.find(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
@@ -10,16 +10,40 @@ const _       = require('lodash');
 const co      = require('co');
 
 const Question    = require('../models/question');
+const Attachment  = require('../models/attachment');
 const mongoUpdate   = require('../lib/mongo-update');
 
 var returnFields = Question.attributes;
-var population = [{
-  path: 'sub_questions',
+// rows and columns of matrix questions
+var matrix = [{
+  path: 'matrix.rows',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  }
+},{
+  path: 'matrix.columns',
   select: Question.attributes,
+  match: { archived: { $ne: true } },
   options: {
     sort: { number: '1' }
   }
 }];
+// files answering upload questions
+var attachments = {
+  path: 'attachments',
+  select: Attachment.attributes
+};
+var population = [{
+  path: 'sub_questions',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  },
+  populate: matrix.concat(attachments)
+}].concat(matrix, attachments);
 
 /**
  * create a new question.
@@ -50,14 +74,16 @@ exports.create = function create(questionData) {
 /**
  * delete a question
  *
- * @desc  delete data of the question with the given
- *        id
+ * @desc  soft delete the question with the given query
+ *        together with its sub questions. Deleted questions
+ *        are archived and can be recovered from the trash.
  *
  * @param {Object}  query   Query Object
+ * @param {Object}  info    Deletion info i.e deleted_by, deleted_at, deleted_from
  *
  * @return {Promise}
  */
-exports.delete = function deleteQuestion(query) {
+exports.delete = function deleteQuestion(query, info) {
   debug('deleting question: ', query);
 
   return co(function* () {
@@ -67,7 +93,24 @@ exports.delete = function deleteQuestion(query) {
     if(!question) {
       return _empty;
     } else {
-      yield question.remove();
+      info = info || {};
+
+      let updates = {
+        archived: true,
+        deleted_by: info.deleted_by || null,
+        deleted_at: info.deleted_at || moment().toISOString()
+      };
+
+      if(info.deleted_from) {
+        updates.deleted_from = info.deleted_from;
+      }
+
+      yield Question.findOneAndUpdate({ _id: question._id }, mongoUpdate(updates)).exec();
+
+      // sub questions go along, they stay attached to their parent
+      for(let sub of question.sub_questions) {
+        yield exports.delete({ _id: sub._id }, _.omit(updates, 'deleted_from'));
+      }
 
       return question;
     }
@@ -75,6 +118,43 @@ exports.delete = function deleteQuestion(query) {
   });
 };
 
+/**
+ * recover a question
+ *
+ * @desc  bring back a deleted question together with the
+ *        sub questions deleted along with it.
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.recover = function recover(query) {
+  debug('recovering question: ', query);
+
+  return co(function* () {
+    let question = yield Question.findOne(_.assign({}, query, { archived: true })).exec();
+    let _empty = {};
+
+    if(!question) {
+      return _empty;
+    }
+
+    yield Question.findOneAndUpdate({ _id: question._id }, mongoUpdate({
+      archived: false,
+      deleted_by: null,
+      deleted_at: null,
+      deleted_from: null
+    })).exec();
+
+    for(let sub of question.sub_questions) {
+      yield exports.recover({ _id: sub, deleted_at: question.deleted_at });
+    }
+
+    return yield exports.get({ _id: question._id });
+
+  });
+};
+
 /**
  * update a question
  *
@@ -95,13 +175,44 @@ exports.update = function update(query, updates) {
     select: returnFields
   };
 
-  updates = mongoUpdate(updates);
+  // every change bumps the revision checked by If-Match
+  updates = mongoUpdate(_.omit(updates, ['revision']));
+  updates.$inc = { revision: 1 };
 
   return Question.findOneAndUpdate(query, updates, opts)
       .populate(population)
       .exec();
 };
 
+/**
+ * restore a question
+ *
+ * @desc  put back a question exactly as given, keeping its id.
+ *        The question is recreated if it no longer exists.
+ *
+ * @param {Object} questionData  Data of the question to restore
+ *
+ * @return {Promise}
+ */
+exports.restore = function restore(questionData) {
+  debug('restoring question: ', questionData._id);
+
+  let opts = {
+    'new': true,
+    upsert: true,
+    select: returnFields
+  };
+
+  let updates = _.omit(questionData, ['_id', 'revision']);
+
+  updates.archived = false;
+  updates = mongoUpdate(updates);
+  updates.$inc = { revision: 1 };
+
+  return Question.findOneAndUpdate({ _id: questionData._id }, updates, opts)
+      .exec();
+};
+
 /**
  * get a question.
  *
@@ -114,7 +225,7 @@ exports.update = function update(query, updates) {
 exports.get = function get(query, question) {
   debug('getting question ', query);
 
-  return Question.findOne(query, returnFields)
+  return Question.findOne(_.assign({ archived: { $ne: true } }, query), returnFields)
     .populate(population)
     .exec();
 
@@ -135,7 +246,7 @@ exports.getCollection = function getCollection(query, qs) {
   return new Promise((resolve, reject) => {
     resolve(
      Question
-      .find(query, returnFields)
+      .find(_.assign({ archived: { $ne: true } }, query), returnFields)
       .populate(population)
       .stream());
   });
@@ -165,7 +276,7 @@ exports.getCollectionByPagination = function getCollection(query, qs) {
 
 
   return new Promise((resolve, reject) => {
-    Question.paginate(query, opts, function (err, docs) {
+    Question.paginate(_.assign({ archived: { $ne: true } }, query), opts, function (err, docs) {
       if(err) {
         return reject(err);
       }
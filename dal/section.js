@@ -11,22 +11,48 @@ const co      = require('co');
 
 const Section    = require('../models/section');
 const Question    = require('../models/question');
+const Attachment  = require('../models/attachment');
+const QuestionDal = require('./question');
 const mongoUpdate   = require('../lib/mongo-update');
 
 var returnFields = Section.attributes;
+// rows and columns of matrix questions
+var matrix = [{
+  path: 'matrix.rows',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  }
+},{
+  path: 'matrix.columns',
+  select: Question.attributes,
+  match: { archived: { $ne: true } },
+  options: {
+    sort: { number: '1' }
+  }
+}];
+// files answering upload questions
+var attachments = {
+  path: 'attachments',
+  select: Attachment.attributes
+};
 var population = [{
   path: 'questions',
   select: Question.attributes,
+  match: { archived: { $ne: true } },
   options: {
     sort: { number: '1' }
   },
-  populate: {
+  populate: [{
     path: 'sub_questions',
     select: Question.attributes,
+    match: { archived: { $ne: true } },
     options: {
       sort: { number: '1' }
-    }
-  }
+    },
+    populate: matrix.concat(attachments)
+  }].concat(matrix, attachments)
 }];
 
 /**
@@ -58,14 +84,16 @@ exports.create = function create(sectionData) {
 /**
  * delete a section
  *
- * @desc  delete data of the section with the given
- *        id
+ * @desc  soft delete the section with the given query
+ *        together with its questions. Deleted sections
+ *        are archived and can be recovered from the trash.
  *
  * @param {Object}  query   Query Object
+ * @param {Object}  info    Deletion info i.e deleted_by, deleted_at, deleted_from
  *
  * @return {Promise}
  */
-exports.delete = function deleteSection(query) {
+exports.delete = function deleteSection(query, info) {
   debug('deleting section: ', query);
 
   return co(function* () {
@@ -75,7 +103,24 @@ exports.delete = function deleteSection(query) {
     if(!section) {
       return _empty;
     } else {
-      yield section.remove();
+      info = info || {};
+
+      let updates = {
+        archived: true,
+        deleted_by: info.deleted_by || null,
+        deleted_at: info.deleted_at || moment().toISOString()
+      };
+
+      if(info.deleted_from) {
+        updates.deleted_from = info.deleted_from;
+      }
+
+      yield Section.findOneAndUpdate({ _id: section._id }, mongoUpdate(updates)).exec();
+
+      // questions go along, they stay attached to the section
+      for(let question of section.questions) {
+        yield QuestionDal.delete({ _id: question._id }, _.omit(updates, 'deleted_from'));
+      }
 
       return section;
     }
@@ -83,6 +128,43 @@ exports.delete = function deleteSection(query) {
   });
 };
 
+/**
+ * recover a section
+ *
+ * @desc  bring back a deleted section together with the
+ *        questions deleted along with it.
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.recover = function recover(query) {
+  debug('recovering section: ', query);
+
+  return co(function* () {
+    let section = yield Section.findOne(_.assign({}, query, { archived: true })).exec();
+    let _empty = {};
+
+    if(!section) {
+      return _empty;
+    }
+
+    yield Section.findOneAndUpdate({ _id: section._id }, mongoUpdate({
+      archived: false,
+      deleted_by: null,
+      deleted_at: null,
+      deleted_from: null
+    })).exec();
+
+    for(let question of section.questions) {
+      yield QuestionDal.recover({ _id: question, deleted_at: section.deleted_at });
+    }
+
+    return yield exports.get({ _id: section._id });
+
+  });
+};
+
 /**
  * update a section
  *
@@ -103,13 +185,44 @@ exports.update = function update(query, updates) {
     select: returnFields
   };
 
-  updates = mongoUpdate(updates);
+  // every change bumps the revision checked by If-Match
+  updates = mongoUpdate(_.omit(updates, ['revision']));
+  updates.$inc = { revision: 1 };
 
   return Section.findOneAndUpdate(query, updates, opts)
       .populate(population)
       .exec();
 };
 
+/**
+ * restore a section
+ *
+ * @desc  put back a section exactly as given, keeping its id.
+ *        The section is recreated if it no longer exists.
+ *
+ * @param {Object} sectionData  Data of the section to restore
+ *
+ * @return {Promise}
+ */
+exports.restore = function restore(sectionData) {
+  debug('restoring section: ', sectionData._id);
+
+  let opts = {
+    'new': true,
+    upsert: true,
+    select: returnFields
+  };
+
+  let updates = _.omit(sectionData, ['_id', 'revision']);
+
+  updates.archived = false;
+  updates = mongoUpdate(updates);
+  updates.$inc = { revision: 1 };
+
+  return Section.findOneAndUpdate({ _id: sectionData._id }, updates, opts)
+      .exec();
+};
+
 /**
  * get a section.
  *
@@ -122,7 +235,7 @@ exports.update = function update(query, updates) {
 exports.get = function get(query, section) {
   debug('getting section ', query);
 
-  return Section.findOne(query, returnFields)
+  return Section.findOne(_.assign({ archived: { $ne: true } }, query), returnFields)
     .populate(population)
     .exec();
 
@@ -143,7 +256,7 @@ exports.getCollection = function getCollection(query, qs) {
   return new Promise((resolve, reject) => {
     resolve(
      Section
-      .find(query, returnFields)
+      .find(_.assign({ archived: { $ne: true } }, query), returnFields)
       .populate(population)
       .stream());
   });
@@ -173,7 +286,7 @@ exports.getCollectionByPagination = function getCollection(query, qs) {
 
 
   return new Promise((resolve, reject) => {
-    Section.paginate(query, opts, function (err, docs) {
+    Section.paginate(_.assign({ archived: { $ne: true } }, query), opts, function (err, docs) {
       if(err) {
         return reject(err);
       }
@@ -0,0 +1,104 @@
+'use strict';
+// Access Layer for Signature Data.
+
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:dal-signature');
+const moment  = require('moment');
+const _       = require('lodash');
+const co      = require('co');
+
+const Signature  = require('../models/signature');
+
+var returnFields = Signature.attributes;
+var population = [];
+
+/**
+ * create a new signature.
+ *
+ * @desc  creates a new signature and saves it
+ *        in the database
+ *
+ * @param {Object}  signatureData  Data for the signature to create
+ *
+ * @return {Promise}
+ */
+exports.create = function create(signatureData) {
+  debug('creating a new signature');
+
+  return co(function* () {
+
+    let unsavedSignature = new Signature(signatureData);
+    let newSignature = yield unsavedSignature.save();
+    let signature = yield exports.get({ _id: newSignature._id });
+
+    return signature;
+
+  });
+
+};
+
+/**
+ * delete a signature
+ *
+ * @desc  delete data of the signature with the given
+ *        query
+ *
+ * @param {Object}  query   Query Object
+ *
+ * @return {Promise}
+ */
+exports.delete = function deleteSignature(query) {
+  debug('deleting signature: ', query);
+
+  return co(function* () {
+    let signature = yield Signature.findOne(query).exec();
+    let _empty = {};
+
+    if(!signature) {
+      return _empty;
+    } else {
+      yield signature.remove();
+
+      return signature;
+    }
+
+  });
+};
+
+/**
+ * get a signature.
+ *
+ * @desc get a signature with the given query from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.get = function get(query) {
+  debug('getting signature ', query);
+
+  return Signature.findOne(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
+
+/**
+ * get a collection of signatures
+ *
+ * @desc get a collection of signatures from db
+ *
+ * @param {Object} query Query Object
+ *
+ * @return {Promise}
+ */
+exports.getCollection = function getCollection(query) {
+  debug('fetching a collection of signatures');
+
+  return Signature.find(query, returnFields)
+    .populate(population)
+    .exec();
+
+};
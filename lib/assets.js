@@ -0,0 +1,112 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:assets');
+const crypto  = require('crypto');
+const fs      = require('fs');
+const path    = require('path');
+const _       = require('lodash');
+const del     = require('del');
+
+const config  = require('../config');
+
+// Extensions of the image types assets are written as
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg'
+};
+
+const DATA_URL_PATTERN = /^data:([a-z]+\/[a-z0-9.+-]+);base64,([A-Za-z0-9+/=\s]+)$/;
+
+/**
+ * Store an uploaded file as an asset.
+ *
+ * @desc Copies the file to the assets directory, keeping the name
+ *       it was uploaded under.
+ *
+ * @param {Object} file Uploaded file, with its `path`
+ *
+ * @return {Promise} resolves to the asset name
+ */
+exports.store = function store(file) {
+  let name = path.basename(file.path);
+
+  debug(`storing asset ${name}`);
+
+  return new Promise((resolve, reject) => {
+    fs.copyFile(file.path, path.join(config.ASSETS.DIR, name), (err) => {
+      if(err) {
+        return reject(err);
+      }
+
+      resolve(name);
+    });
+  });
+};
+
+/**
+ * Store an image sent as a data URL as an asset.
+ *
+ * @param {String} dataUrl i.e "data:image/png;base64,iVBORw0KGgo..."
+ *
+ * @return {Promise} resolves to { name, mime_type, size }
+ */
+exports.storeDataUrl = function storeDataUrl(dataUrl) {
+  let match = DATA_URL_PATTERN.exec(String(dataUrl || ''));
+  if(!match || !EXTENSIONS[match[1]]) {
+    return Promise.reject(new Error(`Image Should Be A Data URL Of ${_.keys(EXTENSIONS).join(',')}`));
+  }
+
+  let data = Buffer.from(match[2], 'base64');
+  if(data.length > config.ASSETS.FILE_SIZE) {
+    return Promise.reject(new Error(`Image Should Not Be Above ${config.ASSETS.FILE_SIZE} Bytes`));
+  }
+
+  let name = crypto.randomBytes(12).toString('hex') + EXTENSIONS[match[1]];
+
+  debug(`storing asset ${name}`);
+
+  return new Promise((resolve, reject) => {
+    fs.writeFile(path.join(config.ASSETS.DIR, name), data, (err) => {
+      if(err) {
+        return reject(err);
+      }
+
+      resolve({ name: name, mime_type: match[1], size: data.length });
+    });
+  });
+};
+
+/**
+ * Address an asset is served at.
+ *
+ * @param {String} name Asset name
+ *
+ * @return {String}
+ */
+exports.url = function url(name) {
+  return config.ASSETS.URL + name;
+};
+
+/**
+ * Remove stored assets.
+ *
+ * @param {Array} names Asset names
+ *
+ * @return {Promise}
+ */
+exports.remove = function remove(names) {
+  return del(_.map(names, (name) => path.join(config.ASSETS.DIR, name)), { force: true });
+};
+
+/**
+ * Remove the temporary files of an upload.
+ *
+ * @param {Array} files Uploaded files, with their `path`
+ *
+ * @return {Promise}
+ */
+exports.discard = function discard(files) {
+  return del(_.map(files, 'path'), { force: true });
+};
@@ -8,6 +8,7 @@ const unless = require('koa-unless');
 
 const config      = require('../config');
 const CustomError = require('./custom-error');
+const tenant      = require('./tenant');
 const Token       = require('../dal/token');
 
 module.exports = function authorizeAccess() {
@@ -73,6 +74,7 @@ module.exports = function authorizeAccess() {
       }
 
       this.state._user = token.user;
+      this.state._mfi  = yield tenant.resolve(token.user);
 
       yield next;
 
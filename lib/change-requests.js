@@ -0,0 +1,126 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:change-requests');
+const co      = require('co');
+const moment  = require('moment');
+const _       = require('lodash');
+
+const CustomError   = require('./custom-error');
+const revision      = require('./revision');
+
+const Form          = require('../models/form');
+const Section       = require('../models/section');
+const Question      = require('../models/question');
+
+const FormDal           = require('../dal/form');
+const SectionDal        = require('../dal/section');
+const QuestionDal       = require('../dal/question');
+const FormVersionDal    = require('../dal/formVersion');
+const ChangeRequestDal  = require('../dal/changeRequest');
+const LogDal            = require('../dal/log');
+
+const TARGETS = {
+  FORM:     { model: Form, dal: FormDal },
+  SECTION:  { model: Section, dal: SectionDal },
+  QUESTION: { model: Question, dal: QuestionDal }
+};
+
+/**
+ * Propose a change to a published form.
+ *
+ * @desc Queue an update of the form, or one of its sections or
+ *       questions, in the pending change request of the form. The
+ *       update is checked against the revision the editor read.
+ *
+ * @param {Object} form     Form the change belongs to
+ * @param {Object} change   Change i.e target, ref, revision, updates
+ * @param {Object} current  Current state of the changed item
+ * @param {Object} user     User proposing the change
+ *
+ * @return {Promise}
+ */
+exports.propose = function propose(form, change, current, user) {
+  debug(`proposing change of ${change.target} ${change.ref}`);
+
+  return co(function* () {
+    if((current.revision || 0) !== change.revision) {
+      throw new CustomError({
+        type: 'CHANGE_REQUEST_ERROR',
+        status: 409,
+        message: `${_.capitalize(change.target)} Was Modified By Someone Else, Reload and Try Again`,
+        data: current
+      });
+    }
+
+    let changeRequest = yield ChangeRequestDal.propose(form, change, user);
+
+    yield LogDal.track({
+      event: 'change_request_propose',
+      user: user._id ,
+      message: `Propose change to ${change.target.toLowerCase()} ${change.ref} of ${form.title}`,
+      diff: change.updates
+    });
+
+    return changeRequest;
+
+  });
+};
+
+/**
+ * Apply an approved change request.
+ *
+ * @desc Apply the changes of the request one by one then publish the
+ *       form so field staff get them. Every change is marked applied
+ *       on the change request as soon as it is, so when one of them
+ *       fails the ones before it stay applied and applying the
+ *       request again resumes with the rest.
+ *
+ * @param {Object} changeRequest  Change request to apply
+ * @param {Object} user           User approving the change request
+ *
+ * @return {Promise} resolves to the published form version
+ */
+exports.apply = function apply(changeRequest, user) {
+  debug(`applying change request ${changeRequest._id}`);
+
+  return co(function* () {
+    let changes = changeRequest.changes || [];
+
+    for(let index = 0; index < changes.length; index++) {
+      let change = changes[index];
+      let target = TARGETS[change.target];
+      let name   = _.capitalize(change.target);
+
+      // applied by an approval that failed further on
+      if(change.applied_at) {
+        continue;
+      }
+
+      let before = yield target.model.findOne({ _id: change.ref }).lean().exec();
+      if(!before || before.archived) {
+        throw new Error(`${name} ${change.ref} No Longer Exists`);
+      }
+
+      let doc = yield target.dal.update({
+        _id: change.ref,
+        revision: revision.query(change.revision)
+      }, change.updates);
+
+      if(!doc) {
+        throw new Error(`${name} ${change.ref} Was Modified After The Change Was Requested`);
+      }
+
+      yield ChangeRequestDal.update({ _id: changeRequest._id }, {
+        [`changes.${index}.applied_at`]: moment().toISOString()
+      });
+    }
+
+    // calculated answers follow the answers and formulas changed
+    yield FormDal.recalculate({ _id: changeRequest.form });
+
+    return yield FormVersionDal.publish({ _id: changeRequest.form }, user);
+
+  });
+};
@@ -31,6 +31,10 @@ const ERROR_CODES = {
   PASSWORD_UPDATE_ERROR: {
     message: 'Could not update password for the user',
     status: 400
+  },
+  TENANT_ERROR: {
+    message: "You Don't have access to resources of another MFI",
+    status: 403
   }
 };
 
@@ -47,6 +51,7 @@ class CustomError extends Error {
 
     this.type    = info.type ? info.type : 'DEFAULT_ERROR';
     this.status  = info.status ? info.status : ERROR_CODES.DEFAULT_ERROR.status;
+    this.data    = info.data;
 
   }
 }
@@ -0,0 +1,38 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:edit-locks');
+const co      = require('co');
+
+const CustomError = require('./custom-error');
+const LockDal     = require('../dal/lock');
+
+/**
+ * Check that a section or question is free to change.
+ *
+ * @desc Changes are refused while someone else holds a live
+ *       lock on the item. Unlocked items stay editable.
+ *
+ * @param {String} resource Section or Question id
+ * @param {Object} user     User making the change
+ *
+ * @return {Promise}
+ */
+exports.assertFree = function assertFree(resource, user) {
+  return co(function* () {
+    let lock = yield LockDal.get({ resource: resource });
+
+    if(lock && lock.holder && String(lock.holder._id) !== String(user._id)) {
+      debug(`${resource} is locked by ${lock.holder.username}`);
+
+      throw new CustomError({
+        type: 'LOCKED_ERROR',
+        status: 423,
+        message: `Locked By ${lock.holder.username} Until ${lock.expires_at.toISOString()}`,
+        data: lock
+      });
+    }
+
+  });
+};
@@ -1,15 +1,40 @@
 module.exports = {
     QUESTION: {
-        TYPES: ['YES_NO', 'FILL_IN_BLANK', 'MULTIPLE_CHOICE', 'SINGLE_CHOICE', 'GROUPED'],
-        VALIDATION: ['NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC']
+        TYPES: ['YES_NO', 'FILL_IN_BLANK', 'MULTIPLE_CHOICE', 'SINGLE_CHOICE', 'GROUPED', 'DATE', 'DATETIME', 'NUMBER', 'CURRENCY', 'MATRIX', 'CALCULATED', 'FILE', 'PHOTO', 'GEOPOINT', 'RATING', 'LIKERT', 'RANKING'],
+        MATRIX_CELL_TYPES: ['FILL_IN_BLANK', 'YES_NO', 'SINGLE_CHOICE', 'NUMBER', 'CURRENCY', 'DATE', 'DATETIME'],
+        VALIDATION: ['NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC'],
+        DATE_BOUNDS: ['NONE', 'NOT_IN_FUTURE', 'NOT_IN_PAST'],
+        CALENDARS: ['GREGORIAN', 'ETHIOPIAN'],
+        LIKERT_ANCHORS: ['Strongly Disagree', 'Disagree', 'Neutral', 'Agree', 'Strongly Agree'],
+        RANKING_MODES: ['ALL', 'TOP']
     },
     FORM: {
         LAYOUTS: ['TWO_COLUMNS', 'THREE_COLUMNS'],
         TYPES: ['SCREENING', 'LOAN_APPLICATION', 'GROUP_APPLICATION', 'ACAT', 'TEST'],
+        STATUS: ['DRAFT', 'PUBLISHED', 'ARCHIVED'],
+        APPROVAL_TYPES: ['SCREENING', 'LOAN_APPLICATION'],
         SIGNATURES: {
-          LOAN: ['Filled By', 'Checked By'],
-          SCREENING: ['Applicant', 'Filled By', 'Checked By']
+          LOAN: [
+            { label: 'Filled By', role: null, permission: null, date_required: true },
+            { label: 'Checked By', role: null, permission: null, date_required: true }
+          ],
+          SCREENING: [
+            { label: 'Applicant', role: null, permission: null, date_required: true },
+            { label: 'Filled By', role: null, permission: null, date_required: true },
+            { label: 'Checked By', role: null, permission: null, date_required: true }
+          ]
         }
     },
+    CHANGE_REQUEST: {
+        STATUS: ['PENDING', 'APPROVED', 'REJECTED'],
+        TARGETS: ['FORM', 'SECTION', 'QUESTION']
+    },
+    LOCK: {
+        KINDS: ['SECTION', 'QUESTION']
+    },
+    LOAN_PRODUCT: {
+        FORM_TYPES: ['SCREENING', 'LOAN_APPLICATION', 'ACAT'],
+        STATUS: ['ACTIVE', 'INACTIVE']
+    },
     MODULES: ['MFI_SETUP','USER_MANAGEMENT']
 }
\ No newline at end of file
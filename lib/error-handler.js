@@ -21,7 +21,8 @@ module.exports = function errorHandler() {
         error: {
           status: status,
           message: err.message,
-          type: err.type
+          type: err.type,
+          data: err.data
         }
       };
 
@@ -0,0 +1,145 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:ethiopian-calendar');
+const _     = require('lodash');
+
+// Julian day number the Ethiopian era (Amete Mihret) is counted from
+const EPOCH = 1723856;
+
+// Julian day number of 1970-01-01
+const UNIX_EPOCH = 2440588;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const DATE_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;
+
+/**
+ * Check whether an Ethiopian year is a leap year.
+ *
+ * @desc The year before a Gregorian leap year, Pagume then has 6 days.
+ *
+ * @param {Number} year Ethiopian Year
+ *
+ * @return {Boolean}
+ */
+exports.isLeap = function isLeap(year) {
+  return ((year % 4) + 4) % 4 === 3;
+};
+
+/**
+ * Days in a month of an Ethiopian year.
+ *
+ * @desc Months 1 to 12 have 30 days, Pagume (13) has 5 or 6.
+ *
+ * @param {Number} year  Ethiopian Year
+ * @param {Number} month Ethiopian Month, 1 to 13
+ *
+ * @return {Number}
+ */
+exports.daysInMonth = function daysInMonth(year, month) {
+  if(month === 13) {
+    return exports.isLeap(year) ? 6 : 5;
+  }
+
+  return 30;
+};
+
+/**
+ * Convert an Ethiopian date to a Gregorian one.
+ *
+ * @param {Object} date i.e { year: 2011, month: 13, day: 6 }
+ *
+ * @return {Object} i.e { year: 2019, month: 9, day: 11 }
+ */
+exports.toGregorian = function toGregorian(date) {
+  assertValid(date);
+
+  let jdn = EPOCH + 365 * date.year + Math.floor(date.year / 4) + 30 * (date.month - 1) + date.day - 1;
+
+  let gregorian = new Date((jdn - UNIX_EPOCH) * DAY);
+
+  return {
+    year: gregorian.getUTCFullYear(),
+    month: gregorian.getUTCMonth() + 1,
+    day: gregorian.getUTCDate()
+  };
+};
+
+/**
+ * Convert a Gregorian date to an Ethiopian one.
+ *
+ * @param {Object} date i.e { year: 2019, month: 9, day: 11 }
+ *
+ * @return {Object} i.e { year: 2011, month: 13, day: 6 }
+ */
+exports.fromGregorian = function fromGregorian(date) {
+  let jdn = Math.floor(Date.UTC(date.year, date.month - 1, date.day) / DAY) + UNIX_EPOCH;
+
+  let r = (jdn - EPOCH) % 1461;
+  let n = (r % 365) + 365 * Math.floor(r / 1460);
+
+  return {
+    year: 4 * Math.floor((jdn - EPOCH) / 1461) + Math.floor(r / 365) - Math.floor(r / 1460),
+    month: Math.floor(n / 30) + 1,
+    day: (n % 30) + 1
+  };
+};
+
+/**
+ * Parse a date written as YYYY-MM-DD.
+ *
+ * @param {String} value i.e "2011-13-06"
+ *
+ * @return {Object} i.e { year: 2011, month: 13, day: 6 } or null
+ */
+exports.parse = function parse(value) {
+  let match = DATE_PATTERN.exec(String(value));
+  if(!match) {
+    return null;
+  }
+
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3])
+  };
+};
+
+/**
+ * Write a date as YYYY-MM-DD.
+ *
+ * @param {Object} date i.e { year: 2011, month: 13, day: 6 }
+ *
+ * @return {String} i.e "2011-13-06"
+ */
+exports.format = function format(date) {
+  return [
+    _.padStart(date.year, 4, '0'),
+    _.padStart(date.month, 2, '0'),
+    _.padStart(date.day, 2, '0')
+  ].join('-');
+};
+
+/**
+ * Check whether an Ethiopian date exists.
+ *
+ * @param {Object} date i.e { year: 2011, month: 13, day: 6 }
+ *
+ * @return {Boolean}
+ */
+exports.isValid = function isValid(date) {
+  return !!date &&
+    _.isInteger(date.year) && date.year > 0 &&
+    _.isInteger(date.month) && date.month >= 1 && date.month <= 13 &&
+    _.isInteger(date.day) && date.day >= 1 && date.day <= exports.daysInMonth(date.year, date.month);
+};
+
+function assertValid(date) {
+  if(!exports.isValid(date)) {
+    debug(`invalid ethiopian date ${JSON.stringify(date)}`);
+
+    throw new Error(`${date ? exports.format(date) : date} Is Not A Valid Ethiopian Date`);
+  }
+}
@@ -0,0 +1,256 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:form-diff');
+const _     = require('lodash');
+
+const FORM_FIELDS = ['title', 'subtitle', 'purpose', 'layout', 'has_sections', 'disclaimer', 'signatures'];
+const SECTION_FIELDS = ['title', 'number'];
+const QUESTION_FIELDS = [
+  'question_text', 'number', 'remark', 'type', 'required',
+  'validation_factor', 'measurement_unit', 'show', 'calendar', 'date_rules',
+  'currency', 'number_rules', 'repeat', 'variable', 'formula', 'file_rules',
+  'geo_rules', 'scale_rules', 'ranking_rules'
+];
+
+/**
+ * Structural diff of two form trees.
+ *
+ * @desc Compare two fully populated form trees, as stored in form
+ *       version snapshots, and list the added, removed and modified
+ *       sections and questions. Nodes are matched by their stable
+ *       identity rather than by position or text.
+ *
+ * @param {Object} source form tree to compare from
+ * @param {Object} target form tree to compare to
+ *
+ * @return {Object}
+ */
+module.exports = function diff(source, target) {
+  debug(`diffing form ${source._id} against ${target._id}`);
+
+  let from = flatten(source);
+  let to   = flatten(target);
+
+  let result = {
+    form: {
+      modified: compareFields(source, target, FORM_FIELDS)
+    },
+    sections:  compareNodes(from.sections, to.sections, compareSection),
+    questions: compareNodes(from.questions, to.questions, compareQuestion),
+    summary: []
+  };
+
+  result.summary = summarize(result);
+
+  return result;
+};
+
+// Stable identity of a section or question, clones
+// keep the identity of the node they were copied from
+function identity(node) {
+  return String(node.origin || node._id);
+}
+
+// Index sections and questions of a form tree by identity
+function flatten(form) {
+  let sections  = {};
+  let questions = {};
+  let keys      = {};
+
+  function walk(list, parent) {
+    (list || []).forEach((question) => {
+      if(!question || !question._id) return;
+
+      let key = identity(question);
+
+      keys[String(question._id)] = key;
+      questions[key] = { node: question, parent: parent };
+
+      walk(question.sub_questions, { key: key, label: `question ${question.number}` });
+
+      if(question.matrix) {
+        walk(question.matrix.rows, { key: `${key}:rows`, label: `rows of question ${question.number}` });
+        walk(question.matrix.columns, { key: `${key}:columns`, label: `columns of question ${question.number}` });
+      }
+    });
+  }
+
+  walk(form.questions, { key: 'form', label: 'form' });
+
+  (form.sections || []).forEach((section) => {
+    if(!section || !section._id) return;
+
+    let key = identity(section);
+
+    sections[key] = { node: section };
+
+    walk(section.questions, { key: key, label: `section ${section.title}` });
+  });
+
+  // prerequisites point to questions by id, compare them by identity
+  _.forEach(questions, (entry) => {
+    entry.prerequisites = (entry.node.prerequisites || []).map((prerequisite) => {
+      let ref = String(prerequisite.question);
+      let key = keys[ref] || ref;
+      let question = questions[key] ? `question ${questions[key].node.number}` : ref;
+
+      return {
+        key: `${key}:${prerequisite.answer}`,
+        label: `${question} answered ${prerequisite.answer}`
+      };
+    });
+  });
+
+  return { sections: sections, questions: questions };
+}
+
+function compareFields(from, to, fields) {
+  let changes = [];
+
+  for(let field of fields) {
+    if(!_.isEqual(from[field], to[field])) {
+      changes.push({ field: field, from: from[field], to: to[field] });
+    }
+  }
+
+  return changes;
+}
+
+function compareLists(field, from, to) {
+  let added   = _.differenceBy(to || [], from || [], 'key');
+  let removed = _.differenceBy(from || [], to || [], 'key');
+
+  // items kept under their key may change too, i.e options relabelled
+  let modified = _.filter(to || [], (item) => {
+    let other = _.find(from || [], { key: item.key });
+
+    return other && !_.isEqual(other.value, item.value);
+  });
+
+  if(!added.length && !removed.length && !modified.length) {
+    return null;
+  }
+
+  let change = {
+    field: field,
+    added: _.map(added, 'label'),
+    removed: _.map(removed, 'label')
+  };
+
+  if(modified.length) {
+    change.modified = _.map(modified, 'label');
+  }
+
+  return change;
+}
+
+function toItems(values) {
+  return (values || []).map((value) => {
+    // options are compared by code, older snapshots keep labels only
+    if(_.isPlainObject(value)) {
+      return { key: value.code, label: value.label, value: _.pick(value, ['label', 'order', 'score', 'active']) };
+    }
+
+    return { key: value, label: value };
+  });
+}
+
+function compareSection(from, to) {
+  return compareFields(from.node, to.node, SECTION_FIELDS);
+}
+
+function compareQuestion(from, to) {
+  let changes = compareFields(from.node, to.node, QUESTION_FIELDS);
+
+  let options = compareLists('options', toItems(from.node.options), toItems(to.node.options));
+  if(options) changes.push(options);
+
+  let prerequisites = compareLists('prerequisites', from.prerequisites, to.prerequisites);
+  if(prerequisites) changes.push(prerequisites);
+
+  if(from.parent.key !== to.parent.key) {
+    changes.push({ field: 'parent', from: from.parent.label, to: to.parent.label });
+  }
+
+  return changes;
+}
+
+function compareNodes(from, to, compare) {
+  let result = { added: [], removed: [], modified: [] };
+
+  _.forEach(to, (entry, key) => {
+    if(!from[key]) {
+      result.added.push(describe(entry.node));
+    }
+  });
+
+  _.forEach(from, (entry, key) => {
+    if(!to[key]) {
+      result.removed.push(describe(entry.node));
+      return;
+    }
+
+    let changes = compare(entry, to[key]);
+    if(changes.length) {
+      result.modified.push(_.merge(describe(to[key].node), { changes: changes }));
+    }
+  });
+
+  return result;
+}
+
+function describe(node) {
+  return _.pick(node, ['_id', 'title', 'question_text', 'number', 'type']);
+}
+
+function label(node) {
+  return node.question_text ?
+    `question ${node.number} "${node.question_text}"` :
+    `section "${node.title}"`;
+}
+
+function format(value) {
+  return _.isArray(value) ? `[${value.join(', ')}]` : JSON.stringify(value);
+}
+
+// Human readable lines describing the diff
+function summarize(result) {
+  let lines = [];
+
+  for(let change of result.form.modified) {
+    lines.push(`Changed form ${change.field} from ${format(change.from)} to ${format(change.to)}`);
+  }
+
+  for(let kind of ['sections', 'questions']) {
+    for(let node of result[kind].added) {
+      lines.push(`Added ${label(node)}`);
+    }
+
+    for(let node of result[kind].removed) {
+      lines.push(`Removed ${label(node)}`);
+    }
+
+    for(let node of result[kind].modified) {
+      for(let change of node.changes) {
+        if(change.added) {
+          if(change.added.length) {
+            lines.push(`Added ${change.field} ${format(change.added)} to ${label(node)}`);
+          }
+          if(change.removed.length) {
+            lines.push(`Removed ${change.field} ${format(change.removed)} from ${label(node)}`);
+          }
+          if(change.modified) {
+            lines.push(`Changed ${change.field} ${format(change.modified)} of ${label(node)}`);
+          }
+
+        } else {
+          lines.push(`Changed ${change.field} of ${label(node)} from ${format(change.from)} to ${format(change.to)}`);
+        }
+      }
+    }
+  }
+
+  return lines;
+}
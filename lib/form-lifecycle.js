@@ -0,0 +1,84 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:form-lifecycle');
+
+const FORM  = require('./enums').FORM;
+
+// Allowed status transitions, keyed by the current status.
+// A published form goes back to DRAFT when a new draft is opened.
+const TRANSITIONS = {
+  DRAFT:      ['PUBLISHED'],
+  PUBLISHED:  ['DRAFT', 'ARCHIVED'],
+  ARCHIVED:   []
+};
+
+/**
+ * Check a status transition.
+ *
+ * @param {String} from current form status
+ * @param {String} to target form status
+ *
+ * @return {Boolean}
+ */
+exports.canTransition = function canTransition(from, to) {
+  debug(`checking transition ${from} -> ${to}`);
+
+  let allowed = TRANSITIONS[from || 'DRAFT'] || [];
+
+  return allowed.indexOf(to) !== -1;
+};
+
+/**
+ * Assert a form accepts structural edits.
+ *
+ * @desc Only draft forms out of the trash can be edited,
+ *       throws otherwise.
+ *
+ * @param {Object} form form document
+ */
+exports.assertEditable = function assertEditable(form) {
+  if(!form) return;
+
+  if(form.archived) {
+    throw new Error('Form is Deleted, Restore It First');
+  }
+
+  if(form.status === 'PUBLISHED') {
+    throw new Error('Form is Published, Open a New Draft to Edit It');
+  }
+
+  if(form.status === 'ARCHIVED') {
+    throw new Error('Form is Archived and Cannot Be Edited');
+  }
+};
+
+/**
+ * Check whether changes to a form need sign-off.
+ *
+ * @desc Once field staff have seen a SCREENING or LOAN_APPLICATION
+ *       form, changes to it go through approved change requests.
+ *
+ * @param {Object} form form document
+ *
+ * @return {Boolean}
+ */
+exports.needsApproval = function needsApproval(form) {
+  if(!form) return false;
+
+  return FORM.APPROVAL_TYPES.indexOf(form.type) !== -1 && form.latest_version > 0;
+};
+
+/**
+ * Check whether edits to a form become change requests.
+ *
+ * @param {Object} form form document
+ *
+ * @return {Boolean}
+ */
+exports.takesChangeRequests = function takesChangeRequests(form) {
+  if(!form || form.archived) return false;
+
+  return form.status === 'PUBLISHED' && exports.needsApproval(form);
+};
@@ -0,0 +1,68 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:form-overlays');
+const _     = require('lodash');
+
+/**
+ * Merge a branch overlay into its base form.
+ *
+ * @desc Drop the questions the branch hides, wherever they sit in
+ *       the form, then append the questions it adds to the form or
+ *       to their section. Questions are kept sorted by number.
+ *
+ * @param {Object} form     Base form as plain JSON, fully populated
+ * @param {Object} overlay  Overlay of a branch, added questions populated
+ *
+ * @return {Object} the merged form
+ */
+exports.merge = function merge(form, overlay) {
+  debug(`merging overlay of branch ${overlay.branch._id || overlay.branch} into ${form._id}`);
+
+  let hidden = (overlay.hidden || []).map(String);
+
+  function visible(questions) {
+    return _.filter(questions, (question) => {
+      if(!question || hidden.indexOf(String(question._id)) !== -1) {
+        return false;
+      }
+
+      question.sub_questions = visible(question.sub_questions);
+
+      return true;
+    });
+  }
+
+  function byNumber(questions) {
+    return _.sortBy(questions, (question) => Number(question.number));
+  }
+
+  form.questions = visible(form.questions);
+  for(let section of form.sections || []) {
+    section.questions = visible(section.questions);
+  }
+
+  for(let item of overlay.added || []) {
+    // added question was deleted or is hidden too
+    let added = visible([item.question]);
+    if(!added.length) continue;
+
+    let section = item.section && _.find(form.sections, (section) => {
+      return String(section._id) === String(item.section);
+    });
+
+    if(section) {
+      section.questions = byNumber(section.questions.concat(added));
+    } else {
+      form.questions = byNumber(form.questions.concat(added));
+    }
+  }
+
+  form.overlay = {
+    _id: overlay._id,
+    branch: overlay.branch
+  };
+
+  return form;
+};
@@ -0,0 +1,112 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:form-periods');
+const moment  = require('moment');
+
+// A form is effective from effective_from(inclusive) until
+// effective_to(exclusive). A missing bound leaves that side open.
+
+/**
+ * Read the effective period of a form or request body.
+ *
+ * @param {Object} data Form or request body
+ *
+ * @return {Object} period i.e { from: Date, to: Date }
+ */
+exports.of = function of(data) {
+  return {
+    from: data.effective_from ? moment(data.effective_from).toDate() : null,
+    to:   data.effective_to ? moment(data.effective_to).toDate() : null
+  };
+};
+
+/**
+ * Check that a period ends after it starts.
+ *
+ * @param {Object} period Effective period
+ *
+ * @return {Boolean}
+ */
+exports.isValid = function isValid(period) {
+  return !period.from || !period.to || period.from < period.to;
+};
+
+/**
+ * Query forms of a type whose period overlaps the given period.
+ *
+ * @param {String} type     Form Type
+ * @param {Object} period   Effective period
+ * @param {String} [exclude] Form to leave out, i.e the form being checked
+ *
+ * @return {Object}
+ */
+exports.overlapping = function overlapping(type, period, exclude) {
+  debug(`looking for ${type} forms overlapping ${period.from} - ${period.to}`);
+
+  let query = {
+    type: type,
+    archived: { $ne: true },
+    $and: []
+  };
+
+  if(exclude) {
+    query._id = { $ne: exclude };
+  }
+
+  if(period.from) {
+    query.$and.push({ $or: [{ effective_to: null }, { effective_to: { $gt: period.from } }] });
+  }
+
+  if(period.to) {
+    query.$and.push({ $or: [{ effective_from: null }, { effective_from: { $lt: period.to } }] });
+  }
+
+  if(!query.$and.length) {
+    delete query.$and;
+  }
+
+  return query;
+};
+
+/**
+ * Query forms competing with a form over the given period.
+ *
+ * @desc An MFI has one active form per type and loan product at
+ *       any point in time. Forms without a loan product compete
+ *       with each other.
+ *
+ * @param {Object} form     Form or request body i.e type, MFI, loan_product
+ * @param {Object} period   Effective period
+ * @param {String} [exclude] Form to leave out, i.e the form being checked
+ *
+ * @return {Object}
+ */
+exports.competing = function competing(form, period, exclude) {
+  let query = exports.overlapping(form.type, period, exclude);
+
+  query.MFI = form.MFI || null;
+  query.loan_product = form.loan_product || null;
+
+  return query;
+};
+
+/**
+ * Query forms of a type effective at the given date.
+ *
+ * @param {String} type Form Type
+ * @param {Date}   date Date the form should be valid at
+ *
+ * @return {Object}
+ */
+exports.effectiveAt = function effectiveAt(type, date) {
+  return {
+    type: type,
+    archived: { $ne: true },
+    $and: [
+      { $or: [{ effective_from: null }, { effective_from: { $lte: date } }] },
+      { $or: [{ effective_to: null }, { effective_to: { $gt: date } }] }
+    ]
+  };
+};
@@ -0,0 +1,555 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:formulas');
+const _     = require('lodash');
+
+// Longest formula accepted, keeps parsing cheap
+const MAX_LENGTH = 1000;
+
+// Deepest nesting accepted, keeps evaluation off the stack limit
+const MAX_DEPTH = 50;
+
+const VARIABLE_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+// Operators, longest first so `<=` is not read as `<`
+const OPERATORS = ['<=', '>=', '==', '!=', '&&', '||', '+', '-', '*', '/', '%', '<', '>', '!', '?', ':', '(', ')', ','];
+
+// Functions formulas may call, with the number of arguments they take
+const FUNCTIONS = {
+  if: { min: 3, max: 3 },
+  min: { min: 1, max: Infinity },
+  max: { min: 1, max: Infinity },
+  round: { min: 1, max: 2 },
+  abs: { min: 1, max: 1 }
+};
+
+/**
+ * Check whether a name can be used as a question variable.
+ *
+ * @param {String} name i.e "monthly_income"
+ *
+ * @return {Boolean}
+ */
+exports.isVariable = function isVariable(name) {
+  return VARIABLE_PATTERN.test(String(name)) && !_.has(FUNCTIONS, name);
+};
+
+/**
+ * Parse a formula.
+ *
+ * @desc Formulas are arithmetic (`+ - * / %`), comparisons
+ *       (`< <= > >= == !=`), logic (`&& || !`), conditionals
+ *       (`cond ? a : b` or `if(cond, a, b)`) and the functions
+ *       min, max, round and abs over numbers, quoted text and
+ *       question variables. Nothing else is evaluated, formulas
+ *       never reach the JavaScript runtime.
+ *
+ * @param {String} source i.e "crop_income + livestock_income - expenses"
+ *
+ * @return {Object} the syntax tree
+ */
+exports.parse = function parse(source) {
+  source = String(source || '').trim();
+
+  if(!source) {
+    throw new Error('Formula is Empty');
+  }
+
+  if(source.length > MAX_LENGTH) {
+    throw new Error(`Formula Should Not Be Longer Than ${MAX_LENGTH} Characters`);
+  }
+
+  let tokens   = tokenize(source);
+  let position = 0;
+  let depth    = 0;
+
+  function peek() {
+    return tokens[position];
+  }
+
+  function accept(value) {
+    let token = peek();
+    if(token && token.type === 'operator' && token.value === value) {
+      position++;
+      return true;
+    }
+
+    return false;
+  }
+
+  function expect(value) {
+    if(!accept(value)) {
+      let token = peek();
+      throw new Error(`Formula Expected ${value} ${token ? `But Found ${token.value}` : 'At The End'}`);
+    }
+  }
+
+  function nested(parser) {
+    if(++depth > MAX_DEPTH) {
+      throw new Error(`Formula Should Not Nest Deeper Than ${MAX_DEPTH} Levels`);
+    }
+
+    let node = parser();
+
+    depth--;
+
+    return node;
+  }
+
+  function expression() {
+    return nested(conditional);
+  }
+
+  function conditional() {
+    let node = or();
+
+    if(accept('?')) {
+      let then = expression();
+      expect(':');
+      node = { type: 'call', name: 'if', args: [node, then, expression()] };
+    }
+
+    return node;
+  }
+
+  function binary(next, operators) {
+    return function () {
+      let node = next();
+
+      for(;;) {
+        let token = peek();
+        if(!token || token.type !== 'operator' || operators.indexOf(token.value) === -1) {
+          return node;
+        }
+
+        position++;
+        node = { type: 'binary', operator: token.value, left: node, right: next() };
+      }
+    };
+  }
+
+  function unary() {
+    let token = peek();
+    if(token && token.type === 'operator' && (token.value === '-' || token.value === '!')) {
+      position++;
+      return { type: 'unary', operator: token.value, argument: nested(unary) };
+    }
+
+    return primary();
+  }
+
+  let multiplicative = binary(unary, ['*', '/', '%']);
+  let additive       = binary(multiplicative, ['+', '-']);
+  let comparison     = binary(additive, ['<', '<=', '>', '>=', '==', '!=']);
+  let and            = binary(comparison, ['&&']);
+  let or             = binary(and, ['||']);
+
+  function primary() {
+    let token = peek();
+    if(!token) {
+      throw new Error('Formula Ends Too Early');
+    }
+
+    position++;
+
+    if(token.type === 'number' || token.type === 'text') {
+      return { type: 'literal', value: token.value };
+    }
+
+    if(token.type === 'name') {
+      if(!accept('(')) {
+        return { type: 'variable', name: token.value };
+      }
+
+      let fn = _.has(FUNCTIONS, token.value) ? FUNCTIONS[token.value] : null;
+      if(!fn) {
+        throw new Error(`Formula Function ${token.value} Does Not Exist, Use ${Object.keys(FUNCTIONS).join(',')}`);
+      }
+
+      let args = [];
+      if(!accept(')')) {
+        do {
+          args.push(expression());
+        } while(accept(','));
+
+        expect(')');
+      }
+
+      if(args.length < fn.min || args.length > fn.max) {
+        throw new Error(`Formula Function ${token.value} Takes ${fn.min === fn.max ? fn.min : `${fn.min} or more`} Arguments`);
+      }
+
+      return { type: 'call', name: token.value, args: args };
+    }
+
+    if(token.value === '(') {
+      let node = expression();
+      expect(')');
+      return node;
+    }
+
+    throw new Error(`Formula Has Unexpected ${token.value}`);
+  }
+
+  let tree = expression();
+
+  if(position < tokens.length) {
+    throw new Error(`Formula Has Unexpected ${tokens[position].value}`);
+  }
+
+  return tree;
+};
+
+/**
+ * List the variables a formula refers to.
+ *
+ * @param {Object} tree Syntax tree of the formula
+ *
+ * @return {Array} variable names
+ */
+exports.variables = function variables(tree) {
+  let names = [];
+
+  (function walk(node) {
+    switch(node.type) {
+      case 'variable':
+        names.push(node.name);
+        break;
+      case 'unary':
+        walk(node.argument);
+        break;
+      case 'binary':
+        walk(node.left);
+        walk(node.right);
+        break;
+      case 'call':
+        node.args.forEach(walk);
+        break;
+    }
+  })(tree);
+
+  return _.uniq(names);
+};
+
+/**
+ * Evaluate a formula.
+ *
+ * @desc Unanswered variables and divisions by zero leave the result
+ *       unanswered (null) rather than failing.
+ *
+ * @param {Object} tree  Syntax tree of the formula
+ * @param {Object} scope Variable name -> answer
+ *
+ * @return {Number|String|Boolean} the result or null
+ */
+exports.evaluate = function evaluate(tree, scope) {
+  scope = scope || {};
+
+  function value(node) {
+    switch(node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'variable':
+        return _.has(scope, node.name) ? scope[node.name] : null;
+
+      case 'unary': {
+        let argument = value(node.argument);
+        if(argument === null) return null;
+
+        return node.operator === '-' ? -toNumber(argument) : !toBoolean(argument);
+      }
+
+      case 'binary':
+        return binary(node);
+
+      case 'call':
+        return call(node);
+    }
+  }
+
+  function binary(node) {
+    // logic short circuits like it reads
+    if(node.operator === '&&' || node.operator === '||') {
+      let left = value(node.left);
+      if(left === null) return null;
+
+      if(node.operator === '&&' ? !toBoolean(left) : toBoolean(left)) {
+        return toBoolean(left);
+      }
+
+      let right = value(node.right);
+
+      return right === null ? null : toBoolean(right);
+    }
+
+    let left  = value(node.left);
+    let right = value(node.right);
+    if(left === null || right === null) return null;
+
+    switch(node.operator) {
+      case '==': return String(left) === String(right);
+      case '!=': return String(left) !== String(right);
+    }
+
+    left  = toNumber(left);
+    right = toNumber(right);
+
+    switch(node.operator) {
+      case '+': return left + right;
+      case '-': return left - right;
+      case '*': return left * right;
+      case '/': return right === 0 ? null : left / right;
+      case '%': return right === 0 ? null : left % right;
+      case '<': return left < right;
+      case '<=': return left <= right;
+      case '>': return left > right;
+      case '>=': return left >= right;
+    }
+  }
+
+  function call(node) {
+    if(node.name === 'if') {
+      let condition = value(node.args[0]);
+      if(condition === null) return null;
+
+      return value(toBoolean(condition) ? node.args[1] : node.args[2]);
+    }
+
+    let args = node.args.map(value);
+    if(_.some(args, _.isNull)) return null;
+
+    args = args.map(toNumber);
+
+    switch(node.name) {
+      case 'min': return Math.min.apply(Math, args);
+      case 'max': return Math.max.apply(Math, args);
+      case 'abs': return Math.abs(args[0]);
+      case 'round': {
+        let factor = Math.pow(10, args.length > 1 ? args[1] : 0);
+        return Math.round(args[0] * factor) / factor;
+      }
+    }
+  }
+
+  return value(tree);
+};
+
+/**
+ * Check formulas do not refer to each other in a circle.
+ *
+ * @param {Object} graph Variable name -> names its formula refers to
+ */
+exports.assertAcyclic = function assertAcyclic(graph) {
+  // keyed by variable names, which may well be constructor or toString
+  let state = Object.create(null);
+
+  function visit(name, path) {
+    if(state[name] === 'done') return;
+
+    if(state[name] === 'visiting') {
+      let cycle = path.slice(path.indexOf(name)).concat(name);
+      throw new Error(`Formula Refers To Itself Through ${cycle.join(' -> ')}`);
+    }
+
+    state[name] = 'visiting';
+
+    for(let next of _.has(graph, name) ? graph[name] : []) {
+      visit(next, path.concat(name));
+    }
+
+    state[name] = 'done';
+  }
+
+  Object.keys(graph).forEach((name) => visit(name, []));
+};
+
+/**
+ * List every question of a form tree.
+ *
+ * @param {Object} form Form as plain JSON, questions populated
+ *
+ * @return {Array} questions of the form, sections and groups
+ */
+exports.collect = function collect(form) {
+  let questions = [];
+
+  (function walk(list) {
+    for(let question of list || []) {
+      if(!_.isPlainObject(question)) continue;
+
+      questions.push(question);
+
+      walk(question.sub_questions);
+    }
+  })(form.questions);
+
+  for(let section of form.sections || []) {
+    if(!_.isPlainObject(section)) continue;
+
+    questions.push.apply(questions, exports.collect(section));
+  }
+
+  return questions;
+};
+
+/**
+ * Work out the calculated questions of a form.
+ *
+ * @desc Calculated questions are evaluated once the questions they
+ *       refer to are, using the first answer of every question
+ *       with a variable, or the score of the option it chose when
+ *       the option has one.
+ *
+ * @param {Array} questions Questions of the form, see collect()
+ *
+ * @return {Array} i.e [{ question: <QUESTION>, value: "1200" }]
+ */
+exports.calculate = function calculate(questions) {
+  let scope      = Object.create(null);
+  let calculated = Object.create(null);
+  let graph      = Object.create(null);
+
+  for(let question of questions) {
+    if(!question.variable) continue;
+
+    if(question.type === 'CALCULATED') {
+      calculated[question.variable] = {
+        question: question,
+        tree: exports.parse(question.formula)
+      };
+      graph[question.variable] = exports.variables(calculated[question.variable].tree);
+
+    } else {
+      scope[question.variable] = toAnswer(answerOf(question));
+    }
+  }
+
+  exports.assertAcyclic(graph);
+
+  let results = [];
+  let done    = Object.create(null);
+
+  function work(name) {
+    if(done[name] || !calculated[name]) return;
+
+    done[name] = true;
+
+    graph[name].forEach(work);
+
+    // a formula that can not be worked out with the answers
+    // given so far stays unanswered
+    let result;
+    try {
+      result = exports.evaluate(calculated[name].tree, scope);
+    } catch(ex) {
+      debug(`could not calculate ${name}: ${ex.message}`);
+      result = null;
+    }
+
+    scope[name] = result;
+
+    results.push({
+      question: calculated[name].question,
+      value: format(result)
+    });
+  }
+
+  Object.keys(calculated).forEach(work);
+
+  debug(`calculated ${results.length} questions`);
+
+  return results;
+};
+
+// Split a formula into numbers, quoted text, names and operators
+function tokenize(source) {
+  let tokens = [];
+  let index  = 0;
+
+  while(index < source.length) {
+    let rest = source.slice(index);
+    let match;
+
+    if((match = /^\s+/.exec(rest))) {
+      index += match[0].length;
+      continue;
+    }
+
+    if((match = /^\d+(\.\d+)?/.exec(rest))) {
+      tokens.push({ type: 'number', value: Number(match[0]) });
+
+    } else if((match = /^"([^"]*)"|^'([^']*)'/.exec(rest))) {
+      tokens.push({ type: 'text', value: match[1] !== undefined ? match[1] : match[2] });
+
+    } else if((match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(rest))) {
+      tokens.push({ type: 'name', value: match[0] });
+
+    } else {
+      let operator = _.find(OPERATORS, (operator) => rest.indexOf(operator) === 0);
+      if(!operator) {
+        throw new Error(`Formula Has Unexpected ${rest[0]}`);
+      }
+
+      match = [operator];
+      tokens.push({ type: 'operator', value: operator });
+    }
+
+    index += match[0].length;
+  }
+
+  return tokens;
+}
+
+// First answer of a question, the score of its option when scored
+function answerOf(question) {
+  let value  = question.values && question.values[0];
+  let option = _.find(question.options, (option) => option && option.code === value);
+
+  return option && option.score !== undefined && option.score !== null ? option.score : value;
+}
+
+// Answers are numbers when they read as one
+function toAnswer(value) {
+  if(value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  return /^-?\d+(\.\d+)?$/.test(String(value).trim()) ? Number(value) : String(value);
+}
+
+function toNumber(value) {
+  if(_.isBoolean(value)) {
+    return value ? 1 : 0;
+  }
+
+  let number = Number(value);
+  if(!_.isFinite(number)) {
+    throw new Error(`Formula Can Not Work Out ${value} As A Number`);
+  }
+
+  return number;
+}
+
+function toBoolean(value) {
+  if(_.isString(value)) {
+    return ['yes', 'true'].indexOf(value.toLowerCase()) !== -1;
+  }
+
+  return !!value;
+}
+
+// Results are stored as answers, rounding off floating point noise
+function format(result) {
+  if(result === null || result === undefined) {
+    return '';
+  }
+
+  if(_.isNumber(result)) {
+    return _.isFinite(result) ? String(_.round(result, 10)) : '';
+  }
+
+  return String(result);
+}
@@ -0,0 +1,197 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug = require('debug')('api:geofence');
+const _     = require('lodash');
+
+// Mean radius of the earth in meters, as MongoDB uses for spheres
+const EARTH_RADIUS = 6378100;
+
+// A geofence is either a circle, a `center` point and a `radius` in
+// meters, or an `area` polygon. Points and polygons are GeoJSON,
+// coordinates given as [longitude, latitude].
+
+/**
+ * Build a GeoJSON point.
+ *
+ * @param {Number} latitude  Latitude in degrees
+ * @param {Number} longitude Longitude in degrees
+ *
+ * @return {Object} i.e { type: 'Point', coordinates: [38.7468, 9.0301] }
+ */
+exports.point = function point(latitude, longitude) {
+  latitude  = Number(latitude);
+  longitude = Number(longitude);
+
+  if(!_.isFinite(latitude) || latitude < -90 || latitude > 90) {
+    throw new Error('Latitude Should Be A Number Between -90 and 90');
+  }
+
+  if(!_.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    throw new Error('Longitude Should Be A Number Between -180 and 180');
+  }
+
+  return {
+    type: 'Point',
+    coordinates: [longitude, latitude]
+  };
+};
+
+/**
+ * Distance between two GeoJSON points.
+ *
+ * @param {Object} from GeoJSON point
+ * @param {Object} to   GeoJSON point
+ *
+ * @return {Number} distance in meters
+ */
+exports.distance = function distance(from, to) {
+  let lat1 = toRadians(from.coordinates[1]);
+  let lat2 = toRadians(to.coordinates[1]);
+  let dLat = lat2 - lat1;
+  let dLng = toRadians(to.coordinates[0] - from.coordinates[0]);
+
+  let a = Math.pow(Math.sin(dLat / 2), 2) +
+    Math.cos(lat1) * Math.cos(lat2) * Math.pow(Math.sin(dLng / 2), 2);
+
+  return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Check whether a GeoJSON point lies in a GeoJSON polygon.
+ *
+ * @desc Points inside holes of the polygon are outside of it.
+ *
+ * @param {Object} polygon GeoJSON polygon
+ * @param {Object} point   GeoJSON point
+ *
+ * @return {Boolean}
+ */
+exports.contains = function contains(polygon, point) {
+  let rings = polygon.coordinates || [];
+  if(!rings.length || !inRing(rings[0], point.coordinates)) {
+    return false;
+  }
+
+  return !_.some(rings.slice(1), (hole) => inRing(hole, point.coordinates));
+};
+
+/**
+ * Validate a geofence.
+ *
+ * @param {Object} geofence i.e { center: { latitude: 9.03, longitude: 38.74 }, radius: 5000 }
+ *                          or { area: { type: 'Polygon', coordinates: [[[38.7, 9.0], ...]] } }
+ *
+ * @return {Object} the geofence, center as a GeoJSON point
+ */
+exports.validate = function validate(geofence) {
+  geofence = geofence || {};
+
+  // every part is set, so an update drops the ones left out
+  let result = {
+    center: null,
+    radius: null,
+    area: null
+  };
+
+  if(geofence.area) {
+    let rings = geofence.area.coordinates;
+
+    if(geofence.area.type !== 'Polygon' || !_.isArray(rings) || !rings.length) {
+      throw new Error('Geofence area Should Be A GeoJSON Polygon');
+    }
+
+    for(let ring of rings) {
+      if(!_.isArray(ring) || ring.length < 4 || !_.isEqual(_.head(ring), _.last(ring))) {
+        throw new Error('Geofence area Rings Should Be Closed With At Least 4 Positions');
+      }
+
+      for(let position of ring) {
+        exports.point(position && position[1], position && position[0]);
+      }
+    }
+
+    result.area = { type: 'Polygon', coordinates: rings };
+
+  } else if(geofence.center) {
+    let center = geofence.center;
+
+    result.center = center.type === 'Point' && _.isArray(center.coordinates) ?
+      exports.point(center.coordinates[1], center.coordinates[0]) :
+      exports.point(center.latitude, center.longitude);
+    result.radius = Number(geofence.radius);
+
+    if(!_.isFinite(result.radius) || result.radius <= 0) {
+      throw new Error('Geofence radius Should Be A Distance In Meters Above 0');
+    }
+
+  } else {
+    throw new Error('Geofence Needs A center and radius Or An area');
+  }
+
+  return result;
+};
+
+/**
+ * Check whether a GeoJSON point lies within a geofence.
+ *
+ * @param {Object} geofence Geofence, with a center and radius or an area
+ * @param {Object} point    GeoJSON point
+ *
+ * @return {Boolean} true when inside or when there is no geofence
+ */
+exports.isInside = function isInside(geofence, point) {
+  if(!geofence) {
+    return true;
+  }
+
+  if(geofence.area && geofence.area.coordinates && geofence.area.coordinates.length) {
+    return exports.contains(geofence.area, point);
+  }
+
+  if(geofence.center && geofence.center.coordinates && geofence.center.coordinates.length && geofence.radius) {
+    return exports.distance(geofence.center, point) <= geofence.radius;
+  }
+
+  debug('geofence has neither an area nor a center, ignoring it');
+
+  return true;
+};
+
+/**
+ * Query condition matching points within a geofence.
+ *
+ * @param {Object} geofence Geofence, with a center and radius or an area
+ *
+ * @return {Object} i.e { $geoWithin: { $centerSphere: [[38.7468, 9.0301], 0.00078] } }
+ */
+exports.within = function within(geofence) {
+  if(geofence.area && geofence.area.coordinates && geofence.area.coordinates.length) {
+    return { $geoWithin: { $geometry: { type: 'Polygon', coordinates: geofence.area.coordinates } } };
+  }
+
+  return { $geoWithin: { $centerSphere: [geofence.center.coordinates, geofence.radius / EARTH_RADIUS] } };
+};
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Ray casting, positions as [longitude, latitude]
+function inRing(ring, position) {
+  let x = position[0];
+  let y = position[1];
+  let inside = false;
+
+  for(let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    let xi = ring[i][0], yi = ring[i][1];
+    let xj = ring[j][0], yj = ring[j][1];
+
+    if(((yi > y) !== (yj > y)) && (x < (xj - xi) * (y - yi) / (yj - yi) + xi)) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
@@ -0,0 +1,54 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:loan-products');
+const co      = require('co');
+
+const LOAN_PRODUCT  = require('./enums').LOAN_PRODUCT;
+
+const LoanProduct   = require('../models/loanProduct');
+
+/**
+ * Check a loan product takes forms of a type.
+ *
+ * @param {String} type Form Type
+ *
+ * @return {Boolean}
+ */
+exports.takes = function takes(type) {
+  return LOAN_PRODUCT.FORM_TYPES.indexOf(type) !== -1;
+};
+
+/**
+ * Assert a form can be linked to a loan product.
+ *
+ * @desc The product should be active, of the form's MFI and take
+ *       forms of its type, throws otherwise.
+ *
+ * @param {String} id   Loan Product
+ * @param {Object} form Form or request body i.e type, MFI
+ *
+ * @return {Promise} resolves to the loan product
+ */
+exports.assertBindable = function assertBindable(id, form) {
+  debug(`checking ${form.type} form can be linked to loan product ${id}`);
+
+  return co(function* () {
+    let product = yield LoanProduct.findOne({ _id: id }).exec();
+    if(!product || (form.MFI && String(product.MFI) !== String(form.MFI))) {
+      throw new Error('Loan Product Does Not Exist!');
+    }
+
+    if(product.status !== 'ACTIVE') {
+      throw new Error(`Loan Product ${product.name} is Not Active`);
+    }
+
+    if(!exports.takes(form.type)) {
+      throw new Error(`Loan Products Take ${LOAN_PRODUCT.FORM_TYPES.join(',')} Forms`);
+    }
+
+    return product;
+
+  });
+};
@@ -0,0 +1,1394 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:question-rules');
+const moment  = require('moment');
+const _       = require('lodash');
+
+const config    = require('../config');
+const QUESTION  = require('./enums').QUESTION;
+const ethiopian = require('./ethiopian-calendar');
+const formulas  = require('./formulas');
+const geofence  = require('./geofence');
+
+// Formats answers of dated questions are given in
+const FORMATS = {
+  DATE: 'YYYY-MM-DD',
+  DATETIME: moment.ISO_8601
+};
+
+// Precision bounds of dated questions are compared at
+const PRECISION = {
+  DATE: 'day',
+  DATETIME: undefined
+};
+
+// Day part of a date, followed by the time if any
+const DAY_PATTERN = /^(\d{4}-\d{1,2}-\d{1,2})(T.*)?$/;
+
+// Question types answered with a number
+const NUMERIC = ['NUMBER', 'CURRENCY'];
+
+const NUMBER_PATTERN   = /^-?\d+(\.\d+)?$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+// Currency amounts are in unless the question says otherwise
+const DEFAULT_CURRENCY = 'ETB';
+
+// MIME types uploads are allowed as unless the question says otherwise
+const MIME_TYPES = {
+  FILE: ['image/jpeg', 'image/png', 'application/pdf'],
+  PHOTO: ['image/jpeg', 'image/png']
+};
+
+const MIME_PATTERN = /^[a-z]+\/[a-z0-9.+*-]+$/;
+
+// Meters locations must be accurate to unless the question says otherwise
+const DEFAULT_ACCURACY = 50;
+
+// Question types answered with a point of a scale
+const SCALED = ['RATING', 'LIKERT'];
+
+// Points of a scale unless the question says otherwise
+const DEFAULT_SCALE = 5;
+const MIN_SCALE     = 2;
+const MAX_SCALE     = 11;
+
+// Question types answered with their options, the ones taking a
+// single option first
+const CHOICES = ['SINGLE_CHOICE', 'YES_NO', 'MULTIPLE_CHOICE'];
+const SINGLE  = ['SINGLE_CHOICE', 'YES_NO'];
+
+const CODE_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+/**
+ * Check whether a question type takes a date.
+ *
+ * @param {String} type Question Type
+ *
+ * @return {Boolean}
+ */
+exports.isDated = function isDated(type) {
+  return !!FORMATS[type];
+};
+
+/**
+ * Check whether a question type takes a number.
+ *
+ * @param {String} type Question Type
+ *
+ * @return {Boolean}
+ */
+exports.isNumeric = function isNumeric(type) {
+  return NUMERIC.indexOf(type) !== -1;
+};
+
+/**
+ * Check whether a question type is answered with a point of a scale.
+ *
+ * @param {String} type Question Type
+ *
+ * @return {Boolean}
+ */
+exports.isScaled = function isScaled(type) {
+  return SCALED.indexOf(type) !== -1;
+};
+
+/**
+ * Check whether a question type is answered with uploaded files.
+ *
+ * @param {String} type Question Type
+ *
+ * @return {Boolean}
+ */
+exports.isUpload = function isUpload(type) {
+  return !!MIME_TYPES[type];
+};
+
+/**
+ * Check whether a question type is answered with its options.
+ *
+ * @param {String} type Question Type
+ *
+ * @return {Boolean}
+ */
+exports.isChoice = function isChoice(type) {
+  return CHOICES.indexOf(type) !== -1;
+};
+
+/**
+ * Convert a date written in a calendar to a Gregorian one.
+ *
+ * @desc Only the day is converted, the time of a date and time
+ *       is kept as given.
+ *
+ * @param {String} value    i.e "2011-13-06" or "2011-13-06T09:30:00Z"
+ * @param {String} calendar Calendar the date is written in
+ *
+ * @return {String} i.e "2019-09-11" or "2019-09-11T09:30:00Z"
+ */
+exports.toGregorian = function toGregorian(value, calendar) {
+  if(calendar !== 'ETHIOPIAN' || !_.isString(value)) {
+    return value;
+  }
+
+  let match = DAY_PATTERN.exec(value);
+  let day   = match && ethiopian.parse(match[1]);
+  if(!ethiopian.isValid(day)) {
+    throw new Error(`${value} Is Not A Valid Ethiopian Date ie 2011-13-06`);
+  }
+
+  return ethiopian.format(ethiopian.toGregorian(day)) + (match[2] || '');
+};
+
+/**
+ * Write a Gregorian date in a calendar.
+ *
+ * @param {String|Date} value    Gregorian date
+ * @param {String}      calendar Calendar to write the date in
+ *
+ * @return {String}
+ */
+exports.fromGregorian = function fromGregorian(value, calendar) {
+  if(_.isDate(value)) {
+    value = moment(value).format(FORMATS.DATE);
+  }
+
+  let match = DAY_PATTERN.exec(value);
+  if(calendar !== 'ETHIOPIAN' || !match) {
+    return value;
+  }
+
+  return ethiopian.format(ethiopian.fromGregorian(ethiopian.parse(match[1]))) + (match[2] || '');
+};
+
+/**
+ * Validate the date rules of a dated question.
+ *
+ * @desc Rules hold fixed `min` and `max` bounds, a `relative` bound
+ *       checked against the day the answer is given and `min_age`
+ *       and `max_age` in years for dates of birth. Bounds are
+ *       written in the question's calendar and kept as Gregorian
+ *       dates, so answers in either calendar meet the same bounds.
+ *
+ * @param {Object} rules    Date rules as sent by the client
+ * @param {String} calendar Calendar the bounds are written in
+ *
+ * @return {Object} the rules, bounds parsed to dates
+ */
+exports.dateRules = function dateRules(rules, calendar) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    min: null,
+    max: null,
+    relative: QUESTION.DATE_BOUNDS[0],
+    min_age: null,
+    max_age: null
+  };
+
+  for(let bound of ['min', 'max']) {
+    if(rules[bound] === undefined || rules[bound] === null || rules[bound] === '') continue;
+
+    let date = moment(exports.toGregorian(rules[bound], calendar), moment.ISO_8601, true);
+    if(!date.isValid()) {
+      throw new Error(`Date Rule ${bound} Is Not A Valid Date`);
+    }
+
+    result[bound] = date.toDate();
+  }
+
+  if(result.min && result.max && result.min > result.max) {
+    throw new Error('Date Rule min Should Not Be After max');
+  }
+
+  if(rules.relative) {
+    if(QUESTION.DATE_BOUNDS.indexOf(rules.relative) === -1) {
+      throw new Error(`Date Rule relative should be ${QUESTION.DATE_BOUNDS.join(',')}`);
+    }
+
+    result.relative = rules.relative;
+  }
+
+  for(let bound of ['min_age', 'max_age']) {
+    if(rules[bound] === undefined || rules[bound] === null || rules[bound] === '') continue;
+
+    let age = Number(rules[bound]);
+    if(!_.isInteger(age) || age < 0) {
+      throw new Error(`Date Rule ${bound} Should Be A Whole Number Of Years`);
+    }
+
+    result[bound] = age;
+  }
+
+  if(result.min_age !== null && result.max_age !== null && result.min_age > result.max_age) {
+    throw new Error('Date Rule min_age Should Not Be Above max_age');
+  }
+
+  return result;
+};
+
+/**
+ * Validate the number rules of a numeric question.
+ *
+ * @desc Rules hold `min` and `max` bounds, the `step` answers go up
+ *       by from `min` (or zero) and the `precision`, the number of
+ *       decimals answers may have.
+ *
+ * @param {Object} rules Number rules as sent by the client
+ *
+ * @return {Object} the rules, parsed to numbers
+ */
+exports.numberRules = function numberRules(rules) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    min: null,
+    max: null,
+    step: null,
+    precision: null
+  };
+
+  for(let rule of Object.keys(result)) {
+    if(rules[rule] === undefined || rules[rule] === null || rules[rule] === '') continue;
+
+    let number = Number(rules[rule]);
+    if(!_.isFinite(number)) {
+      throw new Error(`Number Rule ${rule} Is Not A Number`);
+    }
+
+    result[rule] = number;
+  }
+
+  if(result.min !== null && result.max !== null && result.min > result.max) {
+    throw new Error('Number Rule min Should Not Be Above max');
+  }
+
+  if(result.step !== null && result.step <= 0) {
+    throw new Error('Number Rule step Should Be Above 0');
+  }
+
+  if(result.precision !== null && (!_.isInteger(result.precision) || result.precision < 0)) {
+    throw new Error('Number Rule precision Should Be A Whole Number Of Decimals');
+  }
+
+  return result;
+};
+
+/**
+ * Validate the repeat rules of a grouped question.
+ *
+ * @desc A repeating group asks its sub questions once per instance,
+ *       i.e once per household member. Rules hold the `min` and
+ *       `max` number of instances and the `count_question` whose
+ *       answer sets how many instances there are.
+ *
+ * @param {Object} rules Repeat rules as sent by the client
+ *
+ * @return {Object} the rules
+ */
+exports.repeatRules = function repeatRules(rules) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    enabled: rules.enabled === true || rules.enabled === 'true',
+    min: null,
+    max: null,
+    count_question: rules.count_question || null
+  };
+
+  for(let bound of ['min', 'max']) {
+    if(rules[bound] === undefined || rules[bound] === null || rules[bound] === '') continue;
+
+    let count = Number(rules[bound]);
+    if(!_.isInteger(count) || count < 0) {
+      throw new Error(`Repeat Rule ${bound} Should Be A Whole Number`);
+    }
+
+    result[bound] = count;
+  }
+
+  if(result.min !== null && result.max !== null && result.min > result.max) {
+    throw new Error('Repeat Rule min Should Not Be Above max');
+  }
+
+  return result;
+};
+
+/**
+ * Validate the file rules of an upload question.
+ *
+ * @desc Rules hold the `mime_types` files may be of, `image/*`
+ *       standing for any image, the `max_size` of a file in bytes,
+ *       at most the configured asset size, and the `max_count` of
+ *       files answering the question.
+ *
+ * @param {Object} rules File rules as sent by the client
+ * @param {String} type  Question Type, FILE or PHOTO
+ *
+ * @return {Object} the rules
+ */
+exports.fileRules = function fileRules(rules, type) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    mime_types: MIME_TYPES[type].slice(),
+    max_size: config.ASSETS.FILE_SIZE,
+    max_count: 1
+  };
+
+  if(!_.isEmpty(rules.mime_types)) {
+    result.mime_types = _.uniq(_.map(_.castArray(rules.mime_types), (mimeType) => String(mimeType).trim().toLowerCase()));
+
+    for(let mimeType of result.mime_types) {
+      if(!MIME_PATTERN.test(mimeType)) {
+        throw new Error(`File Rule mime_types ${mimeType} Is Not A MIME Type ie image/png`);
+      }
+
+      if(type === 'PHOTO' && mimeType.indexOf('image/') !== 0) {
+        throw new Error(`File Rule mime_types ${mimeType} Is Not An Image Type`);
+      }
+    }
+  }
+
+  for(let rule of ['max_size', 'max_count']) {
+    if(rules[rule] === undefined || rules[rule] === null || rules[rule] === '') continue;
+
+    let number = Number(rules[rule]);
+    if(!_.isInteger(number) || number < 1) {
+      throw new Error(`File Rule ${rule} Should Be A Whole Number Above 0`);
+    }
+
+    result[rule] = number;
+  }
+
+  if(result.max_size > config.ASSETS.FILE_SIZE) {
+    throw new Error(`File Rule max_size Should Not Be Above ${config.ASSETS.FILE_SIZE} Bytes`);
+  }
+
+  return result;
+};
+
+/**
+ * Validate the geo rules of a GEOPOINT question.
+ *
+ * @desc Rules hold the `accuracy` in meters a location must be
+ *       captured to and whether it is checked against the `geofence`
+ *       of the officer's branch.
+ *
+ * @param {Object} rules Geo rules as sent by the client
+ *
+ * @return {Object} the rules
+ */
+exports.geoRules = function geoRules(rules) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    accuracy: DEFAULT_ACCURACY,
+    geofence: rules.geofence === true || rules.geofence === 'true'
+  };
+
+  if(rules.accuracy !== undefined && rules.accuracy !== null && rules.accuracy !== '') {
+    result.accuracy = Number(rules.accuracy);
+
+    if(!_.isFinite(result.accuracy) || result.accuracy <= 0) {
+      throw new Error('Geo Rule accuracy Should Be A Distance In Meters Above 0');
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Validate the scale rules of a RATING or LIKERT question.
+ *
+ * @desc Rules hold the `length` of the scale, the `anchors` labelling
+ *       some of its points and the numeric `values` its points are
+ *       answered and scored with, 1 to `length` unless given. LIKERT
+ *       scales of 5 points are labelled from Strongly Disagree to
+ *       Strongly Agree unless other anchors are given.
+ *
+ * @param {Object} rules Scale rules as sent by the client
+ * @param {String} type  Question Type, RATING or LIKERT
+ *
+ * @return {Object} the rules
+ */
+exports.scaleRules = function scaleRules(rules, type) {
+  rules = rules || {};
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    length: DEFAULT_SCALE,
+    anchors: [],
+    values: []
+  };
+
+  if(rules.length !== undefined && rules.length !== null && rules.length !== '') {
+    result.length = Number(rules.length);
+
+    if(!_.isInteger(result.length) || result.length < MIN_SCALE || result.length > MAX_SCALE) {
+      throw new Error(`Scale Rule length Should Be A Whole Number From ${MIN_SCALE} To ${MAX_SCALE}`);
+    }
+  }
+
+  if(!_.isEmpty(rules.values)) {
+    result.values = _.map(rules.values, (value) => {
+      let number = Number(value);
+      if(value === null || value === '' || !_.isFinite(number)) {
+        throw new Error(`Scale Rule values ${value} Is Not A Number`);
+      }
+
+      return number;
+    });
+
+    if(result.values.length !== result.length) {
+      throw new Error(`Scale Rule values Should Give A Value For Each Of The ${result.length} Points`);
+    }
+
+    if(_.uniq(result.values).length !== result.values.length) {
+      throw new Error('Scale Rule values Should Be Unique');
+    }
+
+  } else {
+    result.values = _.range(1, result.length + 1);
+  }
+
+  if(!_.isEmpty(rules.anchors)) {
+    result.anchors = _.map(rules.anchors, (anchor) => {
+      let point = Number(anchor && anchor.point);
+      let label = _.trim(anchor && anchor.label);
+
+      if(!_.isInteger(point) || point < 1 || point > result.length) {
+        throw new Error(`Scale Rule anchors Point Should Be From 1 To ${result.length}`);
+      }
+
+      if(!label) {
+        throw new Error(`Scale Rule anchors Label Of Point ${point} is Empty`);
+      }
+
+      return { point: point, label: label };
+    });
+
+    if(_.uniqBy(result.anchors, 'point').length !== result.anchors.length) {
+      throw new Error('Scale Rule anchors Should Label Each Point Once');
+    }
+
+    result.anchors = _.sortBy(result.anchors, 'point');
+
+  } else if(type === 'LIKERT' && result.length === QUESTION.LIKERT_ANCHORS.length) {
+    result.anchors = _.map(QUESTION.LIKERT_ANCHORS, (label, index) => {
+      return { point: index + 1, label: label };
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Validate the options of a question.
+ *
+ * @desc Options are given as plain labels or as definitions. Each
+ *       option has a `code` answers refer to it by, generated from
+ *       its label unless given, and kept for good once saved: an
+ *       option is deactivated with `active` false, never removed.
+ *       Options are sorted by their `order`, their position unless
+ *       given, and may carry a `score` formulas use.
+ *
+ * @param {Array} definitions i.e ["Weekly", { code: "AFTER_HARVEST", label: "After Harvest", score: 3 }]
+ * @param {Array} existing    Options of the question as saved, if any
+ *
+ * @return {Array} the options
+ */
+exports.options = function options(definitions, existing) {
+  if(!_.isArray(definitions)) {
+    throw new Error('Question Options Should Be A List Of Options');
+  }
+
+  existing = _.filter(existing, 'code');
+
+  let result = _.map(definitions, (definition, index) => {
+    if(_.isString(definition)) {
+      definition = { label: definition };
+    }
+
+    definition = definition || {};
+
+    let option = {
+      code: _.trim(definition.code) || null,
+      label: _.trim(definition.label),
+      order: index + 1,
+      score: null,
+      active: definition.active !== false && definition.active !== 'false'
+    };
+
+    if(!option.label) {
+      throw new Error(`Question Option ${index + 1} Label is Empty`);
+    }
+
+    if(option.code && !CODE_PATTERN.test(option.code)) {
+      throw new Error(`Question Option ${option.label} Code ${option.code} should hold letters, digits and _ . - only`);
+    }
+
+    if(definition.order !== undefined && definition.order !== null && definition.order !== '') {
+      option.order = Number(definition.order);
+
+      if(!_.isInteger(option.order)) {
+        throw new Error(`Question Option ${option.label} Order Should Be A Whole Number`);
+      }
+    }
+
+    if(definition.score !== undefined && definition.score !== null && definition.score !== '') {
+      option.score = Number(definition.score);
+
+      if(!_.isFinite(option.score)) {
+        throw new Error(`Question Option ${option.label} Score ${definition.score} Is Not A Number`);
+      }
+    }
+
+    return option;
+  });
+
+  // options without a code keep the one saved under their label
+  let taken = _.compact(_.map(result, 'code'));
+  for(let option of result) {
+    if(option.code) continue;
+
+    let saved = _.find(existing, (other) => {
+      return other.label.toLowerCase() === option.label.toLowerCase() && taken.indexOf(other.code) === -1;
+    });
+
+    option.code = saved ? saved.code : codeOf(option.label, taken, result.indexOf(option) + 1);
+    taken.push(option.code);
+  }
+
+  if(_.uniq(taken).length !== taken.length) {
+    throw new Error('Question Option Codes Should Be Unique');
+  }
+
+  let labels = _.map(result, (option) => option.label.toLowerCase());
+  if(_.uniq(labels).length !== labels.length) {
+    throw new Error('Question Option Labels Should Be Unique');
+  }
+
+  for(let saved of existing) {
+    if(taken.indexOf(saved.code) === -1) {
+      throw new Error(`Question Option ${saved.label} Can Not Be Removed, Set It Inactive Instead`);
+    }
+  }
+
+  if(result.length && !_.some(result, 'active')) {
+    throw new Error('Question Needs At Least One Active Option');
+  }
+
+  return _.sortBy(result, 'order');
+};
+
+/**
+ * Code of the option an answer refers to.
+ *
+ * @desc Answers refer to options by code, labels are taken too.
+ *
+ * @param {Object} question Question, with its options
+ * @param {String} value    Option code or label
+ *
+ * @return {String} the option code
+ */
+exports.toCode = function toCode(question, value) {
+  let option = optionOf(question, value);
+  if(!option) {
+    throw new Error(`${question.question_text} Has No Option ${value}`);
+  }
+
+  return option.code;
+};
+
+/**
+ * Validate the ranking rules of a RANKING question.
+ *
+ * @desc Rules hold the `mode`, ALL to rank every option or TOP to
+ *       rank the `top` options only.
+ *
+ * @param {Object} rules   Ranking rules as sent by the client
+ * @param {Array}  options Options to rank, only active ones count
+ *
+ * @return {Object} the rules
+ */
+exports.rankingRules = function rankingRules(rules, options) {
+  rules = rules || {};
+
+  let count = _.filter(options, 'active').length;
+
+  // every rule is set, so an update drops the ones left out
+  let result = {
+    mode: rules.mode || QUESTION.RANKING_MODES[0],
+    top: null
+  };
+
+  if(QUESTION.RANKING_MODES.indexOf(result.mode) === -1) {
+    throw new Error(`Ranking Rule mode should be ${QUESTION.RANKING_MODES.join(',')}`);
+  }
+
+  if(result.mode === 'TOP') {
+    result.top = Number(rules.top);
+
+    if(!_.isInteger(result.top) || result.top < 1 || result.top > count) {
+      throw new Error(`Ranking Rule top Should Be A Whole Number From 1 To ${count}, The Number Of Active Options`);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Prepare the rules of a question about to be saved.
+ *
+ * @desc Validate the rules the question type takes and drop the
+ *       ones it does not.
+ *
+ * @param {Object} body Question data, with its type
+ *
+ * @return {Object} the question data
+ */
+exports.prepare = function prepare(body) {
+  if(exports.isDated(body.type)) {
+    body.calendar = body.calendar || QUESTION.CALENDARS[0];
+    if(QUESTION.CALENDARS.indexOf(body.calendar) === -1) {
+      throw new Error(`Question Calendar should be ${QUESTION.CALENDARS.join(',')}`);
+    }
+
+    body.date_rules = exports.dateRules(body.date_rules, body.calendar);
+
+  } else {
+    delete body.date_rules;
+    delete body.calendar;
+  }
+
+  if(exports.isNumeric(body.type)) {
+    body.number_rules = exports.numberRules(body.number_rules);
+
+  } else {
+    delete body.number_rules;
+  }
+
+  // amounts are measured in their currency
+  if(body.type === 'CURRENCY') {
+    body.currency = String(body.currency || DEFAULT_CURRENCY).toUpperCase();
+    if(!CURRENCY_PATTERN.test(body.currency)) {
+      throw new Error('Question Currency should be an ISO 4217 code ie ETB, USD');
+    }
+
+    if(body.number_rules.precision === null) {
+      body.number_rules.precision = 2;
+    }
+
+    body.measurement_unit = body.currency;
+
+  } else {
+    delete body.currency;
+  }
+
+  if(body.type !== 'MATRIX') {
+    delete body.matrix;
+    delete body.grid;
+  }
+
+  if(body.type === 'GROUPED') {
+    body.repeat = exports.repeatRules(body.repeat);
+
+  } else {
+    delete body.repeat;
+    delete body.repeats;
+  }
+
+  // files are uploaded to the question, never given as answers
+  if(exports.isUpload(body.type)) {
+    body.file_rules = exports.fileRules(body.file_rules, body.type);
+    delete body.values;
+
+  } else {
+    delete body.file_rules;
+    delete body.attachments;
+  }
+
+  if(exports.isScaled(body.type)) {
+    body.scale_rules = exports.scaleRules(body.scale_rules, body.type);
+
+  } else {
+    delete body.scale_rules;
+  }
+
+  if(!_.isEmpty(body.options)) {
+    body.options = exports.options(body.options);
+  }
+
+  // options are ranked from the most to the least preferred
+  if(body.type === 'RANKING') {
+    if(_.filter(body.options, 'active').length < 2) {
+      throw new Error('Ranking Questions Need At Least 2 Active Options');
+    }
+
+    body.ranking_rules = exports.rankingRules(body.ranking_rules, body.options);
+
+  } else {
+    delete body.ranking_rules;
+  }
+
+  // locations are given apart from the answer values
+  if(body.type === 'GEOPOINT') {
+    body.geo_rules = exports.geoRules(body.geo_rules);
+    delete body.values;
+
+  } else {
+    delete body.geo_rules;
+    delete body.geopoint;
+  }
+
+  if(body.variable && !formulas.isVariable(body.variable)) {
+    throw new Error(`Question Variable ${body.variable} should start with a letter and hold letters, digits and _ only`);
+  }
+
+  // calculated answers are worked out, never given
+  if(body.type === 'CALCULATED') {
+    if(!body.variable) {
+      throw new Error('Calculated Questions Need A Variable');
+    }
+
+    formulas.parse(body.formula);
+
+    body.formula = String(body.formula).trim();
+    delete body.values;
+
+  } else {
+    delete body.formula;
+  }
+
+  return body;
+};
+
+/**
+ * Validate the answers given to a question.
+ *
+ * @desc Empty answers are left to the `required` flag. Answers of
+ *       dated questions must be dates within the question's rules,
+ *       written in the question's calendar. Answers of numeric
+ *       questions must be numbers within the question's rules.
+ *       Answers of choice questions must be active options.
+ *
+ * @param {Object} question Question, with its type and rules
+ * @param {Array}  values   Answers to check
+ *
+ * @return {Array} the answers, dates stored as Gregorian
+ */
+exports.check = function check(question, values) {
+  debug(`checking answers of question ${question._id}`);
+
+  if(exports.isDated(question.type)) {
+    return checkDates(question, values);
+  }
+
+  if(exports.isNumeric(question.type)) {
+    return checkNumbers(question, values);
+  }
+
+  if(exports.isScaled(question.type)) {
+    return checkScale(question, values);
+  }
+
+  if(question.type === 'RANKING') {
+    return checkRanking(question, values);
+  }
+
+  if(exports.isChoice(question.type) && !_.isEmpty(question.options)) {
+    return checkChoices(question, values);
+  }
+
+  return values;
+};
+
+/**
+ * Validate files uploaded to answer a question.
+ *
+ * @desc Every file must be of a MIME type and within the size the
+ *       question's rules allow, and together with the files already
+ *       attached no more than its `max_count`.
+ *
+ * @param {Object} question Upload question, with its attachments
+ * @param {Array}  files    Uploaded files, with their `name`, `type` and `size`
+ *
+ * @return {Array} the files
+ */
+exports.checkFiles = function checkFiles(question, files) {
+  if(!exports.isUpload(question.type)) {
+    throw new Error(`${question.question_text} Is Not A File Or Photo Question`);
+  }
+
+  debug(`checking files uploaded to question ${question._id}`);
+
+  let rules = question.file_rules || exports.fileRules({}, question.type);
+  let count = (question.attachments || []).length + files.length;
+
+  if(!files.length) {
+    throw new Error(`No Files Uploaded To ${question.question_text}`);
+  }
+
+  if(count > rules.max_count) {
+    throw new Error(`${question.question_text} Takes At Most ${rules.max_count} Files`);
+  }
+
+  for(let file of files) {
+    let mimeType = String(file.type || '').toLowerCase();
+    let allowed  = _.some(rules.mime_types, (allowed) => {
+      return allowed === mimeType || (_.endsWith(allowed, '/*') && mimeType.indexOf(allowed.slice(0, -1)) === 0);
+    });
+
+    if(!allowed) {
+      throw new Error(`${question.question_text}: ${file.name} should be ${rules.mime_types.join(',')}`);
+    }
+
+    if(file.size > rules.max_size) {
+      throw new Error(`${question.question_text}: ${file.name} Should Not Be Above ${rules.max_size} Bytes`);
+    }
+  }
+
+  return files;
+};
+
+/**
+ * Validate the location answering a GEOPOINT question.
+ *
+ * @desc The location must be a valid point captured at least as
+ *       accurately as the question's rules ask for.
+ *
+ * @param {Object} question GEOPOINT question, with its rules
+ * @param {Object} answer   i.e { latitude: 9.0301, longitude: 38.7468, accuracy: 12 }
+ *
+ * @return {Object} the location, as stored
+ */
+exports.checkGeopoint = function checkGeopoint(question, answer) {
+  if(question.type !== 'GEOPOINT') {
+    throw new Error(`${question.question_text} Is Not A Location Question`);
+  }
+
+  debug(`checking location of question ${question._id}`);
+
+  let rules = question.geo_rules || exports.geoRules({});
+  answer = answer || {};
+
+  let location;
+  try {
+    location = geofence.point(answer.latitude, answer.longitude);
+  } catch(ex) {
+    throw new Error(`${question.question_text} Answer ${ex.message}`);
+  }
+
+  let accuracy = Number(answer.accuracy);
+  if(answer.accuracy === undefined || answer.accuracy === null || answer.accuracy === '' || !_.isFinite(accuracy) || accuracy < 0) {
+    throw new Error(`${question.question_text} Answer Needs The accuracy Of The Location In Meters`);
+  }
+
+  if(accuracy > rules.accuracy) {
+    throw new Error(`${question.question_text} Answer Is Accurate To ${accuracy} Meters, It Should Be Within ${rules.accuracy} Meters`);
+  }
+
+  let capturedAt = answer.captured_at ? moment(answer.captured_at, moment.ISO_8601, true) : moment();
+  if(!capturedAt.isValid()) {
+    throw new Error(`${question.question_text} Answer captured_at Is Not A Valid Date and Time`);
+  }
+
+  return {
+    location: location,
+    accuracy: accuracy,
+    captured_at: capturedAt.toDate()
+  };
+};
+
+/**
+ * Prepare a column of a matrix question about to be saved.
+ *
+ * @desc Columns are questions of their own, they set the type and
+ *       the rules every cell of the column is checked against.
+ *
+ * @param {Object} definition Column definition as sent by the client
+ *
+ * @return {Object} the column
+ */
+exports.column = function column(definition) {
+  if(!definition || !definition.question_text) {
+    throw new Error('Matrix Column Question Text is Empty');
+  }
+
+  definition.type = definition.type || QUESTION.MATRIX_CELL_TYPES[0];
+  if(QUESTION.MATRIX_CELL_TYPES.indexOf(definition.type) === -1) {
+    throw new Error(`Matrix Column Type should be ${QUESTION.MATRIX_CELL_TYPES.join(',')}`);
+  }
+
+  if(definition.type === 'SINGLE_CHOICE' && _.isEmpty(definition.options)) {
+    throw new Error(`Matrix Column ${definition.question_text} Needs Options`);
+  }
+
+  if(definition.type === 'YES_NO') {
+    definition.options = [{ code: 'YES', label: 'Yes' }, { code: 'NO', label: 'No' }];
+  }
+
+  return exports.prepare(definition);
+};
+
+/**
+ * Validate the grid answering a matrix question.
+ *
+ * @desc Every row and column must be one of the matrix, each cell
+ *       is checked against its column and required columns must be
+ *       answered in every row given.
+ *
+ * @param {Object} question Matrix question, rows and columns populated
+ * @param {Array}  grid     i.e [{ row: <ROW>, cells: [{ column: <COLUMN>, value: "1200" }] }]
+ *
+ * @return {Array} the grid, cells as stored
+ */
+exports.checkGrid = function checkGrid(question, grid) {
+  if(question.type !== 'MATRIX') {
+    throw new Error(`${question.question_text} Is Not A Matrix Question`);
+  }
+
+  debug(`checking grid of question ${question._id}`);
+
+  let matrix  = question.matrix || {};
+  let rows    = _.keyBy(matrix.rows, (row) => String(row._id));
+  let columns = _.keyBy(matrix.columns, (column) => String(column._id));
+
+  return _.map(grid, (row) => {
+    let definition = rows[String(row.row)];
+    if(!definition) {
+      throw new Error(`${question.question_text} Has No Row ${row.row}`);
+    }
+
+    let cells = _.map(row.cells, (cell) => {
+      let column = columns[String(cell.column)];
+      if(!column) {
+        throw new Error(`${question.question_text} Has No Column ${cell.column}`);
+      }
+
+      let value;
+      try {
+        value = exports.check(column, [cell.value])[0];
+      } catch(ex) {
+        throw new Error(`${question.question_text}, ${definition.question_text}: ${ex.message}`);
+      }
+
+      return { column: column._id, value: value };
+    });
+
+    for(let column of matrix.columns || []) {
+      let cell = _.find(cells, (cell) => String(cell.column) === String(column._id));
+
+      if(column.required && (!cell || cell.value === undefined || cell.value === null || cell.value === '')) {
+        throw new Error(`${question.question_text}, ${definition.question_text}: ${column.question_text} is Required`);
+      }
+    }
+
+    return { row: definition._id, cells: cells };
+  });
+};
+
+/**
+ * Validate the instances answering a repeating group.
+ *
+ * @desc Instances are indexed from 0 with no gaps. There must be as
+ *       many as the count question's answer when the group has one,
+ *       and within the group's `min` and `max`. Each answer is checked
+ *       against its sub question and required sub questions must be
+ *       answered in every instance.
+ *
+ * @param {Object} question Grouped question, sub questions populated
+ * @param {Array}  repeats  i.e [{ index: 0, answers: [{ question: <SUB_QUESTION>, values: ["Abebe"] }] }]
+ * @param {Number} count    Answer of the count question, if any
+ *
+ * @return {Array} the instances, sorted by index
+ */
+exports.checkRepeats = function checkRepeats(question, repeats, count) {
+  let rules = question.repeat || {};
+
+  if(question.type !== 'GROUPED' || !rules.enabled) {
+    throw new Error(`${question.question_text} Is Not A Repeating Group`);
+  }
+
+  debug(`checking repeats of question ${question._id}`);
+
+  repeats = _.sortBy(repeats || [], (instance) => Number(instance.index));
+
+  if(count !== undefined && count !== null && repeats.length !== count) {
+    throw new Error(`${question.question_text} Should Be Answered ${count} Times, As Its Count Question Says`);
+  }
+
+  if(rules.min !== undefined && rules.min !== null && repeats.length < rules.min) {
+    throw new Error(`${question.question_text} Should Be Answered At Least ${rules.min} Times`);
+  }
+
+  if(rules.max !== undefined && rules.max !== null && repeats.length > rules.max) {
+    throw new Error(`${question.question_text} Should Be Answered At Most ${rules.max} Times`);
+  }
+
+  let subQuestions = _.keyBy(question.sub_questions, (sub) => String(sub._id));
+
+  return _.map(repeats, (instance, position) => {
+    if(Number(instance.index) !== position) {
+      throw new Error(`${question.question_text} Instances Should Be Indexed From 0 Without Gaps`);
+    }
+
+    let label = `${question.question_text} #${position + 1}`;
+
+    let answers = _.map(instance.answers, (answer) => {
+      let sub = subQuestions[String(answer.question)];
+      if(!sub) {
+        throw new Error(`${label} Has No Question ${answer.question}`);
+      }
+
+      let values;
+      try {
+        values = exports.check(sub, _.castArray(answer.values || []));
+      } catch(ex) {
+        throw new Error(`${label}: ${ex.message}`);
+      }
+
+      return { question: sub._id, values: values };
+    });
+
+    for(let sub of question.sub_questions || []) {
+      let answer = _.find(answers, (answer) => String(answer.question) === String(sub._id));
+
+      if(sub.required && (!answer || !_.some(answer.values, (value) => value !== undefined && value !== null && value !== ''))) {
+        throw new Error(`${label}: ${sub.question_text} is Required`);
+      }
+    }
+
+    return { index: position, answers: answers };
+  });
+};
+
+/**
+ * Read how many instances a count question asks for.
+ *
+ * @param {Object} question Count question, with its answers
+ *
+ * @return {Number} the count or null when not answered
+ */
+exports.countOf = function countOf(question) {
+  let value = question && question.values && question.values[0];
+  if(value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  let count = Number(value);
+  if(!_.isInteger(count) || count < 0) {
+    throw new Error(`${question.question_text} Answer ${value} Is Not A Count`);
+  }
+
+  return count;
+};
+
+/**
+ * Render the dates of a question in its calendar.
+ *
+ * @desc Answers and bounds stay Gregorian, questions in another
+ *       calendar get them as `calendar_values` and `calendar_rules`
+ *       too, matrix cells as `calendar_value` and answers of
+ *       repeated groups as `calendar_values`. Sub questions and
+ *       matrix columns are rendered as well.
+ *
+ * @param {Object} question Question as plain JSON
+ *
+ * @return {Object} the question
+ */
+exports.render = function render(question) {
+  if(!question || !_.isPlainObject(question)) {
+    return question;
+  }
+
+  if(exports.isDated(question.type) && question.calendar === 'ETHIOPIAN') {
+    let rules = question.date_rules || {};
+
+    question.calendar_values = _.map(question.values, (value) => {
+      return value ? exports.fromGregorian(value, question.calendar) : value;
+    });
+    question.calendar_rules = {
+      min: rules.min ? exports.fromGregorian(rules.min, question.calendar) : null,
+      max: rules.max ? exports.fromGregorian(rules.max, question.calendar) : null
+    };
+  }
+
+  // points of a scale, with their value and label
+  if(exports.isScaled(question.type) && question.scale_rules) {
+    let anchors = _.keyBy(question.scale_rules.anchors, 'point');
+
+    question.scale_points = _.map(question.scale_rules.values, (value, index) => {
+      let anchor = anchors[index + 1];
+
+      return { point: index + 1, value: value, label: anchor ? anchor.label : null };
+    });
+  }
+
+  // cells of dated columns in another calendar
+  if(question.type === 'MATRIX' && question.matrix) {
+    let columns = _.keyBy(question.matrix.columns, (column) => String(column._id));
+
+    for(let row of question.grid || []) {
+      for(let cell of row.cells || []) {
+        let column = columns[String(cell.column)];
+
+        if(column && exports.isDated(column.type) && column.calendar === 'ETHIOPIAN' && cell.value) {
+          cell.calendar_value = exports.fromGregorian(cell.value, column.calendar);
+        }
+      }
+    }
+
+    _.each(question.matrix.columns, render);
+  }
+
+  // answers of dated sub questions in another calendar
+  if(question.repeats && question.repeats.length) {
+    let subQuestions = _.keyBy(question.sub_questions, (sub) => String(sub._id));
+
+    for(let instance of question.repeats) {
+      for(let answer of instance.answers || []) {
+        let sub = subQuestions[String(answer.question)];
+
+        if(sub && exports.isDated(sub.type) && sub.calendar === 'ETHIOPIAN') {
+          answer.calendar_values = _.map(answer.values, (value) => {
+            return value ? exports.fromGregorian(value, sub.calendar) : value;
+          });
+        }
+      }
+    }
+  }
+
+  _.each(question.sub_questions, render);
+
+  return question;
+};
+
+/**
+ * Render the dates of every question of a form in its calendar.
+ *
+ * @param {Object} form Form as plain JSON, fully populated
+ *
+ * @return {Object} the form
+ */
+exports.renderForm = function renderForm(form) {
+  _.each(form.questions, exports.render);
+
+  for(let section of form.sections || []) {
+    _.each(section.questions, exports.render);
+  }
+
+  return form;
+};
+
+// Check the answers of a dated question
+function checkDates(question, values) {
+  let rules     = question.date_rules || {};
+  let calendar  = question.calendar;
+  let precision = PRECISION[question.type];
+  let now       = moment();
+
+  return _.map(values, (value) => {
+    if(value === undefined || value === null || value === '') return value;
+
+    let gregorian;
+    try {
+      gregorian = exports.toGregorian(value, calendar);
+    } catch(ex) {
+      throw new Error(`${question.question_text} Answer ${ex.message}`);
+    }
+
+    let date = moment(gregorian, FORMATS[question.type], true);
+    if(!date.isValid()) {
+      throw new Error(`${question.question_text} Answer ${value} Is Not A Valid ${question.type === 'DATE' ? 'Date ie 2019-12-31' : 'Date and Time ie 2019-12-31T14:30:00Z'}`);
+    }
+
+    if(rules.min && date.isBefore(rules.min, precision)) {
+      throw new Error(`${question.question_text} Answer Should Not Be Before ${exports.fromGregorian(rules.min, calendar)}`);
+    }
+
+    if(rules.max && date.isAfter(rules.max, precision)) {
+      throw new Error(`${question.question_text} Answer Should Not Be After ${exports.fromGregorian(rules.max, calendar)}`);
+    }
+
+    if(rules.relative === 'NOT_IN_FUTURE' && date.isAfter(now, precision)) {
+      throw new Error(`${question.question_text} Answer Should Not Be In The Future`);
+    }
+
+    if(rules.relative === 'NOT_IN_PAST' && date.isBefore(now, precision)) {
+      throw new Error(`${question.question_text} Answer Should Not Be In The Past`);
+    }
+
+    let age = now.diff(date, 'years');
+
+    if(rules.min_age !== undefined && rules.min_age !== null && age < rules.min_age) {
+      throw new Error(`${question.question_text} Answer Gives An Age Below ${rules.min_age} Years`);
+    }
+
+    if(rules.max_age !== undefined && rules.max_age !== null && age > rules.max_age) {
+      throw new Error(`${question.question_text} Answer Gives An Age Above ${rules.max_age} Years`);
+    }
+
+    return gregorian;
+  });
+}
+
+// Check the answer of a scaled question, the value of one of its points
+function checkScale(question, values) {
+  let rules  = question.scale_rules || exports.scaleRules({}, question.type);
+  let points = _.map(rules.values, String);
+
+  values = _.filter(values, (value) => value !== undefined && value !== null && value !== '');
+  if(values.length > 1) {
+    throw new Error(`${question.question_text} Takes One Point Of The Scale`);
+  }
+
+  return _.map(values, (value) => {
+    let index = _.findIndex(rules.values, (point) => point === Number(value));
+    if(String(value).trim() === '' || index === -1) {
+      throw new Error(`${question.question_text} Answer should be ${points.join(',')}`);
+    }
+
+    return points[index];
+  });
+}
+
+// Check the answer of a ranking question, its options from the most
+// to the least preferred
+function checkRanking(question, values) {
+  let rules = question.ranking_rules || {};
+
+  values = _.filter(values, (value) => value !== undefined && value !== null && value !== '');
+  if(!values.length) {
+    return values;
+  }
+
+  values = _.map(values, (value) => activeCode(question, value));
+
+  if(_.uniq(values).length !== values.length) {
+    throw new Error(`${question.question_text} Ranks Each Option Once`);
+  }
+
+  let count = rules.mode === 'TOP' ? rules.top : _.filter(question.options, 'active').length;
+  if(values.length !== count) {
+    throw new Error(rules.mode === 'TOP' ?
+      `${question.question_text} Should Rank The Top ${count} Options` :
+      `${question.question_text} Should Rank All ${count} Options`);
+  }
+
+  return values;
+}
+
+// Check the answers of a choice question, codes of its options
+function checkChoices(question, values) {
+  values = _.filter(values, (value) => value !== undefined && value !== null && value !== '');
+  if(values.length > 1 && SINGLE.indexOf(question.type) !== -1) {
+    throw new Error(`${question.question_text} Takes One Option`);
+  }
+
+  values = _.map(values, (value) => activeCode(question, value));
+
+  if(_.uniq(values).length !== values.length) {
+    throw new Error(`${question.question_text} Takes Each Option Once`);
+  }
+
+  return values;
+}
+
+// Option of a question given by its code or its label
+function optionOf(question, value) {
+  let options = question.options || [];
+  let text    = String(value).trim();
+
+  return _.find(options, (option) => option.code === text) ||
+    _.find(options, (option) => option.label.toLowerCase() === text.toLowerCase());
+}
+
+// Code of an option an answer may still be given
+function activeCode(question, value) {
+  let option = optionOf(question, value);
+  if(!option || !option.active) {
+    let active = _.map(_.filter(question.options, 'active'), 'code');
+
+    throw new Error(`${question.question_text} Answer ${value} should be ${active.join(',')}`);
+  }
+
+  return option.code;
+}
+
+// Code of an option from its label, i.e "After Harvest" as AFTER_HARVEST,
+// by position when the label has nothing to make it of
+function codeOf(label, taken, position) {
+  let base = _.snakeCase(_.deburr(label)).toUpperCase();
+  if(!/^[A-Z0-9_]+$/.test(base)) {
+    base = `OPTION_${position}`;
+  }
+
+  base = base.slice(0, 60);
+
+  let code = base;
+  for(let suffix = 2; taken.indexOf(code) !== -1; suffix++) {
+    code = `${base}_${suffix}`;
+  }
+
+  return code;
+}
+
+// Check the answers of a numeric question
+function checkNumbers(question, values) {
+  let rules = question.number_rules || {};
+  let unit  = question.measurement_unit ? ` ${question.measurement_unit}` : '';
+
+  return _.map(values, (value) => {
+    if(value === undefined || value === null || value === '') return value;
+
+    value = String(value).trim();
+    if(!NUMBER_PATTERN.test(value)) {
+      throw new Error(`${question.question_text} Answer ${value} Is Not A Number`);
+    }
+
+    let number = Number(value);
+
+    if(isSet(rules.precision) && decimals(value) > rules.precision) {
+      throw new Error(`${question.question_text} Answer Should Not Have More Than ${rules.precision} Decimals`);
+    }
+
+    if(isSet(rules.min) && number < rules.min) {
+      throw new Error(`${question.question_text} Answer Should Not Be Below ${rules.min}${unit}`);
+    }
+
+    if(isSet(rules.max) && number > rules.max) {
+      throw new Error(`${question.question_text} Answer Should Not Be Above ${rules.max}${unit}`);
+    }
+
+    if(isSet(rules.step)) {
+      let base  = isSet(rules.min) ? rules.min : 0;
+      let scale = Math.pow(10, Math.max(decimals(value), decimals(rules.step), decimals(base)));
+
+      // compared as whole numbers, away from floating point errors
+      if(Math.round((number - base) * scale) % Math.round(rules.step * scale) !== 0) {
+        throw new Error(`${question.question_text} Answer Should Go Up In Steps Of ${rules.step}${unit}`);
+      }
+    }
+
+    return value;
+  });
+}
+
+function isSet(rule) {
+  return rule !== undefined && rule !== null;
+}
+
+function decimals(number) {
+  let parts = String(number).split('.');
+
+  return parts[1] ? parts[1].length : 0;
+}
@@ -0,0 +1,115 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const crypto = require('crypto');
+const debug  = require('debug')('api:revision');
+
+const CustomError = require('./custom-error');
+
+/**
+ * Read the revision a client expects from an If-Match header.
+ *
+ * @desc Accepts entity tags as tag() builds them i.e "3.1f0c9a",
+ *       strong or weak, as well as a bare revision number.
+ *
+ * @param {String} header If-Match header value
+ *
+ * @return {Number} revision or null if missing or malformed
+ */
+exports.fromHeader = function fromHeader(header) {
+  if(!header) {
+    return null;
+  }
+
+  let value = String(header).trim().replace(/^W\//, '').replace(/"/g, '');
+  let match = /^(\d+)(\.[0-9a-f]+)?$/.exec(value);
+
+  if(!match) {
+    debug(`malformed If-Match header ${header}`);
+    return null;
+  }
+
+  return +match[1];
+};
+
+/**
+ * Build the query condition matching an expected revision.
+ *
+ * @desc Documents created before revisions were tracked have
+ *       no counter yet, they match revision 0.
+ *
+ * @param {Number} revision Expected revision
+ *
+ * @return {Object|Number}
+ */
+exports.query = function query(revision) {
+  return revision === 0 ? { $in: [0, null] } : revision;
+};
+
+/**
+ * Entity tag of a document.
+ *
+ * @desc The tag carries the revision, read back by fromHeader()
+ *       when the tag is sent in If-Match, and a hash of the body
+ *       sent. Conditional GETs then see changes of what a document
+ *       is sent with too, i.e the questions of a form, which do not
+ *       bump its revision.
+ *
+ * @param {Object} doc  Form, Section or Question
+ * @param {Object} body Response body, the document itself unless given
+ *
+ * @return {String} i.e "3.1f0c9a6d2b7e4c55"
+ */
+exports.tag = function tag(doc, body) {
+  let hash = crypto.createHash('sha1')
+    .update(JSON.stringify(body || doc))
+    .digest('hex')
+    .slice(0, 16);
+
+  return `"${doc.revision || 0}.${hash}"`;
+};
+
+/**
+ * Error of an update sent without the revision it expects.
+ *
+ * @desc An If-Match header that names no revision, i.e a tag
+ *       of another resource, fails as a precondition.
+ *
+ * @param {String} name   What is updated, i.e Form, Section or Question
+ * @param {String} header If-Match header sent, if any
+ *
+ * @return {CustomError} 428 error, 412 if a header was sent
+ */
+exports.required = function required(name, header) {
+  if(header) {
+    return new CustomError({
+      type: `UPDATE_${name.toUpperCase()}_ERROR`,
+      status: 412,
+      message: `If-Match Header ${header} Does Not Match A ${name} Revision`
+    });
+  }
+
+  return new CustomError({
+    type: `UPDATE_${name.toUpperCase()}_ERROR`,
+    status: 428,
+    message: `If-Match Header With The ${name} Revision is Required`
+  });
+};
+
+/**
+ * Error of an update made against a stale revision.
+ *
+ * @param {String} name    What is updated, i.e Form, Section or Question
+ * @param {Object} current Current server state, sent back to the client
+ *
+ * @return {CustomError} 409 error
+ */
+exports.conflict = function conflict(name, current) {
+  return new CustomError({
+    type: `UPDATE_${name.toUpperCase()}_ERROR`,
+    status: 409,
+    message: `${name} Was Modified By Someone Else, Reload and Try Again`,
+    data: current
+  });
+};
@@ -0,0 +1,157 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:signatures');
+const co      = require('co');
+const moment  = require('moment');
+const _       = require('lodash');
+
+const FORM              = require('./enums').FORM;
+const checkPermissions  = require('./permissions');
+
+const AccountDal  = require('../dal/account');
+
+// A signature block asks for a signature under a `label`, optionally
+// from an account of a `role` or holding a `permission`, with the
+// `date` it was signed on when `date_required`.
+
+/**
+ * Default signature blocks of a form type.
+ *
+ * @param {String} type Form Type
+ *
+ * @return {Array} signature blocks
+ */
+exports.defaults = function defaults(type) {
+  if(type === 'LOAN_APPLICATION') {
+    return _.cloneDeep(FORM.SIGNATURES.LOAN);
+  }
+
+  if(type === 'SCREENING') {
+    return _.cloneDeep(FORM.SIGNATURES.SCREENING);
+  }
+
+  return [];
+};
+
+/**
+ * Validate signature block definitions.
+ *
+ * @desc Blocks are given as plain labels or as definitions. Blocks
+ *       keep their `_id` when given, so signatures captured for
+ *       them still apply.
+ *
+ * @param {Array} definitions i.e ["Applicant", { label: "Checked By", role: "Branch Manager", date_required: true }]
+ *
+ * @return {Array} signature blocks
+ */
+exports.blocks = function blocks(definitions) {
+  if(!_.isArray(definitions)) {
+    throw new Error('Signatures Should Be A List Of Signature Blocks');
+  }
+
+  let result = _.map(exports.normalize(definitions), (definition) => {
+    let label = _.trim(definition.label);
+    if(!label) {
+      throw new Error('Signature Block Label is Empty');
+    }
+
+    let block = {
+      label: label,
+      role: _.trim(definition.role) || null,
+      permission: _.trim(definition.permission) || null,
+      date_required: definition.date_required === true || definition.date_required === 'true'
+    };
+
+    if(definition._id) {
+      block._id = definition._id;
+    }
+
+    return block;
+  });
+
+  let labels = _.map(result, (block) => block.label.toLowerCase());
+  if(_.uniq(labels).length !== labels.length) {
+    throw new Error('Signature Block Labels Should Be Unique');
+  }
+
+  return result;
+};
+
+/**
+ * Turn signatures kept as plain labels into signature blocks.
+ *
+ * @param {Array} signatures Labels or signature blocks
+ *
+ * @return {Array} signature blocks
+ */
+exports.normalize = function normalize(signatures) {
+  return _.map(signatures, (signature) => {
+    if(_.isString(signature)) {
+      return { label: signature, role: null, permission: null, date_required: false };
+    }
+
+    return signature;
+  });
+};
+
+/**
+ * Assert a user may sign a signature block.
+ *
+ * @desc Blocks with a role take accounts of a role of that name,
+ *       blocks with a permission take accounts whose role grants it.
+ *       Blocks with both take accounts meeting either.
+ *
+ * @param {Object} block Signature block
+ * @param {Object} user  User signing
+ *
+ * @return {Promise} resolves to the signer's account
+ */
+exports.assertSigner = function assertSigner(block, user) {
+  return co(function* () {
+    let account = yield AccountDal.get({ user: user._id });
+
+    if(!block.role && !block.permission) {
+      return account;
+    }
+
+    debug(`checking ${user.username} may sign ${block.label}`);
+
+    let role = account && account.role ? account.role.name : null;
+    if(block.role && role && role.toLowerCase() === block.role.toLowerCase()) {
+      return account;
+    }
+
+    if(block.permission && (yield checkPermissions.hasPermission(user, block.permission))) {
+      return account;
+    }
+
+    throw new Error(`${block.label} Should Be Signed By ${_.compact([block.role, block.permission]).join(' or ')}`);
+  });
+};
+
+/**
+ * Validate the date a signature block is signed on.
+ *
+ * @param {Object} block Signature block
+ * @param {String} date  Date given with the signature, i.e "2019-12-31"
+ *
+ * @return {Date} the date or null when the block takes none
+ */
+exports.dateOf = function dateOf(block, date) {
+  if(date === undefined || date === null || date === '') {
+    if(block.date_required) {
+      throw new Error(`${block.label} Needs The Date It Is Signed On`);
+    }
+
+    return null;
+  }
+
+  let parsed = moment(date, moment.ISO_8601, true);
+  if(!parsed.isValid()) {
+    throw new Error(`${block.label} Date ${date} Is Not A Valid Date ie 2019-12-31`);
+  }
+
+  return parsed.toDate();
+};
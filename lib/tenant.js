@@ -0,0 +1,344 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const debug   = require('debug')('api:tenant');
+const co      = require('co');
+const _       = require('lodash');
+
+const CustomError = require('./custom-error');
+
+const Form          = require('../models/form');
+const Section       = require('../models/section');
+const Question      = require('../models/question');
+const FormVersion   = require('../models/formVersion');
+const Lock          = require('../models/lock');
+const ChangeRequest = require('../models/changeRequest');
+const FormOverlay   = require('../models/formOverlay');
+const LoanProduct   = require('../models/loanProduct');
+const Attachment    = require('../models/attachment');
+const Signature     = require('../models/signature');
+
+const AccountDal        = require('../dal/account');
+const BranchDal         = require('../dal/branch');
+const LogDal            = require('../dal/log');
+const FormDal           = require('../dal/form');
+const SectionDal        = require('../dal/section');
+const QuestionDal       = require('../dal/question');
+const FormVersionDal    = require('../dal/formVersion');
+const LockDal           = require('../dal/lock');
+const ChangeRequestDal  = require('../dal/changeRequest');
+const FormOverlayDal    = require('../dal/formOverlay');
+const LoanProductDal    = require('../dal/loanProduct');
+const AttachmentDal     = require('../dal/attachment');
+const SignatureDal      = require('../dal/signature');
+
+// Models of documents owned by an MFI
+const MODELS = {
+  Form: Form,
+  Section: Section,
+  Question: Question,
+  FormVersion: FormVersion,
+  Lock: Lock,
+  ChangeRequest: ChangeRequest,
+  FormOverlay: FormOverlay,
+  LoanProduct: LoanProduct,
+  Attachment: Attachment,
+  Signature: Signature
+};
+
+// DALs of documents owned by an MFI, with the model they work on
+const DALS = {
+  FormDal: { dal: FormDal, model: Form },
+  SectionDal: { dal: SectionDal, model: Section },
+  QuestionDal: { dal: QuestionDal, model: Question },
+  FormVersionDal: { dal: FormVersionDal, model: FormVersion },
+  LockDal: { dal: LockDal, model: Lock },
+  ChangeRequestDal: { dal: ChangeRequestDal, model: ChangeRequest },
+  FormOverlayDal: { dal: FormOverlayDal, model: FormOverlay },
+  LoanProductDal: { dal: LoanProductDal, model: LoanProduct },
+  AttachmentDal: { dal: AttachmentDal, model: Attachment },
+  SignatureDal: { dal: SignatureDal, model: Signature }
+};
+
+// DAL calls taking the data to save instead of a query
+const WRITES = ['create', 'restore', 'acquire'];
+
+// DAL calls on documents reached through an already scoped
+// one, their result is still checked
+const TRUSTED = ['findOwner', 'propose'];
+
+// Model calls taking a query
+const QUERIES = ['find', 'findOne', 'count', 'update', 'findOneAndUpdate'];
+
+/**
+ * Check whether a user works across MFIs.
+ *
+ * @param {Object} user User
+ *
+ * @return {Boolean}
+ */
+exports.isSuper = function isSuper(user) {
+  return !!user && (user.realm === 'super' || user.role === 'super');
+};
+
+/**
+ * Resolve the MFI a user works for.
+ *
+ * @desc Users belong to the MFI of their account's default
+ *       branch, or of the first branch they can access. Super
+ *       admins have no account and are not bound to an MFI. Other
+ *       users whose MFI can not be resolved own nothing, scoping
+ *       their queries is refused.
+ *
+ * @param {Object} user User
+ *
+ * @return {Promise} resolves to the MFI id or null
+ */
+exports.resolve = function resolve(user) {
+  return co(function* () {
+    if(exports.isSuper(user)) {
+      return null;
+    }
+
+    let account = yield AccountDal.get({ user: user._id });
+    if(!account) {
+      return null;
+    }
+
+    let branchId = account.default_branch || (account.access_branches || [])[0];
+    if(!branchId) {
+      return null;
+    }
+
+    let branch = yield BranchDal.get({ _id: branchId });
+
+    debug(`${user.username} works for MFI ${branch ? branch.MFI : null}`);
+
+    return branch ? branch.MFI : null;
+
+  });
+};
+
+/**
+ * Restrict a query to the caller's MFI.
+ *
+ * @desc Super admins see every MFI. Other users only reach
+ *       documents of their own MFI. Forms, sections and questions
+ *       kept before they were scoped have no MFI until
+ *       `node _migrate owners` assigns them, only super admins reach
+ *       them meanwhile. Users without an MFI are refused.
+ *
+ * @param {Object} state Request state, holding _user and _mfi
+ * @param {Object} query Query Object
+ *
+ * @return {Object} the query
+ */
+exports.scope = function scope(state, query) {
+  if(!exports.isSuper(state._user)) {
+    assertBound(state);
+
+    query.MFI = state._mfi;
+  }
+
+  return query;
+};
+
+/**
+ * Get the DALs and models bound to the caller's MFI.
+ *
+ * @desc Every read and write of a document owned by an MFI goes
+ *       through these. Queries are restricted to the caller's MFI
+ *       and saved data is stamped with it. Reaching a document of
+ *       another MFI is rejected and logged. Super admins get the
+ *       DALs and models as they are, users without an MFI none.
+ *
+ * @param {Object} state Request state set by lib/authorize.js
+ *
+ * @return {Object} i.e { FormDal, SectionDal, ..., Form, Section, ... }
+ */
+exports.bind = function bind(state) {
+  if(state._tenant) {
+    return state._tenant;
+  }
+
+  assertBound(state);
+
+  let bound = {};
+
+  for(let name of Object.keys(DALS)) {
+    bound[name] = exports.isSuper(state._user) ? DALS[name].dal : scopeDal(state, DALS[name]);
+  }
+
+  for(let name of Object.keys(MODELS)) {
+    bound[name] = exports.isSuper(state._user) ? MODELS[name] : scopeModel(state, MODELS[name]);
+  }
+
+  state._tenant = bound;
+
+  return bound;
+};
+
+// Wrap every call of a DAL
+function scopeDal(state, owned) {
+  let scoped = {};
+
+  for(let method of Object.keys(owned.dal)) {
+    if(typeof owned.dal[method] !== 'function') continue;
+
+    scoped[method] = function () {
+      let args = _.toArray(arguments);
+
+      return co(function* () {
+        if(WRITES.indexOf(method) !== -1) {
+          args[0] = yield stamp(state, owned.model, args[0]);
+
+        } else if(TRUSTED.indexOf(method) === -1) {
+          args[0] = restrict(state, args[0]);
+        }
+
+        let result = yield owned.dal[method].apply(owned.dal, args);
+
+        // a missed document may belong to another MFI
+        if(!result || (_.isPlainObject(result) && _.isEmpty(result))) {
+          yield probe(state, owned.model, args[0]);
+
+        } else if(result._id && !isOwn(state, result)) {
+          throw reject(state, owned.model, result._id);
+        }
+
+        return result;
+
+      });
+    };
+  }
+
+  return scoped;
+}
+
+// Wrap the query calls of a model, the rest is left as is
+function scopeModel(state, Model) {
+  return new Proxy(Model, {
+    get: function (target, property) {
+      if(QUERIES.indexOf(property) === -1) {
+        return target[property];
+      }
+
+      return function (conditions) {
+        let args = _.toArray(arguments);
+
+        args[0] = restrict(state, conditions || {});
+
+        let query = target[property].apply(target, args);
+
+        if(property === 'findOne') {
+          let exec = query.exec;
+
+          query.exec = function () {
+            let execArgs = arguments;
+
+            return co(function* () {
+              let doc = yield exec.apply(query, execArgs);
+              if(!doc) {
+                yield probe(state, target, args[0]);
+              }
+
+              return doc;
+            });
+          };
+        }
+
+        return query;
+      };
+    }
+  });
+}
+
+// Restrict a query to the caller's MFI, a query naming another
+// MFI is rejected
+function restrict(state, query) {
+  assertBound(state);
+
+  if(!_.isPlainObject(query)) {
+    return query;
+  }
+
+  if(query.MFI !== undefined && !isOwn(state, query)) {
+    throw reject(state, null, query.MFI);
+  }
+
+  return _.assign({}, query, { MFI: state._mfi });
+}
+
+// Stamp data to save with the caller's MFI, data naming another
+// MFI or replacing a document of another MFI is rejected
+function* stamp(state, Model, data) {
+  assertBound(state);
+
+  if(data.MFI !== undefined && data.MFI !== null && !isOwn(state, data)) {
+    throw reject(state, Model, data._id || data.MFI);
+  }
+
+  yield probe(state, Model, data);
+
+  return _.assign({}, data, { MFI: state._mfi });
+}
+
+// Look up the document a query or data names by id, if it
+// belongs to another MFI the access is rejected
+function* probe(state, Model, query) {
+  let id = _.isPlainObject(query) ? query._id : null;
+  if(!id || _.isPlainObject(id)) {
+    return;
+  }
+
+  let doc = yield Model.findOne({ _id: id }, 'MFI').lean().exec();
+  if(doc && !isOwn(state, doc)) {
+    throw reject(state, Model, doc._id);
+  }
+}
+
+// Documents without an MFI are nobody's own
+function isOwn(state, doc) {
+  let mfi = doc.MFI && doc.MFI._id ? doc.MFI._id : doc.MFI;
+
+  return !!mfi && !!state._mfi && String(mfi) === String(state._mfi);
+}
+
+// Refuse users whose MFI could not be resolved, rather than match
+// them with the documents no MFI owns yet
+function assertBound(state) {
+  if(exports.isSuper(state._user) || state._mfi) {
+    return;
+  }
+
+  let user = state._user || {};
+
+  debug(`${user.username} is not bound to an MFI`);
+
+  throw new CustomError({
+    type: 'TENANT_ERROR',
+    status: 403,
+    message: "Your Account Is Not Bound to an MFI"
+  });
+}
+
+// Log a cross MFI access attempt and build the error to throw
+function reject(state, Model, ref) {
+  let what = Model ? `${Model.modelName} ${ref}` : `MFI ${ref}`;
+  let user = state._user || {};
+
+  debug(`${user.username} tried to reach ${what} of another MFI`);
+
+  LogDal.track({
+    event: 'tenant_violation',
+    user: user._id,
+    message: `Rejected access to ${what} of another MFI by ${user.username}`
+  }).catch((err) => debug(`could not log tenant violation: ${err.message}`));
+
+  return new CustomError({
+    type: 'TENANT_ERROR',
+    status: 403,
+    message: "You Don't have access to resources of another MFI"
+  });
+}
@@ -0,0 +1,63 @@
+'use strict';
+// Attachment Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+
+var Schema = mongoose.Schema;
+
+// New Attachment Schema Instance
+var AttachmentSchema = new Schema({
+  question:       { type: Schema.Types.ObjectId, ref: 'Question', required: true },
+  form:           { type: Schema.Types.ObjectId, ref: 'Form' },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+  name:           { type: String, default: '' },
+  file:           { type: String, required: true },
+  url:            { type: String, required: true },
+  mime_type:      { type: String },
+  size:           { type: Number },
+  uploaded_by:    { type: Schema.Types.ObjectId, ref: 'User' },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+/**
+ * Model Attributes to expose
+ */
+AttachmentSchema.statics.attributes = {
+  question: 1,
+  form: 1,
+  MFI: 1,
+  name: 1,
+  url: 1,
+  mime_type: 1,
+  size: 1,
+  uploaded_by: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+AttachmentSchema.pre('save', function preSaveMiddleware(next) {
+  let attachment = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  attachment.date_created = now;
+  attachment.last_modified = now;
+
+  next();
+
+});
+
+// Expose Attachment model
+module.exports = mongoose.model('Attachment', AttachmentSchema);
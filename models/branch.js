@@ -9,6 +9,18 @@ var paginator = require('mongoose-paginate');
 
 var Schema = mongoose.Schema;
 
+// GeoJSON point, coordinates as [longitude, latitude]
+var PointSchema = new Schema({
+    type:         { type: String, enum: ['Point'], default: 'Point' },
+    coordinates:  [{ type: Number }]
+}, { _id: false });
+
+// GeoJSON polygon, rings of [longitude, latitude] positions
+var PolygonSchema = new Schema({
+    type:         { type: String, enum: ['Polygon'], default: 'Polygon' },
+    coordinates:  { type: [[[Number]]] }
+}, { _id: false });
+
 var BranchSchema = new Schema({
     MFI:            { type: Schema.Types.ObjectId, ref:'MFI', required: true},
     name:           { type: String, required: true, unique: true },
@@ -18,6 +30,11 @@ var BranchSchema = new Schema({
     email:          { type: String },
     phone:          { type: String },
     status:         {type: String, enums:['active', 'inactive'], default:'active'},
+    geofence:       {
+      center:   { type: PointSchema },
+      radius:   { type: Number },
+      area:     { type: PolygonSchema }
+    },
     date_created:   { type: Date },
     last_modified:  { type: Date }
 });
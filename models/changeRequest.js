@@ -0,0 +1,78 @@
+'use strict';
+// Change Request Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+const paginator = require('mongoose-paginate');
+
+const CHANGE_REQUEST = require('../lib/enums').CHANGE_REQUEST;
+
+var Schema = mongoose.Schema;
+
+// New Change Request Schema Instance
+var ChangeRequestSchema = new Schema({
+  form:           { type: Schema.Types.ObjectId, ref: 'Form', required: true },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+  status:         { type: String, default: CHANGE_REQUEST.STATUS[0], enum: CHANGE_REQUEST.STATUS },
+  changes:        [{
+    _id: false,
+    target:     { type: String, enum: CHANGE_REQUEST.TARGETS },
+    ref:        { type: Schema.Types.ObjectId },
+    revision:   { type: Number },
+    updates:    { type: Schema.Types.Mixed },
+    requested_by: { type: Schema.Types.ObjectId, ref: 'User' },
+    applied_at: { type: Date, default: null }
+  }],
+  requested_by:   { type: Schema.Types.ObjectId, ref: 'User' },
+  reviewed_by:    { type: Schema.Types.ObjectId, ref: 'User' },
+  reviewed_at:    { type: Date },
+  comment:        { type: String, default: '' },
+  version:        { type: Number },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+/**
+ * Model Attributes to expose
+ */
+ChangeRequestSchema.statics.attributes = {
+  form: 1,
+  MFI: 1,
+  status: 1,
+  changes: 1,
+  requested_by: 1,
+  reviewed_by: 1,
+  reviewed_at: 1,
+  comment: 1,
+  version: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+// add middleware to support pagination
+ChangeRequestSchema.plugin(paginator);
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+ChangeRequestSchema.pre('save', function preSaveMiddleware(next) {
+  let changeRequest = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  changeRequest.date_created = now;
+  changeRequest.last_modified = now;
+
+  next();
+
+});
+
+// Expose Change Request model
+module.exports = mongoose.model('ChangeRequest', ChangeRequestSchema);
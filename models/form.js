@@ -13,6 +13,8 @@ var Schema = mongoose.Schema;
 
 var FormSchema = new Schema({       
     type:           { type: String, enum: FORM.TYPES },
+    MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+    loan_product:   { type: Schema.Types.ObjectId, ref: 'LoanProduct', default: null },
     title:          { type: String, default: '' },
     subtitle:       { type: String, default: '' },
     purpose:        { type: String, default: '' },
@@ -21,8 +23,22 @@ var FormSchema = new Schema({
     layout:         { type: String, default: FORM.LAYOUTS[0], enums: FORM.LAYOUTS },
     has_sections:   { type: Boolean, default: false },
     sections:       [{ type: Schema.Types.ObjectId, ref: 'Section' }],
-    signatures:     [{ type: String }],
+    signatures:     [{
+      label:          { type: String, required: true },
+      role:           { type: String, default: null },
+      permission:     { type: String, default: null },
+      date_required:  { type: Boolean, default: false }
+    }],
     disclaimer:     { type: String, default: '' },
+    status:         { type: String, default: FORM.STATUS[0], enum: FORM.STATUS },
+    latest_version: { type: Number, default: 0 },
+    effective_from: { type: Date },
+    effective_to:   { type: Date },
+    origin:         { type: Schema.Types.ObjectId, ref: 'Form' },
+    archived:       { type: Boolean, default: false },
+    revision:       { type: Number, default: 0 },
+    deleted_by:     { type: Schema.Types.ObjectId, ref: 'User' },
+    deleted_at:     { type: Date },
     date_created:   { type: Date },
     last_modified:  { type: Date }
 });
@@ -55,6 +71,8 @@ FormSchema.pre('save', function preSaveMiddleware(next) {
  */
 FormSchema.statics.attributes = {
   type: 1,
+  MFI: 1,
+  loan_product: 1,
   title: 1,
   questions: 1,
   created_by: 1,
@@ -65,6 +83,15 @@ FormSchema.statics.attributes = {
   layout: 1,
   disclaimer: 1,
   signatures: 1,
+  status: 1,
+  latest_version: 1,
+  effective_from: 1,
+  effective_to: 1,
+  origin: 1,
+  archived: 1,
+  revision: 1,
+  deleted_by: 1,
+  deleted_at: 1,
   date_created: 1,
   last_modified: 1,
   _id: 1
@@ -0,0 +1,69 @@
+'use strict';
+// Form Overlay Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+const paginator = require('mongoose-paginate');
+
+var Schema = mongoose.Schema;
+
+// New Form Overlay Schema Instance
+var FormOverlaySchema = new Schema({
+  form:           { type: Schema.Types.ObjectId, ref: 'Form', required: true },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+  branch:         { type: Schema.Types.ObjectId, ref: 'Branch', required: true },
+  added:          [{
+    _id: false,
+    question:   { type: Schema.Types.ObjectId, ref: 'Question' },
+    section:    { type: Schema.Types.ObjectId, ref: 'Section', default: null }
+  }],
+  hidden:         [{ type: Schema.Types.ObjectId, ref: 'Question' }],
+  created_by:     { type: Schema.Types.ObjectId, ref: 'User' },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+// a branch has one overlay per form
+FormOverlaySchema.index({ form: 1, branch: 1 }, { unique: true });
+
+/**
+ * Model Attributes to expose
+ */
+FormOverlaySchema.statics.attributes = {
+  form: 1,
+  MFI: 1,
+  branch: 1,
+  added: 1,
+  hidden: 1,
+  created_by: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+// add middleware to support pagination
+FormOverlaySchema.plugin(paginator);
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+FormOverlaySchema.pre('save', function preSaveMiddleware(next) {
+  let overlay = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  overlay.date_created = now;
+  overlay.last_modified = now;
+
+  next();
+
+});
+
+// Expose Form Overlay model
+module.exports = mongoose.model('FormOverlay', FormOverlaySchema);
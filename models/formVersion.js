@@ -0,0 +1,80 @@
+// Form Version Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+var mongoose  = require('mongoose');
+var moment    = require('moment');
+var paginator = require('mongoose-paginate');
+
+var Schema = mongoose.Schema;
+
+var FormVersionSchema = new Schema({
+    form:           { type: Schema.Types.ObjectId, ref: 'Form', required: true },
+    MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+    version:        { type: Number, required: true },
+    snapshot:       { type: Schema.Types.Mixed, required: true },
+    published_by:   { type: Schema.Types.ObjectId, ref: 'User' },
+    date_created:   { type: Date },
+    last_modified:  { type: Date }
+});
+
+// a form can only have one snapshot per version number
+FormVersionSchema.index({ form: 1, version: 1 }, { unique: true });
+
+// add mongoose-troop middleware to support pagination
+FormVersionSchema.plugin(paginator);
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ *        - Rejects changes to an already published version.
+ */
+FormVersionSchema.pre('save', function preSaveMiddleware(next) {
+  var instance = this;
+
+  if(!instance.isNew) {
+    return next(new Error('Published Form Versions Cannot Be Modified'));
+  }
+
+  // set date modifications
+  var now = moment().toISOString();
+
+  instance.date_created = now;
+  instance.last_modified = now;
+
+  next();
+
+});
+
+/**
+ * Pre update middleware.
+ *
+ * @desc  - Published versions are frozen, reject any update query.
+ */
+FormVersionSchema.pre('findOneAndUpdate', function preUpdateMiddleware(next) {
+  next(new Error('Published Form Versions Cannot Be Modified'));
+});
+
+FormVersionSchema.pre('update', function preUpdateMiddleware(next) {
+  next(new Error('Published Form Versions Cannot Be Modified'));
+});
+
+/**
+ * Filter Form Version Attributes to expose
+ */
+FormVersionSchema.statics.attributes = {
+  form: 1,
+  MFI: 1,
+  version: 1,
+  snapshot: 1,
+  published_by: 1,
+  date_created: 1,
+  _id: 1
+};
+
+
+// Expose Form Version model
+module.exports = mongoose.model('FormVersion', FormVersionSchema);
@@ -0,0 +1,65 @@
+'use strict';
+// Loan Product Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+const paginator = require('mongoose-paginate');
+
+const LOAN_PRODUCT = require('../lib/enums').LOAN_PRODUCT;
+
+var Schema = mongoose.Schema;
+
+// New Loan Product Schema Instance
+var LoanProductSchema = new Schema({
+  name:           { type: String, required: true },
+  description:    { type: String, default: '' },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI', required: true },
+  status:         { type: String, default: LOAN_PRODUCT.STATUS[0], enum: LOAN_PRODUCT.STATUS },
+  created_by:     { type: Schema.Types.ObjectId, ref: 'User' },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+// product names are unique within an MFI
+LoanProductSchema.index({ MFI: 1, name: 1 }, { unique: true });
+
+/**
+ * Model Attributes to expose
+ */
+LoanProductSchema.statics.attributes = {
+  name: 1,
+  description: 1,
+  MFI: 1,
+  status: 1,
+  created_by: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+// add middleware to support pagination
+LoanProductSchema.plugin(paginator);
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+LoanProductSchema.pre('save', function preSaveMiddleware(next) {
+  let loanProduct = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  loanProduct.date_created = now;
+  loanProduct.last_modified = now;
+
+  next();
+
+});
+
+// Expose Loan Product model
+module.exports = mongoose.model('LoanProduct', LoanProductSchema);
@@ -0,0 +1,64 @@
+'use strict';
+// Edit Lock Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+
+const LOCK      = require('../lib/enums').LOCK;
+
+var Schema = mongoose.Schema;
+
+// New Lock Schema Instance
+var LockSchema = new Schema({
+  resource:       { type: Schema.Types.ObjectId, required: true, unique: true },
+  kind:           { type: String, enum: LOCK.KINDS, required: true },
+  form:           { type: Schema.Types.ObjectId, ref: 'Form' },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+  holder:         { type: Schema.Types.ObjectId, ref: 'User', required: true },
+  expires_at:     { type: Date, required: true },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+// mongodb drops locks once they expire, this runs about
+// once a minute so expires_at is still checked on reads
+LockSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Model Attributes to expose
+ */
+LockSchema.statics.attributes = {
+  resource: 1,
+  kind: 1,
+  form: 1,
+  MFI: 1,
+  holder: 1,
+  expires_at: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+LockSchema.pre('save', function preSaveMiddleware(next) {
+  let lock = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  lock.date_created = now;
+  lock.last_modified = now;
+
+  next();
+
+});
+
+// Expose Lock model
+module.exports = mongoose.model('Lock', LockSchema);
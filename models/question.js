@@ -11,26 +11,124 @@ const QUESTION   = require('../lib/enums').QUESTION;
 
 var Schema = mongoose.Schema;
 
+// GeoJSON point, coordinates as [longitude, latitude]
+var PointSchema = new Schema({
+    type:         { type: String, enum: ['Point'], default: 'Point' },
+    coordinates:  [{ type: Number }]
+}, { _id: false });
+
 var QuestionSchema = new Schema({       
     question_text:      { type: String, required: true },
+    MFI:                { type: Schema.Types.ObjectId, ref: 'MFI' },
     number:             { type: Number, default: 1 },
     remark:             { type: String, default: '' },
     type:               { type: String, enums: QUESTION.TYPES, default: QUESTION.TYPES[0] },
     required:           { type: Boolean, default: false },
     validation_factor:  { type: String, default: QUESTION.VALIDATION[0], enums: QUESTION.VALIDATION },
     measurement_unit:   { type: String, default: '' },
-    options:            [{ type: String }],
+    options:            [{
+      _id:    false,
+      code:   { type: String },
+      label:  { type: String },
+      order:  { type: Number },
+      score:  { type: Number, default: null },
+      active: { type: Boolean, default: true }
+    }],
+    calendar:           { type: String, enums: QUESTION.CALENDARS },
+    variable:           { type: String },
+    formula:            { type: String },
+    currency:           { type: String },
+    number_rules:       {
+      min:       { type: Number },
+      max:       { type: Number },
+      step:      { type: Number },
+      precision: { type: Number }
+    },
+    file_rules:         {
+      mime_types: [{ type: String }],
+      max_size:   { type: Number },
+      max_count:  { type: Number }
+    },
+    scale_rules:        {
+      length:   { type: Number },
+      anchors:  [{
+        _id:    false,
+        point:  { type: Number },
+        label:  { type: String }
+      }],
+      values:   [{ type: Number }]
+    },
+    ranking_rules:      {
+      mode:     { type: String, enums: QUESTION.RANKING_MODES },
+      top:      { type: Number }
+    },
+    geo_rules:          {
+      accuracy: { type: Number },
+      geofence: { type: Boolean, default: false }
+    },
+    date_rules:         {
+      min:      { type: Date },
+      max:      { type: Date },
+      relative: { type: String, enums: QUESTION.DATE_BOUNDS },
+      min_age:  { type: Number },
+      max_age:  { type: Number }
+    },
     sub_questions:      [{ type: Schema.Types.ObjectId, ref: 'Question'}],
     values:             [{ type: String, default: '' }],
+    attachments:        [{ type: Schema.Types.ObjectId, ref: 'Attachment' }],
+    geopoint:           {
+      location:         { type: PointSchema },
+      accuracy:         { type: Number },
+      captured_at:      { type: Date },
+      branch:           { type: Schema.Types.ObjectId, ref: 'Branch' },
+      outside_geofence: { type: Boolean }
+    },
+    matrix:             {
+      rows:     [{ type: Schema.Types.ObjectId, ref: 'Question' }],
+      columns:  [{ type: Schema.Types.ObjectId, ref: 'Question' }]
+    },
+    repeat:             {
+      enabled:        { type: Boolean, default: false },
+      min:            { type: Number },
+      max:            { type: Number },
+      count_question: { type: Schema.Types.ObjectId, ref: 'Question' }
+    },
+    repeats:            [{
+      index:    { type: Number },
+      answers:  [{
+        question: { type: Schema.Types.ObjectId, ref: 'Question' },
+        values:   [{ type: String }]
+      }]
+    }],
+    grid:               [{
+      row:      { type: Schema.Types.ObjectId, ref: 'Question' },
+      cells:    [{
+        column: { type: Schema.Types.ObjectId, ref: 'Question' },
+        value:  { type: String, default: '' }
+      }]
+    }],
     show:               { type: Boolean, default: true },
     prerequisites:      [{
       answer:   { type: String },
       question: { type: Schema.Types.ObjectId, ref: 'Question' }
     }],
+    origin:             { type: Schema.Types.ObjectId, ref: 'Question' },
+    archived:           { type: Boolean, default: false },
+    revision:           { type: Number, default: 0 },
+    deleted_by:         { type: Schema.Types.ObjectId, ref: 'User' },
+    deleted_at:         { type: Date },
+    deleted_from:       {
+      form:     { type: Schema.Types.ObjectId, ref: 'Form' },
+      section:  { type: Schema.Types.ObjectId, ref: 'Section' },
+      question: { type: Schema.Types.ObjectId, ref: 'Question' }
+    },
     date_created:       { type: Date },
     last_modified:      { type: Date }
 });
 
+// answers of GEOPOINT questions are queried by area
+QuestionSchema.index({ 'geopoint.location': '2dsphere' });
+
 // add mongoose-troop middleware to support pagination
 QuestionSchema.plugin(paginator);
 
@@ -59,6 +157,7 @@ QuestionSchema.pre('save', function preSaveMiddleware(next) {
  */
 QuestionSchema.statics.attributes = {
   question_text:      1,
+  MFI:                1,
   remark:             1,
   number:             1,
   type:               1,
@@ -66,10 +165,32 @@ QuestionSchema.statics.attributes = {
   validation_factor:  1,
   measurement_unit:   1,
   options:            1,
+  calendar:           1,
+  variable:           1,
+  formula:            1,
+  currency:           1,
+  number_rules:       1,
+  date_rules:         1,
+  file_rules:         1,
+  geo_rules:          1,
+  scale_rules:        1,
+  ranking_rules:      1,
   sub_questions:      1,
   values:             1,
+  attachments:        1,
+  geopoint:           1,
+  matrix:             1,
+  grid:               1,
+  repeat:             1,
+  repeats:            1,
   show:               1,
   prerequisites:      1,
+  origin:             1,
+  archived:           1,
+  revision:           1,
+  deleted_by:         1,
+  deleted_at:         1,
+  deleted_from:       1,
   _id:                1
 };
 
@@ -11,8 +11,17 @@ var Schema = mongoose.Schema;
 
 var SectionSchema = new Schema({       
     title:           { type: String, default: '' },
+    MFI:             { type: Schema.Types.ObjectId, ref: 'MFI' },
     number:          { type: Number, default: 1 },
     questions:       [{ type: Schema.Types.ObjectId, ref: 'Question' }],
+    origin:          { type: Schema.Types.ObjectId, ref: 'Section' },
+    archived:        { type: Boolean, default: false },
+    revision:        { type: Number, default: 0 },
+    deleted_by:      { type: Schema.Types.ObjectId, ref: 'User' },
+    deleted_at:      { type: Date },
+    deleted_from:    {
+      form:     { type: Schema.Types.ObjectId, ref: 'Form' }
+    },
     date_created:    { type: Date },
     last_modified:   { type: Date }
 });
@@ -45,8 +54,15 @@ SectionSchema.pre('save', function preSaveMiddleware(next) {
  */
 SectionSchema.statics.attributes = {
   title: 1,
+  MFI: 1,
   number: 1,
   questions: 1,
+  origin: 1,
+  archived: 1,
+  revision: 1,
+  deleted_by: 1,
+  deleted_at: 1,
+  deleted_from: 1,
   date_created: 1,
   last_modified: 1,
   _id: 1
@@ -0,0 +1,70 @@
+'use strict';
+// Signature Model Definiton.
+
+/**
+ * Load Module Dependencies.
+ */
+const mongoose  = require('mongoose');
+const moment    = require('moment');
+
+var Schema = mongoose.Schema;
+
+// New Signature Schema Instance
+var SignatureSchema = new Schema({
+  form:           { type: Schema.Types.ObjectId, ref: 'Form', required: true },
+  block:          { type: Schema.Types.ObjectId, required: true },
+  MFI:            { type: Schema.Types.ObjectId, ref: 'MFI' },
+  account:        { type: Schema.Types.ObjectId, ref: 'Account' },
+  signed_by:      { type: Schema.Types.ObjectId, ref: 'User' },
+  file:           { type: String, required: true },
+  url:            { type: String, required: true },
+  mime_type:      { type: String },
+  size:           { type: Number },
+  date:           { type: Date, default: null },
+  signed_at:      { type: Date },
+  date_created:   { type: Date },
+  last_modified:  { type: Date }
+});
+
+// a signature block is signed once per form
+SignatureSchema.index({ form: 1, block: 1 }, { unique: true });
+
+/**
+ * Model Attributes to expose
+ */
+SignatureSchema.statics.attributes = {
+  form: 1,
+  block: 1,
+  MFI: 1,
+  account: 1,
+  signed_by: 1,
+  url: 1,
+  mime_type: 1,
+  size: 1,
+  date: 1,
+  signed_at: 1,
+  date_created: 1,
+  last_modified: 1
+};
+
+/**
+ * Pre save middleware.
+ *
+ * @desc  - Sets the date_created and last_modified
+ *          attributes prior to save.
+ */
+SignatureSchema.pre('save', function preSaveMiddleware(next) {
+  let signature = this;
+
+  // set date modifications
+  let now = moment().toISOString();
+
+  signature.date_created = now;
+  signature.last_modified = now;
+
+  next();
+
+});
+
+// Expose Signature model
+module.exports = mongoose.model('Signature', SignatureSchema);
@@ -0,0 +1,162 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const Router  = require('koa-router');
+const debug   = require('debug')('api:change-request-router');
+
+const changeRequestController  = require('../controllers/changeRequest');
+const authController           = require('../controllers/auth');
+
+const acl               = authController.accessControl;
+var router  = Router();
+
+/**
+ * @api {get} /forms/changes/paginate?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE>&form=<FORM>&status=<STATUS> Get change requests collection
+ * @apiVersion 1.0.0
+ * @apiName FetchPaginated
+ * @apiGroup ChangeRequest
+ *
+ * @apiDescription Get a collection of change requests. Edits to a published
+ * SCREENING or LOAN_APPLICATION form, its sections or questions are not applied
+ * right away, they are queued in the pending change request of the form until
+ * an approver signs them off. Filter with `form=<FORM>` and
+ * `status=<STATUS>` i.e PENDING, APPROVED or REJECTED.
+ *
+ * @apiSuccess {String} _id change request id
+ * @apiSuccess {String} form Form the changes belong to
+ * @apiSuccess {String} status Status i.e PENDING, APPROVED or REJECTED
+ * @apiSuccess {Object[]} changes Queued changes
+ * @apiSuccess {String} changes.target Changed item kind i.e FORM, SECTION or QUESTION
+ * @apiSuccess {String} changes.ref Changed item id
+ * @apiSuccess {Number} changes.revision Item revision the change was based on
+ * @apiSuccess {Object} changes.updates Update data
+ * @apiSuccess {Date} changes.applied_at When the change was applied, null until then
+ * @apiSuccess {Object} requested_by User who opened the change request
+ * @apiSuccess {Object} reviewed_by Approver who reviewed the change request
+ * @apiSuccess {String} reviewed_at Review date
+ * @apiSuccess {String} comment Review comment
+ * @apiSuccess {Number} version Form version the approved changes were published as
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "total_pages": 1,
+        "total_docs_count": 1,
+        "current_page": 1,
+        "docs": [{
+            "_id": "5def61b1cda72e00018b52c3",
+            "form": "5def47b7cda72e00018b528a",
+            "status": "PENDING",
+            "changes": [{
+                "target": "QUESTION",
+                "ref": "5def5a61cda72e00018b52a1",
+                "revision": 4,
+                "updates": {
+                    "remark": "Total land size should be greater than 1 ha"
+                },
+                "requested_by": "5da72bf5df89b700013ac578"
+            }],
+            "requested_by": {
+                "_id": "5da72bf5df89b700013ac578",
+                ...
+            },
+            "comment": ""
+        }]
+    }
+ */
+router.get('/paginate', acl(['*']), changeRequestController.fetchAllByPagination);
+
+/**
+ * @api {get} /forms/changes/:id Get Change Request
+ * @apiVersion 1.0.0
+ * @apiName Get
+ * @apiGroup ChangeRequest
+ *
+ * @apiDescription Get a change request with the given id
+ *
+ * @apiSuccess {String} _id change request id
+ * @apiSuccess {String} form Form the changes belong to
+ * @apiSuccess {String} status Status i.e PENDING, APPROVED or REJECTED
+ * @apiSuccess {Object[]} changes Queued changes
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "_id": "5def61b1cda72e00018b52c3",
+ *    "form": "5def47b7cda72e00018b528a",
+ *    "status": "PENDING",
+ *    "changes": [{
+ *      ...
+ *    }]
+ *  }
+ */
+router.get('/:id', acl(['*']), changeRequestController.fetchOne);
+
+/**
+ * @api {post} /forms/changes/:id/approve Approve Change Request
+ * @apiVersion 1.0.0
+ * @apiName Approve
+ * @apiGroup ChangeRequest
+ *
+ * @apiDescription Apply the changes of a pending change request and publish
+ * the form as a new version. Changes are applied one by one, each marked with
+ * `applied_at` once applied. If an item was changed since its change was
+ * requested the approval fails, the change request stays pending with the
+ * changes applied so far marked, and approving it again resumes with the
+ * rest. Requires the APPROVE form permission.
+ *
+ * @apiParam {String} [comment] Review comment
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    comment: "Agreed with the credit committee"
+ *  }
+ *
+ * @apiSuccess {String} _id change request id
+ * @apiSuccess {String} status APPROVED
+ * @apiSuccess {Number} version Form version the changes were published as
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "_id": "5def61b1cda72e00018b52c3",
+ *    "form": "5def47b7cda72e00018b528a",
+ *    "status": "APPROVED",
+ *    "comment": "Agreed with the credit committee",
+ *    "version": 3,
+ *    ...
+ *  }
+ */
+router.post('/:id/approve', acl(['*']), changeRequestController.approve);
+
+/**
+ * @api {post} /forms/changes/:id/reject Reject Change Request
+ * @apiVersion 1.0.0
+ * @apiName Reject
+ * @apiGroup ChangeRequest
+ *
+ * @apiDescription Close a pending change request without applying it. Changes
+ * a failed approval already applied stay on the form, unpublished.
+ * Requires the APPROVE form permission.
+ *
+ * @apiParam {String} comment Why the changes were rejected
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    comment: "Minimum land size is set by the regulator"
+ *  }
+ *
+ * @apiSuccess {String} _id change request id
+ * @apiSuccess {String} status REJECTED
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "_id": "5def61b1cda72e00018b52c3",
+ *    "form": "5def47b7cda72e00018b528a",
+ *    "status": "REJECTED",
+ *    "comment": "Minimum land size is set by the regulator",
+ *    ...
+ *  }
+ */
+router.post('/:id/reject', acl(['*']), changeRequestController.reject);
+
+// Expose Change Request Router
+module.exports = router;
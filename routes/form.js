@@ -23,8 +23,15 @@ var router  = Router();
  * @apiParam {String} [subtitle] Form Subtitle
  * @apiParam {String} [purpose] Form Purpose
  * @apiParam {String} type Form Type i.e SCREENING or LOAN_APPLICATION
+ * @apiParam {String} [MFI] MFI the form belongs to, only for super admins. Others create forms for their own MFI
+ * @apiParam {String} [loan_product] Loan Product the form is for. Only SCREENING, LOAN_APPLICATION and ACAT forms
  * @apiParam {String} layout Form's layout i.e 'TWO_COLUMNS' or 'THREE_COLUMNS'. This will determine the layout the form when presented for the user.
  * @apiParam {Boolean} [has_sections] Determines whether the form has sections or not (true or false).
+ * @apiParam {String} [effective_from] Date the form becomes effective, open if left out
+ * @apiParam {String} [effective_to] Date the form stops being effective, open if left out.
+ *  Forms of the same type and loan product of an MFI can not have overlapping effective periods.
+ * @apiParam {Object[]} [signatures] Signature Blocks, labels or { label, role, permission, date_required }.
+ *  Defaults to Applicant, Filled By and Checked By for SCREENING and Filled By and Checked By for LOAN_APPLICATION forms.
  *  
  * 
  * 
@@ -41,6 +48,7 @@ var router  = Router();
  *
  * @apiSuccess {String} _id form id
  * @apiSuccess {String} type Form Type i.e SCREENING or LOAN_APPLICATION
+ * @apiSuccess {String} MFI MFI the form belongs to
  * @apiSuccess {String} title Form Title
  * @apiSuccess {String} subtitle Form Subtitle 
  * @apiSuccess {String} purpose Form Purpose
@@ -50,7 +58,11 @@ var router  = Router();
  * @apiSuccess {Object[]} sections Form Sections
  * @apiSuccess {Boolean} has_sections true, if Form has Sections
  * @apiSuccess {String} disclaimer Disclaimer
- * @apiSuccess {String[]} signatures Accepted Signatures
+ * @apiSuccess {Object[]} signatures Signature Blocks, see Get Form Signatures
+ * @apiSuccess {String} status Form Status i.e DRAFT, PUBLISHED or ARCHIVED
+ * @apiSuccess {Number} latest_version Latest published version, 0 if never published
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
  *
  * @apiSuccessExample Response Example:
     {
@@ -75,14 +87,15 @@ router.post('/create', acl(['*']), formController.create);
 
 
 /**
- * @api {get} /forms/paginate?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE> Get forms collection
+ * @api {get} /forms/paginate?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE>&status=<STATUS> Get forms collection
  * @apiVersion 1.0.0
  * @apiName FetchPaginated
  * @apiGroup Form
  *
  * @apiDescription Get a collection of forms. The endpoint has pagination
  * out of the box. Use these params to query with pagination: `page=<RESULTS_PAGE`
- * and `per_page=<RESULTS_PER_PAGE>`.
+ * and `per_page=<RESULTS_PER_PAGE>`. Use `status=<STATUS>` to only list
+ * DRAFT, PUBLISHED or ARCHIVED forms.
  *
  * @apiSuccess {String} _id form id
  * @apiSuccess {String} type Form Type i.e SCREENING or LOAN_APPLICATION
@@ -95,7 +108,11 @@ router.post('/create', acl(['*']), formController.create);
  * @apiSuccess {Object[]} sections Form Sections
  * @apiSuccess {Boolean} has_sections true, if Form has Sections
  * @apiSuccess {String} disclaimer Disclaimer
- * @apiSuccess {String[]} signatures Accepted Signatures
+ * @apiSuccess {Object[]} signatures Signature Blocks, see Get Form Signatures
+ * @apiSuccess {String} status Form Status i.e DRAFT, PUBLISHED or ARCHIVED
+ * @apiSuccess {Number} latest_version Latest published version, 0 if never published
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
  *
  * @apiSuccessExample Response Example:
  *  {
@@ -126,6 +143,86 @@ router.post('/create', acl(['*']), formController.create);
  */
 router.get('/paginate', acl(['*']), formController.fetchAllByPagination);
 
+/**
+ * @api {get} /forms/trash?type=<TYPE>&page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE> Get Trash
+ * @apiVersion 1.0.0
+ * @apiName FetchTrash
+ * @apiGroup Form
+ *
+ * @apiDescription Get a paginated collection of deleted items, most recently
+ * deleted first. `type` is one of `forms`(default), `sections` or `questions`.
+ * Sections and questions deleted along with their form or section are left
+ * out, they come back when their parent is restored.
+ *
+ * @apiSuccess {String} _id item id
+ * @apiSuccess {Boolean} archived true, deleted items are archived
+ * @apiSuccess {String} deleted_by User who deleted the item
+ * @apiSuccess {String} deleted_at Deletion date
+ * @apiSuccess {Object} deleted_from Parent form, section or question the item was attached to
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "total_pages": 1,
+        "total_docs_count": 1,
+        "current_page": 1,
+        "docs": [{
+            "_id": "5def5a61cda72e00018b52a1",
+            "question_text": "Farm size",
+            "type": "FILL_IN_BLANK",
+            "archived": true,
+            "deleted_by": "5da72bf5df89b700013ac578",
+            "deleted_at": "2019-12-11T10:02:11.204Z",
+            "deleted_from": {
+                "form": "5def47b7cda72e00018b528a",
+                "section": "5def47f2cda72e00018b528c"
+            },
+            ...
+        }]
+    }
+ */
+router.get('/trash', acl(['*']), formController.fetchTrash);
+
+/**
+ * @api {get} /forms/resolve?type=<TYPE>&date=<DATE>&product=<LOAN_PRODUCT> Resolve Form
+ * @apiVersion 1.0.0
+ * @apiName Resolve
+ * @apiGroup Form
+ *
+ * @apiDescription Get the published form of the given type that was
+ * effective at the given date, i.e the date an application was started.
+ * `date` defaults to now. The form version published by then is returned,
+ * or the first version if the form was published after that date. Pass
+ * `product` to get the form of a loan product, forms not linked to a loan
+ * product are resolved otherwise.
+ *
+ * @apiSuccess {String} _id version id
+ * @apiSuccess {String} form form id
+ * @apiSuccess {Number} version Version number
+ * @apiSuccess {Object} snapshot Form as it was published
+ * @apiSuccess {String} published_by User who published the version
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def5b02cda72e00018b52a7",
+        "form": "5def47b7cda72e00018b528a",
+        "version": 2,
+        "published_by": "5da72bf5df89b700013ac578",
+        "date_created": "2019-12-10T09:51:30.401Z",
+        "snapshot": {
+            "_id": "5def47b7cda72e00018b528a",
+            "type": "LOAN_APPLICATION",
+            "title": "Loan Application Form",
+            "effective_from": "2019-07-08T00:00:00.000Z",
+            "effective_to": null,
+            "questions": [
+                ...
+            ],
+            ...
+        }
+    }
+ */
+router.get('/resolve', acl(['*']), formController.resolve);
+
 /**
  * @api {get} /forms/:id/sections Get Form Sections
  * @apiVersion 1.0.0
@@ -173,27 +270,520 @@ router.get('/paginate', acl(['*']), formController.fetchAllByPagination);
  */
 router.get('/:id/sections', acl(['*']), formController.getFormSections);
 
+/**
+ * @api {post} /forms/:id/publish Publish Form
+ * @apiVersion 1.0.0
+ * @apiName Publish
+ * @apiGroup Form
+ *
+ * @apiDescription Publish a DRAFT form. The current state of the form is frozen
+ * into a new version whose snapshot holds the fully populated form tree(sections,
+ * questions, sub questions and prerequisites) and can never be modified afterwards.
+ * The form moves to PUBLISHED and refuses edits until a new draft is opened.
+ * Publishing is refused while the form's effective period overlaps another
+ * form of the same type. Once a SCREENING or LOAN_APPLICATION form has been
+ * published, publishing, status changes and rollbacks need the APPROVE
+ * form permission.
+ *
+ * @apiSuccess {String} _id version id
+ * @apiSuccess {String} form Form reference
+ * @apiSuccess {Number} version Version number
+ * @apiSuccess {Object} snapshot Frozen form tree
+ * @apiSuccess {String} published_by User who published the version
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def4ae1cda72e00018b5290",
+        "date_created": "2019-12-10T07:36:01.118Z",
+        "form": "5def47b7cda72e00018b528a",
+        "version": 1,
+        "published_by": "5da72bf5df89b700013ac578",
+        "snapshot": {
+            "_id": "5def47b7cda72e00018b528a",
+            "type": "LOAN_APPLICATION",
+            "title": "Loan Application Form",
+            "status": "PUBLISHED",
+            "latest_version": 1,
+            "questions": [
+                ...
+            ],
+            "sections": [],
+            ...
+        }
+    }
+ */
+router.post('/:id/publish', acl(['*']), formController.publish);
+
+/**
+ * @api {post} /forms/:id/clone Clone Form
+ * @apiVersion 1.0.0
+ * @apiName Clone
+ * @apiGroup Form
+ *
+ * @apiDescription Deep copy a form with its sections, questions and sub
+ * questions. Prerequisites of the copies point to the copied questions.
+ * The clone starts as a DRAFT and can share its type and effective period
+ * with other forms until it is published.
+ * Copied forms, sections and questions keep an `origin` reference to
+ * what they were copied from.
+ *
+ * @apiParam {String} [title] Clone Title, defaults to the source title suffixed with (Copy)
+ * @apiParam {String} [type] Clone Form Type, defaults to the source type
+ * @apiParam {String} [loan_product] Loan Product of the clone, defaults to the source loan product
+ * @apiParam {String} [effective_from] Date the clone becomes effective
+ * @apiParam {String} [effective_to] Date the clone stops being effective
+ *
+ * @apiParamExample Request Example:
+ *  {
+        title: "Pilot Screening Form"
+ *  }
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} origin Source form id
+ * @apiSuccess {String} status Form Status i.e DRAFT
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5df0a2c1cda72e00018b5310",
+        "type": "SCREENING",
+        "title": "Pilot Screening Form",
+        "status": "DRAFT",
+        "latest_version": 0,
+        "origin": "5b9270ce63c2a40001f47494",
+        "questions": [
+            {
+                "_id": "5df0a2c1cda72e00018b5301",
+                "origin": "5b92730e63c2a40001f47496",
+                ...
+            }
+        ],
+        ...
+    }
+ */
+router.post('/:id/clone', acl(['*']), formController.clone);
+
+/**
+ * @api {post} /forms/:id/rollback Rollback Form
+ * @apiVersion 1.0.0
+ * @apiName Rollback
+ * @apiGroup Form
+ *
+ * @apiDescription Restore the form, its sections and its questions exactly as
+ * they were at a published version. Sections and questions keep their ids, so
+ * references held by already submitted data stay valid. Sections and questions
+ * added after that version are detached from the form but not removed.
+ * A PUBLISHED form gets the restored state published as a new version, the
+ * rollback is recorded in the logs with the list of reverted changes.
+ *
+ * @apiParam {Number} version Version to roll back to
+ *
+ * @apiParamExample Request Example:
+ *  {
+        version: 2
+ *  }
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} status Form Status
+ * @apiSuccess {Number} latest_version Latest published version
+ * @apiSuccess {Object[]} questions Restored Form Questions
+ * @apiSuccess {Object[]} sections Restored Form Sections
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def47b7cda72e00018b528a",
+        "type": "LOAN_APPLICATION",
+        "title": "Loan Application Form",
+        "status": "PUBLISHED",
+        "latest_version": 4,
+        "questions": [
+            ...
+        ],
+        "sections": [],
+        ...
+    }
+ */
+router.post('/:id/rollback', acl(['*']), formController.rollback);
+
+/**
+ * @api {post} /forms/:id/restore Restore Form
+ * @apiVersion 1.0.0
+ * @apiName Restore
+ * @apiGroup Form
+ *
+ * @apiDescription Bring back a deleted form from the trash together with the
+ * sections and questions that were deleted along with it.
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {Boolean} archived false
+ * @apiSuccess {Object[]} questions Form Questions
+ * @apiSuccess {Object[]} sections Form Sections
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def47b7cda72e00018b528a",
+        "type": "LOAN_APPLICATION",
+        "title": "Loan Application Form",
+        "archived": false,
+        "questions": [
+            ...
+        ],
+        ...
+    }
+ */
+router.post('/:id/restore', acl(['*']), formController.restore);
+
+/**
+ * @api {post} /forms/:id/schedule Schedule Form
+ * @apiVersion 1.0.0
+ * @apiName Schedule
+ * @apiGroup Form
+ *
+ * @apiDescription Set the period the form with the given id is effective
+ * for. Works on drafts and published forms alike. Leave a date out to keep
+ * that side of the period open. The period can not overlap with the period
+ * of another form of the same type.
+ *
+ * @apiParam {String} [effective_from] Date the form becomes effective
+ * @apiParam {String} [effective_to] Date the form stops being effective
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    effective_from: "2019-07-08",
+ *    effective_to: "2020-07-08"
+ *  }
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def47b7cda72e00018b528a",
+        "type": "LOAN_APPLICATION",
+        "title": "Loan Application Form",
+        "status": "PUBLISHED",
+        "effective_from": "2019-07-08T00:00:00.000Z",
+        "effective_to": "2020-07-08T00:00:00.000Z",
+        ...
+    }
+ */
+router.post('/:id/schedule', acl(['*']), formController.schedule);
+
+/**
+ * @api {post} /forms/:id/draft Open Form Draft
+ * @apiVersion 1.0.0
+ * @apiName OpenDraft
+ * @apiGroup Form
+ *
+ * @apiDescription Open a new draft from a PUBLISHED form. The form moves back
+ * to DRAFT and accepts edits again, its published versions are left untouched.
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} status Form Status i.e DRAFT
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def47b7cda72e00018b528a",
+        "type": "LOAN_APPLICATION",
+        "title": "Loan Application Form",
+        "status": "DRAFT",
+        "latest_version": 1,
+        ...
+    }
+ */
+router.post('/:id/draft', acl(['*']), formController.openDraft);
 
 /**
- * @api {get} /forms/:id Get Form 
+ * @api {post} /forms/:id/archive Archive Form
+ * @apiVersion 1.0.0
+ * @apiName Archive
+ * @apiGroup Form
+ *
+ * @apiDescription Archive a PUBLISHED form. Archived forms can no longer be
+ * edited or published.
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} status Form Status i.e ARCHIVED
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def47b7cda72e00018b528a",
+        "type": "LOAN_APPLICATION",
+        "title": "Loan Application Form",
+        "status": "ARCHIVED",
+        "latest_version": 1,
+        ...
+    }
+ */
+router.post('/:id/archive', acl(['*']), formController.archive);
+
+/**
+ * @api {get} /forms/:id/versions?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE> Get Form Versions
+ * @apiVersion 1.0.0
+ * @apiName GetVersions
+ * @apiGroup Form
+ *
+ * @apiDescription Get the published versions of a form, latest first.
+ * Snapshots are left out of the listing.
+ *
+ * @apiSuccess {String} _id version id
+ * @apiSuccess {String} form Form reference
+ * @apiSuccess {Number} version Version number
+ * @apiSuccess {String} published_by User who published the version
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "total_pages": 1,
+        "total_docs_count": 2,
+        "current_page": 1,
+        "docs": [{
+            "_id": "5def4ae1cda72e00018b5291",
+            "date_created": "2019-12-11T09:12:41.301Z",
+            "form": "5def47b7cda72e00018b528a",
+            "version": 2,
+            "published_by": "5da72bf5df89b700013ac578"
+        },
+        {
+            ...
+        }]
+    }
+ */
+router.get('/:id/versions', acl(['*']), formController.fetchVersions);
+
+/**
+ * @api {get} /forms/:id/versions/:version Get Form Version
+ * @apiVersion 1.0.0
+ * @apiName GetVersion
+ * @apiGroup Form
+ *
+ * @apiDescription Get a published version of a form with its frozen snapshot.
+ * Use `latest` as the version to get the latest published version, this is
+ * the form field staff should be filling.
+ *
+ * @apiSuccess {String} _id version id
+ * @apiSuccess {String} form Form reference
+ * @apiSuccess {Number} version Version number
+ * @apiSuccess {Object} snapshot Frozen form tree
+ * @apiSuccess {String} published_by User who published the version
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "_id": "5def4ae1cda72e00018b5290",
+        "date_created": "2019-12-10T07:36:01.118Z",
+        "form": "5def47b7cda72e00018b528a",
+        "version": 1,
+        "published_by": "5da72bf5df89b700013ac578",
+        "snapshot": {
+            "_id": "5def47b7cda72e00018b528a",
+            "type": "LOAN_APPLICATION",
+            "title": "Loan Application Form",
+            "questions": [
+                ...
+            ],
+            ...
+        }
+    }
+ */
+router.get('/:id/versions/:version', acl(['*']), formController.fetchVersion);
+
+/**
+ * @api {get} /forms/:id/diff?from=<VERSION>&to=<VERSION>&against=<FORM_ID> Compare Forms
+ * @apiVersion 1.0.0
+ * @apiName Diff
+ * @apiGroup Form
+ *
+ * @apiDescription Structural diff between two versions of a form, or between
+ * a form and another form. Sections and questions are matched by identity(a
+ * clone shares the identity of its origin) and
+ * reported as added, removed or modified(text, type, options, required flag,
+ * validation factor, prerequisites, ...). Options are matched by code, the ones
+ * relabelled, reordered, rescored or deactivated are listed in `modified`.
+ *
+ * `from` and `to` take a version number, `latest` or `head`(the live form).
+ * Without `against`, `from` defaults to `latest` and `to` to `head`, i.e the
+ * pending changes since the last publish. With `against=<FORM_ID>`, `from`
+ * applies to this form, `to` to the other one and both default to `head`.
+ *
+ * @apiSuccess {Object} form Changed form attributes
+ * @apiSuccess {Object} sections Added, removed and modified sections
+ * @apiSuccess {Object} questions Added, removed and modified questions
+ * @apiSuccess {String[]} summary Human readable list of changes
+ * @apiSuccess {Object} source Compared from form and version
+ * @apiSuccess {Object} target Compared to form and version
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        "form": {
+            "modified": []
+        },
+        "sections": {
+            "added": [],
+            "removed": [],
+            "modified": []
+        },
+        "questions": {
+            "added": [{
+                "_id": "5def5a61cda72e00018b52a1",
+                "question_text": "Farm size",
+                "number": 4,
+                "type": "FILL_IN_BLANK"
+            }],
+            "removed": [],
+            "modified": [{
+                "_id": "5def4b21cda72e00018b5292",
+                "question_text": "Marital Status",
+                "number": 2,
+                "type": "SINGLE_CHOICE",
+                "changes": [{
+                    "field": "required",
+                    "from": false,
+                    "to": true
+                },{
+                    "field": "options",
+                    "added": ["Widowed"],
+                    "removed": []
+                }]
+            }]
+        },
+        "summary": [
+            "Added question 4 \"Farm size\"",
+            "Changed required of question 2 \"Marital Status\" from false to true",
+            "Added options [Widowed] to question 2 \"Marital Status\""
+        ],
+        "source": {
+            "form": "5def47b7cda72e00018b528a",
+            "version": "latest"
+        },
+        "target": {
+            "form": "5def47b7cda72e00018b528a",
+            "version": "head"
+        }
+    }
+ */
+router.get('/:id/diff', acl(['*']), formController.diff);
+
+/**
+ * @api {get} /forms/:id/signatures Get Form Signatures
+ * @apiVersion 1.0.0
+ * @apiName FetchSignatures
+ * @apiGroup Form
+ *
+ * @apiDescription Get the signature blocks of a form, each with the
+ * signature captured for it or null.
+ *
+ * @apiSuccess {Object[]} signatures Signature Blocks
+ * @apiSuccess {String} signatures._id Signature Block id
+ * @apiSuccess {String} signatures.label Label the signature is asked under i.e Checked By
+ * @apiSuccess {String} signatures.role Role name the signer's account must have, if any
+ * @apiSuccess {String} signatures.permission Permission the signer's role must grant, if any
+ * @apiSuccess {Boolean} signatures.date_required Whether the date signed on is asked for
+ * @apiSuccess {Object} signatures.signature Captured signature or null
+ * @apiSuccess {String} signatures.signature.url Address the signature image is served at
+ * @apiSuccess {String} signatures.signature.account Signer's account
+ * @apiSuccess {String} signatures.signature.date Date written with the signature
+ * @apiSuccess {String} signatures.signature.signed_at When the signature was captured
+ *
+ * @apiSuccessExample Response Example:
+ *  [{
+ *    "_id": "5df1e4b2cda72e00018b5320",
+ *    "label": "Checked By",
+ *    "role": "Branch Manager",
+ *    "permission": null,
+ *    "date_required": true,
+ *    "signature": {
+ *      "_id": "5df1e4b2cda72e00018b5330",
+ *      "form": "5def47b7cda72e00018b528a",
+ *      "block": "5df1e4b2cda72e00018b5320",
+ *      "account": "5da72bf5df89b700013ac578",
+ *      "url": "http://127.0.0.1:8090/media/3c9d0e1f2a3b4c5d6e7f8091.png",
+ *      "mime_type": "image/png",
+ *      "size": 10482,
+ *      "date": "2019-12-31T00:00:00.000Z",
+ *      "signed_at": "2019-12-31T10:12:45.000Z"
+ *    }
+ *  }]
+ */
+router.get('/:id/signatures', acl(['*']), formController.fetchSignatures);
+
+/**
+ * @api {post} /forms/:id/signatures/:block Sign Form
+ * @apiVersion 1.0.0
+ * @apiName Sign
+ * @apiGroup Form
+ *
+ * @apiDescription Capture the signature of a signature block of a form. The
+ * image, PNG or JPEG, is uploaded as `multipart/form-data` or sent as a data
+ * URL in `image`. The signer's account and the time are recorded with it.
+ * Blocks with a `role` or `permission` can only be signed by accounts having
+ * that role or whose role grants that permission. Signing a block again
+ * replaces its signature.
+ *
+ * @apiParam {File} [file] Signature image
+ * @apiParam {String} [image] Signature image as a data URL i.e data:image/png;base64,iVBORw0KGgo...
+ * @apiParam {String} [date] Date signed on i.e 2019-12-31, required when the block has `date_required`
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    "image": "data:image/png;base64,iVBORw0KGgo...",
+ *    "date": "2019-12-31"
+ *  }
+ *
+ * @apiSuccess {String} _id Signature Block id
+ * @apiSuccess {String} label Label the signature is asked under
+ * @apiSuccess {Object} signature Captured signature
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "_id": "5df1e4b2cda72e00018b5320",
+ *    "label": "Checked By",
+ *    "role": "Branch Manager",
+ *    "permission": null,
+ *    "date_required": true,
+ *    "signature": {
+ *      "_id": "5df1e4b2cda72e00018b5330",
+ *      "account": "5da72bf5df89b700013ac578",
+ *      "url": "http://127.0.0.1:8090/media/3c9d0e1f2a3b4c5d6e7f8091.png",
+ *      "date": "2019-12-31T00:00:00.000Z",
+ *      "signed_at": "2019-12-31T10:12:45.000Z"
+ *    }
+ *  }
+ */
+router.post('/:id/signatures/:block', acl(['*']), formController.sign);
+
+
+/**
+ * @api {get} /forms/:id?branch=<BRANCH> Get Form 
  * @apiVersion 1.0.0
  * @apiName Get
  * @apiGroup Form
  *
- * @apiDescription Get a form with the given id
+ * @apiDescription Get a form with the given id. When the branch has an
+ * overlay of the form, its questions are added and its hidden questions
+ * left out. The branch is the default branch of the caller's account
+ * unless one is passed with `branch=<BRANCH>`.
  *
  * @apiSuccess {String} _id form id
  * @apiSuccess {String} type Form Type i.e SCREENING or LOAN_APPLICATION
  * @apiSuccess {String} title Form Title
  * @apiSuccess {String} subtitle Form Subtitle 
  * @apiSuccess {String} purpose Form Purpose
+ * @apiSuccess {Object} overlay Branch overlay merged into the form, if any
  * @apiSuccess {Object[]} questions Form Questions
  * @apiSuccess {String} layout Form Layout i.e TWO_COLUMNS or THREE_COLUMNS 
  * @apiSuccess {String} created_by User account id who creates the form
  * @apiSuccess {Object[]} sections Form Sections
  * @apiSuccess {Boolean} has_sections true, if Form has Sections
  * @apiSuccess {String} disclaimer Disclaimer
- * @apiSuccess {String[]} signatures Accepted Signatures
+ * @apiSuccess {Object[]} signatures Signature Blocks, see Get Form Signatures
+ * @apiSuccess {String} status Form Status i.e DRAFT, PUBLISHED or ARCHIVED
+ * @apiSuccess {Number} latest_version Latest published version, 0 if never published
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
+ * @apiSuccess {Object[]} locks Live edit locks on the form's sections and questions
+ * @apiSuccess {String} locks.resource Locked section or question id
+ * @apiSuccess {String} locks.kind Locked item kind i.e SECTION or QUESTION
+ * @apiSuccess {Object} locks.holder User holding the lock
+ * @apiSuccess {String} locks.expires_at Lock expiry date
  * 
  * 
  * @apiSuccessExample Response Example:
@@ -205,10 +795,14 @@ router.get('/:id/sections', acl(['*']), formController.getFormSections);
         "type": "SCREENING",
         "created_by": "5b925494b1cfc10001d80908",
         "disclaimer": "",
-        "signatures": [
-            "Applicant",
-            "Filled By",
-            "Checked By"
+        "signatures": [{
+            "_id": "5b9270ce63c2a40001f47495",
+            "label": "Applicant",
+            "role": null,
+            "permission": null,
+            "date_required": true
+        },
+            ...
         ],
         "sections": [],
         "has_sections": false,
@@ -223,7 +817,17 @@ router.get('/:id/sections', acl(['*']), formController.getFormSections);
         ],
         "purpose": "",
         "subtitle": "",
-        "title": "Screening Form/Pre Selection Criteria for Irrigation Input Loan"
+        "title": "Screening Form/Pre Selection Criteria for Irrigation Input Loan",
+        "locks": [{
+            "resource": "5b92730e63c2a40001f47496",
+            "kind": "QUESTION",
+            "holder": {
+                "_id": "5b925494b1cfc10001d80908",
+                "username": "designer@bidir.com",
+                ...
+            },
+            "expires_at": "2018-09-07T13:30:43.139Z"
+        }]
     }
  
  *
@@ -238,14 +842,25 @@ router.get('/:id', acl(['*']), formController.fetchOne);
  * @apiName Update
  * @apiGroup Form 
  *
- * @apiDescription Update a form with the given id
- * 
+ * @apiDescription Update a form with the given id. The `If-Match`
+ * header must carry the form revision last read, as returned in the `revision`
+ * attribute or in the `ETag` header of the last read or update. If the form changed since then the
+ * update is rejected with `409` and the current form in `error.data`.
+ * A header naming no revision is rejected with `412`.
+ * Once a SCREENING or LOAN_APPLICATION form is published, updates are not
+ * applied right away. They are queued in the pending change request of the
+ * form and `202` is returned with it, see Approve Change Request.
+ *
+ * @apiHeader {String} If-Match Form ETag or revision i.e "3.1f0c9a6d2b7e4c55" or "3"
+ *
  * @apiParam {String} [title] Form Title 
  * @apiParam {String} [subtitle] Form Subtitle
  * @apiParam {String} [purpose] Form Purpose
  * @apiParam {String} type Form Type i.e SCREENING or LOAN_APPLICATION
  * @apiParam {String} layout Form's layout i.e 'TWO_COLUMNS' or 'THREE_COLUMNS'. This will determine the layout the form when presented for the user.
  * @apiParam {Boolean} [has_sections] Determines whether the form has sections or not (true or false).
+ * @apiParam {Object[]} [signatures] Signature Blocks replacing the form's, each { label, role, permission, date_required }.
+ *  Blocks keep the signatures captured for them when sent with their `_id`.
  *
 
  *
@@ -267,7 +882,11 @@ router.get('/:id', acl(['*']), formController.fetchOne);
  * @apiSuccess {Object[]} sections Form Sections
  * @apiSuccess {Boolean} has_sections true, if Form has Sections
  * @apiSuccess {String} disclaimer Disclaimer
- * @apiSuccess {String[]} signatures Accepted Signatures
+ * @apiSuccess {Object[]} signatures Signature Blocks, see Get Form Signatures
+ * @apiSuccess {String} status Form Status i.e DRAFT, PUBLISHED or ARCHIVED
+ * @apiSuccess {Number} latest_version Latest published version, 0 if never published
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
  * 
  * 
  * @apiSuccessExample Response Example:
@@ -299,7 +918,8 @@ router.put('/:id', acl(['*']), formController.update);
  * @apiName DeleteForm
  * @apiGroup Form 
  *
- * @apiDescription Delete a form with the given id
+ * @apiDescription Delete a form with the given id. The form, its sections
+ * and its questions are moved to the trash and can be restored.
  *
  *
  * @apiSuccess {String} _id form id
@@ -313,7 +933,11 @@ router.put('/:id', acl(['*']), formController.update);
  * @apiSuccess {Object[]} sections Form Sections
  * @apiSuccess {Boolean} has_sections true, if Form has Sections
  * @apiSuccess {String} disclaimer Disclaimer
- * @apiSuccess {String[]} signatures Accepted Signatures
+ * @apiSuccess {Object[]} signatures Signature Blocks, see Get Form Signatures
+ * @apiSuccess {String} status Form Status i.e DRAFT, PUBLISHED or ARCHIVED
+ * @apiSuccess {Number} latest_version Latest published version, 0 if never published
+ * @apiSuccess {String} effective_from Date the form becomes effective
+ * @apiSuccess {String} effective_to Date the form stops being effective
  * 
  *
  * @apiSuccessExample Response Example:
@@ -0,0 +1,233 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const Router  = require('koa-router');
+const debug   = require('debug')('api:form-overlay-router');
+
+const formOverlayController  = require('../controllers/formOverlay');
+const authController         = require('../controllers/auth');
+
+const acl               = authController.accessControl;
+var router  = Router();
+
+/**
+ * @api {post} /forms/overlays/create Create Form Overlay
+ * @apiVersion 1.0.0
+ * @apiName CreateFormOverlay
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Create an overlay of an MFI base form for a branch. The
+ * overlay adds questions to or hides questions of the base form, staff of
+ * the branch get the merged form from `GET /forms/:id`. A branch has one
+ * overlay per form.
+ *
+ * @apiParam {String} form Base Form
+ * @apiParam {String} branch Branch the overlay applies to
+ * @apiParam {String[]} [hidden] Questions of the base form the branch does not ask
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    form: "5def47b7cda72e00018b528a",
+ *    branch: "5b926c849fb7f20001f1494c",
+ *    hidden: ["5def5a61cda72e00018b52a1"]
+ *  }
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {String} form Base Form
+ * @apiSuccess {Object} branch Branch the overlay applies to
+ * @apiSuccess {Object[]} added Questions the overlay adds
+ * @apiSuccess {Object} added.question Added Question
+ * @apiSuccess {String} added.section Section the question is added to, form level if empty
+ * @apiSuccess {String[]} hidden Hidden questions of the base form
+ * @apiSuccess {String} created_by User who created the overlay
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    form: "5def47b7cda72e00018b528a",
+ *    branch: {
+ *      _id: "5b926c849fb7f20001f1494c",
+ *      name: "Ziway Branch",
+ *      ...
+ *    },
+ *    added: [],
+ *    hidden: ["5def5a61cda72e00018b52a1"],
+ *    created_by: "5da72bf5df89b700013ac578"
+ *  }
+ */
+router.post('/create', acl(['*']), formOverlayController.create);
+
+/**
+ * @api {get} /forms/overlays/paginate?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE>&form=<FORM>&branch=<BRANCH> Get form overlays collection
+ * @apiVersion 1.0.0
+ * @apiName FetchPaginated
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Get a collection of form overlays. Filter with `form=<FORM>`
+ * and `branch=<BRANCH>`.
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {String} form Base Form
+ * @apiSuccess {Object} branch Branch the overlay applies to
+ * @apiSuccess {Object[]} added Questions the overlay adds
+ * @apiSuccess {String[]} hidden Hidden questions of the base form
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "total_pages": 1,
+ *    "total_docs_count": 1,
+ *    "current_page": 1,
+ *    "docs": [{
+ *      _id : "5df0a7f2cda72e00018b52d4",
+ *      form: "5def47b7cda72e00018b528a",
+ *      ...
+ *    }]
+ *  }
+ */
+router.get('/paginate', acl(['*']), formOverlayController.fetchAllByPagination);
+
+/**
+ * @api {get} /forms/overlays/:id Get Form Overlay
+ * @apiVersion 1.0.0
+ * @apiName Get
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Get a form overlay with the given id
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {String} form Base Form
+ * @apiSuccess {Object} branch Branch the overlay applies to
+ * @apiSuccess {Object[]} added Questions the overlay adds
+ * @apiSuccess {String[]} hidden Hidden questions of the base form
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    form: "5def47b7cda72e00018b528a",
+ *    branch: {
+ *      ...
+ *    },
+ *    added: [{
+ *      question: {
+ *        _id: "5df0a8b4cda72e00018b52d6",
+ *        question_text: "Irrigation Source",
+ *        ...
+ *      },
+ *      section: null
+ *    }],
+ *    hidden: []
+ *  }
+ */
+router.get('/:id', acl(['*']), formOverlayController.fetchOne);
+
+/**
+ * @api {put} /forms/overlays/:id Update Form Overlay
+ * @apiVersion 1.0.0
+ * @apiName Update
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Replace the questions of the base form the branch hides.
+ *
+ * @apiParam {String[]} hidden Questions of the base form the branch does not ask
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    hidden: ["5def5a61cda72e00018b52a1", "5def5a9ecda72e00018b52a5"]
+ *  }
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {String[]} hidden Hidden questions of the base form
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    hidden: ["5def5a61cda72e00018b52a1", "5def5a9ecda72e00018b52a5"],
+ *    ...
+ *  }
+ */
+router.put('/:id', acl(['*']), formOverlayController.update);
+
+/**
+ * @api {post} /forms/overlays/:id/questions Add Overlay Question
+ * @apiVersion 1.0.0
+ * @apiName AddQuestion
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Create a question only the branch of the overlay asks. The
+ * question takes the same data as `POST /forms/questions/create`, it goes
+ * to the form level or to the given section of the base form.
+ *
+ * @apiParam {String} type Question Type
+ * @apiParam {String} number Question Number
+ * @apiParam {String} question_text Question Text
+ * @apiParam {String} [section] Section of the base form to add the question to
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    type: "Yes/No",
+ *    number: "7",
+ *    question_text: "Is the farm irrigated?",
+ *    show: true
+ *  }
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {Object[]} added Questions the overlay adds
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    added: [{
+ *      question: {
+ *        _id: "5df0a8b4cda72e00018b52d6",
+ *        question_text: "Is the farm irrigated?",
+ *        ...
+ *      },
+ *      section: null
+ *    }],
+ *    ...
+ *  }
+ */
+router.post('/:id/questions', acl(['*']), formOverlayController.addQuestion);
+
+/**
+ * @api {delete} /forms/overlays/:id/questions/:question Remove Overlay Question
+ * @apiVersion 1.0.0
+ * @apiName RemoveQuestion
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Delete a question the overlay added.
+ *
+ * @apiSuccess {String} _id overlay id
+ * @apiSuccess {Object[]} added Questions the overlay adds
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    added: [],
+ *    ...
+ *  }
+ */
+router.delete('/:id/questions/:question', acl(['*']), formOverlayController.removeQuestion);
+
+/**
+ * @api {delete} /forms/overlays/:id Delete Form Overlay
+ * @apiVersion 1.0.0
+ * @apiName Delete
+ * @apiGroup FormOverlay
+ *
+ * @apiDescription Delete a form overlay along with the questions it added,
+ * the branch gets the base form again.
+ *
+ * @apiSuccess {String} _id overlay id
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df0a7f2cda72e00018b52d4",
+ *    ...
+ *  }
+ */
+router.delete('/:id', acl(['*']), formOverlayController.remove);
+
+// Expose Form Overlay Router
+module.exports = router;
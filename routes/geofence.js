@@ -0,0 +1,83 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const Router  = require('koa-router');
+const debug   = require('debug')('api:geofence-router');
+
+const geofenceController  = require('../controllers/geofence');
+const authController      = require('../controllers/auth');
+
+const acl               = authController.accessControl;
+var router  = Router();
+
+/**
+ * @api {get} /forms/geofences/:branch Get Branch Geofence
+ * @apiVersion 1.0.0
+ * @apiName Get
+ * @apiGroup Geofence
+ *
+ * @apiDescription Get the geofence of a branch. Locations answering GEOPOINT
+ * questions with `geo_rules.geofence` set are flagged `outside_geofence` when
+ * captured outside the geofence of the officer's branch.
+ *
+ * @apiSuccess {String} branch Branch Reference
+ * @apiSuccess {Object} center GeoJSON point at the center of a circular geofence
+ * @apiSuccess {Number} radius Radius of a circular geofence in meters
+ * @apiSuccess {Object} area GeoJSON polygon of a geofence
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    branch: "5def47b7cda72e00018b5290",
+ *    center: {
+ *      type: "Point",
+ *      coordinates: [38.7468, 9.0301]
+ *    },
+ *    radius: 15000,
+ *    area: null
+ *  }
+ */
+router.get('/:branch', acl(['*']), geofenceController.fetchOne);
+
+/**
+ * @api {put} /forms/geofences/:branch Set Branch Geofence
+ * @apiVersion 1.0.0
+ * @apiName Update
+ * @apiGroup Geofence
+ *
+ * @apiDescription Set the geofence of a branch, replacing the one it had.
+ * Give either a `center` and a `radius` in meters or an `area` polygon.
+ * Coordinates are GeoJSON, [longitude, latitude].
+ *
+ * @apiParam {Object} [center] Center of the geofence ie { latitude: 9.0301, longitude: 38.7468 } or a GeoJSON point
+ * @apiParam {Number} [radius] Radius around the center in meters
+ * @apiParam {Object} [area] GeoJSON polygon, its rings closed
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    area: {
+ *      type: "Polygon",
+ *      coordinates: [[[38.70, 9.00], [38.80, 9.00], [38.80, 9.10], [38.70, 9.10], [38.70, 9.00]]]
+ *    }
+ *  }
+ *
+ * @apiSuccess {String} branch Branch Reference
+ * @apiSuccess {Object} center GeoJSON point at the center of a circular geofence
+ * @apiSuccess {Number} radius Radius of a circular geofence in meters
+ * @apiSuccess {Object} area GeoJSON polygon of a geofence
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    branch: "5def47b7cda72e00018b5290",
+ *    center: null,
+ *    radius: null,
+ *    area: {
+ *      type: "Polygon",
+ *      coordinates: [[[38.70, 9.00], [38.80, 9.00], [38.80, 9.10], [38.70, 9.10], [38.70, 9.00]]]
+ *    }
+ *  }
+ */
+router.put('/:branch', acl(['*']), geofenceController.update);
+
+// Expose Geofence Router
+module.exports = router;
@@ -10,6 +10,11 @@ const rootRouter          = require('./root');
 const formRouter      = require('./form');
 const questionRouter      = require('./question');
 const sectionRouter      = require('./section');
+const lockRouter      = require('./lock');
+const changeRequestRouter      = require('./changeRequest');
+const formOverlayRouter      = require('./formOverlay');
+const loanProductRouter      = require('./loanProduct');
+const geofenceRouter      = require('./geofence');
 
 var appRouter = new Router();
 
@@ -29,6 +34,16 @@ composeRoute('forms', formRouter);
 composeRoute('forms/questions', questionRouter);
 //Add sections Router
 composeRoute('forms/sections', sectionRouter);
+//Add locks Router
+composeRoute('forms/locks', lockRouter);
+//Add change requests Router
+composeRoute('forms/changes', changeRequestRouter);
+//Add form overlays Router
+composeRoute('forms/overlays', formOverlayRouter);
+//Add loan products Router
+composeRoute('forms/products', loanProductRouter);
+//Add geofences Router
+composeRoute('forms/geofences', geofenceRouter);
 
 function composeRoute(endpoint, router){
   appRouter.use(`/${endpoint}`, router.routes(), router.allowedMethods());
@@ -0,0 +1,218 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const Router  = require('koa-router');
+const debug   = require('debug')('api:loan-product-router');
+
+const loanProductController  = require('../controllers/loanProduct');
+const authController         = require('../controllers/auth');
+
+const acl               = authController.accessControl;
+var router  = Router();
+
+/**
+ * @api {post} /forms/products/create Create Loan Product
+ * @apiVersion 1.0.0
+ * @apiName CreateLoanProduct
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Create a loan product, i.e agricultural, MSE or housing
+ * loans. Each loan product has its own SCREENING, LOAN_APPLICATION and ACAT
+ * forms, at most one active form per type at any point in time.
+ *
+ * @apiParam {String} name Loan Product Name, unique within the MFI
+ * @apiParam {String} [description] Loan Product Description
+ * @apiParam {String} [MFI] MFI the loan product belongs to, only for super admins
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    name: "Agricultural Input Loan",
+ *    description: "Seasonal loans for seeds and fertilizer"
+ *  }
+ *
+ * @apiSuccess {String} _id loan product id
+ * @apiSuccess {String} name Loan Product Name
+ * @apiSuccess {String} description Loan Product Description
+ * @apiSuccess {String} MFI MFI the loan product belongs to
+ * @apiSuccess {String} status Status i.e ACTIVE or INACTIVE
+ * @apiSuccess {Object} created_by User who created the loan product
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df1c2e0cda72e00018b52e1",
+ *    name: "Agricultural Input Loan",
+ *    description: "Seasonal loans for seeds and fertilizer",
+ *    MFI: "5b9283679fb7f20001f1494d",
+ *    status: "ACTIVE",
+ *    created_by: {
+ *      _id: "5da72bf5df89b700013ac578",
+ *      ...
+ *    }
+ *  }
+ */
+router.post('/create', acl(['*']), loanProductController.create);
+
+/**
+ * @api {get} /forms/products/paginate?page=<RESULTS_PAGE>&per_page=<RESULTS_PER_PAGE>&status=<STATUS> Get loan products collection
+ * @apiVersion 1.0.0
+ * @apiName FetchPaginated
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Get a collection of loan products. Filter with
+ * `status=<STATUS>` i.e ACTIVE or INACTIVE.
+ *
+ * @apiSuccess {String} _id loan product id
+ * @apiSuccess {String} name Loan Product Name
+ * @apiSuccess {String} status Status i.e ACTIVE or INACTIVE
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    "total_pages": 1,
+ *    "total_docs_count": 1,
+ *    "current_page": 1,
+ *    "docs": [{
+ *      _id : "5df1c2e0cda72e00018b52e1",
+ *      name: "Agricultural Input Loan",
+ *      ...
+ *    }]
+ *  }
+ */
+router.get('/paginate', acl(['*']), loanProductController.fetchAllByPagination);
+
+/**
+ * @api {get} /forms/products/:id/forms?date=<DATE> Get Loan Product Forms
+ * @apiVersion 1.0.0
+ * @apiName GetForms
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Get the SCREENING, LOAN_APPLICATION and ACAT forms of a
+ * loan product effective at the given date. `date` defaults to now. Types
+ * the loan product has no form for are null. Use
+ * `GET /forms/resolve?type=<TYPE>&product=<LOAN_PRODUCT>` for the
+ * published version of a form.
+ *
+ * @apiSuccess {Object} SCREENING Screening Form
+ * @apiSuccess {Object} LOAN_APPLICATION Loan Application Form
+ * @apiSuccess {Object} ACAT ACAT Form
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    SCREENING: {
+ *      _id: "5def47b7cda72e00018b528a",
+ *      type: "SCREENING",
+ *      loan_product: "5df1c2e0cda72e00018b52e1",
+ *      ...
+ *    },
+ *    LOAN_APPLICATION: {
+ *      ...
+ *    },
+ *    ACAT: null
+ *  }
+ */
+router.get('/:id/forms', acl(['*']), loanProductController.fetchForms);
+
+/**
+ * @api {post} /forms/products/:id/forms Link Form
+ * @apiVersion 1.0.0
+ * @apiName BindForm
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Link a SCREENING, LOAN_APPLICATION or ACAT form to the
+ * loan product. A published form can not overlap the effective period of
+ * the loan product's form of the same type.
+ *
+ * @apiParam {String} form Form to link
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    form: "5def47b7cda72e00018b528a"
+ *  }
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} loan_product Loan Product
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id: "5def47b7cda72e00018b528a",
+ *    type: "SCREENING",
+ *    loan_product: "5df1c2e0cda72e00018b52e1",
+ *    ...
+ *  }
+ */
+router.post('/:id/forms', acl(['*']), loanProductController.bindForm);
+
+/**
+ * @api {delete} /forms/products/:id/forms/:form Unlink Form
+ * @apiVersion 1.0.0
+ * @apiName UnbindForm
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Unlink a form from the loan product.
+ *
+ * @apiSuccess {String} _id form id
+ * @apiSuccess {String} loan_product null
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id: "5def47b7cda72e00018b528a",
+ *    loan_product: null,
+ *    ...
+ *  }
+ */
+router.delete('/:id/forms/:form', acl(['*']), loanProductController.unbindForm);
+
+/**
+ * @api {get} /forms/products/:id Get Loan Product
+ * @apiVersion 1.0.0
+ * @apiName Get
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Get a loan product with the given id
+ *
+ * @apiSuccess {String} _id loan product id
+ * @apiSuccess {String} name Loan Product Name
+ * @apiSuccess {String} description Loan Product Description
+ * @apiSuccess {String} status Status i.e ACTIVE or INACTIVE
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df1c2e0cda72e00018b52e1",
+ *    name: "Agricultural Input Loan",
+ *    ...
+ *  }
+ */
+router.get('/:id', acl(['*']), loanProductController.fetchOne);
+
+/**
+ * @api {put} /forms/products/:id Update Loan Product
+ * @apiVersion 1.0.0
+ * @apiName Update
+ * @apiGroup LoanProduct
+ *
+ * @apiDescription Update a loan product. Forms can not be linked to an
+ * INACTIVE loan product.
+ *
+ * @apiParam {String} [name] Loan Product Name
+ * @apiParam {String} [description] Loan Product Description
+ * @apiParam {String} [status] Status i.e ACTIVE or INACTIVE
+ *
+ * @apiParamExample Request Example:
+ *  {
+ *    status: "INACTIVE"
+ *  }
+ *
+ * @apiSuccess {String} _id loan product id
+ * @apiSuccess {String} status Status i.e ACTIVE or INACTIVE
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5df1c2e0cda72e00018b52e1",
+ *    status: "INACTIVE",
+ *    ...
+ *  }
+ */
+router.put('/:id', acl(['*']), loanProductController.update);
+
+// Expose Loan Product Router
+module.exports = router;
@@ -0,0 +1,126 @@
+'use strict';
+/**
+ * Load Module Dependencies.
+ */
+const Router  = require('koa-router');
+const debug   = require('debug')('api:lock-router');
+
+const lockController     = require('../controllers/lock');
+const authController     = require('../controllers/auth');
+
+const acl               = authController.accessControl;
+var router  = Router();
+
+/**
+ * @api {post} /forms/locks/:id Acquire Lock
+ * @apiVersion 1.0.0
+ * @apiName Acquire
+ * @apiGroup Lock
+ *
+ * @apiDescription Lock the section or question with the given id while
+ * editing it. Others can not update or remove a locked item. Locks expire
+ * when not kept alive with a heartbeat. Acquiring a lock you already hold
+ * extends it. If someone else holds the lock the request is rejected
+ * with `423` and the current lock in `error.data`.
+ *
+ * @apiSuccess {String} _id lock id
+ * @apiSuccess {String} resource Locked section or question id
+ * @apiSuccess {String} kind Locked item kind i.e SECTION or QUESTION
+ * @apiSuccess {String} form Form the item belongs to
+ * @apiSuccess {Object} holder User holding the lock
+ * @apiSuccess {String} expires_at Lock expiry date
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5def5c21cda72e00018b52b0",
+ *    resource: "556e1174a8952c9521286a60",
+ *    kind: "SECTION",
+ *    form: "5def47b7cda72e00018b528a",
+ *    holder: {
+ *      _id: "5da72bf5df89b700013ac578",
+ *      username: "designer@bidir.com",
+ *      ...
+ *    },
+ *    expires_at: "2019-12-10T07:24:31.854Z"
+ *  }
+ *
+ */
+router.post('/:id', acl(['*']), lockController.acquire);
+
+/**
+ * @api {put} /forms/locks/:id Lock Heartbeat
+ * @apiVersion 1.0.0
+ * @apiName Heartbeat
+ * @apiGroup Lock
+ *
+ * @apiDescription Keep the lock you hold on the section or question with
+ * the given id alive. Rejected with `423` when the lock expired or was
+ * force released.
+ *
+ * @apiSuccess {String} _id lock id
+ * @apiSuccess {String} resource Locked section or question id
+ * @apiSuccess {String} expires_at Lock expiry date
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5def5c21cda72e00018b52b0",
+ *    resource: "556e1174a8952c9521286a60",
+ *    kind: "SECTION",
+ *    expires_at: "2019-12-10T07:26:31.854Z"
+ *    ...
+ *  }
+ *
+ */
+router.put('/:id', acl(['*']), lockController.heartbeat);
+
+/**
+ * @api {delete} /forms/locks/:id/force Force Release Lock
+ * @apiVersion 1.0.0
+ * @apiName ForceRelease
+ * @apiGroup Lock
+ *
+ * @apiDescription Break the lock on the section or question with the
+ * given id, whoever holds it. Requires the FORCE_RELEASE form permission.
+ *
+ * @apiSuccess {String} _id lock id
+ * @apiSuccess {String} resource Unlocked section or question id
+ * @apiSuccess {Object} holder User who held the lock
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5def5c21cda72e00018b52b0",
+ *    resource: "556e1174a8952c9521286a60",
+ *    holder: {
+ *      _id: "5da72bf5df89b700013ac578",
+ *      ...
+ *    }
+ *    ...
+ *  }
+ *
+ */
+router.delete('/:id/force', acl(['*']), lockController.forceRelease);
+
+/**
+ * @api {delete} /forms/locks/:id Release Lock
+ * @apiVersion 1.0.0
+ * @apiName Release
+ * @apiGroup Lock
+ *
+ * @apiDescription Release the lock you hold on the section or question
+ * with the given id.
+ *
+ * @apiSuccess {String} _id lock id
+ * @apiSuccess {String} resource Unlocked section or question id
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "5def5c21cda72e00018b52b0",
+ *    resource: "556e1174a8952c9521286a60",
+ *    ...
+ *  }
+ *
+ */
+router.delete('/:id', acl(['*']), lockController.release);
+
+// Expose Lock Router
+module.exports = router;
@@ -28,7 +28,7 @@ var router  = Router();
  * @apiParam {String} [validation_factor] Validation rule to be applied against the answer of the question. Allowed values are 'NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC'
  *                                        Default value is 'NONE'
  * @apiParam {String} [measurement_unit] Measurement unit
- * @apiParam {String[]} [options] Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} [options] Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`, applicable only for MULTIPLE_CHOICE, SINGLE_CHOICE, YES_NO and RANKING question types
  * @apiParam {String} [parent_question] if the Question is a sub_question
  * @apiParam {Boolean} [show] Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
@@ -49,12 +49,12 @@ var router  = Router();
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -88,7 +88,11 @@ router.post('/create', acl(['*']), questionController.create);
  *
  * @apiDescription Create a new Grouped Question. A grouped question is a group of multiple FILL_IN_BLANK questions. 
  *                 The parent question will have a title. To create the subquestions, refer to CreateFIBQuestion API endpoint
- *                 
+ *
+ *                 A repeating group, ie household members, asks its sub questions once per instance. The number of
+ *                 instances is kept within `repeat.min` and `repeat.max` and must equal the answer of
+ *                 `repeat.count_question` when set, a NUMBER question of the same form ie number of household members.
+ *                 Instances are answered in `repeats` with `PUT /forms/questions/:id`, indexed from 0.
  *
  * @apiParam {String} question_text Question Text 
  * @apiParam {String} number Question Order number
@@ -98,10 +102,15 @@ router.post('/create', acl(['*']), questionController.create);
  * @apiParam {String} validation_factor Validation rule to be applied against the answer of the question. Allowed values are 'NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC'
  *                                        Default value is 'NONE'
  * @apiParam {String} measurement_unit Measurement unit
- * @apiParam {String[]} [options] Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} [options] Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`, applicable only for MULTIPLE_CHOICE, SINGLE_CHOICE, YES_NO and RANKING question types
  * @apiParam {String} [parent_question] if the Question is a sub_question
  * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {Object} [repeat] Repeat rules of the group
+ * @apiParam {Boolean} [repeat.enabled] Ask the group once per instance. Default value is false.
+ * @apiParam {Number} [repeat.min] Least number of instances
+ * @apiParam {Number} [repeat.max] Highest number of instances
+ * @apiParam {String} [repeat.count_question] Question whose answer is the number of instances
  *
  * @apiParamExample Request Example:
  *  {
@@ -117,12 +126,14 @@ router.post('/create', acl(['*']), questionController.create);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
+ * @apiSuccess {Object} repeat Repeat rules of the group
+ * @apiSuccess {Object[]} repeats Answered instances of a repeating group
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -165,7 +176,7 @@ router.post('/create/grouped', acl(['*']), questionController.createGrouped);
  * @apiParam {String} validation_factor Validation rule to be applied against the answer of the question. Allowed values are 'NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC'
  *                                        Default value is 'NONE'
  * @apiParam {String} measurement_unit Measurement unit
- * @apiParam {String[]} [options] Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} [options] Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`, applicable only for MULTIPLE_CHOICE, SINGLE_CHOICE, YES_NO and RANKING question types
  * @apiParam {String} [parent_question] if the Question is a sub_question, specify the id of the parent question
  * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
@@ -186,12 +197,12 @@ router.post('/create/grouped', acl(['*']), questionController.createGrouped);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -233,7 +244,7 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
  * @apiParam {String} validation_factor Validation rule to be applied against the answer of the question. Allowed values are 'NONE', 'ALPHANUMERIC', 'NUMERIC', 'ALPHABETIC'
  *                                        Default value is 'NONE'
  * @apiParam {String} measurement_unit Measurement unit
- * @apiParam {String[]} [options] Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} [options] Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`, applicable only for MULTIPLE_CHOICE, SINGLE_CHOICE, YES_NO and RANKING question types
  * @apiParam {String} parent_question if the Question is a sub_question, specify the id of the parent question
  * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
@@ -254,12 +265,12 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -299,7 +310,7 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
  * @apiParam {String} [remark] Remark to be displayed with the question
  * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
  * @apiParam {String} form Form id in which the question is to be created
- * @apiParam {String[]} options Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} options Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`. The `code` is generated from the label unless given, the `order` is the option's position unless given
  * @apiParam {String} [parent_question] if the Question is a sub_question
  * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
@@ -310,7 +321,7 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
         question_text: "Does the farmer have a good credit history with the MFI?"
         number: 2
         form: "5def47b7cda72e00018b528a"         
-        options: ["Yes", "Bad credit history", "Applicant does not have credit history with the MFI"]
+        options: ["Yes", { code: "BAD_HISTORY", label: "Bad credit history", score: 0 }, "Applicant does not have credit history with the MFI"]
         prerequisites: []        
         remark: "Bad credit history results in rejection"
         required: true
@@ -320,12 +331,12 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -340,9 +351,9 @@ router.post('/create/fib', acl(['*']), questionController.createFIB);
     "values": [],
     "sub_questions": [],
     "options": [
-        "Yes",
-        "Bad credit history",
-        "Applicant does not have credit history with the MFI"
+        { "code": "YES", "label": "Yes", "order": 1, "score": null, "active": true },
+        { "code": "BAD_HISTORY", "label": "Bad credit history", "order": 2, "score": 0, "active": true },
+        { "code": "APPLICANT_DOES_NOT_HAVE_CREDIT_HISTORY_WITH_THE_MFI", "label": "Applicant does not have credit history with the MFI", "order": 3, "score": null, "active": true }
     ],
     "measurement_unit": null,
     "validation_factor": "NONE",
@@ -368,7 +379,7 @@ router.post('/create/sc', acl(['*']), questionController.createSC);
  * @apiParam {String} [remark] Remark to be displayed with the question
  * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
  * @apiParam {String} form Form id in which the question is to be created
- * @apiParam {String[]} options Options from which an answer is selected, applicable only for MULTIPLE_CHOICE, and SINGLE_CHOICE question types
+ * @apiParam {Object[]} options Options from which an answer is selected, as labels or as `{ code, label, order, score, active }`. The `code` is generated from the label unless given, the `order` is the option's position unless given
  * @apiParam {String} [parent_question] if the Question is a sub_question
  * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
  * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
@@ -387,12 +398,12 @@ router.post('/create/sc', acl(['*']), questionController.createSC);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -402,7 +413,12 @@ router.post('/create/sc', acl(['*']), questionController.createSC);
  *  {
         _id: "5def5df3cda72e00018b529d"    
         number: 3
-        options: ["Onion", "Tomato", "Cabbage", "Greenpepper"]
+        options: [
+          { code: "ONION", label: "Onion", order: 1, score: null, active: true },
+          { code: "TOMATO", label: "Tomato", order: 2, score: null, active: true },
+          { code: "CABBAGE", label: "Cabbage", order: 3, score: null, active: true },
+          { code: "GREENPEPPER", label: "Greenpepper", order: 4, score: null, active: true }
+        ]
         prerequisites: []
         question_text: "What crops do the farmer want to cultivate?"
         measurement_unit: null
@@ -450,12 +466,12 @@ router.post('/create/mc', acl(['*']), questionController.createMC);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -465,7 +481,10 @@ router.post('/create/mc', acl(['*']), questionController.createMC);
  *  {
         _id: "5def5f3acda72e00018b529f"        
         number: 4
-        options: ["Yes", "No"]
+        options: [
+          { code: "YES", label: "Yes", order: 1, score: null, active: true },
+          { code: "NO", label: "No", order: 2, score: null, active: true }
+        ]
         prerequisites: []
         question_text: "Does the farmer has a guarantor?"
         remark: "A farmer should have at least one guarantor."
@@ -482,6 +501,847 @@ router.post('/create/mc', acl(['*']), questionController.createMC);
  */
 router.post('/create/yn', acl(['*']), questionController.createYN);
 
+/**
+ * @api {post} /forms/questions/create/date Create Date Question
+ * @apiVersion 1.0.0
+ * @apiName CreateDateQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Date Question. Answers are days given as
+ * `YYYY-MM-DD` and must meet the question's date rules, the age rules
+ * check the years from the answer to the day it is given.
+ *
+ * With the ETHIOPIAN calendar answers and bounds are written as Ethiopian
+ * days ie `2011-13-06` for the 6th of Pagume 2011, Pagume having 6 days in
+ * the year before a Gregorian leap year. They are stored as Gregorian days,
+ * so bounds hold whichever calendar answers come in, and rendered back in
+ * `calendar_values` and `calendar_rules`.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {String} [calendar] Calendar answers and bounds are written in ie GREGORIAN, ETHIOPIAN. Default value is GREGORIAN.
+ * @apiParam {Object} [date_rules] Rules answers should meet
+ * @apiParam {String} [date_rules.min] Earliest answer allowed ie 1940-01-01
+ * @apiParam {String} [date_rules.max] Latest answer allowed ie 2030-12-31
+ * @apiParam {String} [date_rules.relative] Bound relative to the day the answer is given ie NONE, NOT_IN_FUTURE, NOT_IN_PAST
+ * @apiParam {Number} [date_rules.min_age] Least age in years the answer gives, for dates of birth
+ * @apiParam {Number} [date_rules.max_age] Highest age in years the answer gives, for dates of birth
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Date of Birth"
+        form: "5def47b7cda72e00018b528a"
+        number: 2
+        date_rules: {
+          relative: "NOT_IN_FUTURE",
+          min_age: 18,
+          max_age: 65
+        }
+        prerequisites: []
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} remark Question Remark
+ * @apiSuccess {String} type Question Type ie DATE
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Array} values Question Answer Values
+ * @apiSuccess {String} calendar Calendar answers and bounds are written in
+ * @apiSuccess {Object} date_rules Rules answers should meet, bounds as Gregorian dates
+ * @apiSuccess {Array} [calendar_values] Answer Values in the Ethiopian calendar
+ * @apiSuccess {Object} [calendar_rules] Bounds in the Ethiopian calendar
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {Object[]} prerequisities Question Prerequisities
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1b2c4cda72e00018b52e1"
+        number: 2
+        prerequisites: []
+        question_text: "Date of Birth"
+        remark: ""
+        required: true
+        show: true
+        sub_questions: []
+        type: "DATE"
+        date_rules: {
+          relative: "NOT_IN_FUTURE",
+          min_age: 18,
+          max_age: 65
+        }
+        values: []
+ *  }
+ *
+ */
+router.post('/create/date', acl(['*']), questionController.createDate);
+
+/**
+ * @api {post} /forms/questions/create/datetime Create Date and Time Question
+ * @apiVersion 1.0.0
+ * @apiName CreateDateTimeQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Date and Time Question. Answers are ISO 8601
+ * timestamps ie `2019-12-31T14:30:00Z` and must meet the question's date rules.
+ * With the ETHIOPIAN calendar the day is written as an Ethiopian day ie
+ * `2011-13-06T09:30:00Z`, the time is kept as given.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {String} [calendar] Calendar answers and bounds are written in ie GREGORIAN, ETHIOPIAN. Default value is GREGORIAN.
+ * @apiParam {Object} [date_rules] Rules answers should meet
+ * @apiParam {String} [date_rules.min] Earliest answer allowed ie 1940-01-01
+ * @apiParam {String} [date_rules.max] Latest answer allowed ie 2030-12-31
+ * @apiParam {String} [date_rules.relative] Bound relative to the day the answer is given ie NONE, NOT_IN_FUTURE, NOT_IN_PAST
+ * @apiParam {Number} [date_rules.min_age] Least age in years the answer gives, for dates of birth
+ * @apiParam {Number} [date_rules.max_age] Highest age in years the answer gives, for dates of birth
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Date and Time of Field Visit"
+        form: "5def47b7cda72e00018b528a"
+        number: 9
+        date_rules: {
+          relative: "NOT_IN_FUTURE"
+        }
+        prerequisites: []
+        required: false
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} remark Question Remark
+ * @apiSuccess {String} type Question Type ie DATETIME
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Array} values Question Answer Values
+ * @apiSuccess {String} calendar Calendar answers and bounds are written in
+ * @apiSuccess {Object} date_rules Rules answers should meet, bounds as Gregorian dates
+ * @apiSuccess {Array} [calendar_values] Answer Values in the Ethiopian calendar
+ * @apiSuccess {Object} [calendar_rules] Bounds in the Ethiopian calendar
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {Object[]} prerequisities Question Prerequisities
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1b31ecda72e00018b52e3"
+        number: 9
+        prerequisites: []
+        question_text: "Date and Time of Field Visit"
+        remark: ""
+        required: false
+        show: true
+        sub_questions: []
+        type: "DATETIME"
+        date_rules: {
+          relative: "NOT_IN_FUTURE"
+        }
+        values: []
+ *  }
+ *
+ */
+router.post('/create/datetime', acl(['*']), questionController.createDateTime);
+
+/**
+ * @api {post} /forms/questions/create/number Create Number Question
+ * @apiVersion 1.0.0
+ * @apiName CreateNumberQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Number Question. Answers are numbers ie
+ * `2.5` and must meet the question's number rules, they are measured in
+ * the question's `measurement_unit` ie ha, kg, quintal.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {String} [measurement_unit] Unit answers are measured in
+ * @apiParam {Object} [number_rules] Rules answers should meet
+ * @apiParam {Number} [number_rules.min] Least answer allowed
+ * @apiParam {Number} [number_rules.max] Highest answer allowed
+ * @apiParam {Number} [number_rules.step] Step answers go up by from min, or from 0
+ * @apiParam {Number} [number_rules.precision] Most decimals answers may have
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Farm Size"
+        form: "5def47b7cda72e00018b528a"
+        number: 6
+        measurement_unit: "ha"
+        number_rules: {
+          min: 0.25,
+          max: 50,
+          step: 0.25,
+          precision: 2
+        }
+        prerequisites: []
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} remark Question Remark
+ * @apiSuccess {String} type Question Type ie NUMBER
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Array} values Question Answer Values
+ * @apiSuccess {Object} number_rules Rules answers should meet
+ * @apiSuccess {String} measurement_unit Measurement Unit
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {Object[]} prerequisities Question Prerequisities
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1c0a2cda72e00018b52e7"
+        number: 6
+        prerequisites: []
+        question_text: "Farm Size"
+        remark: ""
+        required: true
+        show: true
+        sub_questions: []
+        type: "NUMBER"
+        measurement_unit: "ha"
+        number_rules: {
+          min: 0.25,
+          max: 50,
+          step: 0.25,
+          precision: 2
+        }
+        values: []
+ *  }
+ *
+ */
+router.post('/create/number', acl(['*']), questionController.createNumber);
+
+/**
+ * @api {post} /forms/questions/create/currency Create Currency Question
+ * @apiVersion 1.0.0
+ * @apiName CreateCurrencyQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Currency Question, ie loan amount or
+ * income. Answers are amounts in the question's currency and must meet the
+ * question's number rules. The currency is also the question's
+ * `measurement_unit`.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {String} [currency] ISO 4217 currency code. Default value is ETB.
+ * @apiParam {Object} [number_rules] Rules answers should meet
+ * @apiParam {Number} [number_rules.min] Least answer allowed
+ * @apiParam {Number} [number_rules.max] Highest answer allowed
+ * @apiParam {Number} [number_rules.step] Step answers go up by from min, or from 0
+ * @apiParam {Number} [number_rules.precision] Most decimals answers may have. Default value is 2.
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Requested Loan Amount"
+        form: "5def47b7cda72e00018b528a"
+        number: 8
+        number_rules: {
+          min: 1000,
+          max: 500000,
+          step: 100
+        }
+        prerequisites: []
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} remark Question Remark
+ * @apiSuccess {String} type Question Type ie CURRENCY
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Array} values Question Answer Values
+ * @apiSuccess {Object} number_rules Rules answers should meet
+ * @apiSuccess {String} currency ISO 4217 currency code
+ * @apiSuccess {String} measurement_unit Measurement Unit, the currency
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {Object[]} prerequisities Question Prerequisities
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1c10ecda72e00018b52e9"
+        number: 8
+        prerequisites: []
+        question_text: "Requested Loan Amount"
+        remark: ""
+        required: true
+        show: true
+        sub_questions: []
+        type: "CURRENCY"
+        currency: "ETB"
+        measurement_unit: "ETB"
+        number_rules: {
+          min: 1000,
+          max: 500000,
+          step: 100,
+          precision: 2
+        }
+        values: []
+ *  }
+ *
+ */
+router.post('/create/currency', acl(['*']), questionController.createCurrency);
+
+/**
+ * @api {post} /forms/questions/create/matrix Create Matrix Question
+ * @apiVersion 1.0.0
+ * @apiName CreateMatrixQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Matrix Question, ie monthly income by source
+ * or input costs by crop. Rows and columns are created as questions of their
+ * own and can be updated with `PUT /forms/questions/:id`. Columns set the
+ * type and rules of their cells, they take the same data as the question
+ * types they stand for.
+ *
+ * Answers are given as a `grid` of rows, each holding the cells answered.
+ * Every cell is checked against its column and required columns must be
+ * answered in every row given.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} required Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {Object} matrix Rows and Columns of the matrix
+ * @apiParam {Object[]} matrix.rows Rows, each with its question_text
+ * @apiParam {Object[]} matrix.columns Columns, each with its question_text, type and rules. Type is one of FILL_IN_BLANK, YES_NO, SINGLE_CHOICE, NUMBER, CURRENCY, DATE, DATETIME
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Monthly Income by Source"
+        form: "5def47b7cda72e00018b528a"
+        number: 12
+        matrix: {
+          rows: [
+            { question_text: "Crop Sales" },
+            { question_text: "Livestock Sales" }
+          ],
+          columns: [
+            { question_text: "Amount", type: "CURRENCY", required: true, number_rules: { min: 0 } },
+            { question_text: "Months per Year", type: "NUMBER", number_rules: { min: 1, max: 12, step: 1 } }
+          ]
+        }
+        prerequisites: []
+        required: false
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie MATRIX
+ * @apiSuccess {Object} matrix Rows and Columns of the matrix
+ * @apiSuccess {Object[]} matrix.rows Row Questions
+ * @apiSuccess {Object[]} matrix.columns Column Questions
+ * @apiSuccess {Object[]} grid Answers, as rows of cells
+ * @apiSuccess {String} grid.row Row Question
+ * @apiSuccess {Object[]} grid.cells Cells answered in the row
+ * @apiSuccess {String} grid.cells.column Column Question
+ * @apiSuccess {String} grid.cells.value Cell Answer
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1d02acda72e00018b52f1"
+        number: 12
+        question_text: "Monthly Income by Source"
+        type: "MATRIX"
+        matrix: {
+          rows: [{
+            _id: "5df1d029cda72e00018b52ed",
+            question_text: "Crop Sales",
+            type: "FILL_IN_BLANK",
+            ...
+          }, ...],
+          columns: [{
+            _id: "5df1d029cda72e00018b52ef",
+            question_text: "Amount",
+            type: "CURRENCY",
+            currency: "ETB",
+            ...
+          }, ...]
+        }
+        grid: []
+        required: false
+        show: true
+ *  }
+ *
+ */
+router.post('/create/matrix', acl(['*']), questionController.createMatrix);
+
+/**
+ * @api {post} /forms/questions/create/calculated Create Calculated Question
+ * @apiVersion 1.0.0
+ * @apiName CreateCalculatedQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Calculated Question, ie total monthly income
+ * or debt to income ratio. The answer is worked out by the server from the
+ * `formula` whenever an answer it uses changes, it can not be given.
+ *
+ * Formulas refer to other questions of the form by their `variable` and may
+ * use numbers, quoted text, `+ - * / %`, `< <= > >= == !=`, `&& || !`,
+ * `cond ? a : b` and the functions `if(cond, a, b)`, `min`, `max`,
+ * `round(x, decimals)` and `abs`. Nothing else is evaluated. Formulas
+ * referring to themselves, directly or through other calculated questions,
+ * are rejected. An unanswered question or a division by zero leaves the
+ * answer empty.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {String} variable Name other formulas refer to the question by, letters, digits and _ only
+ * @apiParam {String} formula Formula working out the answer
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Debt to Income Ratio"
+        form: "5def47b7cda72e00018b528a"
+        number: 14
+        variable: "debt_to_income"
+        formula: "monthly_income > 0 ? round(monthly_repayment / monthly_income * 100, 2) : 0"
+        required: false
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie CALCULATED
+ * @apiSuccess {String} variable Name formulas refer to the question by
+ * @apiSuccess {String} formula Formula working out the answer
+ * @apiSuccess {Array} values Worked out Answer
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b52f9"
+        number: 14
+        question_text: "Debt to Income Ratio"
+        type: "CALCULATED"
+        variable: "debt_to_income"
+        formula: "monthly_income > 0 ? round(monthly_repayment / monthly_income * 100, 2) : 0"
+        values: ["32.5"]
+        required: false
+        show: true
+ *  }
+ *
+ */
+router.post('/create/calculated', acl(['*']), questionController.createCalculated);
+
+/**
+ * @api {post} /forms/questions/create/file Create File Question
+ * @apiVersion 1.0.0
+ * @apiName CreateFileQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new File Question, ie a copy of the client's
+ * business license. The question is answered by uploading files to it, see
+ * Attach Files. Answers can not be given in `values`.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} [required] Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {Object} [file_rules] Rules uploaded files are checked against
+ * @apiParam {String[]} [file_rules.mime_types] MIME types files may be of, `image/*` for any image. Default image/jpeg, image/png, application/pdf
+ * @apiParam {Number} [file_rules.max_size] Largest size of a file in bytes, at most and by default 2097152 (2MB)
+ * @apiParam {Number} [file_rules.max_count] Most files answering the question. Default 1
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Business License"
+        form: "5def47b7cda72e00018b528a"
+        number: 15
+        file_rules: {
+          mime_types: ["application/pdf", "image/*"],
+          max_count: 2
+        }
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie FILE
+ * @apiSuccess {Object} file_rules MIME types, size and count files are checked against
+ * @apiSuccess {Object[]} attachments Files answering the question
+ * @apiSuccess {Boolean} required Question mandatory or not(true or false)
+ * @apiSuccess {Boolean} show Show Question true or false
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5301"
+        number: 15
+        question_text: "Business License"
+        type: "FILE"
+        file_rules: {
+          mime_types: ["application/pdf", "image/*"],
+          max_size: 2097152,
+          max_count: 2
+        }
+        attachments: []
+        required: true
+        show: true
+ *  }
+ *
+ */
+router.post('/create/file', acl(['*']), questionController.createFile);
+
+/**
+ * @api {post} /forms/questions/create/photo Create Photo Question
+ * @apiVersion 1.0.0
+ * @apiName CreatePhotoQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Photo Question, ie a picture of the client's
+ * house. The question is answered by uploading images to it, see Attach Files.
+ * Takes the same parameters as Create File Question, `file_rules.mime_types`
+ * must be image types and default to image/jpeg, image/png.
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Photo of the House"
+        form: "5def47b7cda72e00018b528a"
+        number: 16
+        file_rules: {
+          max_size: 1048576
+        }
+        required: false
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie PHOTO
+ * @apiSuccess {Object} file_rules MIME types, size and count files are checked against
+ * @apiSuccess {Object[]} attachments Images answering the question
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5302"
+        number: 16
+        question_text: "Photo of the House"
+        type: "PHOTO"
+        file_rules: {
+          mime_types: ["image/jpeg", "image/png"],
+          max_size: 1048576,
+          max_count: 1
+        }
+        attachments: []
+        required: false
+        show: true
+ *  }
+ *
+ */
+router.post('/create/photo', acl(['*']), questionController.createPhoto);
+
+/**
+ * @api {post} /forms/questions/create/geopoint Create Geopoint Question
+ * @apiVersion 1.0.0
+ * @apiName CreateGeopointQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Geopoint Question, ie where the client's farm
+ * is. The question is answered with a `geopoint` of `latitude`, `longitude`
+ * and the `accuracy` in meters the device captured it to, which must be
+ * within the question's `geo_rules.accuracy`. Locations are stored as GeoJSON
+ * points. With `geo_rules.geofence` set, locations captured outside the
+ * geofence of the officer's branch are flagged `outside_geofence`, see Set
+ * Branch Geofence.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} [required] Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {Object} [geo_rules] Rules locations are checked against
+ * @apiParam {Number} [geo_rules.accuracy] Meters locations must be accurate to. Default 50
+ * @apiParam {Boolean} [geo_rules.geofence] Flag locations outside the officer's branch geofence. Default false
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Farm Location"
+        form: "5def47b7cda72e00018b528a"
+        number: 17
+        geo_rules: {
+          accuracy: 20,
+          geofence: true
+        }
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie GEOPOINT
+ * @apiSuccess {Object} geo_rules Accuracy and geofence rules locations are checked against
+ * @apiSuccess {Object} geopoint Location answering the question
+ * @apiSuccess {Object} geopoint.location GeoJSON point, coordinates as [longitude, latitude]
+ * @apiSuccess {Number} geopoint.accuracy Meters the location is accurate to
+ * @apiSuccess {Date} geopoint.captured_at When the location was captured
+ * @apiSuccess {String} geopoint.branch Branch whose geofence the location was checked against
+ * @apiSuccess {Boolean} geopoint.outside_geofence Whether the location is outside the branch geofence
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5303"
+        number: 17
+        question_text: "Farm Location"
+        type: "GEOPOINT"
+        geo_rules: {
+          accuracy: 20,
+          geofence: true
+        }
+        required: true
+        show: true
+ *  }
+ *
+ */
+router.post('/create/geopoint', acl(['*']), questionController.createGeopoint);
+
+/**
+ * @api {post} /forms/questions/create/rating Create Rating Question
+ * @apiVersion 1.0.0
+ * @apiName CreateRatingQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Rating Question, ie how satisfied the client
+ * is with the service. The question is answered with the value of one point
+ * of its scale, 1 to `length` unless `values` are given. The response lists
+ * the points of the scale in `scale_points`.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} [required] Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} [prerequisites] List of questions that should be answered in a specific way so that this quesiton is answered
+ * @apiParam {Object} [scale_rules] Scale of the question
+ * @apiParam {Number} [scale_rules.length] Points of the scale, 2 to 11. Default 5
+ * @apiParam {Object[]} [scale_rules.anchors] Labels of points of the scale ie [{ point: 1, label: "Very Poor" }]
+ * @apiParam {Number[]} [scale_rules.values] Numeric value of each point, answers and formulas use them. Default 1 to length
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "How satisfied are you with the service?"
+        form: "5def47b7cda72e00018b528a"
+        number: 18
+        scale_rules: {
+          length: 5,
+          anchors: [{ point: 1, label: "Very Poor" }, { point: 5, label: "Excellent" }]
+        }
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text 
+ * @apiSuccess {String} type Question Type ie RATING
+ * @apiSuccess {Object} scale_rules Length, anchors and values of the scale
+ * @apiSuccess {Object[]} scale_points Points of the scale, each with its value and label
+ * @apiSuccess {Array} values Value of the point answered
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5304"
+        number: 18
+        question_text: "How satisfied are you with the service?"
+        type: "RATING"
+        scale_rules: {
+          length: 5,
+          anchors: [{ point: 1, label: "Very Poor" }, { point: 5, label: "Excellent" }],
+          values: [1, 2, 3, 4, 5]
+        }
+        scale_points: [
+          { point: 1, value: 1, label: "Very Poor" },
+          { point: 2, value: 2, label: null },
+          ...
+        ]
+        values: []
+        required: true
+        show: true
+ *  }
+ *
+ */
+router.post('/create/rating', acl(['*']), questionController.createRating);
+
+/**
+ * @api {post} /forms/questions/create/likert Create Likert Question
+ * @apiVersion 1.0.0
+ * @apiName CreateLikertQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Likert Question, ie whether the household
+ * agrees it can cover an unexpected expense. Takes the same parameters as
+ * Create Rating Question. Scales of 5 points are labelled from Strongly
+ * Disagree to Strongly Agree unless other `anchors` are given.
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Our household could cover an unexpected expense of 1000 Birr"
+        form: "5def47b7cda72e00018b528a"
+        number: 19
+        scale_rules: {
+          values: [-2, -1, 0, 1, 2]
+        }
+        required: true
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} type Question Type ie LIKERT
+ * @apiSuccess {Object} scale_rules Length, anchors and values of the scale
+ * @apiSuccess {Object[]} scale_points Points of the scale, each with its value and label
+ * @apiSuccess {Array} values Value of the point answered
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5305"
+        number: 19
+        question_text: "Our household could cover an unexpected expense of 1000 Birr"
+        type: "LIKERT"
+        scale_rules: {
+          length: 5,
+          anchors: [{ point: 1, label: "Strongly Disagree" }, ... , { point: 5, label: "Strongly Agree" }],
+          values: [-2, -1, 0, 1, 2]
+        }
+        values: []
+        required: true
+        show: true
+ *  }
+ *
+ */
+router.post('/create/likert', acl(['*']), questionController.createLikert);
+
+/**
+ * @api {post} /forms/questions/create/ranking Create Ranking Question
+ * @apiVersion 1.0.0
+ * @apiName CreateRankingQuestion
+ * @apiGroup Question
+ *
+ * @apiDescription Create a new Ranking Question, ie the client's preferred
+ * repayment schedules. The question is answered with the codes of its `options`
+ * in `values`, from the most to the least preferred, each ranked once. With the
+ * ALL mode every active option is ranked, with the TOP mode the `top` ones only.
+ *
+ * @apiParam {String} question_text Question Text 
+ * @apiParam {String} number Question Order number
+ * @apiParam {String} [remark] Remark to be displayed with the question
+ * @apiParam {Boolean} [required] Determines whether the question is mandatory or not (true or false). Default value is false.
+ * @apiParam {String} form Form id in which the question is to be created
+ * @apiParam {String} [parent_question] if the Question is a sub_question
+ * @apiParam {String} [section] Section in which the question is to be created
+ * @apiParam {Boolean} show Determines whether the question is shown all the time (in which the cause the value is true).
+ * @apiParam {Object[]} options Options to rank, at least 2 active, as labels or as `{ code, label, order, score, active }`
+ * @apiParam {Object} [ranking_rules] Ranking rule
+ * @apiParam {String} [ranking_rules.mode] ALL or TOP. Default ALL
+ * @apiParam {Number} [ranking_rules.top] Options to rank with the TOP mode
+ *
+ * @apiParamExample Request Example:
+ *  {
+        question_text: "Rank your preferred repayment schedules"
+        form: "5def47b7cda72e00018b528a"
+        number: 20
+        options: ["Weekly", "Monthly", "After Harvest", "Quarterly"]
+        ranking_rules: {
+          mode: "TOP",
+          top: 2
+        }
+        required: false
+        show: true
+ *  }
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} type Question Type ie RANKING
+ * @apiSuccess {Object[]} options Options to rank
+ * @apiSuccess {Object} ranking_rules Ranking mode and top options ranked
+ * @apiSuccess {Array} values Options ranked, the most preferred first
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5306"
+        number: 20
+        question_text: "Rank your preferred repayment schedules"
+        type: "RANKING"
+        options: [
+          { code: "WEEKLY", label: "Weekly", order: 1, score: null, active: true },
+          { code: "MONTHLY", label: "Monthly", order: 2, score: null, active: true },
+          { code: "AFTER_HARVEST", label: "After Harvest", order: 3, score: null, active: true },
+          { code: "QUARTERLY", label: "Quarterly", order: 4, score: null, active: true }
+        ]
+        ranking_rules: {
+          mode: "TOP",
+          top: 2
+        }
+        values: []
+        required: false
+        show: true
+ *  }
+ *
+ */
+router.post('/create/ranking', acl(['*']), questionController.createRanking);
+
 
 
 /**
@@ -493,16 +1353,19 @@ router.post('/create/yn', acl(['*']), questionController.createYN);
  * @apiDescription Get a collection of questions. The endpoint has pagination
  * out of the box. Use these params to query with pagination: `page=<RESULTS_PAGE`
  * and `per_page=<RESULTS_PER_PAGE>`.
+ * GEOPOINT questions answered within an area are found with `branch=<BRANCH>`,
+ * the geofence of a branch, or `latitude=<LATITUDE>&longitude=<LONGITUDE>&radius=<METERS>`.
+ * `outside_geofence=true` finds the ones flagged outside the officer's branch geofence.
  *
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text 
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question mandatory or not(true or false)
  * @apiSuccess {String} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Object[]} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -519,7 +1382,7 @@ router.post('/create/yn', acl(['*']), questionController.createYN);
  *        type: "YES_NO",
  *        sub_questions: [],
  *        required: true
- *        options: ['Yes', 'No'],
+ *        options: [{ code: 'YES', label: 'Yes', order: 1, score: null, active: true }, { code: 'NO', label: 'No', order: 2, score: null, active: true }],
  *        value: '',
  *        show: true,
  *        prerequisities: [],
@@ -542,12 +1405,12 @@ router.get('/paginate', acl(['*']), questionController.fetchAllByPagination);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text Title
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question required or not(true or false)
  * @apiSuccess {Array} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Array} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -610,7 +1473,41 @@ router.get('/:id', acl(['*']), questionController.fetchOne);
  * @apiName Update
  * @apiGroup Question 
  *
- * @apiDescription Update a question with the given id
+ * @apiDescription Update a question with the given id. The `If-Match`
+ * header must carry the question revision last read, as returned in the `revision`
+ * attribute or in the `ETag` header of the last read or update. If the question changed since then the
+ * update is rejected with `409` and the current question in `error.data`.
+ * A header naming no revision is rejected with `412`.
+ * Answers in `values` are checked against the question type and rules, ie
+ * DATE and DATETIME answers must be dates within the question's `date_rules`,
+ * written in the question's `calendar`.
+ * NUMBER and CURRENCY answers must be numbers within the question's `number_rules`.
+ * MATRIX answers are given in `grid`, each cell checked against its column.
+ * Instances of a repeating GROUPED question are given in `repeats` ie
+ * `[{ index: 0, answers: [{ question: <SUB_QUESTION>, values: ["Abebe"] }] }]`,
+ * each answer checked against its sub question.
+ * Any question may be given a `variable` for formulas to refer to it by, it
+ * must be unique within the form. Answers of CALCULATED questions are worked
+ * out again whenever answers or formulas change and can not be given.
+ * Answers of FILE and PHOTO questions are uploaded files, see Attach Files,
+ * their `file_rules` may be updated here.
+ * GEOPOINT questions are answered in `geopoint` ie
+ * `{ latitude: 9.0301, longitude: 38.7468, accuracy: 12 }`, checked against
+ * the question's `geo_rules`.
+ * RATING and LIKERT answers must be the value of a point of the question's
+ * `scale_rules`. RANKING answers must be its options, each ranked once, as many
+ * as its `ranking_rules` ask for.
+ * Answers of SINGLE_CHOICE, MULTIPLE_CHOICE, YES_NO and RANKING questions are
+ * the codes of active options, labels are taken and stored as codes. `options`
+ * keep their codes: every option saved must be given again, relabelled by its
+ * `code` or set `active: false` to stop it being chosen. Prerequisite answers
+ * on these questions are stored as option codes too. Option scores are used
+ * by formulas in place of the answer.
+ * Once a SCREENING or LOAN_APPLICATION form is published, updates are not
+ * applied right away. They are queued in the pending change request of the
+ * form and `202` is returned with it, see Approve Change Request.
+ *
+ * @apiHeader {String} If-Match Question ETag or revision i.e "3.1f0c9a6d2b7e4c55" or "3"
  *
  * @apiParam {Object} Data Update data
  *
@@ -622,12 +1519,12 @@ router.get('/:id', acl(['*']), questionController.fetchOne);
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text Title
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question required or not(true or false)
  * @apiSuccess {Array} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Array} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -662,18 +1559,19 @@ router.put('/:id', acl(['*']), questionController.update);
  * @apiName Delete
  * @apiGroup Question 
  *
- * @apiDescription Remove a Question question with the given id.
+ * @apiDescription Remove a Question question with the given id. The question
+ *  and its sub questions are moved to the trash and can be restored.
  *  specify /?form=<FORM_ID> or /?parent_question=<PARENT_Q_ID> if removing from grouped
  *
  * @apiSuccess {String} _id question id
  * @apiSuccess {String} question_text Question Text Title
  * @apiSuccess {String} remark Question Remark
- * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
  * @apiSuccess {String} sub_questions Nested Sub Questions References
  * @apiSuccess {Boolean} required Question required or not(true or false)
  * @apiSuccess {Array} validation_factor Question Validation Factor ie NONE, ALPHANUMERIC, NUMERIC, ALPHABETIC
  * @apiSuccess {Array} values Question Answer Values
- * @apiSuccess {Array} options Question Choices Options
+ * @apiSuccess {Object[]} options Question Choices Options, each with its code, label, order, score and active flag
  * @apiSuccess {Boolean} show Show Question true or false
  * @apiSuccess {Array} prerequisities Question Prerequisities
  * @apiSuccess {String} measurement_unit Measurement Unit
@@ -687,7 +1585,7 @@ router.put('/:id', acl(['*']), questionController.update);
  *    type: "YES_NO",
  *    sub_questions: [],
  *    required: true
- *    options: ['Yes', 'No'],
+ *    options: [{ code: 'YES', label: 'Yes', order: 1, score: null, active: true }, { code: 'NO', label: 'No', order: 2, score: null, active: true }],
  *    value: '',
  *    show: true,
  *    prerequisities: [],
@@ -698,5 +1596,99 @@ router.put('/:id', acl(['*']), questionController.update);
  */
 router.delete('/:id', acl(['*']), questionController.remove);
 
+/**
+ * @api {post} /forms/questions/:id/restore Restore Question
+ * @apiVersion 1.0.0
+ * @apiName Restore
+ * @apiGroup Question
+ *
+ * @apiDescription Bring back a deleted question from the trash, together with
+ * the sub questions deleted along with it, and attach it back to the form,
+ * section or grouped question it was deleted from.
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} question_text Question Text Title
+ * @apiSuccess {String} type Question Type ie YES_NO, FILL_IN_BLANK, MULTIPLE_CHOICE, SINGLE_CHOICE, GROUPED, DATE, DATETIME, NUMBER, CURRENCY, MATRIX, CALCULATED, FILE, PHOTO, GEOPOINT, RATING, LIKERT, RANKING
+ * @apiSuccess {String} sub_questions Nested Sub Questions References
+ * @apiSuccess {Boolean} archived false
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "556e1174a8952c9521286a60",
+ *    question_text: "Question Text Title",
+ *    type: "YES_NO",
+ *    sub_questions: [],
+ *    archived: false,
+ *    number: "1.1"
+ *  }
+ */
+router.post('/:id/restore', acl(['*']), questionController.restore);
+
+/**
+ * @api {post} /forms/questions/:id/attachments Attach Files
+ * @apiVersion 1.0.0
+ * @apiName AttachFiles
+ * @apiGroup Question
+ *
+ * @apiDescription Upload files answering a FILE or PHOTO question, sent as
+ * `multipart/form-data` under any field name. Every file must be of a MIME
+ * type and within the size the question's `file_rules` allow, and together
+ * with the files already attached no more than its `max_count`, otherwise
+ * none is kept. Files are stored as assets served under `/media/` and the
+ * question's `attachments` reference them. Only questions of draft forms
+ * take files.
+ *
+ * @apiParam {File} file File to upload, may be repeated
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {String} type Question Type ie FILE, PHOTO
+ * @apiSuccess {Object[]} attachments Files answering the question
+ * @apiSuccess {String} attachments._id attachment id
+ * @apiSuccess {String} attachments.name Name the file was uploaded with
+ * @apiSuccess {String} attachments.url Address the file is served at
+ * @apiSuccess {String} attachments.mime_type MIME type of the file
+ * @apiSuccess {Number} attachments.size Size of the file in bytes
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5302"
+        question_text: "Photo of the House"
+        type: "PHOTO"
+        attachments: [{
+          _id: "5df1e4b2cda72e00018b5310",
+          name: "house.jpg",
+          url: "http://127.0.0.1:8090/media/8f1d2c3b4a5e6f7081929a3b.jpg",
+          mime_type: "image/jpeg",
+          size: 482113
+        }]
+ *  }
+ *
+ */
+router.post('/:id/attachments', acl(['*']), questionController.attach);
+
+/**
+ * @api {delete} /forms/questions/:id/attachments/:attachment Detach File
+ * @apiVersion 1.0.0
+ * @apiName DetachFile
+ * @apiGroup Question
+ *
+ * @apiDescription Remove a file answering a FILE or PHOTO question, along
+ * with its stored asset. Only questions of draft forms can be changed.
+ *
+ * @apiSuccess {String} _id question id
+ * @apiSuccess {Object[]} attachments Files still answering the question
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+        _id: "5df1e4b2cda72e00018b5302"
+        question_text: "Photo of the House"
+        type: "PHOTO"
+        attachments: []
+ *  }
+ *
+ */
+router.delete('/:id/attachments/:attachment', acl(['*']), questionController.detach);
+
 // Expose Question Router
 module.exports = router;
@@ -83,7 +83,16 @@ router.get('/:id', acl(['*']), sectionController.fetchOne);
  * @apiName Update
  * @apiGroup Section 
  *
- * @apiDescription Update a Section with the given id
+ * @apiDescription Update a Section with the given id. The `If-Match`
+ * header must carry the section revision last read, as returned in the `revision`
+ * attribute or in the `ETag` header of the last read or update. If the section changed since then the
+ * update is rejected with `409` and the current section in `error.data`.
+ * A header naming no revision is rejected with `412`.
+ * Once a SCREENING or LOAN_APPLICATION form is published, updates are not
+ * applied right away. They are queued in the pending change request of the
+ * form and `202` is returned with it, see Approve Change Request.
+ *
+ * @apiHeader {String} If-Match Section ETag or revision i.e "3.1f0c9a6d2b7e4c55" or "3"
  *
  * @apiParam {Object} Data Update data
  *
@@ -146,7 +155,8 @@ router.get('/paginate', acl(['*']), sectionController.fetchAllByPagination);
  * @apiName RemoveFormSection
  * @apiGroup Form 
  *
- * @apiDescription Delete a Form section with the given id
+ * @apiDescription Delete a Form section with the given id. The section and
+ * its questions are moved to the trash and can be restored.
  *
  *
  * @apiSuccess {String} _id section id
@@ -167,6 +177,34 @@ router.get('/paginate', acl(['*']), sectionController.fetchAllByPagination);
  */
 router.delete('/:id', acl(['*']), sectionController.remove);
 
+/**
+ * @api {post} /forms/sections/:id/restore Restore Form Section
+ * @apiVersion 1.0.0
+ * @apiName RestoreFormSection
+ * @apiGroup Section
+ *
+ * @apiDescription Bring back a deleted section from the trash, together with
+ * the questions deleted along with it, and attach it back to its form.
+ *
+ * @apiSuccess {String} _id section id
+ * @apiSuccess {String} title Section Title
+ * @apiSuccess {Object[]} questions Section Questions
+ * @apiSuccess {String} number Question Order number
+ *
+ * @apiSuccessExample Response Example:
+ *  {
+ *    _id : "556e1174a8952c9521286a60",
+ *    title: "Crop Fertiliser Distribution ",
+ *    archived: false,
+ *    questions: [{
+ *     _id : "556e1174a8952c9521286a60"
+ *       ....
+ *    }]
+ *  }
+ *
+ */
+router.post('/:id/restore', acl(['*']), sectionController.restore);
+
 
 // Expose Section Router
 module.exports = router;
@@ -0,0 +1,105 @@
+'use strict';
+
+const should = require('chai').should();
+const _      = require('lodash');
+
+const support  = require('./support');
+
+const geofences = require('../controllers/geofence');
+const Branch    = require('../models/branch');
+const BranchDal = require('../dal/branch');
+const LogDal    = require('../dal/log');
+
+const BRANCH = '5def47b7cda72e00018b5601';
+
+const AREA = {
+  type: 'Polygon',
+  coordinates: [[[38.6, 8.9], [38.9, 8.9], [38.9, 9.1], [38.6, 9.1], [38.6, 8.9]]]
+};
+
+// Apply a $set as MongoDB does, which can not create a field
+// inside a null one
+function apply(doc, $set) {
+  for(let path of Object.keys($set)) {
+    let keys   = path.split('.');
+    let parent = doc;
+
+    for(let key of keys.slice(0, -1)) {
+      if(parent[key] === null) {
+        throw new Error(`Cannot create field '${_.last(keys)}' in element {${key}: null}`);
+      }
+
+      parent[key] = parent[key] || {};
+      parent = parent[key];
+    }
+
+    parent[_.last(keys)] = _.cloneDeep($set[path]);
+  }
+}
+
+describe('Branch Geofences', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = {
+      _id: BRANCH,
+      name: 'Bole',
+      geofence: { center: null, radius: null, area: AREA }
+    };
+
+    let doc = () => Object.assign({ toJSON: () => _.cloneDeep(stored) }, _.cloneDeep(stored));
+
+    support.stub(BranchDal, 'get', () => Promise.resolve(doc()));
+    support.stub(Branch, 'findOneAndUpdate', (query, updates) => {
+      apply(stored, updates.$set);
+
+      return {
+        populate: function () { return this; },
+        exec: () => Promise.resolve(doc())
+      };
+    });
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  function update(body) {
+    return support.run(geofences.update, support.context({
+      method: 'PUT',
+      params: { branch: BRANCH },
+      body: body
+    }));
+  }
+
+  it('should change an area to a circle', () => {
+    return update({ center: { latitude: 9.0301, longitude: 38.7468 }, radius: 5000 }).then((ctx) => {
+      ctx.body.center.should.deep.equal({ type: 'Point', coordinates: [38.7468, 9.0301] });
+      ctx.body.radius.should.equal(5000);
+      should.equal(ctx.body.area, null);
+    });
+  });
+
+  it('should change a circle back to an area', () => {
+    return update({ center: { latitude: 9.0301, longitude: 38.7468 }, radius: 5000 }).then(() => {
+      return update({ area: AREA });
+
+    }).then((ctx) => {
+      ctx.body.area.should.deep.equal(AREA);
+      should.equal(ctx.body.center, null);
+      should.equal(ctx.body.radius, null);
+    });
+  });
+
+  it('should replace the geofence as a whole', () => {
+    return update({ center: { latitude: 9.0301, longitude: 38.7468 }, radius: 5000 }).then(() => {
+      let $set = Branch.findOneAndUpdate.calls[0][1].$set;
+
+      Object.keys($set).filter((path) => path.indexOf('geofence.') === 0).should.be.empty;
+      $set.geofence.should.deep.equal({
+        center: { type: 'Point', coordinates: [38.7468, 9.0301] },
+        radius: 5000,
+        area: null
+      });
+    });
+  });
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+const should = require('chai').should();
+const _      = require('lodash');
+
+const support = require('./support');
+
+const changeRequests   = require('../lib/change-requests');
+const changeRequest    = require('../controllers/changeRequest');
+const ChangeRequest    = require('../models/changeRequest');
+const Form             = require('../models/form');
+const Question         = require('../models/question');
+const ChangeRequestDal = require('../dal/changeRequest');
+const QuestionDal      = require('../dal/question');
+const FormDal          = require('../dal/form');
+const FormVersionDal   = require('../dal/formVersion');
+const LogDal           = require('../dal/log');
+
+const FORM = { _id: 'form', title: 'Screening', type: 'SCREENING', status: 'PUBLISHED', latest_version: 1 };
+const USER = { _id: '5def47b7cda72e00018b5201', username: 'designer@bidir.com' };
+
+function change(ref, revision, updates) {
+  return { target: 'QUESTION', ref: ref, revision: revision, updates: updates };
+}
+
+describe('Change Requests', () => {
+  let requests;
+
+  function find(query) {
+    return _.find(requests, (doc) => support.matches(doc, query)) || null;
+  }
+
+  beforeEach(() => {
+    requests = [];
+
+    support.stub(ChangeRequest, 'findOne', (query) => ({
+      lean() { return this; },
+      populate() { return this; },
+      exec: () => Promise.resolve(_.cloneDeep(find(query)))
+    }));
+    support.stub(ChangeRequest, 'findOneAndUpdate', (query, updates) => ({
+      populate() { return this; },
+      exec: () => {
+        let doc = find(query);
+
+        if(doc) {
+          _.forEach(_.omit(updates.$set, 'last_modified'), (value, path) => _.set(doc, path, value));
+        }
+
+        return Promise.resolve(_.cloneDeep(doc));
+      }
+    }));
+    support.stub(ChangeRequestDal, 'create', (data) => {
+      let doc = _.assign({ _id: `cr${requests.length + 1}`, status: 'PENDING', reviewed_at: null }, _.cloneDeep(data));
+
+      requests.push(doc);
+
+      return Promise.resolve(_.cloneDeep(doc));
+    });
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  describe('ChangeRequestDal.propose()', () => {
+    it('should open a change request for the first change', () => {
+      return ChangeRequestDal.propose(FORM, change('q1', 2, { title: 'Income' }), USER).then((request) => {
+        request.form.should.equal('form');
+        request.requested_by.should.equal(USER._id);
+        request.changes.should.have.length(1);
+        request.changes[0].requested_by.should.equal(USER._id);
+      });
+    });
+
+    it('should add changes of other items to the pending request', () => {
+      return ChangeRequestDal.propose(FORM, change('q1', 2, { title: 'Income' }), USER)
+        .then(() => ChangeRequestDal.propose(FORM, change('q2', 5, { required: true }), USER))
+        .then((request) => {
+          requests.should.have.length(1);
+          request.changes.map((item) => item.ref).should.deep.equal(['q1', 'q2']);
+        });
+    });
+
+    it('should merge changes of an item on the same revision', () => {
+      return ChangeRequestDal.propose(FORM, change('q1', 2, { title: 'Income', required: false }), USER)
+        .then(() => ChangeRequestDal.propose(FORM, change('q1', 2, { required: true }), USER))
+        .then((request) => {
+          request.changes.should.have.length(1);
+          request.changes[0].updates.should.deep.equal({ title: 'Income', required: true });
+        });
+    });
+
+    it('should reject changes of an item on another revision with 409', () => {
+      return ChangeRequestDal.propose(FORM, change('q1', 2, { title: 'Income' }), USER)
+        .then(() => support.rejected(ChangeRequestDal.propose(FORM, change('q1', 3, { required: true }), USER)))
+        .then((err) => {
+          err.status.should.equal(409);
+          err.type.should.equal('CHANGE_REQUEST_ERROR');
+          err.message.should.equal('Question Has A Pending Change Based On Revision 2, Reload and Try Again');
+          err.data.changes[0].updates.should.deep.equal({ title: 'Income' });
+        });
+    });
+
+    it('should open another request while the pending one is being reviewed', () => {
+      return ChangeRequestDal.propose(FORM, change('q1', 2, { title: 'Income' }), USER)
+        .then(() => {
+          requests[0].reviewed_at = new Date();
+
+          return ChangeRequestDal.propose(FORM, change('q2', 5, { required: true }), USER);
+        })
+        .then((request) => {
+          requests.should.have.length(2);
+          request._id.should.equal('cr2');
+          request.changes.map((item) => item.ref).should.deep.equal(['q2']);
+        });
+    });
+
+    it('should open another request when the pending one is picked up for review meanwhile', () => {
+      let findOne = ChangeRequest.findOne;
+
+      // the review starts between reading and updating the request
+      support.stub(ChangeRequest, 'findOne', function (query) {
+        let found = findOne.apply(this, arguments);
+        let exec  = found.exec;
+
+        found.exec = () => exec().then((doc) => {
+          if(doc) requests[0].reviewed_at = new Date();
+
+          return doc;
+        });
+
+        return found;
+      });
+
+      return ChangeRequestDal.create({ form: 'form', changes: [change('q1', 2, { title: 'Income' })] })
+        .then(() => ChangeRequestDal.propose(FORM, change('q2', 5, { required: true }), USER))
+        .then((request) => {
+          requests.should.have.length(2);
+          requests[0].changes.should.have.length(1);
+          request.changes.map((item) => item.ref).should.deep.equal(['q2']);
+        });
+    });
+  });
+
+  describe('propose()', () => {
+    it('should reject changes based on a stale revision with 409', () => {
+      let current = { _id: 'q1', revision: 3 };
+
+      return support.rejected(changeRequests.propose(FORM, change('q1', 2, { title: 'Income' }), current, USER))
+        .then((err) => {
+          err.status.should.equal(409);
+          err.message.should.equal('Question Was Modified By Someone Else, Reload and Try Again');
+          err.data.should.equal(current);
+          requests.should.be.empty;
+        });
+    });
+
+    it('should queue and log changes based on the current revision', () => {
+      return changeRequests.propose(FORM, change('q1', 0, { title: 'Income' }), { _id: 'q1' }, USER)
+        .then((request) => {
+          request.changes.should.have.length(1);
+          LogDal.track.calls[0][0].event.should.equal('change_request_propose');
+        });
+    });
+  });
+
+  describe('apply()', () => {
+    let questions, published;
+
+    beforeEach(() => {
+      questions = {
+        q1: { _id: 'q1', title: 'Income', revision: 2 },
+        q2: { _id: 'q2', title: 'Members', revision: 5 }
+      };
+      published = [];
+
+      support.stub(Question, 'findOne', (query) => ({
+        lean() { return this; },
+        exec: () => Promise.resolve(_.clone(questions[query._id]) || null)
+      }));
+      support.stub(QuestionDal, 'update', (query, updates) => {
+        let question = questions[query._id];
+
+        if(!question || (query.revision !== undefined && question.revision !== query.revision)) {
+          return Promise.resolve(null);
+        }
+
+        Object.assign(question, updates, { revision: question.revision + 1 });
+
+        return Promise.resolve(question);
+      });
+      support.stub(FormDal, 'recalculate', () => Promise.resolve());
+      support.stub(FormVersionDal, 'publish', (query) => {
+        published.push(query);
+
+        return Promise.resolve({ form: query._id, version: published.length + 1 });
+      });
+    });
+
+    function request() {
+      return ChangeRequestDal.create({
+        form: 'form',
+        changes: [change('q1', 2, { title: 'Monthly Income' }), change('q2', 5, { required: true })]
+      });
+    }
+
+    it('should apply the changes and publish the form', () => {
+      return request().then((request) => changeRequests.apply(request, USER)).then((version) => {
+        version.version.should.equal(2);
+        questions.q1.title.should.equal('Monthly Income');
+        questions.q2.required.should.be.true;
+        requests[0].changes.forEach((item) => should.exist(item.applied_at));
+        published.should.deep.equal([{ _id: 'form' }]);
+      });
+    });
+
+    it('should fail on items modified after the change was requested', () => {
+      questions.q2.revision = 6;
+
+      return request().then((request) => support.rejected(changeRequests.apply(request, USER))).then((err) => {
+        err.message.should.equal('Question q2 Was Modified After The Change Was Requested');
+        published.should.be.empty;
+
+        // the change applied before the failure stays applied
+        questions.q1.title.should.equal('Monthly Income');
+        should.exist(requests[0].changes[0].applied_at);
+        should.not.exist(requests[0].changes[1].applied_at);
+      });
+    });
+
+    it('should resume with the changes not applied yet', () => {
+      questions.q2.revision = 6;
+
+      return request()
+        .then((request) => support.rejected(changeRequests.apply(request, USER)))
+        .then(() => {
+          questions.q2.revision = 5;
+
+          return changeRequests.apply(requests[0], USER);
+        })
+        .then(() => {
+          QuestionDal.update.calls.map((args) => args[0]._id).should.deep.equal(['q1', 'q2', 'q2']);
+          questions.q1.revision.should.equal(3);
+          questions.q2.required.should.be.true;
+          published.should.have.length(1);
+        });
+    });
+
+    it('should fail on items deleted since', () => {
+      questions.q1.archived = true;
+
+      return request().then((request) => support.rejected(changeRequests.apply(request, USER))).then((err) => {
+        err.message.should.equal('Question q1 No Longer Exists');
+      });
+    });
+  });
+
+  describe('controller', () => {
+    let form, applied;
+
+    beforeEach(() => {
+      form = _.clone(FORM);
+      applied = support.stub(changeRequests, 'apply', () => Promise.resolve({ version: 2 }));
+
+      support.stub(Form, 'findOne', () => ({ exec: () => Promise.resolve(form) }));
+
+      return ChangeRequestDal.create({ form: 'form', changes: [change('q1', 2, { title: 'Income' })] });
+    });
+
+    function review(handler, body) {
+      return support.run(handler, support.context({ method: 'PUT', params: { id: 'cr1' }, body: body || {} }));
+    }
+
+    it('should approve pending requests into a new version', () => {
+      return review(changeRequest.approve, { comment: 'Fine' }).then((ctx) => {
+        applied.calls.should.have.length(1);
+        ctx.body.status.should.equal('APPROVED');
+        ctx.body.version.should.equal(2);
+        requests[0].reviewed_by.should.equal(support.SUPER._id);
+      });
+    });
+
+    it('should leave requests failing to apply pending', () => {
+      support.stub(changeRequests, 'apply', () => Promise.reject(new Error('Question q1 No Longer Exists')));
+
+      return support.rejected(review(changeRequest.approve)).then((err) => {
+        err.type.should.equal('APPROVE_CHANGE_REQUEST_ERROR');
+        err.message.should.equal('Question q1 No Longer Exists');
+        requests[0].status.should.equal('PENDING');
+        should.equal(requests[0].reviewed_at, null);
+      });
+    });
+
+    it('should refuse approving requests of forms no longer published', () => {
+      form.status = 'DRAFT';
+
+      return support.rejected(review(changeRequest.approve)).then((err) => {
+        err.message.should.equal('Form is No Longer Published, Reject The Change Request');
+        applied.calls.should.be.empty;
+        requests[0].status.should.equal('PENDING');
+      });
+    });
+
+    it('should reject pending requests with a comment', () => {
+      return review(changeRequest.reject, { comment: 'Wrong wording' }).then((ctx) => {
+        ctx.body.status.should.equal('REJECTED');
+        ctx.body.comment.should.equal('Wrong wording');
+        applied.calls.should.be.empty;
+      });
+    });
+
+    it('should require a comment to reject', () => {
+      return support.rejected(review(changeRequest.reject)).then((err) => {
+        err.type.should.equal('REJECT_CHANGE_REQUEST_ERROR');
+        requests[0].status.should.equal('PENDING');
+      });
+    });
+
+    it('should refuse reviewing requests twice', () => {
+      return review(changeRequest.reject, { comment: 'Wrong wording' })
+        .then(() => support.rejected(review(changeRequest.approve)))
+        .then((err) => {
+          err.message.should.equal('Pending Change Request Does Not Exist or is Being Reviewed!');
+          applied.calls.should.be.empty;
+        });
+    });
+  });
+});
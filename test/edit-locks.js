@@ -0,0 +1,211 @@
+'use strict';
+
+const should = require('chai').should();
+const moment = require('moment');
+const _      = require('lodash');
+
+const support = require('./support');
+
+const editLocks = require('../lib/edit-locks');
+const lock      = require('../controllers/lock');
+const Lock      = require('../models/lock');
+const Section   = require('../models/section');
+const LockDal   = require('../dal/lock');
+const FormDal   = require('../dal/form');
+const LogDal    = require('../dal/log');
+
+const SECTION = '5def47b7cda72e00018b5301';
+const ALICE   = { _id: '5def47b7cda72e00018b5201', username: 'alice@bidir.com' };
+const BOB     = { _id: '5def47b7cda72e00018b5202', username: 'bob@bidir.com' };
+
+describe('Edit Locks', () => {
+  afterEach(support.restore);
+
+  describe('LockDal', () => {
+    let locks;
+
+    function chain(result) {
+      return { populate() { return this; }, exec: () => result };
+    }
+
+    beforeEach(() => {
+      locks = {};
+
+      support.stub(Lock, 'findOneAndUpdate', (query, updates, opts) => {
+        let doc = locks[query.resource];
+
+        if(doc && !support.matches(doc, query)) {
+          if(!opts.upsert) return chain(Promise.resolve(null));
+
+          // the upsert runs into the unique resource index
+          return chain(Promise.reject(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })));
+        }
+
+        if(!doc) {
+          if(!opts.upsert) return chain(Promise.resolve(null));
+
+          doc = locks[query.resource] = Object.assign({ resource: query.resource }, updates.$setOnInsert);
+        }
+
+        Object.assign(doc, _.omit(updates.$set, 'last_modified'));
+
+        return chain(Promise.resolve(doc));
+      });
+      support.stub(Lock, 'findOne', (query) => {
+        let doc = locks[query.resource];
+
+        return chain(Promise.resolve(doc && support.matches(doc, query) ? doc : null));
+      });
+    });
+
+    function acquire(user) {
+      return LockDal.acquire({ resource: SECTION, kind: 'SECTION', holder: user._id }, 300);
+    }
+
+    function expire() {
+      locks[SECTION].expires_at = moment().subtract(1, 'seconds').toISOString();
+    }
+
+    it('should acquire free items', () => {
+      return acquire(ALICE).then((lock) => {
+        lock.holder.should.equal(ALICE._id);
+        moment(lock.expires_at).isAfter(moment().add(299, 'seconds')).should.be.true;
+      });
+    });
+
+    it('should let the holder acquire again', () => {
+      return acquire(ALICE).then(() => acquire(ALICE)).then((lock) => {
+        lock.holder.should.equal(ALICE._id);
+      });
+    });
+
+    it('should refuse items someone else holds', () => {
+      return acquire(ALICE).then(() => acquire(BOB)).then((lock) => {
+        should.equal(lock, null);
+        locks[SECTION].holder.should.equal(ALICE._id);
+      });
+    });
+
+    it('should hand over expired locks', () => {
+      return acquire(ALICE).then(expire).then(() => acquire(BOB)).then((lock) => {
+        lock.holder.should.equal(BOB._id);
+      });
+    });
+
+    it('should extend live locks of the holder', () => {
+      return acquire(ALICE).then(() => {
+        locks[SECTION].expires_at = moment().add(10, 'seconds').toISOString();
+
+        return LockDal.heartbeat({ resource: SECTION, holder: ALICE._id }, 300);
+
+      }).then((lock) => {
+        moment(lock.expires_at).isAfter(moment().add(299, 'seconds')).should.be.true;
+      });
+    });
+
+    it('should not extend expired or foreign locks', () => {
+      return acquire(ALICE)
+        .then(() => LockDal.heartbeat({ resource: SECTION, holder: BOB._id }, 300))
+        .then((lock) => {
+          should.equal(lock, null);
+
+          expire();
+
+          return LockDal.heartbeat({ resource: SECTION, holder: ALICE._id }, 300);
+        })
+        .then((lock) => should.equal(lock, null));
+    });
+
+    it('should not read expired locks', () => {
+      return acquire(ALICE).then(expire).then(() => LockDal.get({ resource: SECTION })).then((lock) => {
+        should.equal(lock, null);
+      });
+    });
+  });
+
+  describe('assertFree()', () => {
+    let current;
+
+    beforeEach(() => {
+      current = null;
+
+      support.stub(LockDal, 'get', () => Promise.resolve(current));
+    });
+
+    it('should pass unlocked items', () => {
+      return editLocks.assertFree(SECTION, BOB);
+    });
+
+    it('should pass items locked by the user', () => {
+      current = { resource: SECTION, holder: ALICE, expires_at: moment().add(5, 'minutes').toDate() };
+
+      return editLocks.assertFree(SECTION, ALICE);
+    });
+
+    it('should refuse items locked by someone else with 423', () => {
+      current = { resource: SECTION, holder: ALICE, expires_at: moment().add(5, 'minutes').toDate() };
+
+      return support.rejected(editLocks.assertFree(SECTION, BOB)).then((err) => {
+        err.status.should.equal(423);
+        err.type.should.equal('LOCKED_ERROR');
+        err.message.should.match(/^Locked By alice@bidir.com Until/);
+        err.data.should.equal(current);
+      });
+    });
+  });
+
+  describe('controller', () => {
+    let current;
+
+    beforeEach(() => {
+      current = { resource: SECTION, kind: 'SECTION', holder: ALICE, expires_at: moment().add(5, 'minutes').toDate() };
+
+      support.stub(Section, 'findOne', () => ({ exec: () => Promise.resolve({ _id: SECTION }) }));
+      support.stub(FormDal, 'findOwner', () => Promise.resolve({ _id: 'form', status: 'DRAFT' }));
+      support.stub(LockDal, 'get', () => Promise.resolve(current));
+      support.stub(LockDal, 'delete', () => Promise.resolve(current));
+      support.stub(LogDal, 'track', () => Promise.resolve({}));
+    });
+
+    function run(handler) {
+      return support.run(handler, support.context({ method: 'POST', params: { id: SECTION } }));
+    }
+
+    it('should answer contention with 423 and the current lock', () => {
+      support.stub(LockDal, 'acquire', () => Promise.resolve(null));
+
+      return support.rejected(run(lock.acquire)).then((err) => {
+        err.status.should.equal(423);
+        err.type.should.equal('ACQUIRE_LOCK_ERROR');
+        err.data.should.equal(current);
+      });
+    });
+
+    it('should refuse locks on published forms', () => {
+      support.stub(FormDal, 'findOwner', () => Promise.resolve({ _id: 'form', status: 'PUBLISHED' }));
+
+      return support.rejected(run(lock.acquire)).then((err) => {
+        err.type.should.equal('ACQUIRE_LOCK_ERROR');
+        err.message.should.match(/Form is Published/);
+      });
+    });
+
+    it('should force release locks whoever holds them', () => {
+      return run(lock.forceRelease).then((ctx) => {
+        LockDal.delete.calls[0][0].should.deep.equal({ resource: SECTION });
+        ctx.body.should.equal(current);
+
+        let log = LogDal.track.calls[0][0];
+
+        log.event.should.equal('lock_force_release');
+        log.message.should.equal(`Force released lock of alice@bidir.com on section ${SECTION}`);
+      });
+    });
+
+    it('should release only the own locks', () => {
+      return run(lock.release).then(() => {
+        LockDal.delete.calls[0][0].should.deep.equal({ resource: SECTION, holder: support.SUPER._id });
+      });
+    });
+  });
+});
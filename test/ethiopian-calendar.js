@@ -0,0 +1,74 @@
+'use strict';
+
+const should = require('chai').should();
+
+const ethiopian = require('../lib/ethiopian-calendar');
+
+describe('Ethiopian Calendar', () => {
+  describe('isLeap()', () => {
+    it('should tell leap years, the years before Gregorian ones', () => {
+      ethiopian.isLeap(2011).should.be.true;
+      ethiopian.isLeap(2015).should.be.true;
+      ethiopian.isLeap(2012).should.be.false;
+      ethiopian.isLeap(2016).should.be.false;
+    });
+  });
+
+  describe('daysInMonth()', () => {
+    it('should give 30 days to the twelve months', () => {
+      ethiopian.daysInMonth(2012, 1).should.equal(30);
+      ethiopian.daysInMonth(2012, 12).should.equal(30);
+    });
+
+    it('should give Pagume 6 days in leap years and 5 otherwise', () => {
+      ethiopian.daysInMonth(2011, 13).should.equal(6);
+      ethiopian.daysInMonth(2012, 13).should.equal(5);
+    });
+  });
+
+  describe('toGregorian()', () => {
+    it('should convert new year and holidays', () => {
+      ethiopian.toGregorian({ year: 2012, month: 1, day: 1 }).should.deep.equal({ year: 2019, month: 9, day: 12 });
+      ethiopian.toGregorian({ year: 2013, month: 1, day: 1 }).should.deep.equal({ year: 2020, month: 9, day: 11 });
+      ethiopian.toGregorian({ year: 2016, month: 4, day: 28 }).should.deep.equal({ year: 2024, month: 1, day: 7 });
+    });
+
+    it('should convert the days of Pagume', () => {
+      ethiopian.toGregorian({ year: 2011, month: 13, day: 6 }).should.deep.equal({ year: 2019, month: 9, day: 11 });
+      ethiopian.toGregorian({ year: 2012, month: 13, day: 5 }).should.deep.equal({ year: 2020, month: 9, day: 10 });
+    });
+
+    it('should reject dates that do not exist', () => {
+      (() => ethiopian.toGregorian({ year: 2012, month: 13, day: 6 })).should.throw('2012-13-06 Is Not A Valid Ethiopian Date');
+      (() => ethiopian.toGregorian({ year: 2012, month: 14, day: 1 })).should.throw(/Not A Valid Ethiopian Date/);
+      (() => ethiopian.toGregorian({ year: 2012, month: 1, day: 31 })).should.throw(/Not A Valid Ethiopian Date/);
+    });
+  });
+
+  describe('fromGregorian()', () => {
+    it('should convert to new year and Pagume', () => {
+      ethiopian.fromGregorian({ year: 2019, month: 9, day: 11 }).should.deep.equal({ year: 2011, month: 13, day: 6 });
+      ethiopian.fromGregorian({ year: 2019, month: 9, day: 12 }).should.deep.equal({ year: 2012, month: 1, day: 1 });
+      ethiopian.fromGregorian({ year: 2020, month: 9, day: 10 }).should.deep.equal({ year: 2012, month: 13, day: 5 });
+    });
+
+    it('should read back every day of a leap cycle', () => {
+      let day = Date.UTC(2019, 0, 1);
+
+      for(let i = 0; i < 4 * 366; i++, day += 24 * 60 * 60 * 1000) {
+        let date = new Date(day);
+        let gregorian = { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+
+        ethiopian.toGregorian(ethiopian.fromGregorian(gregorian)).should.deep.equal(gregorian);
+      }
+    });
+  });
+
+  describe('parse() and format()', () => {
+    it('should read and write YYYY-MM-DD', () => {
+      ethiopian.parse('2011-13-6').should.deep.equal({ year: 2011, month: 13, day: 6 });
+      ethiopian.format({ year: 2011, month: 13, day: 6 }).should.equal('2011-13-06');
+      should.equal(ethiopian.parse('06/13/2011'), null);
+    });
+  });
+});
@@ -0,0 +1,137 @@
+'use strict';
+
+const should = require('chai').should();
+
+const support = require('./support');
+
+const form        = require('../controllers/form');
+const FormDal     = require('../dal/form');
+const SectionDal  = require('../dal/section');
+const QuestionDal = require('../dal/question');
+const LogDal      = require('../dal/log');
+
+const FORM    = '5def47b7cda72e00018b5300';
+const OUTSIDE = '5def47b7cda72e00018b5499';
+
+function question(id, number, extra) {
+  return Object.assign({
+    _id: id,
+    number: number,
+    question_text: `Question ${number}`,
+    type: 'FILL_IN_BLANK',
+    prerequisites: [],
+    sub_questions: []
+  }, extra);
+}
+
+describe('Form Clone', () => {
+  let source, created, updates;
+
+  beforeEach(() => {
+    created = [];
+
+    source = {
+      _id: FORM,
+      title: 'Screening',
+      type: 'SCREENING',
+      status: 'PUBLISHED',
+      latest_version: 3,
+      questions: [
+        question('q1', 1, {
+          type: 'YES_NO',
+          sub_questions: [question('q1.1', 1.1, { prerequisites: [{ question: 'q1', answer: 'Yes' }] })]
+        }),
+        question('q2', 2, { prerequisites: [{ question: OUTSIDE, answer: 'No' }] })
+      ],
+      sections: [{
+        _id: 's1',
+        title: 'Household',
+        questions: [question('q3', 3, { prerequisites: [{ question: 'q1', answer: 'No' }] })]
+      }]
+    };
+
+    support.stub(FormDal, 'snapshot', () => Promise.resolve(JSON.parse(JSON.stringify(source))));
+    support.stub(FormDal, 'create', (data) => Promise.resolve(Object.assign({ _id: 'clone' }, data)));
+    support.stub(SectionDal, 'create', (data) => Promise.resolve(Object.assign({ _id: `new-${data.origin}` }, data)));
+    support.stub(QuestionDal, 'create', (data) => {
+      let clone = Object.assign({ _id: `new-${data.origin}` }, data);
+
+      created.push(clone);
+
+      return Promise.resolve(clone);
+    });
+    updates = support.stub(QuestionDal, 'update', () => Promise.resolve({}));
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  function clone(body) {
+    return support.run(form.clone, support.context({ method: 'POST', params: { id: FORM }, body: body || {} }));
+  }
+
+  function remapped(id) {
+    let call = updates.calls.find((args) => args[0]._id === `new-${id}`);
+
+    return call ? call[1] : null;
+  }
+
+  it('should copy the form into a new draft', () => {
+    return clone().then((ctx) => {
+      ctx.body.title.should.equal('Screening (Copy)');
+      ctx.body.status.should.equal('DRAFT');
+      ctx.body.latest_version.should.equal(0);
+      ctx.body.origin.should.equal(FORM);
+      ctx.body.questions.should.deep.equal(['new-q1', 'new-q2']);
+      ctx.body.sections.should.deep.equal(['new-s1']);
+    });
+  });
+
+  it('should copy every question, sub questions first', () => {
+    return clone().then(() => {
+      created.map((question) => question.origin).should.deep.equal(['q1.1', 'q1', 'q2', 'q3']);
+
+      created[1].sub_questions.should.deep.equal(['new-q1.1']);
+      created.forEach((question) => should.not.exist(question.prerequisites));
+    });
+  });
+
+  it('should point prerequisites to the copied questions', () => {
+    return clone().then(() => {
+      remapped('q1.1').prerequisites.should.deep.equal([{ question: 'new-q1', answer: 'Yes' }]);
+      remapped('q3').prerequisites.should.deep.equal([{ question: 'new-q1', answer: 'No' }]);
+    });
+  });
+
+  it('should keep prerequisites on questions outside the form', () => {
+    return clone().then(() => {
+      remapped('q2').prerequisites.should.deep.equal([{ question: OUTSIDE, answer: 'No' }]);
+      should.not.exist(remapped('q1'));
+    });
+  });
+
+  it('should point repeat counts to the copied questions', () => {
+    source.questions.push(question('q4', 4, { type: 'NUMBER' }));
+    source.questions.push(question('q5', 5, { type: 'GROUPED', repeat: { count_question: 'q4' } }));
+
+    return clone().then(() => {
+      remapped('q5')['repeat.count_question'].should.equal('new-q4');
+    });
+  });
+
+  it('should take the title and type of the request', () => {
+    return clone({ title: 'Screening 2020', type: 'LOAN_APPLICATION' }).then((ctx) => {
+      ctx.body.title.should.equal('Screening 2020');
+      ctx.body.type.should.equal('LOAN_APPLICATION');
+    });
+  });
+
+  it('should fail on missing forms', () => {
+    source = null;
+
+    return support.rejected(clone()).then((err) => {
+      err.type.should.equal('CLONE_FORM_ERROR');
+      err.message.should.equal('Form Does Not Exist!');
+    });
+  });
+});
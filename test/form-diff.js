@@ -0,0 +1,138 @@
+'use strict';
+
+const should = require('chai').should();
+
+const diff = require('../lib/form-diff');
+
+function question(id, number, text, extra) {
+  return Object.assign({
+    _id: id,
+    number: number,
+    question_text: text,
+    type: 'FILL_IN_BLANK',
+    required: false,
+    options: [],
+    prerequisites: [],
+    sub_questions: []
+  }, extra);
+}
+
+function form(questions, extra) {
+  return Object.assign({
+    _id: 'form',
+    title: 'Screening',
+    questions: questions,
+    sections: []
+  }, extra);
+}
+
+describe('Form Diff', () => {
+  it('should report nothing between identical forms', () => {
+    let tree = form([question('q1', 1, 'Name')]);
+    let result = diff(tree, tree);
+
+    result.form.modified.should.be.empty;
+    result.questions.added.should.be.empty;
+    result.questions.removed.should.be.empty;
+    result.questions.modified.should.be.empty;
+    result.summary.should.be.empty;
+  });
+
+  it('should report added and removed questions', () => {
+    let result = diff(
+      form([question('q1', 1, 'Name'), question('q2', 2, 'Age')]),
+      form([question('q1', 1, 'Name'), question('q3', 3, 'Farm size')])
+    );
+
+    result.questions.added.should.have.length(1);
+    result.questions.added[0]._id.should.equal('q3');
+    result.questions.removed.should.have.length(1);
+    result.questions.removed[0]._id.should.equal('q2');
+    result.summary.should.include('Added question 3 "Farm size"');
+    result.summary.should.include('Removed question 2 "Age"');
+  });
+
+  it('should report modified fields and form attributes', () => {
+    let result = diff(
+      form([question('q1', 1, 'Name')]),
+      form([question('q1', 1, 'Name', { required: true })], { title: 'Loan Screening' })
+    );
+
+    result.form.modified.should.deep.equal([{ field: 'title', from: 'Screening', to: 'Loan Screening' }]);
+    result.questions.modified[0].changes.should.deep.equal([{ field: 'required', from: false, to: true }]);
+    result.summary.should.include('Changed required of question 1 "Name" from false to true');
+  });
+
+  it('should match clones to their origin', () => {
+    let result = diff(
+      form([question('q1', 1, 'Name')]),
+      form([question('c1', 1, 'Name', { origin: 'q1' })])
+    );
+
+    result.questions.added.should.be.empty;
+    result.questions.removed.should.be.empty;
+    result.questions.modified.should.be.empty;
+  });
+
+  it('should compare options by code', () => {
+    let weekly  = { code: 'WEEKLY', label: 'Weekly', order: 1, score: null, active: true };
+    let monthly = { code: 'MONTHLY', label: 'Monthly', order: 2, score: null, active: true };
+
+    let result = diff(
+      form([question('q1', 1, 'Frequency', { type: 'SINGLE_CHOICE', options: [weekly, monthly] })]),
+      form([question('q1', 1, 'Frequency', { type: 'SINGLE_CHOICE', options: [
+        weekly,
+        Object.assign({}, monthly, { label: 'Every Month' }),
+        { code: 'DAILY', label: 'Daily', order: 3, score: null, active: true }
+      ] })])
+    );
+
+    let change = result.questions.modified[0].changes[0];
+
+    change.field.should.equal('options');
+    change.added.should.deep.equal(['Daily']);
+    change.removed.should.be.empty;
+    change.modified.should.deep.equal(['Every Month']);
+  });
+
+  it('should compare options kept as labels', () => {
+    let result = diff(
+      form([question('q1', 1, 'Marital Status', { options: ['Single', 'Married'] })]),
+      form([question('q1', 1, 'Marital Status', { options: ['Single', 'Married', 'Widowed'] })])
+    );
+
+    result.summary.should.deep.equal(['Added options [Widowed] to question 1 "Marital Status"']);
+  });
+
+  it('should compare prerequisites by the identity of their question', () => {
+    let result = diff(
+      form([question('q1', 1, 'Married?'), question('q2', 2, 'Spouse', { prerequisites: [{ question: 'q1', answer: 'YES' }] })]),
+      form([question('c1', 1, 'Married?', { origin: 'q1' }), question('c2', 2, 'Spouse', { origin: 'q2', prerequisites: [{ question: 'c1', answer: 'YES' }] })])
+    );
+
+    result.questions.modified.should.be.empty;
+  });
+
+  it('should report questions moved to another parent', () => {
+    let child = question('q2', 2, 'Spouse');
+
+    let result = diff(
+      form([question('q1', 1, 'Married?'), child]),
+      form([question('q1', 1, 'Married?', { sub_questions: [child] })])
+    );
+
+    let change = result.questions.modified[0].changes[0];
+
+    change.should.deep.equal({ field: 'parent', from: 'form', to: 'question 1' });
+  });
+
+  it('should report added sections', () => {
+    let result = diff(
+      form([]),
+      form([], { sections: [{ _id: 's1', title: 'Household', number: 1, questions: [] }] })
+    );
+
+    result.sections.added.should.have.length(1);
+    should.exist(result.summary.find((line) => line === 'Added section "Household"'));
+  });
+});
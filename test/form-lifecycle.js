@@ -0,0 +1,56 @@
+'use strict';
+
+const should = require('chai').should();
+
+const lifecycle = require('../lib/form-lifecycle');
+
+describe('Form Lifecycle', () => {
+  describe('canTransition()', () => {
+    it('should allow publishing drafts', () => {
+      lifecycle.canTransition('DRAFT', 'PUBLISHED').should.be.true;
+    });
+
+    it('should allow opening a draft of or archiving published forms', () => {
+      lifecycle.canTransition('PUBLISHED', 'DRAFT').should.be.true;
+      lifecycle.canTransition('PUBLISHED', 'ARCHIVED').should.be.true;
+    });
+
+    it('should refuse archiving drafts', () => {
+      lifecycle.canTransition('DRAFT', 'ARCHIVED').should.be.false;
+    });
+
+    it('should refuse moving archived forms anywhere', () => {
+      lifecycle.canTransition('ARCHIVED', 'DRAFT').should.be.false;
+      lifecycle.canTransition('ARCHIVED', 'PUBLISHED').should.be.false;
+    });
+
+    it('should treat forms without a status as drafts', () => {
+      lifecycle.canTransition(undefined, 'PUBLISHED').should.be.true;
+      lifecycle.canTransition(undefined, 'ARCHIVED').should.be.false;
+    });
+
+    it('should refuse unknown statuses', () => {
+      lifecycle.canTransition('DRAFT', 'REVIEW').should.be.false;
+      lifecycle.canTransition('REVIEW', 'PUBLISHED').should.be.false;
+    });
+  });
+
+  describe('assertEditable()', () => {
+    it('should let drafts be edited', () => {
+      (() => lifecycle.assertEditable({ status: 'DRAFT' })).should.not.throw();
+      (() => lifecycle.assertEditable(null)).should.not.throw();
+    });
+
+    it('should refuse edits to published forms', () => {
+      (() => lifecycle.assertEditable({ status: 'PUBLISHED' })).should.throw(/Form is Published/);
+    });
+
+    it('should refuse edits to archived forms', () => {
+      (() => lifecycle.assertEditable({ status: 'ARCHIVED' })).should.throw(/Form is Archived/);
+    });
+
+    it('should refuse edits to deleted forms', () => {
+      (() => lifecycle.assertEditable({ status: 'DRAFT', archived: true })).should.throw(/Form is Deleted/);
+    });
+  });
+});
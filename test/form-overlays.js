@@ -0,0 +1,84 @@
+'use strict';
+
+const should = require('chai').should();
+
+const overlays = require('../lib/form-overlays');
+
+function question(id, number, extra) {
+  return Object.assign({ _id: id, number: number, question_text: `Question ${number}`, sub_questions: [] }, extra);
+}
+
+function numbers(questions) {
+  return questions.map((question) => question.number);
+}
+
+describe('Form Overlays', () => {
+  describe('merge()', () => {
+    it('should sort added questions among the base ones by number', () => {
+      let form = {
+        _id: 'form',
+        questions: [question('q1', 1), question('q2', 2), question('q3', 3), question('q10', 10), question('q11', 11)],
+        sections: []
+      };
+
+      let merged = overlays.merge(form, {
+        _id: 'overlay',
+        branch: 'lowland',
+        added: [{ question: question('q4', 4), section: null }],
+        hidden: []
+      });
+
+      numbers(merged.questions).should.deep.equal([1, 2, 3, 4, 10, 11]);
+    });
+
+    it('should drop hidden questions wherever they sit', () => {
+      let form = {
+        _id: 'form',
+        questions: [question('q1', 1, { sub_questions: [question('q1.1', 1.1), question('q1.2', 1.2)] })],
+        sections: [{ _id: 's1', questions: [question('q2', 2), question('q3', 3)] }]
+      };
+
+      let merged = overlays.merge(form, { _id: 'overlay', branch: 'lowland', added: [], hidden: ['q1.2', 'q3'] });
+
+      numbers(merged.questions[0].sub_questions).should.deep.equal([1.1]);
+      numbers(merged.sections[0].questions).should.deep.equal([2]);
+    });
+
+    it('should add questions to their section', () => {
+      let form = {
+        _id: 'form',
+        questions: [question('q1', 1)],
+        sections: [{ _id: 's1', questions: [question('q2', 2), question('q9', 9)] }]
+      };
+
+      let merged = overlays.merge(form, {
+        _id: 'overlay',
+        branch: 'lowland',
+        added: [{ question: question('q5', 5), section: 's1' }],
+        hidden: []
+      });
+
+      numbers(merged.questions).should.deep.equal([1]);
+      numbers(merged.sections[0].questions).should.deep.equal([2, 5, 9]);
+    });
+
+    it('should skip added questions that were deleted or are hidden', () => {
+      let form = { _id: 'form', questions: [question('q1', 1)], sections: [] };
+
+      let merged = overlays.merge(form, {
+        _id: 'overlay',
+        branch: 'lowland',
+        added: [{ question: null }, { question: question('q2', 2) }],
+        hidden: ['q2']
+      });
+
+      numbers(merged.questions).should.deep.equal([1]);
+    });
+
+    it('should tell which overlay was merged', () => {
+      let merged = overlays.merge({ _id: 'form', questions: [], sections: [] }, { _id: 'overlay', branch: 'lowland' });
+
+      merged.overlay.should.deep.equal({ _id: 'overlay', branch: 'lowland' });
+    });
+  });
+});
@@ -0,0 +1,160 @@
+'use strict';
+
+const should = require('chai').should();
+const moment = require('moment');
+const _      = require('lodash');
+
+const support = require('./support');
+const periods = require('../lib/form-periods');
+
+const form           = require('../controllers/form');
+const Form           = require('../models/form');
+const FormDal        = require('../dal/form');
+const FormVersionDal = require('../dal/formVersion');
+const LogDal         = require('../dal/log');
+
+function date(value) {
+  return moment(value).toDate();
+}
+
+// Screening forms of 2018, of 2019 onwards and of loan applications
+const FORMS = [
+  { _id: 'f2018', title: 'Screening 2018', type: 'SCREENING', latest_version: 2, effective_from: date('2018-01-01'), effective_to: date('2019-01-01') },
+  { _id: 'f2019', title: 'Screening 2019', type: 'SCREENING', latest_version: 1, effective_from: date('2019-01-01'), effective_to: null },
+  { _id: 'loan', title: 'Loan Application', type: 'LOAN_APPLICATION', latest_version: 1, effective_from: null, effective_to: null }
+];
+
+function overlapping(from, to, exclude) {
+  let query = periods.overlapping('SCREENING', { from: from && date(from), to: to && date(to) }, exclude);
+
+  return FORMS.filter((form) => support.matches(form, query)).map((form) => form._id);
+}
+
+describe('Form Periods', () => {
+  describe('of()', () => {
+    it('should read open bounds as null', () => {
+      let period = periods.of({ effective_from: '2019-01-01' });
+
+      period.from.should.deep.equal(date('2019-01-01'));
+      should.equal(period.to, null);
+    });
+  });
+
+  describe('isValid()', () => {
+    it('should require periods to end after they start', () => {
+      periods.isValid({ from: date('2019-01-01'), to: date('2020-01-01') }).should.be.true;
+      periods.isValid({ from: date('2019-01-01'), to: date('2019-01-01') }).should.be.false;
+      periods.isValid({ from: date('2020-01-01'), to: date('2019-01-01') }).should.be.false;
+    });
+
+    it('should accept open periods', () => {
+      periods.isValid({ from: null, to: date('2019-01-01') }).should.be.true;
+      periods.isValid({ from: date('2019-01-01'), to: null }).should.be.true;
+      periods.isValid({ from: null, to: null }).should.be.true;
+    });
+  });
+
+  describe('overlapping()', () => {
+    it('should find forms of the type running into the period', () => {
+      overlapping('2018-06-01', '2018-07-01').should.deep.equal(['f2018']);
+      overlapping('2018-12-01', '2019-02-01').should.deep.equal(['f2018', 'f2019']);
+      overlapping('2025-01-01', null).should.deep.equal(['f2019']);
+    });
+
+    it('should treat the end of a period as exclusive', () => {
+      overlapping('2017-01-01', '2018-01-01').should.be.empty;
+      overlapping('2019-01-01', '2019-06-01').should.deep.equal(['f2019']);
+    });
+
+    it('should let open periods overlap every form of the type', () => {
+      overlapping(null, null).should.deep.equal(['f2018', 'f2019']);
+      overlapping(null, '2018-01-02').should.deep.equal(['f2018']);
+    });
+
+    it('should leave out the form being checked', () => {
+      overlapping('2018-12-01', '2019-02-01', 'f2019').should.deep.equal(['f2018']);
+    });
+  });
+
+  describe('effectiveAt()', () => {
+    function effective(type, at) {
+      return FORMS.filter((form) => support.matches(form, periods.effectiveAt(type, date(at)))).map((form) => form._id);
+    }
+
+    it('should find the form of the type effective at the date', () => {
+      effective('SCREENING', '2018-03-01').should.deep.equal(['f2018']);
+      effective('SCREENING', '2019-01-01').should.deep.equal(['f2019']);
+      effective('SCREENING', '2017-12-31').should.be.empty;
+      effective('LOAN_APPLICATION', '2010-01-01').should.deep.equal(['loan']);
+    });
+  });
+
+  describe('controllers', () => {
+    let forms, versions;
+
+    beforeEach(() => {
+      forms = _.cloneDeep(FORMS);
+      versions = [
+        { form: 'f2018', version: 1, date_created: date('2017-12-01') },
+        { form: 'f2018', version: 2, date_created: date('2018-06-01') },
+        { form: 'f2019', version: 1, date_created: date('2019-02-01') }
+      ];
+
+      support.stub(Form, 'findOne', (query) => ({
+        exec: () => Promise.resolve(forms.find((form) => support.matches(form, query)) || null)
+      }));
+      support.stub(FormVersionDal, 'latest', (query) => Promise.resolve(_.findLast(versions, (version) => support.matches(version, query)) || null));
+      support.stub(FormVersionDal, 'get', (query) => Promise.resolve(versions.find((version) => support.matches(version, query)) || null));
+      support.stub(FormDal, 'update', (query, updates) => Promise.resolve(Object.assign(forms.find((form) => form._id === query._id), updates)));
+      support.stub(LogDal, 'track', () => Promise.resolve({}));
+    });
+
+    afterEach(support.restore);
+
+    function resolve(query) {
+      return support.run(form.resolve, support.context({ query: query }));
+    }
+
+    function schedule(id, body) {
+      return support.run(form.schedule, support.context({ method: 'PUT', params: { id: id }, body: body }));
+    }
+
+    it('should resolve the version published by the date', () => {
+      return resolve({ type: 'SCREENING', date: '2018-08-01' }).then((ctx) => {
+        ctx.body.should.deep.equal(versions[1]);
+      });
+    });
+
+    it('should resolve the first version of forms published after the date', () => {
+      return resolve({ type: 'SCREENING', date: '2019-01-15' }).then((ctx) => {
+        ctx.body.should.deep.equal(versions[2]);
+      });
+    });
+
+    it('should fail when no form of the type was effective', () => {
+      return support.rejected(resolve({ type: 'SCREENING', date: '2017-06-01' })).then((err) => {
+        err.type.should.equal('RESOLVE_FORM_ERROR');
+        err.message.should.match(/^No Published SCREENING Form Was Effective At 2017-06-01/);
+      });
+    });
+
+    it('should refuse schedules overlapping another form of the type', () => {
+      return support.rejected(schedule('f2019', { effective_from: '2018-06-01' })).then((err) => {
+        err.type.should.equal('SCHEDULE_FORM_ERROR');
+        err.message.should.equal('Effective Period Overlaps With Screening 2018');
+      });
+    });
+
+    it('should refuse periods ending before they start', () => {
+      return support.rejected(schedule('f2019', { effective_from: '2020-01-01', effective_to: '2019-06-01' })).then((err) => {
+        err.message.should.equal('Effective To Date Should Be After Effective From Date');
+      });
+    });
+
+    it('should schedule forms into free periods', () => {
+      return schedule('f2019', { effective_from: '2019-01-01', effective_to: '2020-01-01' }).then((ctx) => {
+        ctx.body.effective_to.should.deep.equal(date('2020-01-01'));
+      });
+    });
+  });
+});
@@ -0,0 +1,161 @@
+'use strict';
+
+const should = require('chai').should();
+
+const support = require('./support');
+
+const form           = require('../controllers/form');
+const Form           = require('../models/form');
+const Section        = require('../models/section');
+const FormDal        = require('../dal/form');
+const FormVersionDal = require('../dal/formVersion');
+const SectionDal     = require('../dal/section');
+const QuestionDal    = require('../dal/question');
+const LogDal         = require('../dal/log');
+
+const FORM    = '5def47b7cda72e00018b5300';
+const SECTION = '5def47b7cda72e00018b5301';
+
+function question(id, number, extra) {
+  return Object.assign({
+    _id: id,
+    number: number,
+    question_text: `Question ${number}`,
+    type: 'FILL_IN_BLANK',
+    prerequisites: [],
+    sub_questions: []
+  }, extra);
+}
+
+describe('Form Rollback', () => {
+  let stored, sections, questions, versions;
+
+  beforeEach(() => {
+    // version 1 had a section with two questions and a form level question
+    versions = {
+      1: {
+        form: FORM,
+        version: 1,
+        snapshot: {
+          _id: FORM,
+          title: 'Screening',
+          questions: [question('q1', 1, { sub_questions: [question('q1.1', 1.1)] })],
+          sections: [{
+            _id: SECTION,
+            title: 'Household',
+            number: 1,
+            questions: [question('q2', 2), question('q3', 3)]
+          }]
+        }
+      }
+    };
+
+    // since then the section was renamed, q3 dropped and q4 added
+    stored = {
+      _id: FORM,
+      title: 'Screening 2020',
+      status: 'DRAFT',
+      latest_version: 1,
+      questions: ['q1'],
+      sections: [SECTION]
+    };
+    sections = { [SECTION]: { _id: SECTION, title: 'Members', questions: ['q2', 'q4'] } };
+    questions = {};
+
+    support.stub(Form, 'findOne', () => ({ exec: () => Promise.resolve(stored) }));
+    support.stub(FormVersionDal, 'get', (query) => Promise.resolve(versions[query.version] || null));
+    support.stub(FormDal, 'snapshot', () => Promise.resolve(JSON.parse(JSON.stringify(stored))));
+    support.stub(FormDal, 'update', (query, updates) => {
+      stored = Object.assign({}, stored, updates);
+
+      return Promise.resolve(stored);
+    });
+    support.stub(FormDal, 'get', () => Promise.resolve(stored));
+    support.stub(SectionDal, 'restore', (data) => {
+      sections[data._id] = data;
+
+      return Promise.resolve(data);
+    });
+    support.stub(QuestionDal, 'restore', (data) => {
+      questions[data._id] = data;
+
+      return Promise.resolve(data);
+    });
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  function rollback(version) {
+    return support.run(form.rollback, support.context({
+      method: 'POST',
+      params: { id: FORM },
+      body: { version: version }
+    }));
+  }
+
+  it('should restore the form to the older version', () => {
+    return rollback(1).then((ctx) => {
+      ctx.body.title.should.equal('Screening');
+      ctx.body.questions.should.deep.equal(['q1']);
+      ctx.body.sections.should.deep.equal([SECTION]);
+    });
+  });
+
+  it('should restore the sections of the older version', () => {
+    return rollback(1).then(() => {
+      sections[SECTION].title.should.equal('Household');
+      sections[SECTION].questions.should.deep.equal(['q2', 'q3']);
+    });
+  });
+
+  it('should restore the questions of the older version, sub questions included', () => {
+    return rollback(1).then(() => {
+      Object.keys(questions).sort().should.deep.equal(['q1', 'q1.1', 'q2', 'q3']);
+      questions.q1.sub_questions.should.deep.equal(['q1.1']);
+      questions.q3.question_text.should.equal('Question 3');
+    });
+  });
+
+  it('should log the changes undone', () => {
+    return rollback(1).then(() => {
+      let log = LogDal.track.calls[0][0];
+
+      log.event.should.equal('form_rollback');
+      log.diff.version.should.equal(1);
+      should.equal(log.diff.published, null);
+    });
+  });
+
+  it('should fail on missing versions', () => {
+    return support.rejected(rollback(4)).then((err) => {
+      err.type.should.equal('ROLLBACK_FORM_ERROR');
+      err.message.should.equal('Form Version 4 Does Not Exist!');
+    });
+  });
+
+  it('should refuse archived forms', () => {
+    stored.status = 'ARCHIVED';
+
+    return support.rejected(rollback(1)).then((err) => {
+      err.message.should.equal('Form is Archived and Cannot Be Rolled Back');
+    });
+  });
+});
+
+describe('Section Restore', () => {
+  afterEach(support.restore);
+
+  it('should upsert sections under their own id', () => {
+    let update = support.stub(Section, 'findOneAndUpdate', () => ({ exec: () => Promise.resolve({}) }));
+
+    return SectionDal.restore({ _id: SECTION, title: 'Household', questions: ['q2', 'q3'] }).then(() => {
+      let args = update.calls[0];
+
+      args[0].should.deep.equal({ _id: SECTION });
+      args[1].$set.title.should.equal('Household');
+      args[1].$set.questions.should.deep.equal(['q2', 'q3']);
+      args[2].upsert.should.be.true;
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const should = require('chai').should();
+
+const support        = require('./support');
+const FormVersion    = require('../models/formVersion');
+const FormVersionDal = require('../dal/formVersion');
+const FormDal        = require('../dal/form');
+
+const FORM = '5def47b7cda72e00018b5300';
+
+describe('Form Versions', () => {
+  afterEach(support.restore);
+
+  describe('publish()', () => {
+    let form, saved;
+
+    beforeEach(() => {
+      saved = [];
+
+      form = { _id: FORM, title: 'Screening', status: 'DRAFT', latest_version: 0, sections: [] };
+
+      support.stub(FormDal, 'snapshot', () => Promise.resolve(JSON.parse(JSON.stringify(form))));
+      support.stub(FormDal, 'update', (query, updates) => {
+        Object.assign(form, updates);
+
+        return Promise.resolve(form);
+      });
+      // the save hooks hand the stub a callback
+      support.stub(FormVersion.prototype, 'save', function (done) {
+        saved.push(this);
+
+        done(null, this);
+      });
+      support.stub(FormVersionDal, 'get', (query) => Promise.resolve(saved.find((version) => version._id.equals(query._id))));
+    });
+
+    it('should give each publication the next version number', () => {
+      return FormVersionDal.publish({ _id: FORM }, support.SUPER)
+        .then((first) => {
+          first.version.should.equal(1);
+          form.latest_version.should.equal(1);
+
+          return FormVersionDal.publish({ _id: FORM }, support.SUPER);
+        })
+        .then((second) => {
+          second.version.should.equal(2);
+          second.snapshot.latest_version.should.equal(2);
+          second.snapshot.status.should.equal('PUBLISHED');
+          form.latest_version.should.equal(2);
+          form.status.should.equal('PUBLISHED');
+          String(second.published_by).should.equal(support.SUPER._id);
+        });
+    });
+  });
+
+  describe('schema', () => {
+    it('should allow one snapshot per form version', () => {
+      FormVersion.schema.indexes().should.deep.equal([
+        [{ form: 1, version: 1 }, { unique: true, background: true }]
+      ]);
+    });
+
+    it('should reject updates of published versions', () => {
+      let snapshot = { $set: { snapshot: { title: 'Changed' } } };
+
+      return support.rejected(FormVersion.findOneAndUpdate({ form: FORM }, snapshot).exec())
+        .then((err) => {
+          err.message.should.equal('Published Form Versions Cannot Be Modified');
+
+          return support.rejected(FormVersion.update({ form: FORM }, snapshot).exec());
+        })
+        .then((err) => {
+          err.message.should.equal('Published Form Versions Cannot Be Modified');
+        });
+    });
+
+    it('should reject saving a published version again', () => {
+      let version = new FormVersion({ form: FORM, version: 1, snapshot: {} });
+
+      version.isNew = false;
+      version.snapshot = { title: 'Changed' };
+
+      return support.rejected(version.save()).then((err) => {
+        err.message.should.equal('Published Form Versions Cannot Be Modified');
+      });
+    });
+  });
+});
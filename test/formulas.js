@@ -0,0 +1,153 @@
+'use strict';
+
+const should = require('chai').should();
+
+const formulas = require('../lib/formulas');
+
+function evaluate(source, scope) {
+  return formulas.evaluate(formulas.parse(source), scope);
+}
+
+describe('Formulas', () => {
+  describe('isVariable()', () => {
+    it('should take names that start with a letter', () => {
+      formulas.isVariable('monthly_income').should.be.true;
+      formulas.isVariable('constructor').should.be.true;
+      formulas.isVariable('2nd_crop').should.be.false;
+      formulas.isVariable('income-tax').should.be.false;
+    });
+
+    it('should keep function names for functions', () => {
+      formulas.isVariable('round').should.be.false;
+    });
+  });
+
+  describe('parse()', () => {
+    it('should follow the precedence of operators', () => {
+      evaluate('2 + 3 * 4').should.equal(14);
+      evaluate('(2 + 3) * 4').should.equal(20);
+      evaluate('-2 * 3 + 10 % 4').should.equal(-4);
+      evaluate('1 + 1 == 2 && !(3 < 2)').should.equal(true);
+    });
+
+    it('should parse conditionals and functions', () => {
+      evaluate('income > 1000 ? "HIGH" : "LOW"', { income: 1200 }).should.equal('HIGH');
+      evaluate('if(income > 1000, 1, 0)', { income: 800 }).should.equal(0);
+      evaluate('round(max(1.234, abs(-2.345), min(3, 4)), 2)').should.equal(3);
+    });
+
+    it('should list the variables a formula refers to', () => {
+      formulas.variables(formulas.parse('crop_income + livestock_income - crop_income')).should.deep.equal(['crop_income', 'livestock_income']);
+    });
+
+    it('should reject formulas it can not read', () => {
+      (() => formulas.parse('')).should.throw('Formula is Empty');
+      (() => formulas.parse('1 +')).should.throw('Formula Ends Too Early');
+      (() => formulas.parse('(1 + 2')).should.throw(/Formula Expected \)/);
+      (() => formulas.parse('1 2')).should.throw('Formula Has Unexpected 2');
+      (() => formulas.parse('a; b')).should.throw('Formula Has Unexpected ;');
+      (() => formulas.parse('abs(1, 2)')).should.throw('Formula Function abs Takes 1 Arguments');
+    });
+
+    it('should only call the functions it knows', () => {
+      (() => formulas.parse('eval("1")')).should.throw(/Formula Function eval Does Not Exist/);
+      (() => formulas.parse('toString(1)')).should.throw(/Formula Function toString Does Not Exist/);
+      (() => formulas.parse('constructor(1)')).should.throw(/Formula Function constructor Does Not Exist/);
+    });
+
+    it('should reject formulas nested too deep', () => {
+      let source = '';
+      for(let i = 0; i < 60; i++) source = `(${source || '1'})`;
+
+      (() => formulas.parse(source)).should.throw(/Should Not Nest Deeper Than/);
+    });
+  });
+
+  describe('evaluate()', () => {
+    it('should leave divisions by zero unanswered', () => {
+      should.equal(evaluate('income / members', { income: 1200, members: 0 }), null);
+      should.equal(evaluate('income % 0', { income: 1200 }), null);
+    });
+
+    it('should leave formulas of unanswered variables unanswered', () => {
+      should.equal(evaluate('income * 12', {}), null);
+    });
+
+    it('should not read inherited properties of the scope', () => {
+      should.equal(evaluate('toString + 1', {}), null);
+    });
+  });
+
+  describe('assertAcyclic()', () => {
+    it('should take formulas that refer to each other in a line', () => {
+      (() => formulas.assertAcyclic({ total: ['income', 'expenses'], income: ['crop'] })).should.not.throw();
+    });
+
+    it('should reject formulas that refer to themselves', () => {
+      (() => formulas.assertAcyclic({ total: ['total'] })).should.throw('Formula Refers To Itself Through total -> total');
+      (() => formulas.assertAcyclic({ a: ['b'], b: ['c'], c: ['a'] })).should.throw('Formula Refers To Itself Through a -> b -> c -> a');
+    });
+
+    it('should take variables named after inherited properties', () => {
+      (() => formulas.assertAcyclic({ total: ['toString', 'constructor'] })).should.not.throw();
+      (() => formulas.assertAcyclic({ constructor: ['constructor'] })).should.throw(/constructor -> constructor/);
+    });
+  });
+
+  describe('collect()', () => {
+    it('should list the questions of a form, sections and groups', () => {
+      let questions = formulas.collect({
+        questions: [{ _id: 'q1', sub_questions: [{ _id: 'q2' }] }],
+        sections: [{ questions: [{ _id: 'q3' }] }]
+      });
+
+      questions.map((question) => question._id).should.deep.equal(['q1', 'q2', 'q3']);
+    });
+  });
+
+  describe('calculate()', () => {
+    it('should work out formulas in the order they refer to each other', () => {
+      let income   = { variable: 'income', type: 'NUMBER', values: ['1200'] };
+      let expenses = { variable: 'expenses', type: 'NUMBER', values: ['200'] };
+      let yearly   = { variable: 'yearly', type: 'CALCULATED', formula: 'net * 12' };
+      let net      = { variable: 'net', type: 'CALCULATED', formula: 'income - expenses' };
+
+      formulas.calculate([income, expenses, yearly, net]).should.deep.equal([
+        { question: net, value: '1000' },
+        { question: yearly, value: '12000' }
+      ]);
+    });
+
+    it('should use the score of the option chosen', () => {
+      let frequency = {
+        variable: 'frequency',
+        type: 'SINGLE_CHOICE',
+        values: ['MONTHLY'],
+        options: [{ code: 'WEEKLY', score: 4 }, { code: 'MONTHLY', score: 1 }]
+      };
+      let score = { variable: 'score', type: 'CALCULATED', formula: 'frequency * 10' };
+
+      formulas.calculate([frequency, score])[0].value.should.equal('10');
+    });
+
+    it('should leave results it can not work out empty', () => {
+      let members = { variable: 'members', type: 'NUMBER', values: ['0'] };
+      let share   = { variable: 'share', type: 'CALCULATED', formula: '1200 / members' };
+
+      formulas.calculate([members, share])[0].value.should.equal('');
+    });
+
+    it('should take variables named after inherited properties', () => {
+      let constructor = { variable: 'constructor', type: 'NUMBER', values: ['4'] };
+      let double      = { variable: 'hasOwnProperty', type: 'CALCULATED', formula: 'constructor * 2' };
+
+      formulas.calculate([constructor, double]).should.deep.equal([{ question: double, value: '8' }]);
+    });
+
+    it('should reject formulas that refer to themselves', () => {
+      let total = { variable: 'total', type: 'CALCULATED', formula: 'total + 1' };
+
+      (() => formulas.calculate([total])).should.throw(/Refers To Itself/);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+'use strict';
+
+const should = require('chai').should();
+
+const geofence = require('../lib/geofence');
+
+// A square around Addis Ababa, with a hole around Bole
+const AREA = {
+  type: 'Polygon',
+  coordinates: [
+    [[38.6, 8.9], [38.9, 8.9], [38.9, 9.1], [38.6, 9.1], [38.6, 8.9]],
+    [[38.78, 8.97], [38.82, 8.97], [38.82, 9.0], [38.78, 9.0], [38.78, 8.97]]
+  ]
+};
+
+describe('Geofences', () => {
+  describe('point()', () => {
+    it('should build GeoJSON points, longitude first', () => {
+      geofence.point('9.0301', 38.7468).should.deep.equal({ type: 'Point', coordinates: [38.7468, 9.0301] });
+    });
+
+    it('should reject positions off the globe', () => {
+      (() => geofence.point(91, 38)).should.throw('Latitude Should Be A Number Between -90 and 90');
+      (() => geofence.point(9, 181)).should.throw('Longitude Should Be A Number Between -180 and 180');
+      (() => geofence.point('north', 38)).should.throw(/Latitude/);
+    });
+  });
+
+  describe('distance()', () => {
+    it('should measure a degree of latitude', () => {
+      Math.round(geofence.distance(geofence.point(9, 38.7), geofence.point(10, 38.7))).should.equal(111319);
+    });
+
+    it('should measure nothing between a point and itself', () => {
+      let point = geofence.point(9.0301, 38.7468);
+
+      geofence.distance(point, point).should.equal(0);
+    });
+  });
+
+  describe('contains()', () => {
+    it('should tell points inside the polygon', () => {
+      geofence.contains(AREA, geofence.point(9.05, 38.7)).should.be.true;
+      geofence.contains(AREA, geofence.point(8.54, 39.27)).should.be.false;
+    });
+
+    it('should leave points in holes outside', () => {
+      geofence.contains(AREA, geofence.point(8.99, 38.8)).should.be.false;
+    });
+  });
+
+  describe('validate()', () => {
+    it('should take a center and radius', () => {
+      geofence.validate({ center: { latitude: 9.03, longitude: 38.74 }, radius: '5000' }).should.deep.equal({
+        center: { type: 'Point', coordinates: [38.74, 9.03] },
+        radius: 5000,
+        area: null
+      });
+    });
+
+    it('should take an area', () => {
+      geofence.validate({ area: AREA }).area.should.deep.equal(AREA);
+    });
+
+    it('should reject geofences that can not hold', () => {
+      (() => geofence.validate({})).should.throw('Geofence Needs A center and radius Or An area');
+      (() => geofence.validate({ center: { latitude: 9, longitude: 38 }, radius: 0 })).should.throw(/radius Should Be A Distance In Meters Above 0/);
+      (() => geofence.validate({ area: { type: 'Point', coordinates: [38, 9] } })).should.throw('Geofence area Should Be A GeoJSON Polygon');
+      (() => geofence.validate({ area: { type: 'Polygon', coordinates: [[[38, 9], [39, 9], [39, 10]]] } })).should.throw(/Rings Should Be Closed/);
+    });
+  });
+
+  describe('isInside()', () => {
+    it('should check points against a circle', () => {
+      let circle = geofence.validate({ center: { latitude: 9.0301, longitude: 38.7468 }, radius: 5000 });
+
+      geofence.isInside(circle, geofence.point(9.05, 38.76)).should.be.true;
+      geofence.isInside(circle, geofence.point(8.54, 39.27)).should.be.false;
+    });
+
+    it('should check points against an area', () => {
+      geofence.isInside({ area: AREA }, geofence.point(8.99, 38.8)).should.be.false;
+    });
+
+    it('should let points through without a geofence', () => {
+      geofence.isInside(null, geofence.point(8.54, 39.27)).should.be.true;
+      geofence.isInside({ center: null, radius: null, area: null }, geofence.point(8.54, 39.27)).should.be.true;
+    });
+  });
+
+  describe('within()', () => {
+    it('should query circles as spheres, the radius in radians', () => {
+      let query = geofence.within({ center: geofence.point(9.0301, 38.7468), radius: 6378.1 });
+
+      query.should.deep.equal({ $geoWithin: { $centerSphere: [[38.7468, 9.0301], 0.001] } });
+    });
+
+    it('should query areas as polygons', () => {
+      geofence.within({ area: AREA }).should.deep.equal({ $geoWithin: { $geometry: AREA } });
+    });
+  });
+});
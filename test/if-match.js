@@ -0,0 +1,107 @@
+'use strict';
+
+const should = require('chai').should();
+
+const support  = require('./support');
+const revision = require('../lib/revision');
+
+const section     = require('../controllers/section');
+const SectionDal  = require('../dal/section');
+const FormDal     = require('../dal/form');
+const LockDal     = require('../dal/lock');
+const LogDal      = require('../dal/log');
+
+const SECTION = '5def47b7cda72e00018b5301';
+
+describe('If-Match', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = { _id: SECTION, title: 'Household', questions: [], revision: 2 };
+
+    support.stub(SectionDal, 'get', () => Promise.resolve(stored));
+    support.stub(SectionDal, 'update', (query, body) => {
+      if(query.revision !== stored.revision) {
+        return Promise.resolve(null);
+      }
+
+      stored = Object.assign({}, stored, body, { revision: stored.revision + 1 });
+
+      return Promise.resolve(stored);
+    });
+    support.stub(FormDal, 'findOwner', () => Promise.resolve({ _id: 'form', status: 'DRAFT', type: 'SCREENING' }));
+    support.stub(LockDal, 'get', () => Promise.resolve(null));
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  function fetch() {
+    return support.run(section.fetchOne, support.context({ params: { id: SECTION } }));
+  }
+
+  function update(ifMatch, body) {
+    return support.run(section.update, support.context({
+      method: 'PUT',
+      params: { id: SECTION },
+      headers: ifMatch ? { 'If-Match': ifMatch } : {},
+      body: body
+    }));
+  }
+
+  it('should take the ETag of a GET to update', () => {
+    return fetch().then((ctx) => {
+      let etag = ctx.response.get('ETag');
+
+      revision.fromHeader(etag).should.equal(2);
+
+      return update(etag, { title: 'Members' });
+
+    }).then((ctx) => {
+      ctx.body.title.should.equal('Members');
+      revision.fromHeader(ctx.response.get('ETag')).should.equal(3);
+    });
+  });
+
+  it('should tag the bodies of a GET apart', () => {
+    let first;
+
+    return fetch().then((ctx) => {
+      first = ctx.response.get('ETag');
+      stored = Object.assign({}, stored, { questions: ['5def47b7cda72e00018b5401'] });
+
+      return fetch();
+
+    }).then((ctx) => {
+      ctx.response.get('ETag').should.not.equal(first);
+      revision.fromHeader(ctx.response.get('ETag')).should.equal(2);
+    });
+  });
+
+  it('should reject updates on a stale ETag with 409', () => {
+    let etag;
+
+    return fetch().then((ctx) => {
+      etag = ctx.response.get('ETag');
+
+      return update(etag, { title: 'Members' });
+
+    }).then(() => support.rejected(update(etag, { title: 'Household Members' }))).then((err) => {
+      err.status.should.equal(409);
+      err.data.title.should.equal('Members');
+    });
+  });
+
+  it('should require If-Match with 428', () => {
+    return support.rejected(update(null, { title: 'Members' })).then((err) => {
+      err.status.should.equal(428);
+    });
+  });
+
+  it('should fail tags naming no revision with 412', () => {
+    return support.rejected(update('W/"5d-2jmj7l5rSw0yVb/vlWAYkK/YBwk"', { title: 'Members' })).then((err) => {
+      err.status.should.equal(412);
+      err.type.should.equal('UPDATE_SECTION_ERROR');
+    });
+  });
+});
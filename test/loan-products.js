@@ -0,0 +1,189 @@
+'use strict';
+
+const should = require('chai').should();
+const moment = require('moment');
+const _      = require('lodash');
+
+const support      = require('./support');
+const loanProducts = require('../lib/loan-products');
+const periods      = require('../lib/form-periods');
+
+const form           = require('../controllers/form');
+const loanProduct    = require('../controllers/loanProduct');
+const Form           = require('../models/form');
+const LoanProduct    = require('../models/loanProduct');
+const FormDal        = require('../dal/form');
+const FormVersionDal = require('../dal/formVersion');
+const LoanProductDal = require('../dal/loanProduct');
+const LogDal         = require('../dal/log');
+
+const MFI = '5def47b7cda72e00018b5200';
+
+const PRODUCTS = {
+  group:    { _id: 'group', name: 'Group Loan', MFI: MFI, status: 'ACTIVE' },
+  personal: { _id: 'personal', name: 'Personal Loan', MFI: MFI, status: 'ACTIVE' },
+  retired:  { _id: 'retired', name: 'Retired Loan', MFI: MFI, status: 'INACTIVE' },
+  foreign:  { _id: 'foreign', name: 'Foreign Loan', MFI: '5def47b7cda72e00018b5299', status: 'ACTIVE' }
+};
+
+function screening(id, extra) {
+  return Object.assign({
+    _id: id,
+    title: `Screening ${id}`,
+    type: 'SCREENING',
+    MFI: MFI,
+    status: 'PUBLISHED',
+    latest_version: 1,
+    loan_product: null,
+    effective_from: null,
+    effective_to: null
+  }, extra);
+}
+
+describe('Loan Products', () => {
+  let forms;
+
+  beforeEach(() => {
+    forms = [
+      screening('general'),
+      screening('group', { loan_product: 'group' }),
+      screening('draft', { status: 'DRAFT', latest_version: 0 })
+    ];
+
+    support.stub(LoanProduct, 'findOne', (query) => ({ exec: () => Promise.resolve(PRODUCTS[query._id] || null) }));
+    support.stub(Form, 'findOne', (query) => ({
+      exec: () => {
+        let found = forms.find((doc) => support.matches(doc, query));
+
+        return Promise.resolve(found ? Object.assign({ toJSON: () => _.clone(found) }, found) : null);
+      }
+    }));
+  });
+
+  afterEach(support.restore);
+
+  describe('assertBindable()', () => {
+    it('should take active products of the MFI', () => {
+      return loanProducts.assertBindable('group', { type: 'LOAN_APPLICATION', MFI: MFI }).then((product) => {
+        product.should.equal(PRODUCTS.group);
+      });
+    });
+
+    it('should refuse inactive products', () => {
+      return support.rejected(loanProducts.assertBindable('retired', { type: 'SCREENING', MFI: MFI })).then((err) => {
+        err.message.should.equal('Loan Product Retired Loan is Not Active');
+      });
+    });
+
+    it('should refuse products of another MFI', () => {
+      return support.rejected(loanProducts.assertBindable('foreign', { type: 'SCREENING', MFI: MFI })).then((err) => {
+        err.message.should.equal('Loan Product Does Not Exist!');
+      });
+    });
+
+    it('should refuse form types products do not take', () => {
+      loanProducts.takes('GROUP_APPLICATION').should.be.false;
+
+      return support.rejected(loanProducts.assertBindable('group', { type: 'GROUP_APPLICATION', MFI: MFI })).then((err) => {
+        err.message.should.equal('Loan Products Take SCREENING,LOAN_APPLICATION,ACAT Forms');
+      });
+    });
+  });
+
+  describe('competing()', () => {
+    function competing(data, exclude) {
+      let query = periods.competing(Object.assign({ type: 'SCREENING', MFI: MFI }, data), { from: null, to: null }, exclude);
+
+      return forms.filter((doc) => support.matches(doc, query)).map((doc) => doc._id);
+    }
+
+    it('should let forms of a loan product compete with each other only', () => {
+      competing({ loan_product: 'group' }).should.deep.equal(['group']);
+      competing({ loan_product: 'personal' }).should.be.empty;
+    });
+
+    it('should let forms without a loan product compete with each other', () => {
+      competing({}).should.deep.equal(['general', 'draft']);
+      competing({}, 'draft').should.deep.equal(['general']);
+    });
+
+    it('should leave out forms of other types and MFIs', () => {
+      competing({ type: 'ACAT' }).should.be.empty;
+      competing({ MFI: '5def47b7cda72e00018b5299' }).should.be.empty;
+    });
+  });
+
+  describe('one active form per type and product', () => {
+    beforeEach(() => {
+      support.stub(LoanProductDal, 'get', (query) => Promise.resolve(PRODUCTS[query._id] || null));
+      support.stub(FormDal, 'update', (query, updates) => Promise.resolve(Object.assign(forms.find((doc) => doc._id === query._id), updates)));
+      support.stub(FormVersionDal, 'publish', () => Promise.resolve({ version: 1 }));
+      support.stub(LogDal, 'track', () => Promise.resolve({}));
+    });
+
+    function publish(id) {
+      return support.run(form.publish, support.context({ method: 'PUT', params: { id: id } }));
+    }
+
+    function bind(product, id) {
+      return support.run(loanProduct.bindForm, support.context({ method: 'POST', params: { id: product }, body: { form: id } }));
+    }
+
+    function unbind(product, id) {
+      return support.run(loanProduct.unbindForm, support.context({ method: 'DELETE', params: { id: product, form: id } }));
+    }
+
+    it('should refuse publishing a second form of the type and product', () => {
+      forms.push(screening('group2', { status: 'DRAFT', latest_version: 0, loan_product: 'group' }));
+
+      return support.rejected(publish('group2')).then((err) => {
+        err.type.should.equal('PUBLISH_FORM_ERROR');
+        err.message.should.equal('Effective Period Overlaps With Screening group, Schedule It First');
+      });
+    });
+
+    it('should publish forms of the type for other products', () => {
+      forms.push(screening('personal', { status: 'DRAFT', latest_version: 0, loan_product: 'personal' }));
+
+      return publish('personal').then(() => {
+        FormVersionDal.publish.calls.should.have.length(1);
+      });
+    });
+
+    it('should refuse linking a published form to a product that has one', () => {
+      return support.rejected(bind('group', 'general')).then((err) => {
+        err.type.should.equal('BIND_LOAN_PRODUCT_FORM_ERROR');
+        err.message.should.equal('Effective Period Overlaps With Screening group');
+      });
+    });
+
+    it('should link published forms to products without one', () => {
+      return bind('personal', 'general').then((ctx) => {
+        ctx.body.loan_product.should.equal('personal');
+      });
+    });
+
+    it('should link drafts whatever the product has', () => {
+      return bind('group', 'draft').then((ctx) => {
+        ctx.body.loan_product.should.equal('group');
+      });
+    });
+
+    it('should refuse unlinking a published form competing with the forms without a product', () => {
+      return support.rejected(unbind('group', 'group')).then((err) => {
+        err.type.should.equal('UNBIND_LOAN_PRODUCT_FORM_ERROR');
+        err.message.should.equal('Effective Period Overlaps With Screening general');
+      });
+    });
+
+    it('should unlink forms into free periods', () => {
+      forms[0].effective_to = moment('2019-01-01').toDate();
+      forms[2].effective_to = moment('2019-01-01').toDate();
+      forms[1].effective_from = moment('2019-01-01').toDate();
+
+      return unbind('group', 'group').then((ctx) => {
+        should.equal(ctx.body.loan_product, null);
+      });
+    });
+  });
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+const should = require('chai').should();
+
+const questionRules  = require('../lib/question-rules');
+const migrateOptions = require('../_migrate/options');
+
+describe('Option Codes', () => {
+  describe('options()', () => {
+    it('should derive codes from labels', () => {
+      let options = questionRules.options(['After Harvest', 'Café Owner', { label: 'Weekly', code: 'WK', score: '3' }]);
+
+      options.map((option) => option.code).should.deep.equal(['AFTER_HARVEST', 'CAFE_OWNER', 'WK']);
+      options[2].should.deep.equal({ code: 'WK', label: 'Weekly', order: 3, score: 3, active: true });
+    });
+
+    it('should make codes unique and fall back to the position', () => {
+      let options = questionRules.options(['Other', { label: 'Other (specify)' }, 'ሌላ']);
+
+      options.map((option) => option.code).should.deep.equal(['OTHER', 'OTHER_SPECIFY', 'OPTION_3']);
+      questionRules.options([{ label: 'Yes', code: 'Y' }, 'Y']).map((option) => option.code).should.deep.equal(['Y', 'Y_2']);
+    });
+
+    it('should keep the codes saved under a label', () => {
+      let existing = questionRules.options([{ label: 'Monthly', code: 'M' }]);
+
+      questionRules.options(['Weekly', 'monthly'], existing).map((option) => option.code).should.deep.equal(['WEEKLY', 'M']);
+    });
+
+    it('should sort options by their order', () => {
+      questionRules.options([{ label: 'Last', order: 9 }, 'First']).map((option) => option.label).should.deep.equal(['First', 'Last']);
+    });
+
+    it('should reject options that can not hold', () => {
+      (() => questionRules.options('Yes,No')).should.throw('Question Options Should Be A List Of Options');
+      (() => questionRules.options(['Yes', ''])).should.throw('Question Option 2 Label is Empty');
+      (() => questionRules.options(['Yes', 'yes'])).should.throw('Question Option Labels Should Be Unique');
+      (() => questionRules.options([{ label: 'Yes', code: 'A' }, { label: 'No', code: 'A' }])).should.throw('Question Option Codes Should Be Unique');
+      (() => questionRules.options([{ label: 'Yes', code: 'Y ES' }])).should.throw(/Code Y ES should hold letters/);
+      (() => questionRules.options([{ label: 'Yes', active: false }])).should.throw('Question Needs At Least One Active Option');
+    });
+
+    it('should keep saved options, inactive rather than removed', () => {
+      let existing = questionRules.options(['Yes', 'No']);
+
+      (() => questionRules.options(['Yes'], existing)).should.throw('Question Option No Can Not Be Removed, Set It Inactive Instead');
+      questionRules.options(['Yes', { label: 'No', active: false }], existing)[1].active.should.be.false;
+    });
+  });
+
+  describe('toCode()', () => {
+    let question = { question_text: 'Frequency', options: questionRules.options(['Weekly', 'After Harvest']) };
+
+    it('should take codes and labels', () => {
+      questionRules.toCode(question, 'WEEKLY').should.equal('WEEKLY');
+      questionRules.toCode(question, ' after harvest ').should.equal('AFTER_HARVEST');
+    });
+
+    it('should reject answers matching no option', () => {
+      (() => questionRules.toCode(question, 'Daily')).should.throw('Frequency Has No Option Daily');
+    });
+  });
+
+  describe('check() of choice questions', () => {
+    let options = questionRules.options(['Weekly', 'Monthly', { label: 'Yearly', active: false }]);
+
+    it('should store answers as codes', () => {
+      let question = { question_text: 'Frequency', type: 'MULTIPLE_CHOICE', options: options };
+
+      questionRules.check(question, ['weekly', 'MONTHLY']).should.deep.equal(['WEEKLY', 'MONTHLY']);
+    });
+
+    it('should reject answers of other or inactive options', () => {
+      let question = { question_text: 'Frequency', type: 'SINGLE_CHOICE', options: options };
+
+      (() => questionRules.check(question, ['Yearly'])).should.throw('Frequency Answer Yearly should be WEEKLY,MONTHLY');
+      (() => questionRules.check(question, ['WEEKLY', 'MONTHLY'])).should.throw('Frequency Takes One Option');
+    });
+  });
+
+  describe('options migration', () => {
+    it('should convert labels and answers to codes', () => {
+      let question = { options: ['Married', ' Single ', 'married', ''], values: ['single', 'Divorced'] };
+
+      migrateOptions.convert(question).should.be.true;
+
+      question.options.map((option) => option.code).should.deep.equal(['MARRIED', 'SINGLE']);
+      question.values.should.deep.equal(['SINGLE', 'Divorced']);
+    });
+
+    it('should leave converted questions as they are', () => {
+      let question = { options: questionRules.options(['Yes']), values: ['YES'] };
+
+      migrateOptions.convert(question).should.be.false;
+      question.values.should.deep.equal(['YES']);
+    });
+
+    it('should retarget answers referring to converted options', () => {
+      let options = { q1: questionRules.options(['Yes', 'No']) };
+      let question = {
+        prerequisites: [{ question: 'q1', answer: 'Yes' }, { question: 'q2', answer: 'Yes' }],
+        grid: [{ row: 'r1', cells: [{ column: 'q1', value: 'no' }] }],
+        repeats: [{ index: 0, answers: [{ question: 'q1', values: ['No', 'Maybe'] }] }]
+      };
+
+      migrateOptions.retarget(question, options);
+
+      question.prerequisites.map((prerequisite) => prerequisite.answer).should.deep.equal(['YES', 'Yes']);
+      question.grid[0].cells[0].value.should.equal('NO');
+      question.repeats[0].answers[0].values.should.deep.equal(['NO', 'Maybe']);
+    });
+
+    it('should list every question of a snapshot', () => {
+      let nodes = migrateOptions.nodesOf({
+        questions: [
+          { _id: 'q1', sub_questions: [{ _id: 'q2' }] },
+          { _id: 'q3', matrix: { rows: [{ _id: 'r1' }], columns: [{ _id: 'c1' }] } }
+        ],
+        sections: [{ questions: [{ _id: 'q4' }, 'q5'] }]
+      });
+
+      nodes.map((node) => node._id).should.deep.equal(['q1', 'q2', 'q3', 'r1', 'c1', 'q4']);
+    });
+  });
+});
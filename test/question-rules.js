@@ -0,0 +1,466 @@
+'use strict';
+
+const should = require('chai').should();
+const moment = require('moment');
+
+const questionRules = require('../lib/question-rules');
+
+describe('Question Rules', () => {
+  describe('dateRules()', () => {
+    it('should default every rule', () => {
+      questionRules.dateRules().should.deep.equal({
+        min: null,
+        max: null,
+        relative: 'NONE',
+        min_age: null,
+        max_age: null
+      });
+    });
+
+    it('should parse bounds to dates', () => {
+      let rules = questionRules.dateRules({ min: '2019-01-01', max: '2019-12-31', min_age: '18' });
+
+      rules.min.should.be.an.instanceof(Date);
+      moment(rules.max).format('YYYY-MM-DD').should.equal('2019-12-31');
+      rules.min_age.should.equal(18);
+    });
+
+    it('should reject malformed and crossed bounds', () => {
+      (() => questionRules.dateRules({ min: '2019-13-01' })).should.throw(/min Is Not A Valid Date/);
+      (() => questionRules.dateRules({ min: '2019-12-31', max: '2019-01-01' })).should.throw(/min Should Not Be After max/);
+      (() => questionRules.dateRules({ min_age: 60, max_age: 18 })).should.throw(/min_age Should Not Be Above max_age/);
+      (() => questionRules.dateRules({ min_age: 1.5 })).should.throw(/Whole Number Of Years/);
+      (() => questionRules.dateRules({ relative: 'SOMETIME' })).should.throw(/relative should be/);
+    });
+  });
+
+  describe('toGregorian() and fromGregorian()', () => {
+    it('should convert Ethiopian dates and keep the time of day', () => {
+      questionRules.toGregorian('2011-13-06', 'ETHIOPIAN').should.equal('2019-09-11');
+      questionRules.toGregorian('2011-13-06T09:30:00Z', 'ETHIOPIAN').should.equal('2019-09-11T09:30:00Z');
+      questionRules.fromGregorian('2019-09-12', 'ETHIOPIAN').should.equal('2012-01-01');
+    });
+
+    it('should leave Gregorian dates as they are', () => {
+      questionRules.toGregorian('2019-09-11', 'GREGORIAN').should.equal('2019-09-11');
+      questionRules.fromGregorian('2019-09-11', 'GREGORIAN').should.equal('2019-09-11');
+    });
+
+    it('should reject Ethiopian dates that do not exist', () => {
+      (() => questionRules.toGregorian('2012-13-06', 'ETHIOPIAN')).should.throw(/Not A Valid Ethiopian Date/);
+    });
+
+    it('should render the answers of Ethiopian questions in their calendar', () => {
+      let question = questionRules.render({
+        type: 'DATE',
+        calendar: 'ETHIOPIAN',
+        values: ['2019-09-11'],
+        date_rules: { min: '2019-09-12' }
+      });
+
+      question.calendar_values.should.deep.equal(['2011-13-06']);
+      question.calendar_rules.min.should.equal('2012-01-01');
+    });
+  });
+
+  describe('check() of dated questions', () => {
+    let question = {
+      question_text: 'Date of Birth',
+      type: 'DATE',
+      calendar: 'GREGORIAN',
+      date_rules: questionRules.dateRules({ min: '1900-01-01', relative: 'NOT_IN_FUTURE', min_age: 18 })
+    };
+
+    it('should take dates within the rules', () => {
+      questionRules.check(question, ['1980-06-15']).should.deep.equal(['1980-06-15']);
+    });
+
+    it('should leave empty answers to the required flag', () => {
+      questionRules.check(question, ['']).should.deep.equal(['']);
+    });
+
+    it('should reject dates outside the rules', () => {
+      (() => questionRules.check(question, ['15/06/1980'])).should.throw(/Is Not A Valid Date/);
+      (() => questionRules.check(question, ['1899-12-31'])).should.throw(/Should Not Be Before 1900-01-01/);
+      (() => questionRules.check(question, [moment().add(1, 'day').format('YYYY-MM-DD')])).should.throw(/In The Future/);
+      (() => questionRules.check(question, [moment().subtract(10, 'years').format('YYYY-MM-DD')])).should.throw(/Age Below 18 Years/);
+    });
+
+    it('should take dates and times of DATETIME questions', () => {
+      let datetime = { question_text: 'Visited At', type: 'DATETIME', date_rules: questionRules.dateRules() };
+
+      questionRules.check(datetime, ['2019-12-31T14:30:00Z']).should.deep.equal(['2019-12-31T14:30:00Z']);
+      (() => questionRules.check(datetime, ['31/12/2019 14:30'])).should.throw(/Valid Date and Time/);
+    });
+  });
+
+  describe('numberRules()', () => {
+    it('should parse every rule to a number', () => {
+      questionRules.numberRules({ min: '0', max: '100', step: '0.5', precision: 1 }).should.deep.equal({
+        min: 0,
+        max: 100,
+        step: 0.5,
+        precision: 1
+      });
+      questionRules.numberRules().should.deep.equal({ min: null, max: null, step: null, precision: null });
+    });
+
+    it('should reject rules that can not hold', () => {
+      (() => questionRules.numberRules({ min: 'ten' })).should.throw('Number Rule min Is Not A Number');
+      (() => questionRules.numberRules({ min: 10, max: 1 })).should.throw('Number Rule min Should Not Be Above max');
+      (() => questionRules.numberRules({ step: 0 })).should.throw('Number Rule step Should Be Above 0');
+      (() => questionRules.numberRules({ precision: 1.5 })).should.throw(/precision Should Be A Whole Number/);
+    });
+  });
+
+  describe('check() of numeric questions', () => {
+    let question = {
+      question_text: 'Farm Size',
+      type: 'NUMBER',
+      measurement_unit: 'ha',
+      number_rules: questionRules.numberRules({ min: 0.5, max: 10, step: 0.25, precision: 2 })
+    };
+
+    it('should take numbers within the rules', () => {
+      questionRules.check(question, ['0.75', ' 10 ', '']).should.deep.equal(['0.75', '10', '']);
+    });
+
+    it('should reject numbers outside the rules', () => {
+      (() => questionRules.check(question, ['two'])).should.throw('Farm Size Answer two Is Not A Number');
+      (() => questionRules.check(question, ['0.25'])).should.throw('Farm Size Answer Should Not Be Below 0.5 ha');
+      (() => questionRules.check(question, ['12'])).should.throw('Farm Size Answer Should Not Be Above 10 ha');
+      (() => questionRules.check(question, ['1.125'])).should.throw(/More Than 2 Decimals/);
+      (() => questionRules.check(question, ['1.1'])).should.throw('Farm Size Answer Should Go Up In Steps Of 0.25 ha');
+    });
+
+    it('should compare steps away from floating point errors', () => {
+      let decimal = { question_text: 'Rate', type: 'NUMBER', number_rules: questionRules.numberRules({ step: 0.1 }) };
+
+      questionRules.check(decimal, ['0.3', '0.7']).should.deep.equal(['0.3', '0.7']);
+    });
+  });
+
+  describe('column()', () => {
+    it('should default columns to the first cell type', () => {
+      questionRules.column({ question_text: 'Name' }).type.should.equal('FILL_IN_BLANK');
+    });
+
+    it('should give YES_NO columns their options', () => {
+      let column = questionRules.column({ question_text: 'Owned', type: 'YES_NO' });
+
+      column.options.map((option) => option.code).should.deep.equal(['YES', 'NO']);
+    });
+
+    it('should reject columns a cell can not answer', () => {
+      (() => questionRules.column({})).should.throw('Matrix Column Question Text is Empty');
+      (() => questionRules.column({ question_text: 'Crops', type: 'MATRIX' })).should.throw(/Matrix Column Type should be/);
+      (() => questionRules.column({ question_text: 'Crop', type: 'SINGLE_CHOICE' })).should.throw('Matrix Column Crop Needs Options');
+    });
+  });
+
+  describe('checkGrid()', () => {
+    let amount = Object.assign(questionRules.column({ question_text: 'Amount', type: 'NUMBER', required: true }), { _id: 'c1' });
+    let owned  = Object.assign(questionRules.column({ question_text: 'Owned', type: 'YES_NO' }), { _id: 'c2' });
+
+    let question = {
+      question_text: 'Assets',
+      type: 'MATRIX',
+      matrix: {
+        rows: [{ _id: 'r1', question_text: 'Oxen' }, { _id: 'r2', question_text: 'Goats' }],
+        columns: [amount, owned]
+      }
+    };
+
+    it('should check each cell against its column', () => {
+      questionRules.checkGrid(question, [
+        { row: 'r1', cells: [{ column: 'c1', value: '2' }, { column: 'c2', value: 'Yes' }] }
+      ]).should.deep.equal([
+        { row: 'r1', cells: [{ column: 'c1', value: '2' }, { column: 'c2', value: 'YES' }] }
+      ]);
+    });
+
+    it('should reject rows and columns the matrix does not have', () => {
+      (() => questionRules.checkGrid(question, [{ row: 'r9', cells: [] }])).should.throw('Assets Has No Row r9');
+      (() => questionRules.checkGrid(question, [{ row: 'r1', cells: [{ column: 'c9', value: '1' }] }])).should.throw('Assets Has No Column c9');
+    });
+
+    it('should name the row of a cell that does not hold', () => {
+      (() => questionRules.checkGrid(question, [{ row: 'r2', cells: [{ column: 'c1', value: 'many' }] }])).should.throw('Assets, Goats: Amount Answer many Is Not A Number');
+    });
+
+    it('should require required columns in every row given', () => {
+      (() => questionRules.checkGrid(question, [{ row: 'r1', cells: [{ column: 'c2', value: 'NO' }] }])).should.throw('Assets, Oxen: Amount is Required');
+    });
+
+    it('should only take grids of matrix questions', () => {
+      (() => questionRules.checkGrid({ question_text: 'Name', type: 'FILL_IN_BLANK' }, [])).should.throw('Name Is Not A Matrix Question');
+    });
+  });
+
+  describe('repeatRules()', () => {
+    it('should parse the bounds of a repeating group', () => {
+      questionRules.repeatRules({ enabled: 'true', min: '1', max: '12', count_question: 'q1' }).should.deep.equal({
+        enabled: true,
+        min: 1,
+        max: 12,
+        count_question: 'q1'
+      });
+    });
+
+    it('should reject bounds that can not hold', () => {
+      (() => questionRules.repeatRules({ min: -1 })).should.throw('Repeat Rule min Should Be A Whole Number');
+      (() => questionRules.repeatRules({ min: 5, max: 2 })).should.throw('Repeat Rule min Should Not Be Above max');
+    });
+  });
+
+  describe('checkRepeats()', () => {
+    let question = {
+      question_text: 'Household Member',
+      type: 'GROUPED',
+      repeat: questionRules.repeatRules({ enabled: true, min: 1, max: 3 }),
+      sub_questions: [
+        { _id: 's1', question_text: 'Name', type: 'FILL_IN_BLANK', required: true },
+        { _id: 's2', question_text: 'Age', type: 'NUMBER', number_rules: questionRules.numberRules({ min: 0 }) }
+      ]
+    };
+
+    function member(index, name, age) {
+      return { index: index, answers: [{ question: 's1', values: [name] }, { question: 's2', values: [age] }] };
+    }
+
+    it('should sort instances by index and check each answer', () => {
+      let repeats = questionRules.checkRepeats(question, [member(1, 'Almaz', '31'), member(0, 'Abebe', '34')]);
+
+      repeats.map((instance) => instance.index).should.deep.equal([0, 1]);
+      repeats[0].answers.should.deep.equal([{ question: 's1', values: ['Abebe'] }, { question: 's2', values: ['34'] }]);
+    });
+
+    it('should take as many instances as the count question says', () => {
+      (() => questionRules.checkRepeats(question, [member(0, 'Abebe', '34')], 2)).should.throw(/Answered 2 Times, As Its Count Question Says/);
+    });
+
+    it('should keep instances within the bounds of the group', () => {
+      (() => questionRules.checkRepeats(question, [])).should.throw('Household Member Should Be Answered At Least 1 Times');
+      (() => questionRules.checkRepeats(question, [0, 1, 2, 3].map((index) => member(index, 'Abebe', '34')))).should.throw('Household Member Should Be Answered At Most 3 Times');
+    });
+
+    it('should reject gaps between indexes', () => {
+      (() => questionRules.checkRepeats(question, [member(0, 'Abebe', '34'), member(2, 'Almaz', '31')])).should.throw(/Indexed From 0 Without Gaps/);
+    });
+
+    it('should name the instance of an answer that does not hold', () => {
+      (() => questionRules.checkRepeats(question, [member(0, 'Abebe', '-4')])).should.throw('Household Member #1: Age Answer Should Not Be Below 0');
+      (() => questionRules.checkRepeats(question, [member(0, '', '34')])).should.throw('Household Member #1: Name is Required');
+    });
+
+    it('should only take instances of repeating groups', () => {
+      (() => questionRules.checkRepeats({ question_text: 'Address', type: 'GROUPED' }, [])).should.throw('Address Is Not A Repeating Group');
+    });
+  });
+
+  describe('countOf()', () => {
+    it('should read the count a question answers', () => {
+      questionRules.countOf({ values: ['3'] }).should.equal(3);
+      should.equal(questionRules.countOf({ values: [] }), null);
+    });
+
+    it('should reject answers that are not a count', () => {
+      (() => questionRules.countOf({ question_text: 'Members', values: ['2.5'] })).should.throw('Members Answer 2.5 Is Not A Count');
+    });
+  });
+
+  describe('fileRules()', () => {
+    it('should default to the types of each upload question', () => {
+      questionRules.fileRules({}, 'FILE').mime_types.should.deep.equal(['image/jpeg', 'image/png', 'application/pdf']);
+      questionRules.fileRules({}, 'PHOTO').mime_types.should.deep.equal(['image/jpeg', 'image/png']);
+      questionRules.fileRules({}, 'PHOTO').max_count.should.equal(1);
+    });
+
+    it('should take MIME types, sizes and counts', () => {
+      let rules = questionRules.fileRules({ mime_types: ' Image/* ', max_size: '1024', max_count: 3 }, 'PHOTO');
+
+      rules.should.deep.equal({ mime_types: ['image/*'], max_size: 1024, max_count: 3 });
+    });
+
+    it('should reject rules that can not hold', () => {
+      (() => questionRules.fileRules({ mime_types: ['pdf'] }, 'FILE')).should.throw('File Rule mime_types pdf Is Not A MIME Type ie image/png');
+      (() => questionRules.fileRules({ mime_types: ['application/pdf'] }, 'PHOTO')).should.throw('File Rule mime_types application/pdf Is Not An Image Type');
+      (() => questionRules.fileRules({ max_count: 0 }, 'FILE')).should.throw('File Rule max_count Should Be A Whole Number Above 0');
+      (() => questionRules.fileRules({ max_size: 100 * 1024 * 1024 }, 'FILE')).should.throw(/File Rule max_size Should Not Be Above/);
+    });
+  });
+
+  describe('checkFiles()', () => {
+    let question = {
+      question_text: 'ID Photo',
+      type: 'PHOTO',
+      file_rules: questionRules.fileRules({ mime_types: ['image/*'], max_size: 1024, max_count: 2 }, 'PHOTO'),
+      attachments: [{ name: 'front.png' }]
+    };
+
+    it('should take files within the rules', () => {
+      let files = [{ name: 'back.jpg', type: 'image/jpeg', size: 512 }];
+
+      questionRules.checkFiles(question, files).should.equal(files);
+    });
+
+    it('should reject files outside the rules', () => {
+      (() => questionRules.checkFiles(question, [])).should.throw('No Files Uploaded To ID Photo');
+      (() => questionRules.checkFiles(question, [{ name: 'id.pdf', type: 'application/pdf', size: 10 }])).should.throw('ID Photo: id.pdf should be image/*');
+      (() => questionRules.checkFiles(question, [{ name: 'back.jpg', type: 'image/jpeg', size: 2048 }])).should.throw('ID Photo: back.jpg Should Not Be Above 1024 Bytes');
+    });
+
+    it('should count the files already attached', () => {
+      let files = [{ name: 'a.jpg', type: 'image/jpeg', size: 1 }, { name: 'b.jpg', type: 'image/jpeg', size: 1 }];
+
+      (() => questionRules.checkFiles(question, files)).should.throw('ID Photo Takes At Most 2 Files');
+    });
+
+    it('should only take files for upload questions', () => {
+      (() => questionRules.checkFiles({ question_text: 'Name', type: 'FILL_IN_BLANK' }, [])).should.throw('Name Is Not A File Or Photo Question');
+    });
+  });
+
+  describe('geoRules()', () => {
+    it('should default the accuracy', () => {
+      questionRules.geoRules().should.deep.equal({ accuracy: 50, geofence: false });
+      questionRules.geoRules({ accuracy: '20', geofence: 'true' }).should.deep.equal({ accuracy: 20, geofence: true });
+    });
+
+    it('should reject accuracies that are not a distance', () => {
+      (() => questionRules.geoRules({ accuracy: 0 })).should.throw('Geo Rule accuracy Should Be A Distance In Meters Above 0');
+    });
+  });
+
+  describe('checkGeopoint()', () => {
+    let question = { question_text: 'Farm Location', type: 'GEOPOINT', geo_rules: questionRules.geoRules({ accuracy: 20 }) };
+
+    it('should store the location as a GeoJSON point', () => {
+      let answer = questionRules.checkGeopoint(question, { latitude: 9.0301, longitude: 38.7468, accuracy: 12, captured_at: '2019-12-31T14:30:00Z' });
+
+      answer.location.should.deep.equal({ type: 'Point', coordinates: [38.7468, 9.0301] });
+      answer.accuracy.should.equal(12);
+      answer.captured_at.toISOString().should.equal('2019-12-31T14:30:00.000Z');
+    });
+
+    it('should reject locations outside the rules', () => {
+      (() => questionRules.checkGeopoint(question, { latitude: 95, longitude: 38, accuracy: 5 })).should.throw('Farm Location Answer Latitude Should Be A Number Between -90 and 90');
+      (() => questionRules.checkGeopoint(question, { latitude: 9, longitude: 38 })).should.throw(/Needs The accuracy Of The Location/);
+      (() => questionRules.checkGeopoint(question, { latitude: 9, longitude: 38, accuracy: 35 })).should.throw('Farm Location Answer Is Accurate To 35 Meters, It Should Be Within 20 Meters');
+      (() => questionRules.checkGeopoint(question, { latitude: 9, longitude: 38, accuracy: 5, captured_at: 'yesterday' })).should.throw(/captured_at Is Not A Valid Date and Time/);
+    });
+
+    it('should only take locations for GEOPOINT questions', () => {
+      (() => questionRules.checkGeopoint({ question_text: 'Name', type: 'FILL_IN_BLANK' }, {})).should.throw('Name Is Not A Location Question');
+    });
+  });
+
+  describe('scaleRules()', () => {
+    it('should default scales to 5 points valued 1 to 5', () => {
+      questionRules.scaleRules({}, 'RATING').should.deep.equal({ length: 5, anchors: [], values: [1, 2, 3, 4, 5] });
+    });
+
+    it('should label 5 point LIKERT scales from Strongly Disagree to Strongly Agree', () => {
+      let anchors = questionRules.scaleRules({}, 'LIKERT').anchors;
+
+      anchors.should.have.length(5);
+      anchors[0].should.deep.equal({ point: 1, label: 'Strongly Disagree' });
+      anchors[4].should.deep.equal({ point: 5, label: 'Strongly Agree' });
+    });
+
+    it('should take values and anchors, sorted by point', () => {
+      let rules = questionRules.scaleRules({
+        length: 3,
+        values: ['-1', 0, 1],
+        anchors: [{ point: 3, label: 'Good' }, { point: 1, label: ' Bad ' }]
+      }, 'RATING');
+
+      rules.should.deep.equal({
+        length: 3,
+        anchors: [{ point: 1, label: 'Bad' }, { point: 3, label: 'Good' }],
+        values: [-1, 0, 1]
+      });
+    });
+
+    it('should reject scales that can not hold', () => {
+      (() => questionRules.scaleRules({ length: 12 }, 'RATING')).should.throw('Scale Rule length Should Be A Whole Number From 2 To 11');
+      (() => questionRules.scaleRules({ length: 3, values: [1, 2] }, 'RATING')).should.throw(/Value For Each Of The 3 Points/);
+      (() => questionRules.scaleRules({ length: 2, values: [1, 1] }, 'RATING')).should.throw('Scale Rule values Should Be Unique');
+      (() => questionRules.scaleRules({ length: 3, anchors: [{ point: 4, label: 'Great' }] }, 'RATING')).should.throw('Scale Rule anchors Point Should Be From 1 To 3');
+      (() => questionRules.scaleRules({ anchors: [{ point: 1, label: 'Bad' }, { point: 1, label: 'Poor' }] }, 'RATING')).should.throw(/Label Each Point Once/);
+    });
+  });
+
+  describe('check() of scaled questions', () => {
+    let question = { question_text: 'Service', type: 'RATING', scale_rules: questionRules.scaleRules({ length: 3, values: [-1, 0, 1] }, 'RATING') };
+
+    it('should take one value of the scale', () => {
+      questionRules.check(question, ['-1', '']).should.deep.equal(['-1']);
+    });
+
+    it('should reject values off the scale', () => {
+      (() => questionRules.check(question, ['2'])).should.throw('Service Answer should be -1,0,1');
+      (() => questionRules.check(question, ['0', '1'])).should.throw('Service Takes One Point Of The Scale');
+    });
+
+    it('should render the points of the scale', () => {
+      let rendered = questionRules.render(Object.assign({}, question, {
+        scale_rules: questionRules.scaleRules({ length: 2, anchors: [{ point: 2, label: 'Good' }] }, 'RATING')
+      }));
+
+      rendered.scale_points.should.deep.equal([
+        { point: 1, value: 1, label: null },
+        { point: 2, value: 2, label: 'Good' }
+      ]);
+    });
+  });
+
+  describe('rankingRules()', () => {
+    let options = questionRules.options(['Water', 'Seeds', 'Credit']);
+
+    it('should rank all options unless told otherwise', () => {
+      questionRules.rankingRules({}, options).should.deep.equal({ mode: 'ALL', top: null });
+      questionRules.rankingRules({ mode: 'TOP', top: '2' }, options).should.deep.equal({ mode: 'TOP', top: 2 });
+    });
+
+    it('should reject rules that can not hold', () => {
+      (() => questionRules.rankingRules({ mode: 'SOME' }, options)).should.throw('Ranking Rule mode should be ALL,TOP');
+      (() => questionRules.rankingRules({ mode: 'TOP', top: 4 }, options)).should.throw(/top Should Be A Whole Number From 1 To 3/);
+    });
+  });
+
+  describe('check() of ranking questions', () => {
+    let options = questionRules.options(['Water', 'Seeds', 'Credit']);
+
+    it('should take every option once, by code or label', () => {
+      let question = { question_text: 'Needs', type: 'RANKING', options: options, ranking_rules: { mode: 'ALL' } };
+
+      questionRules.check(question, ['CREDIT', 'water', 'Seeds']).should.deep.equal(['CREDIT', 'WATER', 'SEEDS']);
+      (() => questionRules.check(question, ['CREDIT', 'WATER'])).should.throw('Needs Should Rank All 3 Options');
+      (() => questionRules.check(question, ['CREDIT', 'CREDIT', 'WATER'])).should.throw('Needs Ranks Each Option Once');
+    });
+
+    it('should take the top options only', () => {
+      let question = { question_text: 'Needs', type: 'RANKING', options: options, ranking_rules: { mode: 'TOP', top: 2 } };
+
+      questionRules.check(question, ['SEEDS', 'WATER']).should.deep.equal(['SEEDS', 'WATER']);
+      (() => questionRules.check(question, ['SEEDS'])).should.throw('Needs Should Rank The Top 2 Options');
+    });
+  });
+
+  describe('prepare()', () => {
+    it('should set the calendar and rules of dated questions', () => {
+      let body = questionRules.prepare({ type: 'DATE' });
+
+      body.calendar.should.equal('GREGORIAN');
+      body.date_rules.relative.should.equal('NONE');
+    });
+
+    it('should drop the rules other types do not take', () => {
+      let body = questionRules.prepare({ type: 'FILL_IN_BLANK', date_rules: { min: '2019-01-01' }, calendar: 'GREGORIAN' });
+
+      should.not.exist(body.date_rules);
+      should.not.exist(body.calendar);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const should = require('chai').should();
+
+const revision    = require('../lib/revision');
+const CustomError = require('../lib/custom-error');
+
+describe('Revisions', () => {
+  describe('fromHeader()', () => {
+    it('should read strong, weak and bare revisions', () => {
+      revision.fromHeader('"3"').should.equal(3);
+      revision.fromHeader('W/"3"').should.equal(3);
+      revision.fromHeader('3').should.equal(3);
+      revision.fromHeader(' "0" ').should.equal(0);
+    });
+
+    it('should read the revision of tags with a hash', () => {
+      revision.fromHeader('"3.1f0c9a6d2b7e4c55"').should.equal(3);
+      revision.fromHeader('W/"3.1f0c9a6d2b7e4c55"').should.equal(3);
+    });
+
+    it('should return null for missing or malformed headers', () => {
+      should.equal(revision.fromHeader(undefined), null);
+      should.equal(revision.fromHeader(''), null);
+      should.equal(revision.fromHeader('"abc"'), null);
+      should.equal(revision.fromHeader('"-1"'), null);
+      should.equal(revision.fromHeader('*'), null);
+      should.equal(revision.fromHeader('"5d-2jmj7l5rSw0yVb/vlWAYkK/YBwk"'), null);
+    });
+  });
+
+  describe('query()', () => {
+    it('should match documents without a counter for revision 0', () => {
+      revision.query(0).should.deep.equal({ $in: [0, null] });
+    });
+
+    it('should match the revision as is otherwise', () => {
+      revision.query(4).should.equal(4);
+    });
+  });
+
+  describe('tag()', () => {
+    it('should quote the revision of a document with a hash', () => {
+      revision.tag({ revision: 7 }).should.match(/^"7\.[0-9a-f]{16}"$/);
+      revision.tag({}).should.match(/^"0\./);
+    });
+
+    it('should hash the body sent', () => {
+      let doc = { revision: 7, questions: [] };
+
+      revision.tag(doc).should.equal(revision.tag(doc, doc));
+      revision.tag(doc, { revision: 7, questions: ['q1'] }).should.not.equal(revision.tag(doc));
+    });
+
+    it('should read back as the revision it tags', () => {
+      revision.fromHeader(revision.tag({ revision: 12 })).should.equal(12);
+    });
+  });
+
+  describe('required()', () => {
+    it('should reject updates without If-Match with 428', () => {
+      let error = revision.required('Question');
+
+      error.should.be.an.instanceof(CustomError);
+      error.status.should.equal(428);
+      error.type.should.equal('UPDATE_QUESTION_ERROR');
+      error.message.should.equal('If-Match Header With The Question Revision is Required');
+    });
+
+    it('should fail headers naming no revision with 412', () => {
+      let error = revision.required('Question', '*');
+
+      error.status.should.equal(412);
+      error.type.should.equal('UPDATE_QUESTION_ERROR');
+    });
+  });
+
+  describe('conflict()', () => {
+    it('should reject stale updates with 409 and the current state', () => {
+      let current = { _id: '5def47b7cda72e00018b528a', revision: 4 };
+      let error = revision.conflict('Form', current);
+
+      error.should.be.an.instanceof(CustomError);
+      error.status.should.equal(409);
+      error.type.should.equal('UPDATE_FORM_ERROR');
+      error.data.should.equal(current);
+    });
+  });
+});
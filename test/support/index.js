@@ -0,0 +1,156 @@
+'use strict';
+/**
+ * Helpers shared by the tests of request handlers.
+ *
+ * Handlers run on a koa context of their own, with koa-validate,
+ * and the DAL calls they make are stubbed, so they run without
+ * a database.
+ */
+const http      = require('http');
+const net       = require('net');
+const _         = require('lodash');
+const co        = require('co');
+const koa       = require('koa');
+const validator = require('koa-validate');
+
+const app = koa();
+
+validator(app);
+
+const SUPER = { _id: '5def47b7cda72e00018b5100', username: 'super@bidir.com', realm: 'super' };
+
+let stubs = [];
+
+/**
+ * Replace a method until restore() is called.
+ *
+ * @param {Object}   object Module or object holding the method
+ * @param {String}   method Method name
+ * @param {Function} fn     Stub, its calls are listed in fn.calls
+ *
+ * @return {Function} the stub
+ */
+exports.stub = function stub(object, method, fn) {
+  let calls = [];
+  let wrapped = function () {
+    calls.push([].slice.call(arguments));
+
+    return fn.apply(this, arguments);
+  };
+
+  wrapped.calls = calls;
+
+  stubs.push({ object: object, method: method, original: object[method] });
+  object[method] = wrapped;
+
+  return wrapped;
+};
+
+/**
+ * Put every stubbed method back.
+ */
+exports.restore = function restore() {
+  while(stubs.length) {
+    let stub = stubs.pop();
+
+    stub.object[stub.method] = stub.original;
+  }
+};
+
+/**
+ * Build the context a handler runs on.
+ *
+ * @param {Object} options i.e { params, query, body, headers, user }
+ *
+ * @return {Object} koa context, a super admin's unless a user is given
+ */
+exports.context = function context(options) {
+  options = options || {};
+
+  let req = new http.IncomingMessage(new net.Socket());
+  req.method  = options.method || 'GET';
+  req.url     = options.url || '/';
+  req.headers = {};
+
+  for(let name of Object.keys(options.headers || {})) {
+    req.headers[name.toLowerCase()] = options.headers[name];
+  }
+
+  let res = new http.ServerResponse(req);
+  let ctx = app.createContext(req, res);
+
+  ctx.params = options.params || {};
+  ctx.request.body = options.body || {};
+  ctx.query = options.query || {};
+  ctx.state._user = options.user || SUPER;
+
+  return ctx;
+};
+
+/**
+ * Run a handler on a context.
+ *
+ * @param {Function} handler Generator handler of a controller
+ * @param {Object}   ctx     Context built by context()
+ *
+ * @return {Promise} resolves to the context
+ */
+exports.run = function run(handler, ctx) {
+  return co(function* () {
+    yield handler.call(ctx, function* () {});
+
+    return ctx;
+  });
+};
+
+/**
+ * Resolve to the error a promise is rejected with.
+ *
+ * @param {Promise} promise
+ *
+ * @return {Promise}
+ */
+exports.rejected = function rejected(promise) {
+  return promise.then(() => {
+    throw new Error('Expected a rejection');
+  }, (err) => err);
+};
+
+/**
+ * Match a document against a query the way MongoDB would.
+ *
+ * @desc Supports $and, $or, $ne, $in, $gt, $gte, $lt and $lte,
+ *       missing fields match null.
+ *
+ * @param {Object} doc   Document
+ * @param {Object} query Query Object
+ *
+ * @return {Boolean}
+ */
+exports.matches = function matches(doc, query) {
+  return _.every(query, (condition, key) => {
+    if(key === '$and') return condition.every((clause) => matches(doc, clause));
+    if(key === '$or') return condition.some((clause) => matches(doc, clause));
+
+    let value = _.get(doc, key);
+    value = value === undefined ? null : value;
+
+    if(!_.isPlainObject(condition)) {
+      return condition === null ? value === null : String(value) === String(condition);
+    }
+
+    return _.every(condition, (operand, operator) => {
+      switch(operator) {
+        case '$ne':  return !matches(doc, { [key]: operand });
+        case '$in':  return operand.some((item) => matches(doc, { [key]: item }));
+        case '$gt':  return value !== null && value > operand;
+        case '$gte': return value !== null && value >= operand;
+        case '$lt':  return value !== null && value < operand;
+        case '$lte': return value !== null && value <= operand;
+        default: throw new Error(`Unsupported Query Operator ${operator}`);
+      }
+    });
+  });
+};
+
+exports.SUPER = SUPER;
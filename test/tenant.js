@@ -0,0 +1,131 @@
+'use strict';
+
+const should = require('chai').should();
+
+const tenant      = require('../lib/tenant');
+const CustomError = require('../lib/custom-error');
+const FormDal     = require('../dal/form');
+
+const OWN_MFI   = '5def47b7cda72e00018b5200';
+const OTHER_MFI = '5def47b7cda72e00018b5299';
+
+function state(user) {
+  return {
+    _user: user || { _id: '5def47b7cda72e00018b5201', username: 'designer@bidir.com', realm: 'user' },
+    _mfi: OWN_MFI
+  };
+}
+
+function rejected(promise) {
+  return promise.then(() => {
+    throw new Error('Expected the access to be rejected');
+  }, (err) => err);
+}
+
+function thrown(fn) {
+  try {
+    fn();
+  } catch(err) {
+    return err;
+  }
+
+  throw new Error('Expected the access to be rejected');
+}
+
+describe('Tenant Isolation', () => {
+  describe('isSuper()', () => {
+    it('should tell super admins apart', () => {
+      tenant.isSuper({ realm: 'super' }).should.be.true;
+      tenant.isSuper({ role: 'super' }).should.be.true;
+      tenant.isSuper({ realm: 'user' }).should.be.false;
+      tenant.isSuper(null).should.be.false;
+    });
+  });
+
+  describe('scope()', () => {
+    it('should restrict queries of users to their MFI', () => {
+      tenant.scope(state(), { _id: 'form' }).should.deep.equal({ _id: 'form', MFI: OWN_MFI });
+    });
+
+    it('should refuse users without an MFI', () => {
+      let unbound = state();
+      unbound._mfi = null;
+
+      let err = thrown(() => tenant.scope(unbound, { type: 'SCREENING' }));
+
+      err.should.be.an.instanceof(CustomError);
+      err.type.should.equal('TENANT_ERROR');
+      err.status.should.equal(403);
+    });
+
+    it('should leave queries of super admins as they are', () => {
+      tenant.scope(state({ realm: 'super' }), { _id: 'form' }).should.deep.equal({ _id: 'form' });
+    });
+  });
+
+  describe('bind()', () => {
+    it('should give super admins the DALs as they are', () => {
+      tenant.bind(state({ realm: 'super' })).FormDal.should.equal(FormDal);
+    });
+
+    it('should bind the DALs once per request', () => {
+      let request = state();
+
+      tenant.bind(request).should.equal(tenant.bind(request));
+    });
+
+    it('should reject DAL queries naming another MFI', () => {
+      const { FormDal } = tenant.bind(state());
+
+      return rejected(FormDal.get({ MFI: OTHER_MFI })).then((err) => {
+        err.should.be.an.instanceof(CustomError);
+        err.type.should.equal('TENANT_ERROR');
+        err.status.should.equal(403);
+      });
+    });
+
+    it('should reject saving data of another MFI', () => {
+      const { FormDal } = tenant.bind(state());
+
+      return rejected(FormDal.create({ title: 'Screening', MFI: OTHER_MFI })).then((err) => {
+        err.type.should.equal('TENANT_ERROR');
+        err.status.should.equal(403);
+      });
+    });
+
+    it('should reject model queries naming another MFI', () => {
+      const { Form } = tenant.bind(state());
+
+      (() => Form.findOne({ MFI: OTHER_MFI })).should.throw(CustomError, /another MFI/);
+    });
+
+    it('should refuse users without an MFI', () => {
+      let unbound = state();
+      unbound._mfi = null;
+
+      let err = thrown(() => tenant.bind(unbound));
+
+      err.type.should.equal('TENANT_ERROR');
+      err.status.should.equal(403);
+      should.not.exist(unbound._tenant);
+    });
+
+    it('should not count unowned documents as the own', () => {
+      const { FormDal, Form } = tenant.bind(state());
+
+      (() => Form.find({ MFI: null })).should.throw(CustomError, /another MFI/);
+
+      return rejected(FormDal.get({ MFI: null })).then((err) => {
+        err.type.should.equal('TENANT_ERROR');
+      });
+    });
+
+    it('should accept queries naming the own MFI', () => {
+      const { Form } = tenant.bind(state());
+
+      let query = Form.find({ MFI: OWN_MFI });
+
+      String(query.getQuery().MFI).should.equal(OWN_MFI);
+    });
+  });
+});
@@ -0,0 +1,272 @@
+'use strict';
+
+const should = require('chai').should();
+const _      = require('lodash');
+
+const support = require('./support');
+
+const form        = require('../controllers/form');
+const section     = require('../controllers/section');
+const Form        = require('../models/form');
+const Section     = require('../models/section');
+const Question    = require('../models/question');
+const FormDal     = require('../dal/form');
+const SectionDal  = require('../dal/section');
+const QuestionDal = require('../dal/question');
+const LogDal      = require('../dal/log');
+
+const USER = '5def47b7cda72e00018b5201';
+
+describe('Trash', () => {
+  let store;
+
+  // A form with a question holding a sub question, and a section holding a question
+  beforeEach(() => {
+    store = {
+      forms: {
+        f1: { _id: 'f1', title: 'Screening', status: 'DRAFT', questions: ['q1'], sections: ['s1'] }
+      },
+      sections: {
+        s1: { _id: 's1', title: 'Household', questions: ['q3'] }
+      },
+      questions: {
+        q1: { _id: 'q1', question_text: 'Income', sub_questions: ['q2'] },
+        q2: { _id: 'q2', question_text: 'Monthly', sub_questions: [] },
+        q3: { _id: 'q3', question_text: 'Members', sub_questions: [] }
+      }
+    };
+
+    fake(Form, 'forms');
+    fake(Section, 'sections');
+    fake(Question, 'questions');
+
+    // gets leave out and populate without archived items
+    support.stub(QuestionDal, 'get', (query) => Promise.resolve(live('questions', query._id, (question) => {
+      question.sub_questions = populated('questions', question.sub_questions);
+    })));
+    support.stub(SectionDal, 'get', (query) => Promise.resolve(live('sections', query._id, (section) => {
+      section.questions = populated('questions', section.questions);
+    })));
+    support.stub(FormDal, 'get', (query) => Promise.resolve(live('forms', query._id, (form) => {
+      form.questions = populated('questions', form.questions);
+      form.sections  = populated('sections', form.sections);
+    })));
+
+    support.stub(LogDal, 'track', () => Promise.resolve({}));
+  });
+
+  afterEach(support.restore);
+
+  function fake(Model, name) {
+    support.stub(Model, 'findOne', (query) => ({ exec: () => Promise.resolve(matching(name, query)) }));
+    support.stub(Model, 'findOneAndUpdate', (query, updates) => ({
+      exec: () => {
+        let doc = store[name][query._id];
+
+        _.forEach(_.omit(updates.$set, 'last_modified'), (value, path) => _.set(doc, path, value));
+
+        return Promise.resolve(doc);
+      }
+    }));
+  }
+
+  function matching(name, query) {
+    let doc = store[name][query._id];
+
+    if(!doc || !support.matches(doc, query)) {
+      return null;
+    }
+
+    return Object.assign({ toJSON: () => _.cloneDeep(doc) }, _.cloneDeep(doc));
+  }
+
+  function live(name, id, populate) {
+    let doc = store[name][id];
+
+    if(!doc || doc.archived) return null;
+
+    doc = _.cloneDeep(doc);
+    populate(doc);
+
+    return doc;
+  }
+
+  function populated(name, ids) {
+    return ids.map((id) => store[name][id]).filter((doc) => !doc.archived).map((doc) => {
+      doc = _.cloneDeep(doc);
+
+      if(doc.questions) {
+        doc.questions = populated('questions', doc.questions);
+      }
+
+      if(doc.sub_questions) {
+        doc.sub_questions = populated('questions', doc.sub_questions);
+      }
+
+      return doc;
+    });
+  }
+
+  function archived(name) {
+    return Object.keys(store[name]).filter((id) => store[name][id].archived);
+  }
+
+  describe('delete()', () => {
+    it('should archive the form together with its whole tree', () => {
+      return FormDal.delete({ _id: 'f1' }, { deleted_by: USER }).then(() => {
+        archived('forms').should.deep.equal(['f1']);
+        archived('sections').should.deep.equal(['s1']);
+        archived('questions').sort().should.deep.equal(['q1', 'q2', 'q3']);
+
+        let deletedAt = store.forms.f1.deleted_at;
+
+        store.sections.s1.deleted_at.should.equal(deletedAt);
+        store.questions.q2.deleted_at.should.equal(deletedAt);
+        store.questions.q3.deleted_by.should.equal(USER);
+      });
+    });
+
+    it('should only mark items deleted on their own as trash entries', () => {
+      return QuestionDal.delete({ _id: 'q1' }, { deleted_by: USER, deleted_from: { form: 'f1' } }).then(() => {
+        store.questions.q1.deleted_from.should.deep.equal({ form: 'f1' });
+        should.not.exist(store.questions.q2.deleted_from);
+        store.questions.q2.archived.should.be.true;
+      });
+    });
+
+    it('should resolve to an empty object for missing items', () => {
+      return SectionDal.delete({ _id: 's9' }).then((section) => {
+        section.should.deep.equal({});
+      });
+    });
+  });
+
+  describe('recover()', () => {
+    it('should bring back the form together with its whole tree', () => {
+      return FormDal.delete({ _id: 'f1' }, { deleted_by: USER })
+        .then(() => FormDal.recover({ _id: 'f1' }))
+        .then((form) => {
+          form.title.should.equal('Screening');
+          form.questions.map((question) => question._id).should.deep.equal(['q1']);
+          form.questions[0].sub_questions.map((question) => question._id).should.deep.equal(['q2']);
+          form.sections[0].questions.map((question) => question._id).should.deep.equal(['q3']);
+
+          archived('forms').should.be.empty;
+          archived('sections').should.be.empty;
+          archived('questions').should.be.empty;
+          should.equal(store.forms.f1.deleted_at, null);
+        });
+    });
+
+    it('should leave items deleted before the form in the trash', () => {
+      return SectionDal.delete({ _id: 's1' }, { deleted_by: USER, deleted_at: '2019-01-01T00:00:00.000Z', deleted_from: { form: 'f1' } })
+        .then(() => FormDal.delete({ _id: 'f1' }, { deleted_by: USER }))
+        .then(() => FormDal.recover({ _id: 'f1' }))
+        .then(() => {
+          archived('forms').should.be.empty;
+          archived('sections').should.deep.equal(['s1']);
+          archived('questions').should.deep.equal(['q3']);
+        });
+    });
+
+    it('should resolve to an empty object for forms out of the trash', () => {
+      return FormDal.recover({ _id: 'f1' }).then((form) => {
+        form.should.deep.equal({});
+      });
+    });
+  });
+
+  describe('restore', () => {
+    function restore(handler, id) {
+      return support.run(handler, support.context({ method: 'PUT', params: { id: id } }));
+    }
+
+    it('should restore deleted forms', () => {
+      return FormDal.delete({ _id: 'f1' }, { deleted_by: USER })
+        .then(() => restore(form.restore, 'f1'))
+        .then((ctx) => {
+          ctx.body._id.should.equal('f1');
+          archived('questions').should.be.empty;
+          LogDal.track.calls[0][0].event.should.equal('form_restore');
+        });
+    });
+
+    it('should refuse forms out of the trash', () => {
+      return support.rejected(restore(form.restore, 'f1')).then((err) => {
+        err.type.should.equal('RESTORE_FORM_ERROR');
+        err.message.should.equal('Deleted Form Does Not Exist!');
+      });
+    });
+
+    it('should restore deleted sections into their form', () => {
+      let update = support.stub(FormDal, 'update', () => Promise.resolve({}));
+
+      store.forms.f1.sections = [];
+
+      return SectionDal.delete({ _id: 's1' }, { deleted_by: USER, deleted_from: { form: 'f1' } })
+        .then(() => restore(section.restore, 's1'))
+        .then((ctx) => {
+          ctx.body._id.should.equal('s1');
+          archived('sections').should.be.empty;
+          update.calls[0][1].sections.should.deep.equal(['s1']);
+        });
+    });
+
+    it('should refuse restoring sections of a deleted form', () => {
+      return FormDal.delete({ _id: 'f1' }, { deleted_by: USER })
+        .then(() => {
+          store.sections.s1.deleted_from = { form: 'f1' };
+
+          return support.rejected(restore(section.restore, 's1'));
+        })
+        .then((err) => {
+          err.type.should.equal('RESTORE_SECTION_ERROR');
+          err.message.should.equal('Section Form Does Not Exist, Restore It First');
+          archived('sections').should.deep.equal(['s1']);
+        });
+    });
+  });
+
+  describe('fetchTrash()', () => {
+    let listed;
+
+    beforeEach(() => {
+      listed = [];
+
+      for(let Dal of [FormDal, SectionDal, QuestionDal]) {
+        support.stub(Dal, 'getCollectionByPagination', (query, opts) => {
+          listed.push({ query: query, opts: opts });
+
+          return Promise.resolve({ docs: [] });
+        });
+      }
+    });
+
+    function trash(query) {
+      return support.run(form.fetchTrash, support.context({ query: query }));
+    }
+
+    it('should list deleted forms, most recently deleted first', () => {
+      return trash({}).then(() => {
+        listed[0].query.should.deep.equal({ archived: true });
+        listed[0].opts.sort.should.deep.equal({ deleted_at: -1 });
+        FormDal.getCollectionByPagination.calls.should.have.length(1);
+      });
+    });
+
+    it('should leave out what was deleted along with its parent', () => {
+      return trash({ type: 'questions', page: 2 }).then(() => {
+        QuestionDal.getCollectionByPagination.calls.should.have.length(1);
+        listed[0].query.should.deep.equal({ archived: true, deleted_from: { $ne: null } });
+        listed[0].opts.page.should.equal(2);
+      });
+    });
+
+    it('should refuse unknown trash types', () => {
+      return support.rejected(trash({ type: 'answers' })).then((err) => {
+        err.type.should.equal('FETCH_TRASH_ERROR');
+        err.message.should.equal('Accepted Trash Types are forms,sections,questions');
+      });
+    });
+  });
+});